@@ -0,0 +1,169 @@
+// lib/accounts.js - Profile editing, personal data export and account deletion
+//
+// Deleting an account always removes the user's alert rules, deliveries,
+// sessions, trips and photos. Their catch log is either removed too, or kept for the
+// catch statistics with the owner replaced by an anonymous tombstone user and
+// notes cleared ("anonymize"). The rows go in one transaction, and the last
+// admin can't delete their own account.
+const { get, all, run, transaction } = require('./db');
+const auth = require('./auth');
+const photos = require('./photos');
+const { storage } = require('./storage');
+const audit = require('./audit');
+const privacy = require('./privacy');
+
+const CATCH_MODES = ['anonymize', 'delete'];
+
+async function findUser(userId) {
+    const user = await get('SELECT * FROM users WHERE id = ? AND deleted_at IS NULL', [userId]);
+    if (!user) throw auth.authError(404, 'Account not found');
+    return user;
+}
+
+async function getProfile(userId) {
+    const user = await findUser(userId);
+    const { count } = await get('SELECT COUNT(*) AS count FROM catch_logs WHERE user_id = ?', [userId]);
+    return {
+        ...auth.publicUser(user),
+        default_visibility: user.default_visibility,
+        fuzz_method: user.fuzz_method,
+        fuzz_km: user.fuzz_km,
+        catch_count: count
+    };
+}
+
+// Name and privacy changes are free; a new email or password needs the
+// current password. A password change signs out every other session.
+async function updateProfile(userId, sessionId, body) {
+    const user = await findUser(userId);
+    const updates = privacy.normaliseSettings(body);
+
+    if (body.name !== undefined) {
+        const name = String(body.name).trim();
+        if (!name) throw auth.authError(400, 'Name cannot be empty');
+        updates.name = name;
+    }
+    if (body.email !== undefined) {
+        const email = auth.normaliseEmail(body.email);
+        if (email !== user.email.toLowerCase()) {
+            const taken = await auth.findUserByEmail(email);
+            if (taken && taken.id !== user.id) throw auth.authError(400, 'Email already registered');
+            updates.email = email;
+            // The new address has to be verified again before alert emails go to it
+            updates.email_verified_at = null;
+        }
+    }
+    if (body.new_password !== undefined) {
+        updates.password_hash = await auth.hashPassword(body.new_password);
+    }
+
+    if ((updates.email || updates.password_hash) && !await auth.verifyPassword(user, body.current_password)) {
+        throw auth.authError(403, 'current_password is incorrect');
+    }
+
+    const columns = Object.keys(updates);
+    if (columns.length) {
+        await run(`UPDATE users SET ${columns.map(c => `${c} = ?`).join(', ')} WHERE id = ?`,
+            [...columns.map(c => updates[c]), userId]);
+    }
+    if (updates.password_hash) await auth.revokeUserSessions(userId, sessionId);
+    return getProfile(userId);
+}
+
+// Everything stored about the user, as one JSON document
+async function exportAccount(userId) {
+    const user = await findUser(userId);
+    const [catches, catchPhotos, userTrips, alertRules, alertDeliveries, sessions] = await Promise.all([
+        all('SELECT * FROM catch_logs WHERE user_id = ? ORDER BY time_caught', [userId]),
+        all('SELECT * FROM catch_photos WHERE user_id = ? ORDER BY catch_id', [userId]),
+        all('SELECT * FROM trips WHERE user_id = ? ORDER BY started_at', [userId]),
+        all('SELECT * FROM alert_rules WHERE user_id = ? ORDER BY id', [userId]),
+        all('SELECT * FROM alert_deliveries WHERE user_id = ? ORDER BY id', [userId]),
+        all('SELECT id, user_agent, created_at, last_used_at, revoked_at FROM sessions WHERE user_id = ? ORDER BY created_at', [userId])
+    ]);
+
+    return {
+        exported_at: new Date().toISOString(),
+        user: auth.publicUser(user),
+        catches,
+        photos: catchPhotos.map(photo => ({
+            catch_id: photo.catch_id,
+            photo_url: storage.url(photo.public_key),
+            thumbnail_url: storage.url(photo.thumbnail_key),
+            original_url: `/api/catches/${photo.catch_id}/photo/original`,
+            content_type: photo.content_type,
+            exif_latitude: photo.exif_latitude,
+            exif_longitude: photo.exif_longitude,
+            exif_time: photo.exif_time,
+            created_at: photo.created_at
+        })),
+        trips: userTrips.map(trip => ({ ...trip, track: trip.track ? JSON.parse(trip.track) : null })),
+        alert_rules: alertRules.map(rule => ({ ...rule, area: rule.area ? JSON.parse(rule.area) : null })),
+        alert_deliveries: alertDeliveries.map(delivery => ({ ...delivery, payload: JSON.parse(delivery.payload) })),
+        sessions
+    };
+}
+
+async function deleteAccount(userId, { password, catches } = {}) {
+    const user = await findUser(userId);
+    if (!CATCH_MODES.includes(catches)) {
+        throw auth.authError(400, `catches must be one of: ${CATCH_MODES.join(', ')}`);
+    }
+    if (!await auth.verifyPassword(user, password)) throw auth.authError(403, 'Password is incorrect');
+
+    // Every row goes in one transaction, so a failure leaves the account whole
+    const { count, photoRows } = await transaction(async db => {
+        if (user.role === 'admin') {
+            const admins = await db.get("SELECT COUNT(*) AS count FROM users WHERE role = 'admin' AND deleted_at IS NULL");
+            if (admins.count <= 1) throw auth.authError(400, 'Cannot delete the last admin; appoint another admin first');
+        }
+        const photoRows = await db.all('SELECT * FROM catch_photos WHERE user_id = ?', [userId]);
+        await db.run('DELETE FROM catch_photos WHERE user_id = ?', [userId]);
+        await db.run('DELETE FROM alert_deliveries WHERE user_id = ?', [userId]);
+        await db.run('DELETE FROM alert_rules WHERE user_id = ?', [userId]);
+        await db.run('DELETE FROM password_resets WHERE user_id = ?', [userId]);
+        await db.run('DELETE FROM email_verifications WHERE user_id = ?', [userId]);
+        await db.run('DELETE FROM refresh_tokens WHERE session_id IN (SELECT id FROM sessions WHERE user_id = ?)', [userId]);
+        await db.run('DELETE FROM sessions WHERE user_id = ?', [userId]);
+        await db.run('UPDATE catch_logs SET trip_id = NULL WHERE user_id = ?', [userId]);
+        await db.run('DELETE FROM trips WHERE user_id = ?', [userId]);
+
+        const { count } = await db.get('SELECT COUNT(*) AS count FROM catch_logs WHERE user_id = ?', [userId]);
+        if (catches === 'delete') {
+            await db.run('DELETE FROM catch_logs WHERE user_id = ?', [userId]);
+            await db.run('DELETE FROM users WHERE id = ?', [userId]);
+        } else {
+            // The row stays so the catches keep a valid user_id, but nothing in it
+            // identifies the angler and no password can match it
+            await db.run('UPDATE catch_logs SET notes = NULL, photo_url = NULL, thumbnail_url = NULL WHERE user_id = ?', [userId]);
+            await db.run(`
+                UPDATE users SET email = ?, name = 'Deleted angler', password_hash = '!', deleted_at = ?
+                WHERE id = ?
+            `, [`deleted-${userId}@invalid`, new Date().toISOString(), userId]);
+        }
+        return { count, photoRows };
+    });
+
+    // Files can't be rolled back, so they go once the rows are gone
+    for (const row of photoRows) {
+        await photos.removeFiles(row).catch(error => console.error('Photo file removal failed:', error.message));
+    }
+    return { deleted: true, catches, catch_count: count };
+}
+
+// Admin-only; refuses to leave the site without any admin
+async function setRole(adminId, userId, role) {
+    if (!auth.ROLES.includes(role)) throw auth.authError(400, `role must be one of: ${auth.ROLES.join(', ')}`);
+    const user = await findUser(userId);
+    if (user.role === role) return auth.publicUser(user);
+
+    if (user.role === 'admin') {
+        const { count } = await get("SELECT COUNT(*) AS count FROM users WHERE role = 'admin' AND deleted_at IS NULL");
+        if (count <= 1) throw auth.authError(400, 'Cannot remove the last admin');
+    }
+    await run('UPDATE users SET role = ? WHERE id = ?', [role, user.id]);
+    await audit.record(adminId, 'user.role', 'user', user.id, { before: user.role, after: role });
+    return auth.publicUser(await findUser(userId));
+}
+
+module.exports = { CATCH_MODES, getProfile, updateProfile, exportAccount, deleteAccount, setRole };
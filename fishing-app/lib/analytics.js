@@ -0,0 +1,337 @@
+// lib/analytics.js - Catch history: seasonality, temperatures, personal bests
+// and leaderboards, plus the data-driven hotspot best months and success rates
+//
+// Public figures only use shared catches that moderation hasn't held or
+// hidden, and match them to hotspots by their public position (see
+// hotspots.publicCatchesNear); personal bests cover all of the angler's own
+// catches. Months and weeks are NZ calendar ones; weeks are ISO weeks. Queries
+// arrive checked, with defaults filled in, by the routes' schemas in node.js.
+//
+// recomputeHotspotStats replaces a hotspot's best_months once MIN_SEASON_CATCHES
+// catches have been logged there in the last STATS_DAYS: the months holding at
+// least BEST_MONTH_SHARE times an even share of them. avg_success_rate becomes
+// the share of tracked trips that fished the spot and landed something there
+// (see trips.cpueStats), once MIN_TRIPS trips have. Until then the seed or
+// admin values stay.
+const { get, all, run, sql } = require('./db');
+const { getProfile, resolveSpecies } = require('./species');
+const { publicCondition } = require('./moderation');
+const privacy = require('./privacy');
+const hotspotStore = require('./hotspots');
+const trips = require('./trips');
+const spatial = require('./spatial');
+const { localParts } = require('./nztime');
+
+const INTERVALS = ['month', 'week'];
+const METRICS = ['heaviest', 'longest', 'count'];
+const TEMPERATURE_KM = 25;        // how far an observation can be from the catch
+const TEMPERATURE_HOURS = 6;      // and how far apart in time
+const STATS_DAYS = 730;
+const MIN_SEASON_CATCHES = 20;
+const BEST_MONTH_SHARE = 1.25;
+const MAX_BEST_MONTHS = 6;
+const MIN_TRIPS = 5;
+
+const round = (value, places = 2) => Math.round(value * 10 ** places) / 10 ** places;
+
+// Catalogue name for a species filter, or the text as given for species we don't know
+function speciesName(species) {
+    if (!species) return null;
+    const entry = resolveSpecies(species);
+    return entry ? entry.name : String(species).trim();
+}
+
+async function findHotspot(id) {
+    const hotspot = await get('SELECT * FROM hotspots WHERE id = ? AND archived_at IS NULL', [id]);
+    if (!hotspot) throw Object.assign(new Error('Hotspot not found'), { status: 404 });
+    return hotspot;
+}
+
+// Public catches since `since`, optionally one species and/or near one hotspot
+async function publicCatches({ since, species, hotspot }) {
+    const catches = hotspot
+        ? await hotspotStore.publicCatchesNear(hotspot, since)
+        : await all(`
+            SELECT cl.*, u.name AS angler_name FROM catch_logs cl
+            JOIN users u ON u.id = cl.user_id
+            WHERE cl.time_caught > ? AND ${privacy.sharedCondition('cl')} AND ${publicCondition('cl')}
+        `, [since]);
+    return species ? catches.filter(c => c.species.toLowerCase() === species.toLowerCase()) : catches;
+}
+
+const pad = n => String(n).padStart(2, '0');
+
+// ISO week ('2026-W07') of the NZ calendar day holding the instant
+function weekKey(date) {
+    const { year, month, day } = localParts(date);
+    const utc = new Date(Date.UTC(year, month - 1, day));
+    const weekday = utc.getUTCDay() || 7;
+    utc.setUTCDate(utc.getUTCDate() + 4 - weekday); // the week's Thursday decides its year
+    const yearStart = Date.UTC(utc.getUTCFullYear(), 0, 1);
+    const week = Math.ceil(((utc - yearStart) / 86400000 + 1) / 7);
+    return `${utc.getUTCFullYear()}-W${pad(week)}`;
+}
+
+function monthKey(date) {
+    const { year, month } = localParts(date);
+    return `${year}-${pad(month)}`;
+}
+
+// Every period key from `since` to now, oldest first
+function periodsBetween(since, interval) {
+    const keyOf = interval === 'week' ? weekKey : monthKey;
+    const keys = [];
+    for (let t = since.getTime(); t <= Date.now() + 86400000; t += 86400000) {
+        const key = keyOf(new Date(Math.min(t, Date.now())));
+        if (keys[keys.length - 1] !== key) keys.push(key);
+    }
+    return keys;
+}
+
+// Catches, weight and anglers per month or week, one zero-filled series per species
+async function timeSeries(query) {
+    const { interval, days } = query;
+    const species = speciesName(query.species);
+    const hotspot = query.hotspot_id ? await findHotspot(query.hotspot_id) : null;
+    const since = new Date(Date.now() - days * 86400000);
+
+    const catches = await publicCatches({ since: since.toISOString(), species, hotspot });
+    const periods = periodsBetween(since, interval);
+    const keyOf = interval === 'week' ? weekKey : monthKey;
+    const bySpecies = new Map();
+    catches.forEach(c => {
+        if (!bySpecies.has(c.species)) bySpecies.set(c.species, new Map());
+        const byPeriod = bySpecies.get(c.species);
+        const key = keyOf(new Date(c.time_caught));
+        if (!byPeriod.has(key)) byPeriod.set(key, []);
+        byPeriod.get(key).push(c);
+    });
+
+    const series = [...bySpecies.entries()].map(([name, byPeriod]) => ({
+        species: name,
+        total_catches: [...byPeriod.values()].reduce((sum, list) => sum + list.length, 0),
+        points: periods.map(period => {
+            const list = byPeriod.get(period) || [];
+            const weighed = list.filter(c => c.weight != null);
+            const weight = weighed.reduce((sum, c) => sum + c.weight, 0);
+            return {
+                period,
+                catches: list.length,
+                total_weight: round(weight),
+                avg_weight: weighed.length ? round(weight / weighed.length) : null,
+                anglers: new Set(list.map(c => c.user_id)).size
+            };
+        })
+    })).sort((a, b) => b.total_catches - a.total_catches);
+
+    return {
+        interval,
+        days,
+        species,
+        hotspot: hotspot ? { id: hotspot.id, name: hotspot.name } : null,
+        periods,
+        series
+    };
+}
+
+// Water temperature at each catch: the angler's own reading, else the closest
+// observation in time within TEMPERATURE_KM and TEMPERATURE_HOURS (nearest
+// first among equally close ones). The observations for every catch come from
+// one batched lookup; catches with neither get no reading.
+async function catchTemperatures(catches) {
+    const unread = catches.filter(c => c.water_temp == null);
+    const observed = new Map();
+    if (unread.length) {
+        const rows = await spatial.nearbyEach('environmental_data', 'catch_logs', unread, TEMPERATURE_KM, {
+            columns: `t.sea_temperature, ${sql.hoursBetween('t.timestamp', 'p.time_caught')} AS hours`,
+            where: `t.is_grid = 0 AND t.sea_temperature IS NOT NULL AND ${sql.hoursBetween('t.timestamp', 'p.time_caught')} <= ?`,
+            params: [TEMPERATURE_HOURS]
+        });
+        rows.forEach(row => {
+            const best = observed.get(row.point_id);
+            if (!best || row.hours < best.hours) observed.set(row.point_id, row);
+        });
+    }
+
+    return catches
+        .map(c => {
+            if (c.water_temp != null) return { value: c.water_temp, source: 'angler' };
+            const row = observed.get(c.id);
+            return row ? { value: row.sea_temperature, source: 'observed' } : null;
+        })
+        .filter(Boolean);
+}
+
+function quantile(sorted, q) {
+    const position = (sorted.length - 1) * q;
+    const below = Math.floor(position);
+    const above = Math.ceil(position);
+    return sorted[below] + (sorted[above] - sorted[below]) * (position - below);
+}
+
+// Histogram and summary of the water temperatures catches were made in
+async function temperatureDistribution(query) {
+    const { days, bin } = query;
+    const species = speciesName(query.species);
+    const hotspot = query.hotspot_id ? await findHotspot(query.hotspot_id) : null;
+
+    const since = new Date(Date.now() - days * 86400000).toISOString();
+    const catches = await publicCatches({ since, species, hotspot });
+    const readings = await catchTemperatures(catches);
+    const values = readings.map(r => r.value).sort((a, b) => a - b);
+
+    const bins = new Map();
+    values.forEach(value => {
+        const from = round(Math.floor(value / bin) * bin, 1);
+        bins.set(from, (bins.get(from) || 0) + 1);
+    });
+    const profile = species ? getProfile(species) : null;
+    const range = profile && profile.ranges.sea_temperature;
+
+    return {
+        species,
+        days,
+        hotspot: hotspot ? { id: hotspot.id, name: hotspot.name } : null,
+        bin,
+        catches: catches.length,
+        with_temperature: values.length,
+        sources: {
+            angler: readings.filter(r => r.source === 'angler').length,
+            observed: readings.filter(r => r.source === 'observed').length
+        },
+        mean: values.length ? round(values.reduce((a, b) => a + b, 0) / values.length, 1) : null,
+        median: values.length ? round(quantile(values, 0.5), 1) : null,
+        p10: values.length ? round(quantile(values, 0.1), 1) : null,
+        p90: values.length ? round(quantile(values, 0.9), 1) : null,
+        profile_optimal: range ? range.optimal : null,
+        histogram: [...bins.entries()].sort((a, b) => a[0] - b[0])
+            .map(([from, count]) => ({ from, to: round(from + bin, 1), catches: count }))
+    };
+}
+
+function describeCatch(c) {
+    return c && {
+        id: c.id,
+        species: c.species,
+        weight: c.weight,
+        length: c.length,
+        time_caught: c.time_caught,
+        latitude: c.latitude,
+        longitude: c.longitude
+    };
+}
+
+const heavier = (a, b) => (b.weight || 0) - (a.weight || 0) || a.time_caught.localeCompare(b.time_caught);
+const longer = (a, b) => (b.length || 0) - (a.length || 0) || a.time_caught.localeCompare(b.time_caught);
+
+// The angler's heaviest and longest fish of each species, private catches included
+async function personalBests(userId) {
+    const catches = await all('SELECT * FROM catch_logs WHERE user_id = ? ORDER BY time_caught', [userId]);
+    const bySpecies = new Map();
+    catches.forEach(c => {
+        if (!bySpecies.has(c.species)) bySpecies.set(c.species, []);
+        bySpecies.get(c.species).push(c);
+    });
+
+    const species = [...bySpecies.entries()].map(([name, list]) => {
+        const weighed = list.filter(c => c.weight != null).sort(heavier);
+        const measured = list.filter(c => c.length != null).sort(longer);
+        return {
+            species: name,
+            catches: list.length,
+            first_caught: list[0].time_caught,
+            last_caught: list[list.length - 1].time_caught,
+            heaviest: describeCatch(weighed[0]) || null,
+            longest: describeCatch(measured[0]) || null
+        };
+    }).sort((a, b) => b.catches - a.catches);
+
+    const weighed = catches.filter(c => c.weight != null).sort(heavier);
+    return {
+        total_catches: catches.length,
+        heaviest_overall: describeCatch(weighed[0]) || null,
+        species
+    };
+}
+
+// Anglers ranked by their heaviest or longest fish, or by how many they caught
+async function leaderboard(query) {
+    const { metric, days, limit } = query;
+    const species = speciesName(query.species);
+
+    const since = new Date(Date.now() - days * 86400000).toISOString();
+    const catches = await publicCatches({ since, species });
+    const byAngler = new Map();
+    catches.forEach(c => {
+        if (!byAngler.has(c.user_id)) byAngler.set(c.user_id, []);
+        byAngler.get(c.user_id).push(c);
+    });
+
+    let entries = [...byAngler.values()].map(list => {
+        const angler = privacy.maskName(list[0].angler_name);
+        if (metric === 'count') {
+            return { angler, value: list.length, units: 'catches',
+                total_weight: round(list.reduce((sum, c) => sum + (c.weight || 0), 0)), first: list[0].time_caught };
+        }
+        const field = metric === 'heaviest' ? 'weight' : 'length';
+        const best = list.filter(c => c[field] != null).sort(metric === 'heaviest' ? heavier : longer)[0];
+        if (!best) return null;
+        return { angler, value: best[field], units: metric === 'heaviest' ? 'kg' : 'cm',
+            species: best.species, time_caught: best.time_caught, first: best.time_caught };
+    }).filter(Boolean);
+
+    entries = entries.sort((a, b) => b.value - a.value || a.first.localeCompare(b.first)).slice(0, limit);
+    return {
+        metric,
+        species,
+        days,
+        entries: entries.map(({ first, ...entry }, i) => ({ rank: i + 1, ...entry }))
+    };
+}
+
+// Months (1-12) that hold well over an even share of the catches, in calendar order
+function bestMonths(catches) {
+    const counts = new Array(13).fill(0);
+    catches.forEach(c => { counts[localParts(new Date(c.time_caught)).month]++; });
+    const threshold = catches.length / 12 * BEST_MONTH_SHARE;
+    return counts.map((count, month) => ({ month, count }))
+        .filter(({ month, count }) => month > 0 && count >= threshold)
+        .sort((a, b) => b.count - a.count)
+        .slice(0, MAX_BEST_MONTHS)
+        .map(({ month }) => month)
+        .sort((a, b) => a - b);
+}
+
+// Recomputes best_months and avg_success_rate of every active hotspot from
+// logged catches and trips; returns how many hotspots changed
+async function recomputeHotspotStats() {
+    const since = new Date(Date.now() - STATS_DAYS * 86400000).toISOString();
+    const hotspots = await all('SELECT * FROM hotspots WHERE archived_at IS NULL');
+    const effort = await trips.cpueStats({ group: 'hotspot', days: STATS_DAYS });
+    const visits = new Map(effort.rows.map(row => [row.hotspot_id, row]));
+
+    let changed = 0;
+    for (const hotspot of hotspots) {
+        const catches = await hotspotStore.publicCatchesNear(hotspot, since);
+        const visit = visits.get(hotspot.id);
+        const months = catches.length >= MIN_SEASON_CATCHES ? bestMonths(catches) : null;
+        const successRate = visit && visit.trips >= MIN_TRIPS
+            ? round((visit.trips - visit.blank_trips) / visit.trips * 100, 1)
+            : null;
+
+        const values = {
+            best_months: months && months.length ? months.join(',') : hotspot.best_months,
+            avg_success_rate: successRate == null ? hotspot.avg_success_rate : successRate,
+            stats_catches: catches.length,
+            stats_trips: visit ? visit.trips : 0
+        };
+        if (values.best_months !== hotspot.best_months || values.avg_success_rate !== hotspot.avg_success_rate) changed++;
+        await run(`
+            UPDATE hotspots SET best_months = ?, avg_success_rate = ?, stats_catches = ?, stats_trips = ?, stats_updated_at = ?
+            WHERE id = ?
+        `, [values.best_months, values.avg_success_rate, values.stats_catches, values.stats_trips, new Date().toISOString(), hotspot.id]);
+    }
+    return changed;
+}
+
+module.exports = { INTERVALS, METRICS, timeSeries, temperatureDistribution, personalBests, leaderboard, recomputeHotspotStats };
@@ -0,0 +1,265 @@
+// lib/astro.js - Offline sun, moon and solunar calculations
+//
+// Low-precision formulas from Meeus / Astronomy Answers (as popularised by
+// suncalc); good to a minute or two for sun times and a few minutes for the
+// moon, which is well inside what solunar tables need. Days are NZ calendar
+// days (see lib/nztime.js).
+const { startOfLocalDay, addLocalDays, toLocalISOString, localDateString, TIMEZONE } = require('./nztime');
+
+const PI = Math.PI;
+const rad = PI / 180;
+const DAY_MS = 86400000;
+const J1970 = 2440588;
+const J2000 = 2451545;
+const OBLIQUITY = rad * 23.4397;
+const SAMPLE_MINUTES = 10;
+
+const toJulian = date => date.valueOf() / DAY_MS - 0.5 + J1970;
+const fromJulian = j => new Date((j + 0.5 - J1970) * DAY_MS);
+const toDays = date => toJulian(date) - J2000;
+
+const rightAscension = (l, b) => Math.atan2(Math.sin(l) * Math.cos(OBLIQUITY) - Math.tan(b) * Math.sin(OBLIQUITY), Math.cos(l));
+const declination = (l, b) => Math.asin(Math.sin(b) * Math.cos(OBLIQUITY) + Math.cos(b) * Math.sin(OBLIQUITY) * Math.sin(l));
+const altitude = (H, phi, dec) => Math.asin(Math.sin(phi) * Math.sin(dec) + Math.cos(phi) * Math.cos(dec) * Math.cos(H));
+const siderealTime = (d, lw) => rad * (280.16 + 360.9856235 * d) - lw;
+
+// Sun
+
+const solarMeanAnomaly = d => rad * (357.5291 + 0.98560028 * d);
+
+function eclipticLongitude(M) {
+    const C = rad * (1.9148 * Math.sin(M) + 0.02 * Math.sin(2 * M) + 0.0003 * Math.sin(3 * M));
+    return M + C + rad * 102.9372 + PI;
+}
+
+function sunCoords(d) {
+    const L = eclipticLongitude(solarMeanAnomaly(d));
+    return { dec: declination(L, 0), ra: rightAscension(L, 0) };
+}
+
+const J0 = 0.0009;
+const julianCycle = (d, lw) => Math.round(d - J0 - lw / (2 * PI));
+const approxTransit = (Ht, lw, n) => J0 + (Ht + lw) / (2 * PI) + n;
+const solarTransitJ = (ds, M, L) => J2000 + ds + 0.0053 * Math.sin(M) - 0.0069 * Math.sin(2 * L);
+const hourAngle = (h, phi, dec) => Math.acos((Math.sin(h) - Math.sin(phi) * Math.sin(dec)) / (Math.cos(phi) * Math.cos(dec)));
+
+// Sunrise/sunset (-0.833°, refraction + semi-diameter) and civil twilight (-6°)
+// for the NZ calendar day 'YYYY-MM-DD'
+function getSunTimes(ymd, lat, lng) {
+    const localNoon = new Date(startOfLocalDay(ymd).getTime() + DAY_MS / 2);
+    const lw = rad * -lng;
+    const phi = rad * lat;
+    const d = toDays(localNoon);
+    const n = julianCycle(d, lw);
+    const ds = approxTransit(0, lw, n);
+    const M = solarMeanAnomaly(ds);
+    const L = eclipticLongitude(M);
+    const dec = declination(L, 0);
+    const Jnoon = solarTransitJ(ds, M, L);
+
+    const riseSet = angle => {
+        const w = hourAngle(angle * rad, phi, dec);
+        if (Number.isNaN(w)) return [null, null];
+        const Jset = solarTransitJ(approxTransit(w, lw, n), M, L);
+        return [fromJulian(Jnoon - (Jset - Jnoon)), fromJulian(Jset)];
+    };
+
+    const [sunrise, sunset] = riseSet(-0.833);
+    const [dawn, dusk] = riseSet(-6);
+    return { sunrise, sunset, dawn, dusk, solarNoon: fromJulian(Jnoon) };
+}
+
+// Moon
+
+function moonCoords(d) {
+    const L = rad * (218.316 + 13.176396 * d);
+    const M = rad * (134.963 + 13.064993 * d);
+    const F = rad * (93.272 + 13.229350 * d);
+    const l = L + rad * 6.289 * Math.sin(M);
+    const b = rad * 5.128 * Math.sin(F);
+    return { ra: rightAscension(l, b), dec: declination(l, b), dist: 385001 - 20905 * Math.cos(M) };
+}
+
+function moonPosition(date, lat, lng) {
+    const lw = rad * -lng;
+    const phi = rad * lat;
+    const d = toDays(date);
+    const c = moonCoords(d);
+    let H = siderealTime(d, lw) - c.ra;
+    H = Math.atan2(Math.sin(H), Math.cos(H)); // normalise to (-π, π]
+    return { altitude: altitude(H, phi, c.dec), hourAngle: H };
+}
+
+const PHASE_NAMES = [
+    'New Moon', 'Waxing Crescent', 'First Quarter', 'Waxing Gibbous',
+    'Full Moon', 'Waning Gibbous', 'Last Quarter', 'Waning Crescent'
+];
+
+// phase: 0 = new, 0.25 = first quarter, 0.5 = full, 0.75 = last quarter
+function moonIllumination(date) {
+    const d = toDays(date);
+    const s = sunCoords(d);
+    const m = moonCoords(d);
+    const sunDistance = 149598000;
+
+    const phi = Math.acos(Math.sin(s.dec) * Math.sin(m.dec) + Math.cos(s.dec) * Math.cos(m.dec) * Math.cos(s.ra - m.ra));
+    const inc = Math.atan2(sunDistance * Math.sin(phi), m.dist - sunDistance * Math.cos(phi));
+    const angle = Math.atan2(
+        Math.cos(s.dec) * Math.sin(s.ra - m.ra),
+        Math.sin(s.dec) * Math.cos(m.dec) - Math.cos(s.dec) * Math.sin(m.dec) * Math.cos(s.ra - m.ra)
+    );
+    const phase = 0.5 + 0.5 * inc * (angle < 0 ? -1 : 1) / PI;
+
+    return {
+        fraction: (1 + Math.cos(inc)) / 2,
+        phase,
+        name: PHASE_NAMES[Math.round(phase * 8) % 8]
+    };
+}
+
+// Scans the day in SAMPLE_MINUTES steps for moonrise/set (altitude crossing
+// +0.133°) and upper/lower transit (hour angle crossing 0 / ±180°)
+function getMoonTimes(ymd, lat, lng) {
+    const start = startOfLocalDay(ymd).getTime();
+    const end = startOfLocalDay(addLocalDays(ymd, 1)).getTime();
+    const horizon = 0.133 * rad;
+    const result = { moonrise: null, moonset: null, transit: null, underfoot: null };
+
+    let prevTime = start;
+    let prev = moonPosition(new Date(start), lat, lng);
+    for (let t = start + SAMPLE_MINUTES * 60000; t <= end; t += SAMPLE_MINUTES * 60000) {
+        const cur = moonPosition(new Date(t), lat, lng);
+        const interpolate = (a, b) => new Date(prevTime + (t - prevTime) * (a / (a - b)));
+
+        const a = prev.altitude - horizon;
+        const b = cur.altitude - horizon;
+        if (a < 0 && b >= 0 && !result.moonrise) result.moonrise = interpolate(a, b);
+        if (a >= 0 && b < 0 && !result.moonset) result.moonset = interpolate(a, b);
+
+        if (prev.hourAngle < 0 && cur.hourAngle >= 0 && !result.transit) {
+            result.transit = interpolate(prev.hourAngle, cur.hourAngle);
+        }
+        // Wrap from +π to -π is the lower transit (moon underfoot)
+        if (prev.hourAngle > PI / 2 && cur.hourAngle < -PI / 2 && !result.underfoot) {
+            result.underfoot = interpolate(prev.hourAngle - PI, cur.hourAngle + PI);
+        }
+
+        prevTime = t;
+        prev = cur;
+    }
+    return result;
+}
+
+// Solunar theory: major periods (~2 h) centred on the moon's upper and lower
+// transit, minor periods (~1 h) on moonrise and moonset
+function getSolunarPeriods(moonTimes) {
+    const period = (centre, minutes, type, event) => centre && {
+        type,
+        event,
+        start: new Date(centre.getTime() - minutes * 60000),
+        end: new Date(centre.getTime() + minutes * 60000)
+    };
+
+    return [
+        period(moonTimes.transit, 60, 'major', 'moon_overhead'),
+        period(moonTimes.underfoot, 60, 'major', 'moon_underfoot'),
+        period(moonTimes.moonrise, 30, 'minor', 'moonrise'),
+        period(moonTimes.moonset, 30, 'minor', 'moonset')
+    ].filter(Boolean).sort((a, b) => a.start - b.start);
+}
+
+// Day rating 0-4: new and full moons rate highest, quarters lowest
+function solunarDayRating(phase) {
+    const fromSyzygy = Math.min(phase, Math.abs(phase - 0.5), 1 - phase); // 0 at new/full, 0.25 at quarters
+    return Math.round(4 * (1 - fromSyzygy / 0.25));
+}
+
+const dayCache = new Map();
+
+// Everything for one NZ calendar day at a point, with Date objects. Cached by
+// day and ~1 km position because scoring asks for the same day repeatedly.
+function getDay(ymd, lat, lng) {
+    const key = `${ymd}:${lat.toFixed(2)}:${lng.toFixed(2)}`;
+    if (dayCache.has(key)) return dayCache.get(key);
+
+    const sun = getSunTimes(ymd, lat, lng);
+    const moonTimes = getMoonTimes(ymd, lat, lng);
+    const illumination = moonIllumination(new Date(startOfLocalDay(ymd).getTime() + DAY_MS / 2));
+    const day = {
+        date: ymd,
+        sun,
+        moon: { ...moonTimes, ...illumination },
+        periods: getSolunarPeriods(moonTimes),
+        rating: solunarDayRating(illumination.phase)
+    };
+
+    if (dayCache.size > 500) dayCache.clear();
+    dayCache.set(key, day);
+    return day;
+}
+
+// How favourable a given instant is from light and moon alone (0-1):
+// dawn/dusk and major periods score 1, minor periods 0.7, otherwise 0.2
+function timeOfDayFraction(date, lat, lng) {
+    const day = getDay(localDateString(date), lat, lng);
+    const t = date.getTime();
+    const near = (event, minutes) => event && Math.abs(t - event.getTime()) <= minutes * 60000;
+
+    const reasons = [];
+    if (near(day.sun.sunrise, 90)) reasons.push('sunrise');
+    if (near(day.sun.sunset, 90)) reasons.push('sunset');
+
+    let fraction = reasons.length ? 1 : 0.2;
+    day.periods.forEach(p => {
+        if (t >= p.start.getTime() && t <= p.end.getTime()) {
+            reasons.push(`solunar_${p.type}`);
+            fraction = Math.max(fraction, p.type === 'major' ? 1 : 0.7);
+        }
+    });
+
+    return { fraction, reasons, solunar_rating: day.rating };
+}
+
+// JSON-friendly view of a day with NZ-offset timestamps
+function describeDay(ymd, lat, lng) {
+    const day = getDay(ymd, lat, lng);
+    const iso = toLocalISOString;
+    const { sun, moon } = day;
+
+    return {
+        date: ymd,
+        timezone: TIMEZONE,
+        location: { lat, lng },
+        sun: {
+            dawn: iso(sun.dawn),
+            sunrise: iso(sun.sunrise),
+            solar_noon: iso(sun.solarNoon),
+            sunset: iso(sun.sunset),
+            dusk: iso(sun.dusk),
+            day_length_minutes: sun.sunrise && sun.sunset ? Math.round((sun.sunset - sun.sunrise) / 60000) : null
+        },
+        moon: {
+            phase: Math.round(moon.phase * 1000) / 1000,
+            phase_name: moon.name,
+            illumination: Math.round(moon.fraction * 1000) / 1000,
+            moonrise: iso(moon.moonrise),
+            moonset: iso(moon.moonset),
+            overhead: iso(moon.transit),
+            underfoot: iso(moon.underfoot)
+        },
+        solunar: {
+            rating: day.rating,
+            periods: day.periods.map(p => ({ type: p.type, event: p.event, start: iso(p.start), end: iso(p.end) }))
+        }
+    };
+}
+
+module.exports = {
+    getSunTimes,
+    getMoonTimes,
+    moonIllumination,
+    getSolunarPeriods,
+    getDay,
+    describeDay,
+    timeOfDayFraction
+};
@@ -0,0 +1,35 @@
+// lib/audit.js - Append-only log of admin actions
+const { all, run } = require('./db');
+
+// `details` is any JSON-serialisable context, typically { before, after, reason }
+async function record(adminId, action, targetType, targetId, details = null) {
+    await run(`
+        INSERT INTO admin_audit (admin_id, action, target_type, target_id, details, created_at)
+        VALUES (?, ?, ?, ?, ?, ?)
+    `, [adminId, action, targetType, targetId, details ? JSON.stringify(details) : null, new Date().toISOString()]);
+}
+
+async function list({ targetType, targetId, limit = 100 } = {}) {
+    const where = [];
+    const params = [];
+    if (targetType) {
+        where.push('a.target_type = ?');
+        params.push(targetType);
+    }
+    if (targetId) {
+        where.push('a.target_id = ?');
+        params.push(targetId);
+    }
+
+    const rows = await all(`
+        SELECT a.*, u.name AS admin_name, u.email AS admin_email
+        FROM admin_audit a
+        LEFT JOIN users u ON u.id = a.admin_id
+        ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+        ORDER BY a.id DESC
+        LIMIT ?
+    `, [...params, Math.min(Number(limit) || 100, 1000)]);
+    return rows.map(row => ({ ...row, details: row.details ? JSON.parse(row.details) : null }));
+}
+
+module.exports = { record, list };
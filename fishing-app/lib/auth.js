@@ -0,0 +1,341 @@
+// lib/auth.js - Sessions, access/refresh tokens and password resets
+//
+// Signing in starts a session and returns a short-lived JWT access token (with
+// the session id as `sid`) plus an opaque refresh token. Each refresh swaps the
+// refresh token for a new one; a refresh token that has already been swapped
+// is being replayed, so its whole session is revoked. Access tokens are checked
+// against their session on every request, which is what makes logout (and a
+// password reset) take effect immediately rather than when the JWT expires.
+// Only SHA-256 hashes of refresh, reset and email verification tokens are
+// stored. An address is verified by following the link mailed to it, and only
+// a verified address receives alert emails (see lib/notify.js).
+//
+// Repeated failed sign-ins lock the account's address for a while (see
+// lib/ratelimit.js), and production refuses to start without a real JWT_SECRET.
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const { get, run } = require('./db');
+const notify = require('./notify');
+const rateLimit = require('./ratelimit');
+
+const DEVELOPMENT_SECRET = 'your-secret-key-change-in-production';
+// Values from the sample configurations; anyone who has read them could sign tokens
+const PLACEHOLDER_SECRETS = [
+    DEVELOPMENT_SECRET,
+    'your-secret-key',
+    'your-super-secret-jwt-key-change-this-in-production',
+    'nz-fishing-super-secret-key-change-in-production-2024'
+];
+const MIN_SECRET_LENGTH = 32;
+const JWT_SECRET = process.env.JWT_SECRET || DEVELOPMENT_SECRET;
+const ACCESS_TOKEN_MINUTES = Number(process.env.ACCESS_TOKEN_MINUTES) || 15;
+const REFRESH_TOKEN_DAYS = Number(process.env.REFRESH_TOKEN_DAYS) || 30;
+const RESET_TOKEN_MINUTES = 60;
+const VERIFY_TOKEN_HOURS = 48;
+const MIN_PASSWORD_LENGTH = 8;
+const BCRYPT_ROUNDS = 10;
+const ROLES = ['user', 'admin'];
+
+function authError(status, message) {
+    return Object.assign(new Error(message), { status });
+}
+
+// Called before the server starts: a missing, placeholder or short JWT_SECRET
+// stops a production start and is only a warning elsewhere
+function checkSecret() {
+    const secret = process.env.JWT_SECRET;
+    let problem = null;
+    if (!secret) problem = 'JWT_SECRET is not set';
+    else if (PLACEHOLDER_SECRETS.includes(secret)) problem = 'JWT_SECRET is a placeholder from the sample configuration';
+    else if (secret.length < MIN_SECRET_LENGTH) problem = `JWT_SECRET is shorter than ${MIN_SECRET_LENGTH} characters`;
+    if (!problem) return;
+
+    if (process.env.NODE_ENV === 'production') {
+        throw new Error(`${problem}; refusing to start in production (generate one with: openssl rand -hex 32)`);
+    }
+    console.warn(`Warning: ${problem}; set a long random value before deploying`);
+}
+
+const hashToken = token => crypto.createHash('sha256').update(String(token)).digest('hex');
+const newToken = () => crypto.randomBytes(32).toString('base64url');
+const addMinutes = minutes => new Date(Date.now() + minutes * 60000).toISOString();
+
+function normaliseEmail(email) {
+    const value = String(email || '').trim().toLowerCase();
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value)) throw authError(400, 'A valid email is required');
+    return value;
+}
+
+function checkPassword(password) {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        throw authError(400, `Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+    return password;
+}
+
+function hashPassword(password) {
+    return bcrypt.hash(checkPassword(password), BCRYPT_ROUNDS);
+}
+
+function publicUser(user) {
+    return {
+        id: user.id,
+        email: user.email,
+        email_verified: Boolean(user.email_verified_at),
+        name: user.name,
+        role: user.role,
+        created_at: user.created_at
+    };
+}
+
+// ADMIN_EMAILS bootstraps the first admins; later ones are appointed via the
+// API. A listed address is only made admin once it has been verified, so
+// whoever registers it first can't claim the role without owning the mailbox.
+function configuredAdmins() {
+    return String(process.env.ADMIN_EMAILS || '').split(',').map(e => e.trim().toLowerCase()).filter(Boolean);
+}
+
+async function promoteConfiguredAdmins() {
+    const emails = configuredAdmins();
+    if (!emails.length) return 0;
+    const { changes } = await run(`
+        UPDATE users SET role = 'admin'
+        WHERE role != 'admin' AND deleted_at IS NULL AND email_verified_at IS NOT NULL
+            AND LOWER(email) IN (${emails.map(() => '?').join(', ')})
+    `, emails);
+    return changes;
+}
+
+// Emails are compared case-insensitively; older accounts may be stored mixed-case
+function findUserByEmail(email) {
+    return get('SELECT * FROM users WHERE LOWER(email) = LOWER(?) AND deleted_at IS NULL', [email]);
+}
+
+async function verifyPassword(user, password) {
+    return typeof password === 'string' && bcrypt.compare(password, user.password_hash);
+}
+
+async function issueRefreshToken(sessionId) {
+    const token = newToken();
+    await run(`
+        INSERT INTO refresh_tokens (session_id, token_hash, created_at, expires_at)
+        VALUES (?, ?, ?, ?)
+    `, [sessionId, hashToken(token), new Date().toISOString(), addMinutes(REFRESH_TOKEN_DAYS * 1440)]);
+    return token;
+}
+
+function signAccessToken(user, sessionId) {
+    return jwt.sign(
+        { userId: user.id, email: user.email, name: user.name, sid: sessionId },
+        JWT_SECRET,
+        { expiresIn: ACCESS_TOKEN_MINUTES * 60 }
+    );
+}
+
+// `token` keeps the name the dashboard has always read the access token from
+async function tokenPair(user, sessionId) {
+    return {
+        token: signAccessToken(user, sessionId),
+        refresh_token: await issueRefreshToken(sessionId),
+        expires_in: ACCESS_TOKEN_MINUTES * 60,
+        user: publicUser(user)
+    };
+}
+
+async function startSession(user, userAgent) {
+    const sessionId = crypto.randomUUID();
+    const now = new Date().toISOString();
+    await run(`
+        INSERT INTO sessions (id, user_id, user_agent, created_at, last_used_at)
+        VALUES (?, ?, ?, ?, ?)
+    `, [sessionId, user.id, userAgent ? String(userAgent).slice(0, 200) : null, now, now]);
+    return tokenPair(user, sessionId);
+}
+
+async function register({ email, password, name }, userAgent) {
+    if (!email || !password || !name || !String(name).trim()) {
+        throw authError(400, 'Email, password, and name required');
+    }
+    const address = normaliseEmail(email);
+    if (await findUserByEmail(address)) throw authError(400, 'Email already registered');
+
+    const { lastID } = await run('INSERT INTO users (email, password_hash, name, role) VALUES (?, ?, ?, ?)',
+        [address, await hashPassword(password), String(name).trim(), 'user']);
+    requestEmailVerification(lastID)
+        .catch(error => console.error('Verification email failed:', error.message));
+    return startSession(await get('SELECT * FROM users WHERE id = ?', [lastID]), userAgent);
+}
+
+async function login({ email, password }, userAgent) {
+    if (!email || !password) throw authError(400, 'Email and password required');
+    const address = String(email).trim().toLowerCase();
+    rateLimit.assertLoginAllowed(address);
+
+    const user = await findUserByEmail(address);
+    if (!user || !await verifyPassword(user, password)) {
+        rateLimit.recordLoginFailure(address);
+        throw authError(400, 'Invalid credentials');
+    }
+    rateLimit.clearLoginFailures(address);
+    return startSession(user, userAgent);
+}
+
+async function revokeSession(sessionId) {
+    await run('UPDATE sessions SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL', [new Date().toISOString(), sessionId]);
+}
+
+// Ends every session of the user except `keepSessionId` (if given)
+async function revokeUserSessions(userId, keepSessionId = null) {
+    const { changes } = await run(`
+        UPDATE sessions SET revoked_at = ?
+        WHERE user_id = ? AND revoked_at IS NULL AND id IS DISTINCT FROM ?
+    `, [new Date().toISOString(), userId, keepSessionId]);
+    return changes;
+}
+
+async function refresh(refreshToken) {
+    if (!refreshToken) throw authError(400, 'refresh_token required');
+    const row = await get(`
+        SELECT rt.*, s.user_id, s.revoked_at
+        FROM refresh_tokens rt
+        JOIN sessions s ON s.id = rt.session_id
+        WHERE rt.token_hash = ?
+    `, [hashToken(refreshToken)]);
+    if (!row || row.revoked_at) throw authError(401, 'Invalid refresh token');
+    if (row.expires_at < new Date().toISOString()) throw authError(401, 'Refresh token expired');
+
+    // Claim the token; losing the race to another request counts as a replay too
+    const { changes } = await run('UPDATE refresh_tokens SET used_at = ? WHERE id = ? AND used_at IS NULL',
+        [new Date().toISOString(), row.id]);
+    if (!changes) {
+        await revokeSession(row.session_id);
+        throw authError(401, 'Refresh token was already used; please sign in again');
+    }
+
+    const user = await get('SELECT * FROM users WHERE id = ? AND deleted_at IS NULL', [row.user_id]);
+    if (!user) throw authError(401, 'Invalid refresh token');
+    await run('UPDATE sessions SET last_used_at = ? WHERE id = ?', [new Date().toISOString(), row.session_id]);
+    return tokenPair(user, row.session_id);
+}
+
+// Returns req.user for a valid access token whose session is still open. The
+// name, email and role come from the database so changes apply straight away.
+async function verifyAccessToken(token) {
+    let claims;
+    try {
+        claims = jwt.verify(token, JWT_SECRET);
+    } catch (error) {
+        if (error.name === 'TokenExpiredError') throw authError(401, 'Access token expired');
+        throw authError(403, 'Invalid token');
+    }
+    if (!claims.sid) throw authError(401, 'Session has ended');
+
+    const user = await get(`
+        SELECT u.id, u.email, u.name, u.role
+        FROM sessions s
+        JOIN users u ON u.id = s.user_id
+        WHERE s.id = ? AND s.revoked_at IS NULL AND u.deleted_at IS NULL
+    `, [claims.sid]);
+    if (!user) throw authError(401, 'Session has ended');
+    return { userId: user.id, email: user.email, name: user.name, role: user.role, sessionId: claims.sid };
+}
+
+// Always resolves the same way so the response doesn't reveal whether the
+// address has an account
+async function requestPasswordReset(email) {
+    const user = email ? await findUserByEmail(String(email).trim()) : null;
+    if (!user) return;
+
+    const token = newToken();
+    await run(`
+        INSERT INTO password_resets (user_id, token_hash, created_at, expires_at)
+        VALUES (?, ?, ?, ?)
+    `, [user.id, hashToken(token), new Date().toISOString(), addMinutes(RESET_TOKEN_MINUTES)]);
+
+    const link = `${process.env.APP_URL || 'http://localhost:3000'}/?reset_token=${encodeURIComponent(token)}`;
+    await notify.sendMail({
+        to: user.email,
+        subject: 'Reset your NZ Fishing Predictor password',
+        text: `Hi ${user.name},\n\nUse this link within ${RESET_TOKEN_MINUTES} minutes to choose a new password:\n${link}\n\n` +
+            'If you didn\'t ask for this, you can ignore this email.'
+    });
+}
+
+async function resetPassword(token, password) {
+    const passwordHash = await hashPassword(password);
+    const now = new Date().toISOString();
+    const reset = await get(`
+        SELECT * FROM password_resets
+        WHERE token_hash = ? AND used_at IS NULL AND expires_at > ?
+    `, [hashToken(token), now]);
+    if (!reset) throw authError(400, 'Reset link is invalid or has expired');
+
+    await run('UPDATE users SET password_hash = ? WHERE id = ?', [passwordHash, reset.user_id]);
+    await run('UPDATE password_resets SET used_at = ? WHERE user_id = ? AND used_at IS NULL', [now, reset.user_id]);
+    await revokeUserSessions(reset.user_id);
+}
+
+// Mails a link that verifies the account's current address
+async function requestEmailVerification(userId) {
+    const user = await get('SELECT * FROM users WHERE id = ? AND deleted_at IS NULL', [userId]);
+    if (!user) throw authError(404, 'Account not found');
+    if (user.email_verified_at) throw authError(409, 'Email is already verified');
+
+    const token = newToken();
+    await run(`
+        INSERT INTO email_verifications (user_id, email, token_hash, created_at, expires_at)
+        VALUES (?, ?, ?, ?, ?)
+    `, [user.id, user.email, hashToken(token), new Date().toISOString(), addMinutes(VERIFY_TOKEN_HOURS * 60)]);
+
+    const link = `${process.env.APP_URL || 'http://localhost:3000'}/?verify_token=${encodeURIComponent(token)}`;
+    await notify.sendMail({
+        to: user.email,
+        subject: 'Confirm your NZ Fishing Predictor email',
+        text: `Hi ${user.name},\n\nUse this link within ${VERIFY_TOKEN_HOURS} hours to confirm this address for alert emails:\n${link}\n\n` +
+            'If you didn\'t sign up, you can ignore this email.'
+    });
+}
+
+// A link only verifies the address it was sent to, so one mailed before an
+// email change can't verify the new address
+async function verifyEmail(token) {
+    const now = new Date().toISOString();
+    const verification = await get(`
+        SELECT v.*, u.email AS current_email
+        FROM email_verifications v
+        JOIN users u ON u.id = v.user_id
+        WHERE v.token_hash = ? AND v.used_at IS NULL AND v.expires_at > ? AND u.deleted_at IS NULL
+    `, [hashToken(token), now]);
+    if (!verification || verification.email.toLowerCase() !== verification.current_email.toLowerCase()) {
+        throw authError(400, 'Verification link is invalid or has expired');
+    }
+
+    await run('UPDATE users SET email_verified_at = ? WHERE id = ?', [now, verification.user_id]);
+    await run('UPDATE email_verifications SET used_at = ? WHERE user_id = ? AND used_at IS NULL', [now, verification.user_id]);
+    await promoteConfiguredAdmins();
+}
+
+module.exports = {
+    JWT_SECRET,
+    MIN_PASSWORD_LENGTH,
+    ROLES,
+    authError,
+    checkSecret,
+    normaliseEmail,
+    hashPassword,
+    verifyPassword,
+    publicUser,
+    promoteConfiguredAdmins,
+    findUserByEmail,
+    register,
+    login,
+    refresh,
+    revokeSession,
+    revokeUserSessions,
+    verifyAccessToken,
+    requestPasswordReset,
+    resetPassword,
+    requestEmailVerification,
+    verifyEmail
+};
@@ -0,0 +1,292 @@
+// lib/catch-formats.js - CSV, GPX and JSON/GeoJSON readers and writers for catch logs
+// (plus the GPX track reader used for trips)
+//
+// Readers return [{ row, data }] with raw, unvalidated values keyed by catch
+// column name (see lib/catches.js for validation). `row` is what an angler
+// would look for when fixing their file: the line number for CSV, the waypoint
+// number for GPX and the 1-based array position for JSON.
+
+const EXPORT_COLUMNS = [
+    'id', 'species', 'weight', 'length', 'gear_type', 'latitude', 'longitude',
+    'depth', 'water_temp', 'time_caught', 'notes', 'photo_url', 'visibility'
+];
+
+// Spreadsheet and logbook headings we map onto catch columns
+const ALIASES = {
+    lat: 'latitude',
+    lon: 'longitude',
+    lng: 'longitude',
+    long: 'longitude',
+    weight_kg: 'weight',
+    kg: 'weight',
+    length_cm: 'length',
+    gear: 'gear_type',
+    method: 'gear_type',
+    depth_m: 'depth',
+    water_temperature: 'water_temp',
+    water_temp_c: 'water_temp',
+    sst: 'water_temp',
+    caught_at: 'time_caught',
+    datetime: 'time_caught',
+    timestamp: 'time_caught',
+    comments: 'notes',
+    note: 'notes',
+    fish: 'species'
+};
+
+// "Weight (kg)" -> "weight_kg" -> "weight"
+function columnName(heading) {
+    const key = String(heading)
+        .trim()
+        .toLowerCase()
+        .replace(/\(([^)]*)\)/g, '_$1')
+        .replace(/[^a-z0-9]+/g, '_')
+        .replace(/^_+|_+$/g, '');
+    return ALIASES[key] || key;
+}
+
+// RFC 4180 fields: quoted fields may hold delimiters, newlines and "" escapes
+function splitCsv(text, delimiter) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    let line = 1;
+    let rowLine = 1;
+
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (quoted) {
+            if (ch === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (ch === '"') {
+                quoted = false;
+            } else {
+                if (ch === '\n') line++;
+                field += ch;
+            }
+        } else if (ch === '"' && field === '') {
+            quoted = true;
+        } else if (ch === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push({ line: rowLine, fields: row });
+            row = [];
+            field = '';
+            line++;
+            rowLine = line;
+        } else {
+            field += ch;
+        }
+    }
+    if (field !== '' || row.length) {
+        row.push(field);
+        rows.push({ line: rowLine, fields: row });
+    }
+    return rows.filter(r => r.fields.some(f => f.trim() !== ''));
+}
+
+function parseCsv(text) {
+    const body = String(text).replace(/^\uFEFF/, '');
+    const header = body.split(/\r?\n/, 1)[0];
+    // Spreadsheets in comma-decimal locales export with semicolons
+    const delimiter = [',', ';', '\t'].reduce((best, d) =>
+        (header.split(d).length > header.split(best).length ? d : best), ',');
+
+    const [head, ...rows] = splitCsv(body, delimiter);
+    if (!head) return [];
+    const columns = head.fields.map(columnName);
+
+    return rows.map(({ line, fields }) => {
+        const data = {};
+        columns.forEach((column, i) => {
+            const value = (fields[i] || '').trim();
+            if (column && value !== '') data[column] = value;
+        });
+        return { row: line, data };
+    });
+}
+
+function decodeXml(text) {
+    return text
+        .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&#(\d+);/g, (m, code) => String.fromCharCode(Number(code)))
+        .replace(/&amp;/g, '&')
+        .trim();
+}
+
+function encodeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Simple child elements (<name>text</name>, namespace prefixes dropped)
+function childText(xml) {
+    const children = {};
+    const pattern = /<(?:[\w-]+:)?([\w-]+)(?:\s[^>]*)?>([\s\S]*?)<\/(?:[\w-]+:)?\1>/g;
+    let match;
+    while ((match = pattern.exec(xml))) {
+        if (!(match[1] in children)) children[match[1]] = decodeXml(match[2]);
+    }
+    return children;
+}
+
+function attribute(tag, name) {
+    const match = tag.match(new RegExp(`\\s${name}\\s*=\\s*["']([^"']*)["']`));
+    return match ? match[1] : undefined;
+}
+
+const WEIGHT_PATTERN = /(\d+(?:[.,]\d+)?)\s*kg\b/i;
+
+// GPX waypoints. Files we exported carry every field in <extensions>; plotter
+// waypoints usually only have a name like "Kingfish 12kg", a time and notes.
+function parseGpx(text) {
+    const waypoints = [];
+    const pattern = /<wpt\b([^>]*)>([\s\S]*?)<\/wpt>/g;
+    let match;
+    while ((match = pattern.exec(String(text)))) {
+        const [, attributes, inner] = match;
+        const extensionsMatch = inner.match(/<extensions>([\s\S]*?)<\/extensions>/);
+        const extensions = extensionsMatch ? childText(extensionsMatch[1]) : {};
+        const fields = childText(inner.replace(/<extensions>[\s\S]*?<\/extensions>/, ''));
+
+        const label = fields.name || '';
+        const weight = label.match(WEIGHT_PATTERN) || (fields.desc || '').match(WEIGHT_PATTERN);
+        const data = {
+            species: fields.type || label.replace(WEIGHT_PATTERN, '').trim() || undefined,
+            weight: weight ? weight[1] : undefined,
+            latitude: attribute(attributes, 'lat'),
+            longitude: attribute(attributes, 'lon'),
+            time_caught: fields.time,
+            notes: fields.desc || fields.cmt
+        };
+        Object.entries(extensions).forEach(([key, value]) => {
+            if (value !== '') data[columnName(key)] = value;
+        });
+        Object.keys(data).forEach(key => data[key] === undefined && delete data[key]);
+
+        waypoints.push({ row: waypoints.length + 1, data });
+    }
+    return waypoints;
+}
+
+// GPX track points in file order as { lat, lng, time } (time is null when the
+// point has none); points without a valid position are skipped
+function parseGpxTrack(text) {
+    const points = [];
+    const pattern = /<trkpt\b([^>]*?)(?:\/>|>([\s\S]*?)<\/trkpt>)/g;
+    let match;
+    while ((match = pattern.exec(String(text)))) {
+        const [, attributes, inner = ''] = match;
+        const lat = Number(attribute(attributes, 'lat'));
+        const lng = Number(attribute(attributes, 'lon'));
+        if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) continue;
+        const time = Date.parse(childText(inner).time);
+        points.push({ lat, lng, time: Number.isNaN(time) ? null : time });
+    }
+    return points;
+}
+
+// An array of catches, { catches: [...] }, or a GeoJSON FeatureCollection
+function parseJson(input) {
+    const body = typeof input === 'string' ? JSON.parse(input) : input;
+
+    let items;
+    if (Array.isArray(body)) {
+        items = body;
+    } else if (body && body.type === 'FeatureCollection' && Array.isArray(body.features)) {
+        items = body.features.map(feature => {
+            const coordinates = feature && feature.geometry && feature.geometry.coordinates;
+            return {
+                ...(feature && feature.properties),
+                ...(Array.isArray(coordinates) ? { longitude: coordinates[0], latitude: coordinates[1] } : {})
+            };
+        });
+    } else if (body && Array.isArray(body.catches)) {
+        items = body.catches;
+    } else {
+        throw Object.assign(new Error('JSON import needs an array of catches, { catches: [...] } or a GeoJSON FeatureCollection'), { status: 400 });
+    }
+
+    return items.map((item, i) => {
+        const data = {};
+        if (item && typeof item === 'object') {
+            Object.entries(item).forEach(([key, value]) => {
+                if (value !== null && value !== '') data[columnName(key)] = value;
+            });
+        }
+        return { row: i + 1, data };
+    });
+}
+
+function csvField(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(catches) {
+    const lines = [EXPORT_COLUMNS.join(',')];
+    catches.forEach(c => lines.push(EXPORT_COLUMNS.map(column => csvField(c[column])).join(',')));
+    return lines.join('\r\n') + '\r\n';
+}
+
+const GPX_NAMESPACE = 'urn:nz-fishing-predictor:catch:1';
+
+function toGpx(catches) {
+    const waypoints = catches.map(c => {
+        const extensions = ['species', 'weight', 'length', 'gear_type', 'depth', 'water_temp', 'photo_url']
+            .filter(column => c[column] !== null && c[column] !== undefined)
+            .map(column => `        <catch:${column}>${encodeXml(c[column])}</catch:${column}>`)
+            .join('\n');
+        return [
+            `  <wpt lat="${c.latitude}" lon="${c.longitude}">`,
+            `    <time>${encodeXml(new Date(c.time_caught).toISOString())}</time>`,
+            `    <name>${encodeXml(`${c.species} ${c.weight}kg`)}</name>`,
+            c.notes ? `    <desc>${encodeXml(c.notes)}</desc>` : null,
+            `    <type>${encodeXml(c.species)}</type>`,
+            '    <extensions>',
+            extensions,
+            '    </extensions>',
+            '  </wpt>'
+        ].filter(line => line !== null && line !== '').join('\n');
+    });
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<gpx version="1.1" creator="NZ Fishing Predictor" xmlns="http://www.topografix.com/GPX/1/1" xmlns:catch="${GPX_NAMESPACE}">`,
+        ...waypoints,
+        '</gpx>',
+        ''
+    ].join('\n');
+}
+
+function toGeoJson(catches) {
+    return {
+        type: 'FeatureCollection',
+        features: catches.map(c => {
+            const properties = {};
+            EXPORT_COLUMNS.forEach(column => {
+                if (column !== 'latitude' && column !== 'longitude') properties[column] = c[column];
+            });
+            return {
+                type: 'Feature',
+                geometry: { type: 'Point', coordinates: [c.longitude, c.latitude] },
+                properties
+            };
+        })
+    };
+}
+
+module.exports = { EXPORT_COLUMNS, parseCsv, parseGpx, parseGpxTrack, parseJson, toCsv, toGpx, toGeoJson };
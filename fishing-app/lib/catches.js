@@ -0,0 +1,329 @@
+// lib/catches.js - Owner-scoped catch log editing, bulk import and export
+//
+// Every catch goes through validateCatch, which also accepts the looser values
+// found in paper and spreadsheet logbooks: numeric strings (including comma
+// decimals), degrees-minutes positions like 34°25.5'S, and local times without
+// an offset, which are read as NZ time (DD/MM/YYYY dates are NZ order too).
+// Species names and aliases are stored as the catalogue name. Catches in a
+// marine reserve or closed area are refused (see lib/regulations.js).
+const { get, all, run, insertMany } = require('./db');
+const { resolveSpecies } = require('./species');
+const regulations = require('./regulations');
+const { fromLocalTime, localDateString } = require('./nztime');
+const formats = require('./catch-formats');
+const privacy = require('./privacy');
+
+const COLUMNS = [
+    'species', 'weight', 'length', 'gear_type', 'latitude', 'longitude',
+    'depth', 'water_temp', 'time_caught', 'notes', 'photo_url'
+];
+const REQUIRED = ['species', 'weight', 'gear_type', 'latitude', 'longitude', 'time_caught'];
+const MAX_IMPORT_ROWS = 5000;
+const MAX_NOTES_LENGTH = 2000;
+const FUTURE_TOLERANCE_MS = 24 * 3600000;
+
+const EXPORTS = {
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv', write: formats.toCsv },
+    gpx: { contentType: 'application/gpx+xml; charset=utf-8', extension: 'gpx', write: formats.toGpx },
+    geojson: {
+        contentType: 'application/geo+json; charset=utf-8',
+        extension: 'geojson',
+        write: catches => JSON.stringify(formats.toGeoJson(catches), null, 2)
+    }
+};
+
+function notFound() {
+    return Object.assign(new Error('Catch not found'), { status: 404 });
+}
+
+function parseNumber(value) {
+    if (typeof value === 'number') return value;
+    const text = String(value).trim().replace(/^(-?\d+),(\d+)$/, '$1.$2');
+    return text === '' ? NaN : Number(text);
+}
+
+// Decimal degrees, or degrees[/minutes[/seconds]] with an optional N/S/E/W
+function parseCoordinate(value) {
+    if (typeof value === 'number') return value;
+    const text = String(value).trim().toUpperCase();
+    const decimal = parseNumber(text);
+    if (Number.isFinite(decimal)) return decimal;
+
+    const hemisphere = (text.match(/[NSEW]/) || [])[0];
+    const parts = text.match(/\d+(?:[.,]\d+)?/g);
+    if (!parts || parts.length > 3) return NaN;
+    const [deg, min = 0, sec = 0] = parts.map(parseNumber);
+    if (min >= 60 || sec >= 60) return NaN;
+
+    const magnitude = deg + min / 60 + sec / 3600;
+    return hemisphere === 'S' || hemisphere === 'W' || text.startsWith('-') ? -magnitude : magnitude;
+}
+
+// ISO 8601 instants as given; wall-clock times without an offset are NZ time.
+// A date on its own is taken as midday, since the hour is unknown.
+function parseTime(value) {
+    const text = String(value).trim();
+    if (/[zZ]$|[+-]\d{2}:?\d{2}$/.test(text) && /^\d{4}-/.test(text)) {
+        const time = Date.parse(text);
+        return Number.isNaN(time) ? null : new Date(time);
+    }
+
+    let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})(?:[T\s]+(\d{1,2}):(\d{2})(?::(\d{2}))?)?$/);
+    let ymd;
+    if (match) {
+        ymd = [match[1], match[2], match[3]];
+    } else {
+        match = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})(?:[T\s]+(\d{1,2}):(\d{2})(?::(\d{2}))?)?$/);
+        if (!match) return null;
+        ymd = [match[3], match[2], match[1]];
+    }
+
+    const [year, month, day] = ymd.map(Number);
+    const hour = match[4] !== undefined ? Number(match[4]) : 12;
+    const minute = Number(match[5] || 0);
+    const second = Number(match[6] || 0);
+    const check = new Date(Date.UTC(year, month - 1, day));
+    if (check.getUTCMonth() !== month - 1 || check.getUTCDate() !== day || hour > 23 || minute > 59 || second > 59) {
+        return null;
+    }
+
+    const pad = n => String(n).padStart(2, '0');
+    return fromLocalTime(`${year}-${pad(month)}-${pad(day)}`, hour, minute, second);
+}
+
+// Returns { values, errors } where values holds the normalised columns and
+// errors lists { field, message } for everything wrong with the input
+function validateCatch(input) {
+    const values = {};
+    const errors = [];
+    const fail = (field, message) => errors.push({ field, message });
+    const data = { ...input };
+    const has = column => data[column] !== undefined && data[column] !== null && String(data[column]).trim() !== '';
+
+    // Logbooks often keep the date and time in separate columns
+    if (!has('time_caught') && has('date')) {
+        data.time_caught = has('time') ? `${data.date} ${data.time}` : data.date;
+    }
+
+    REQUIRED.forEach(column => {
+        if (!has(column)) fail(column, 'is required');
+    });
+
+    if (has('species')) {
+        const species = String(data.species).trim();
+        const entry = resolveSpecies(species);
+        values.species = entry ? entry.name : species;
+    }
+    if (has('gear_type')) values.gear_type = String(data.gear_type).trim();
+
+    const number = (column, { min, max, exclusiveMin }) => {
+        if (!has(column)) {
+            values[column] = null;
+            return;
+        }
+        const value = parseNumber(data[column]);
+        if (!Number.isFinite(value)) return fail(column, 'must be a number');
+        if (exclusiveMin !== undefined && value <= exclusiveMin) return fail(column, `must be greater than ${exclusiveMin}`);
+        if (min !== undefined && value < min) return fail(column, `must be at least ${min}`);
+        if (max !== undefined && value > max) return fail(column, `must be at most ${max}`);
+        values[column] = value;
+    };
+    number('weight', { min: 0, max: 1500 });
+    number('length', { exclusiveMin: 0, max: 1000 });
+    number('depth', { min: 0, max: 11000 });
+    number('water_temp', { min: -2, max: 40 });
+
+    [['latitude', 90], ['longitude', 180]].forEach(([column, limit]) => {
+        if (!has(column)) return;
+        const value = parseCoordinate(data[column]);
+        if (!Number.isFinite(value)) return fail(column, 'is not a recognised coordinate');
+        if (Math.abs(value) > limit) return fail(column, `must be between -${limit} and ${limit}`);
+        values[column] = value;
+    });
+
+    if (has('time_caught')) {
+        const time = parseTime(data.time_caught);
+        if (!time) {
+            fail('time_caught', 'is not a recognised date/time');
+        } else if (time.getTime() > Date.now() + FUTURE_TOLERANCE_MS) {
+            fail('time_caught', 'is in the future');
+        } else {
+            values.time_caught = time.toISOString();
+        }
+    }
+
+    values.notes = has('notes') ? String(data.notes) : null;
+    if (values.notes && values.notes.length > MAX_NOTES_LENGTH) {
+        fail('notes', `must be at most ${MAX_NOTES_LENGTH} characters`);
+    }
+    values.photo_url = has('photo_url') ? String(data.photo_url) : null;
+
+    // Left undefined when not given: new catches then take the owner's default
+    // and edits keep the current setting
+    if (has('visibility')) {
+        const visibility = String(data.visibility).trim().toLowerCase();
+        if (privacy.VISIBILITIES.includes(visibility)) {
+            values.visibility = visibility;
+        } else {
+            fail('visibility', `must be one of: ${privacy.VISIBILITIES.join(', ')}`);
+        }
+    }
+
+    return { values, errors };
+}
+
+function invalid(errors) {
+    return Object.assign(new Error('Invalid catch'), { status: 400, details: errors });
+}
+
+async function getCatch(userId, id) {
+    const row = await get('SELECT * FROM catch_logs WHERE id = ? AND user_id = ?', [id, userId]);
+    if (!row) throw notFound();
+    return row;
+}
+
+// Validates and writes a change to an existing row. PUT replaces every
+// column; PATCH (partial) only changes the fields given. An edit sends an
+// approved catch back through moderation screening. Regulation breaches only
+// block an edit that moves the catch or changes its species, so older catches
+// stay editable; the row comes back with any compliance warnings.
+async function saveCatch(existing, body, partial) {
+    const input = partial ? { ...existing, ...body } : body;
+    const { values, errors } = validateCatch(input);
+    if (errors.length) throw invalid(errors);
+
+    const { violations, warnings } = await regulations.checkCatch(existing.user_id, values, { excludeId: existing.id });
+    const changed = ['species', 'latitude', 'longitude'].some(column => values[column] !== existing[column]);
+    if (violations.length && changed) throw regulations.complianceError(violations);
+
+    await run(`
+        UPDATE catch_logs SET ${COLUMNS.map(c => `${c} = ?`).join(', ')},
+            visibility = COALESCE(?, visibility),
+            moderation_status = CASE WHEN moderation_status = 'approved' THEN 'visible' ELSE moderation_status END
+        WHERE id = ?
+    `, [...COLUMNS.map(c => values[c]), values.visibility || null, existing.id]);
+    return { ...await get('SELECT * FROM catch_logs WHERE id = ?', [existing.id]), compliance: warnings };
+}
+
+async function updateCatch(userId, id, body, { partial = false } = {}) {
+    return saveCatch(await getCatch(userId, id), body, partial);
+}
+
+// Any angler's catch, for moderators
+async function getAnyCatch(id) {
+    const row = await get('SELECT * FROM catch_logs WHERE id = ?', [id]);
+    if (!row) throw notFound();
+    return row;
+}
+
+async function correctCatch(id, body) {
+    return saveCatch(await getAnyCatch(id), body, true);
+}
+
+async function deleteCatch(userId, id) {
+    const { changes } = await run('DELETE FROM catch_logs WHERE id = ? AND user_id = ?', [id, userId]);
+    if (!changes) throw notFound();
+}
+
+function parseImport(format, body) {
+    try {
+        if (format === 'csv') return formats.parseCsv(body);
+        if (format === 'gpx') return formats.parseGpx(body);
+        if (format === 'json' || format === 'geojson') return formats.parseJson(body);
+    } catch (error) {
+        if (error.status) throw error;
+        throw Object.assign(new Error(`Could not read ${format.toUpperCase()} file: ${error.message}`), { status: 400 });
+    }
+    throw Object.assign(new Error('format must be csv, gpx or json'), { status: 400 });
+}
+
+const duplicateKey = c => [c.species, c.time_caught, c.latitude.toFixed(5), c.longitude.toFixed(5), c.weight].join('|');
+
+// Validates every record and, unless dryRun, stores the valid ones. Rows that
+// fail validation, break regulations or duplicate an existing catch are
+// reported, not stored; size warnings are reported for stored rows (bag limits
+// aren't checked on import).
+// `defaults` fills columns a whole file lacks (e.g. gear_type for plotter GPX).
+async function importCatches(userId, format, body, { dryRun = false, defaults = {} } = {}) {
+    const records = parseImport(format, body);
+    if (records.length === 0) {
+        throw Object.assign(new Error('No catches found in the file'), { status: 400 });
+    }
+    if (records.length > MAX_IMPORT_ROWS) {
+        throw Object.assign(new Error(`Imports are limited to ${MAX_IMPORT_ROWS} catches per file`), { status: 413 });
+    }
+
+    const existing = await all(
+        'SELECT id, species, time_caught, latitude, longitude, weight FROM catch_logs WHERE user_id = ?', [userId]
+    );
+    const seen = new Map(existing.map(c => [duplicateKey(c), `matches existing catch #${c.id}`]));
+
+    const errors = [];
+    const warnings = [];
+    const accepted = [];
+    records.forEach(({ row, data }) => {
+        const { values, errors: rowErrors } = validateCatch({ ...defaults, ...data });
+        if (rowErrors.length === 0) {
+            const compliance = regulations.checkRules(values);
+            rowErrors.push(...compliance.violations);
+            if (compliance.warnings.length) warnings.push({ row, warnings: compliance.warnings });
+        }
+        if (rowErrors.length === 0) {
+            const key = duplicateKey(values);
+            if (seen.has(key)) {
+                rowErrors.push({ field: null, message: `Duplicate: ${seen.get(key)}` });
+            } else {
+                seen.set(key, `repeats row ${row} of this file`);
+            }
+        }
+        if (rowErrors.length) {
+            errors.push({ row, errors: rowErrors });
+        } else {
+            accepted.push(values);
+        }
+    });
+
+    if (!dryRun && accepted.length) {
+        const { default_visibility: visibility } = await privacy.getSettings(userId);
+        await insertMany('catch_logs', ['user_id', ...COLUMNS, 'visibility'],
+            accepted.map(values => [userId, ...COLUMNS.map(c => values[c]), values.visibility || visibility]));
+    }
+
+    return {
+        format,
+        dry_run: dryRun,
+        total: records.length,
+        valid: accepted.length,
+        imported: dryRun ? 0 : accepted.length,
+        rejected: errors.length,
+        species: [...new Set(accepted.map(c => c.species))],
+        errors,
+        warnings: warnings.filter(({ row }) => !errors.some(error => error.row === row))
+    };
+}
+
+async function exportCatches(userId, format) {
+    const exporter = EXPORTS[format];
+    const catches = await all('SELECT * FROM catch_logs WHERE user_id = ? ORDER BY time_caught', [userId]);
+    return {
+        body: exporter.write(catches),
+        contentType: exporter.contentType,
+        filename: `catches-${localDateString(new Date())}.${exporter.extension}`,
+        count: catches.length
+    };
+}
+
+module.exports = {
+    COLUMNS,
+    MAX_NOTES_LENGTH,
+    EXPORT_FORMATS: Object.keys(EXPORTS),
+    parseTime,
+    validateCatch,
+    getCatch,
+    getAnyCatch,
+    updateCatch,
+    correctCatch,
+    deleteCatch,
+    importCatches,
+    exportCatches
+};
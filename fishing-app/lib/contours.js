@@ -0,0 +1,453 @@
+// lib/contours.js - Isolines and filled bands over the conditions grid
+//
+// Marching squares over lib/grid.js output: each square has four neighbouring
+// cell centres as corners and values are linear along its edges. A square
+// that is a saddle for a level is cut into four triangles around its centre,
+// so there is only ever one way to join the crossings. Isolines join the edge
+// crossings of each level. A band's polygon in each piece runs round its edges
+// keeping the stretches between the band's two levels; edges shared by
+// neighbouring pieces cancel out, leaving the band's outer rings and holes.
+// Crossing points are always computed from the same end of an edge, so
+// neighbours agree on them exactly. Squares with a corner on land or without data are
+// left out. Lines and rings are simplified (Douglas-Peucker) before they go out.
+//
+// Results are cached per layer, species, bounds, resolution and interval for
+// as long as the newest observation under the grid stays the same (probability
+// also changes with the hour), up to CONFIG.cacheMinutes.
+const { getProfile } = require('./species');
+const { scoreConditions } = require('./scoring');
+const models = require('./model');
+const conditionsGrid = require('./grid');
+const { inRing } = require('./routing');
+const validation = require('./validation');
+
+function number(value, fallback) {
+    const parsed = parseFloat(value);
+    return Number.isFinite(parsed) ? parsed : fallback;
+}
+
+const CONFIG = {
+    cacheMinutes: number(process.env.CONTOUR_CACHE_MINUTES, 15),
+    cacheSize: number(process.env.CONTOUR_CACHE_SIZE, 50)
+};
+
+const SCORED_FIELDS = ['sea_temperature', 'current_speed', 'chlorophyll', 'wind_speed', 'wave_height'];
+
+const LAYERS = {
+    sea_temperature: { fields: ['sea_temperature'], interval: 1, units: '°C' },
+    chlorophyll: { fields: ['chlorophyll'], interval: 0.1, units: 'mg/m³' },
+    probability: { fields: SCORED_FIELDS, interval: 10, units: '%' }
+};
+
+const KINDS = ['bands', 'isolines', 'both'];
+const MAX_LEVELS = 60;
+const MAX_PROBABILITY_CELLS = 10000; // each cell is scored on its own
+const PLACES = 6;
+
+const cache = new Map();
+
+const round = (value, places = PLACES) => Math.round(value * 10 ** places) / 10 ** places;
+
+// Contour options for the query (checked against lib/validation.js schemas in
+// node.js): layer, bounds/resolution/hours/at as for the grid, the contour
+// interval, which features to return, the species for probability and a
+// simplification tolerance in degrees (0 keeps every vertex)
+function contourOptions({ layer: layerName = 'sea_temperature', interval, kind = 'both', species, tolerance, ...query }) {
+    const layer = LAYERS[layerName];
+    const gridOptions = conditionsGrid.gridOptions({ ...query, fields: layer.fields, format: 'geojson' });
+    const problems = [];
+    if (layerName === 'probability' && gridOptions.rows * gridOptions.cols > MAX_PROBABILITY_CELLS) {
+        problems.push({
+            field: 'resolution',
+            message: `gives more than the ${MAX_PROBABILITY_CELLS} cells allowed for probability contours; use a coarser resolution or smaller bounds`
+        });
+    }
+
+    let profileName = null;
+    if (layerName === 'probability') {
+        const profile = getProfile(species || 'generic');
+        if (profile) profileName = profile.name;
+        else problems.push({ field: 'species', message: `is not a known species: ${species}` });
+    }
+
+    const maxTolerance = gridOptions.resolution * 2;
+    if (tolerance !== undefined && tolerance > maxTolerance) {
+        problems.push({ field: 'tolerance', message: `must be at most ${maxTolerance} degrees (twice the resolution)` });
+    }
+    if (problems.length) throw validation.invalid('Invalid query parameters', problems);
+
+    return {
+        ...gridOptions,
+        layer: layerName,
+        interval: interval === undefined ? layer.interval : interval,
+        kind,
+        species: profileName,
+        tolerance: tolerance === undefined ? gridOptions.resolution / 4 : tolerance
+    };
+}
+
+// One value per cell for the layer: the field itself, or for probability the
+// species' learned model where there is one and its profile score otherwise
+async function layerValues(grid, options) {
+    if (options.layer !== 'probability') return grid.values[options.layer];
+
+    const profile = getProfile(options.species);
+    const predict = await models.loadPredictor(profile.name);
+    const date = options.at || new Date();
+    const values = new Float32Array(grid.rows * grid.cols).fill(NaN);
+    for (let row = 0; row < grid.rows; row++) {
+        const lat = grid.bounds.north - (row + 0.5) * grid.resolution;
+        for (let col = 0; col < grid.cols; col++) {
+            const i = row * grid.cols + col;
+            const conditions = {};
+            SCORED_FIELDS.forEach(field => {
+                const value = grid.values[field][i];
+                if (!Number.isNaN(value)) conditions[field] = value;
+            });
+            if (!Object.keys(conditions).length) continue;
+            const lng = grid.bounds.west + (col + 0.5) * grid.resolution;
+            values[i] = predict ? predict(conditions) : scoreConditions(conditions, profile, { date, lat, lng }).score;
+        }
+    }
+    return values;
+}
+
+function levelsFor(values, interval) {
+    let min = Infinity;
+    let max = -Infinity;
+    values.forEach(value => {
+        if (Number.isNaN(value)) return;
+        if (value < min) min = value;
+        if (value > max) max = value;
+    });
+    if (min === Infinity) return [];
+
+    const first = Math.floor(min / interval);
+    const last = Math.max(Math.ceil(max / interval), first + 1);
+    if (last - first + 1 > MAX_LEVELS) {
+        throw validation.invalid('Invalid query parameters', [{
+            field: 'interval',
+            message: `gives more than ${MAX_LEVELS} levels here; use a larger interval`
+        }]);
+    }
+    const levels = [];
+    for (let k = first; k <= last; k++) levels.push(round(k * interval));
+    return levels;
+}
+
+// Values sitting exactly on a level are nudged just above it, so no corner is
+// ever on a band edge and neighbouring bands never overlap
+function offLevels(values, interval) {
+    return Float64Array.from(values, value => {
+        const steps = value / interval;
+        return Math.abs(steps - Math.round(steps)) < 1e-9 ? value + interval * 1e-6 : value;
+    });
+}
+
+// Corners of square (row, col) as { id, point, value }: cells (row + 1, col),
+// (row + 1, col + 1), (row, col + 1) and (row, col), anticlockwise on the map
+// from the south-west. Null when any corner has no value.
+function squareCorners(grid, values, row, col) {
+    const ids = [(row + 1) * grid.cols + col, (row + 1) * grid.cols + col + 1, row * grid.cols + col + 1, row * grid.cols + col];
+    if (ids.some(id => Number.isNaN(values[id]))) return null;
+    return ids.map(id => ({ id, point: position(grid, id), value: values[id] }));
+}
+
+function position(grid, index) {
+    const row = Math.floor(index / grid.cols);
+    const col = index % grid.cols;
+    return [
+        round(grid.bounds.west + (col + 0.5) * grid.resolution),
+        round(grid.bounds.north - (row + 0.5) * grid.resolution)
+    ];
+}
+
+// A saddle (corners alternating either side of a level) is split into four
+// triangles around its centre, which takes the corners' mean; any other
+// square is one piece. Pieces keep the square's anticlockwise order.
+function pieces(corners, levels) {
+    const saddle = levels.some(level => {
+        const above = corners.map(c => c.value >= level);
+        return above[0] === above[2] && above[1] === above[3] && above[0] !== above[1];
+    });
+    if (!saddle) return [corners];
+
+    const centre = {
+        id: 'centre',
+        point: [0, 1].map(axis => round(corners.reduce((sum, c) => sum + c.point[axis], 0) / 4)),
+        value: corners.reduce((sum, c) => sum + c.value, 0) / 4
+    };
+    return corners.map((c, i) => [c, corners[(i + 1) % 4], centre]);
+}
+
+// Where `level` crosses the edge between two vertices, always measured from
+// the same end (the lower-numbered cell; a cell before the centre) so both
+// pieces sharing the edge get exactly the same point
+function crossing(a, b, level) {
+    const [from, to] = b.id === 'centre' || (a.id !== 'centre' && a.id < b.id) ? [a, b] : [b, a];
+    const t = (level - from.value) / (to.value - from.value);
+    return [0, 1].map(axis => round(from.point[axis] + t * (to.point[axis] - from.point[axis])));
+}
+
+const key = point => `${point[0]},${point[1]}`;
+
+// Calls visit(piece) for every square (or saddle triangle) with data
+function eachPiece(grid, values, levels, visit) {
+    for (let row = 0; row + 1 < grid.rows; row++) {
+        for (let col = 0; col + 1 < grid.cols; col++) {
+            const corners = squareCorners(grid, values, row, col);
+            if (corners) pieces(corners, levels).forEach(visit);
+        }
+    }
+}
+
+// Segments of one isoline level; saddles are triangles by now, so a piece is
+// crossed by the level on two edges or none
+function isolineSegments(grid, values, level) {
+    const segments = [];
+    eachPiece(grid, values, [level], piece => {
+        const found = [];
+        piece.forEach((a, i) => {
+            const b = piece[(i + 1) % piece.length];
+            if ((a.value >= level) !== (b.value >= level)) found.push(crossing(a, b, level));
+        });
+        if (found.length === 2) segments.push(found);
+    });
+    return segments;
+}
+
+// Joins segments that share end points into the longest lines possible
+function joinSegments(segments) {
+    const byPoint = new Map();
+    segments.forEach((segment, i) => {
+        segment.forEach(point => {
+            const k = key(point);
+            if (!byPoint.has(k)) byPoint.set(k, []);
+            byPoint.get(k).push(i);
+        });
+    });
+
+    const used = new Set();
+    const nextFrom = point => (byPoint.get(key(point)) || []).find(i => !used.has(i));
+    const lines = [];
+    segments.forEach((segment, start) => {
+        if (used.has(start)) return;
+        used.add(start);
+        const line = [...segment];
+        for (let i = nextFrom(line[line.length - 1]); i !== undefined; i = nextFrom(line[line.length - 1])) {
+            used.add(i);
+            const [a, b] = segments[i];
+            line.push(key(a) === key(line[line.length - 1]) ? b : a);
+        }
+        for (let i = nextFrom(line[0]); i !== undefined; i = nextFrom(line[0])) {
+            used.add(i);
+            const [a, b] = segments[i];
+            line.unshift(key(a) === key(line[0]) ? b : a);
+        }
+        lines.push(line);
+    });
+    return lines;
+}
+
+// Outline of the part of one piece between lo and hi: each vertex inside the
+// band, then the level crossings along the edge to the next vertex in order
+function bandPolygon(piece, lo, hi) {
+    const points = [];
+    piece.forEach((a, i) => {
+        const b = piece[(i + 1) % piece.length];
+        if (a.value >= lo && a.value <= hi) points.push(a.point);
+        [lo, hi]
+            .filter(level => (a.value - level) * (b.value - level) < 0)
+            .sort((x, y) => (a.value < b.value ? x - y : y - x))
+            .forEach(level => points.push(crossing(a, b, level)));
+    });
+    return points.filter((point, i) => i === 0 || key(point) !== key(points[i - 1]));
+}
+
+function signedArea(ring) {
+    let area = 0;
+    for (let i = 0; i + 1 < ring.length; i++) {
+        area += ring[i][0] * ring[i + 1][1] - ring[i + 1][0] * ring[i][1];
+    }
+    return area / 2;
+}
+
+// Closed rings (anticlockwise outers, clockwise holes) of one band
+function bandRings(grid, values, lo, hi) {
+    const edges = new Map();
+    eachPiece(grid, values, [lo, hi], piece => {
+        const polygon = bandPolygon(piece, lo, hi);
+        if (polygon.length < 3) return;
+        polygon.forEach((a, i) => {
+            const b = polygon[(i + 1) % polygon.length];
+            const reverse = `${key(b)}>${key(a)}`;
+            if (edges.has(reverse)) edges.delete(reverse);
+            else if (key(a) !== key(b)) edges.set(`${key(a)}>${key(b)}`, [a, b]);
+        });
+    });
+
+    const outgoing = new Map();
+    edges.forEach(([a, b]) => {
+        if (!outgoing.has(key(a))) outgoing.set(key(a), []);
+        outgoing.get(key(a)).push(b);
+    });
+
+    const rings = [];
+    outgoing.forEach((targets, startKey) => {
+        while (targets.length) {
+            const ring = [startKey.split(',').map(Number)];
+            let next = targets.pop();
+            while (next && key(next) !== startKey) {
+                ring.push(next);
+                const onward = outgoing.get(key(next));
+                next = onward && onward.pop();
+            }
+            if (ring.length >= 3) rings.push([...ring, ring[0]]);
+        }
+    });
+    return rings;
+}
+
+// Groups rings into polygons: each hole goes to the smallest outer ring around it
+function polygonsFrom(rings) {
+    const outers = [];
+    const holes = [];
+    rings.forEach(ring => {
+        const area = signedArea(ring);
+        if (area > 0) outers.push({ ring, area, holes: [] });
+        else if (area < 0) holes.push(ring);
+    });
+    outers.sort((a, b) => a.area - b.area);
+    holes.forEach(hole => {
+        const [lng, lat] = hole[0];
+        const owner = outers.find(outer => inRing(lat, lng, outer.ring));
+        if (owner) owner.holes.push(hole);
+    });
+    return outers.map(outer => [outer.ring, ...outer.holes]);
+}
+
+function perpendicular(point, start, end) {
+    const dx = end[0] - start[0];
+    const dy = end[1] - start[1];
+    const length = Math.hypot(dx, dy);
+    if (!length) return Math.hypot(point[0] - start[0], point[1] - start[1]);
+    return Math.abs(dy * point[0] - dx * point[1] + end[0] * start[1] - end[1] * start[0]) / length;
+}
+
+function simplifyLine(points, tolerance) {
+    if (points.length < 3 || !tolerance) return points;
+    const keep = new Uint8Array(points.length);
+    keep[0] = keep[points.length - 1] = 1;
+    const stack = [[0, points.length - 1]];
+    while (stack.length) {
+        const [first, last] = stack.pop();
+        let index = -1;
+        let furthest = tolerance;
+        for (let i = first + 1; i < last; i++) {
+            const distance = perpendicular(points[i], points[first], points[last]);
+            if (distance > furthest) {
+                index = i;
+                furthest = distance;
+            }
+        }
+        if (index !== -1) {
+            keep[index] = 1;
+            stack.push([first, index], [index, last]);
+        }
+    }
+    return points.filter((point, i) => keep[i]);
+}
+
+// A ring is split at its furthest point from the start so both halves simplify
+function simplifyRing(ring, tolerance) {
+    if (!tolerance) return ring;
+    let split = 1;
+    ring.forEach((point, i) => {
+        if (Math.hypot(point[0] - ring[0][0], point[1] - ring[0][1]) >
+            Math.hypot(ring[split][0] - ring[0][0], ring[split][1] - ring[0][1])) split = i;
+    });
+    const simplified = [...simplifyLine(ring.slice(0, split + 1), tolerance), ...simplifyLine(ring.slice(split), tolerance).slice(1)];
+    return simplified.length >= 4 ? simplified : null;
+}
+
+function contourFeatures(grid, values, levels, options) {
+    const features = [];
+    const base = { layer: options.layer, units: LAYERS[options.layer].units };
+
+    if (options.kind !== 'isolines') {
+        for (let i = 0; i + 1 < levels.length; i++) {
+            const polygons = polygonsFrom(bandRings(grid, values, levels[i], levels[i + 1]))
+                .map(polygon => polygon.map(ring => simplifyRing(ring, options.tolerance)))
+                .filter(polygon => polygon[0])
+                .map(polygon => polygon.filter(Boolean));
+            if (!polygons.length) continue;
+            features.push({
+                type: 'Feature',
+                geometry: polygons.length === 1
+                    ? { type: 'Polygon', coordinates: polygons[0] }
+                    : { type: 'MultiPolygon', coordinates: polygons },
+                properties: { kind: 'band', ...base, min: levels[i], max: levels[i + 1] }
+            });
+        }
+    }
+
+    if (options.kind !== 'bands') {
+        levels.slice(1, -1).forEach(level => {
+            const lines = joinSegments(isolineSegments(grid, values, level))
+                .map(line => simplifyLine(line, options.tolerance))
+                .filter(line => line.length >= 2);
+            if (!lines.length) return;
+            features.push({
+                type: 'Feature',
+                geometry: { type: 'MultiLineString', coordinates: lines },
+                properties: { kind: 'isoline', ...base, value: level }
+            });
+        });
+    }
+    return features;
+}
+
+function cacheKey(options, observedAt) {
+    const { layer, species, bounds, resolution, hours, interval, kind, tolerance, at } = options;
+    const hour = layer === 'probability' ? (at || new Date()).toISOString().slice(0, 13) : '';
+    return JSON.stringify([layer, species, bounds, resolution, hours, interval, kind, tolerance, at, observedAt, hour]);
+}
+
+// GeoJSON FeatureCollection of bands and/or isolines for parsed `options`,
+// with the layout and levels in a `contours` member
+async function buildContours(options) {
+    const observedAt = await conditionsGrid.observedAt(options.bounds, options.hours, options.at);
+    const cacheId = cacheKey(options, observedAt);
+    const hit = cache.get(cacheId);
+    if (hit && hit.expires > Date.now()) return { ...hit.collection, contours: { ...hit.collection.contours, cached: true } };
+
+    const grid = await conditionsGrid.buildGrid(options);
+    const values = offLevels(await layerValues(grid, options), options.interval);
+    const levels = levelsFor(values, options.interval);
+    const collection = {
+        type: 'FeatureCollection',
+        contours: {
+            layer: options.layer,
+            species: options.species,
+            units: LAYERS[options.layer].units,
+            interval: options.interval,
+            levels,
+            bounds: grid.bounds,
+            resolution: grid.resolution,
+            tolerance: options.tolerance,
+            source: grid.source,
+            observed_at: grid.observed_at,
+            as_of: grid.as_of,
+            generated_at: grid.generated_at,
+            cached: false
+        },
+        features: contourFeatures(grid, values, levels, options)
+    };
+
+    cache.delete(cacheId);
+    cache.set(cacheId, { collection, expires: Date.now() + CONFIG.cacheMinutes * 60000 });
+    while (cache.size > CONFIG.cacheSize) cache.delete(cache.keys().next().value);
+    return collection;
+}
+
+module.exports = { LAYERS, KINDS, contourOptions, buildContours };
@@ -0,0 +1,171 @@
+// lib/db.js - Data access over SQLite or Postgres, chosen by DATABASE_URL
+//
+// postgres://... (or postgresql://) connects a pg pool; anything else names a
+// SQLite file: sqlite:./path, a plain path, or ./fishing_app.db when unset.
+// Queries are written once with ? placeholders, which become $1, $2, ... on
+// Postgres. Both report lastID for inserts and changes for every write, and
+// Postgres timestamps, bigints (COUNT) and numerics (AVG) come back as the
+// ISO strings and numbers SQLite gives. What the two spell differently is on
+// `sql` (comparing stored timestamps as instants) and `types` (column types
+// for migrations, see lib/migrations).
+const DATABASE_URL = process.env.DATABASE_URL || '';
+const dialect = /^postgres(ql)?:\/\//i.test(DATABASE_URL) ? 'postgres' : 'sqlite';
+
+function sqliteDriver(url) {
+    const sqlite3 = require('sqlite3').verbose();
+    const file = url ? url.replace(/^sqlite:(\/\/)?/i, '').replace(/^file:/i, '') : './fishing_app.db';
+    const connection = new sqlite3.Database(file);
+
+    const connectionQuery = {
+        get: (sql, params) => new Promise((resolve, reject) => {
+            connection.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+        }),
+        all: (sql, params) => new Promise((resolve, reject) => {
+            connection.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+        }),
+        run: (sql, params) => new Promise((resolve, reject) => {
+            connection.run(sql, params, function(err) {
+                if (err) return reject(err);
+                resolve({ lastID: this.lastID, changes: this.changes });
+            });
+        })
+    };
+
+    // There is only one connection, so while a transaction is open every other
+    // query (and transaction) waits for it to finish instead of joining it. The
+    // transaction's own queries must go through the handle it is given.
+    let open = null;
+    const query = {};
+    Object.entries(connectionQuery).forEach(([name, method]) => {
+        query[name] = async (sql, params) => {
+            while (open) await open.catch(() => {});
+            return method(sql, params);
+        };
+    });
+
+    return {
+        query,
+        async transaction(fn) {
+            while (open) await open.catch(() => {});
+            const current = (async () => {
+                await connectionQuery.run('BEGIN');
+                try {
+                    const result = await fn(connectionQuery);
+                    await connectionQuery.run('COMMIT');
+                    return result;
+                } catch (error) {
+                    await connectionQuery.run('ROLLBACK').catch(() => {});
+                    throw error;
+                }
+            })();
+            open = current;
+            try {
+                return await current;
+            } finally {
+                open = null;
+            }
+        },
+        close: () => new Promise((resolve, reject) => connection.close(err => (err ? reject(err) : resolve())))
+    };
+}
+
+// ? placeholders to $n, leaving string literals alone
+function numbered(sql) {
+    let index = 0;
+    return sql.replace(/'(?:[^']|'')*'|\?/g, match => (match === '?' ? `$${++index}` : match));
+}
+
+// Postgres timestamp text ('2026-01-31 04:00:00.123+00') as an ISO string
+function isoTimestamp(value) {
+    return new Date(value.replace(' ', 'T').replace(/([+-]\d\d)$/, '$1:00')).toISOString();
+}
+
+function postgresDriver(url) {
+    const { Pool, types: pgTypes } = require('pg');
+    pgTypes.setTypeParser(20, Number);       // int8: COUNT(*), SUM of integers
+    pgTypes.setTypeParser(1700, parseFloat); // numeric: AVG, EXTRACT
+    pgTypes.setTypeParser(1184, isoTimestamp);
+    pgTypes.setTypeParser(1114, value => isoTimestamp(`${value}+00`));
+    const pool = new Pool({
+        connectionString: url,
+        ssl: process.env.DATABASE_SSL === 'true' ? { rejectUnauthorized: false } : undefined
+    });
+
+    const bind = client => ({
+        get: async (sql, params) => (await client.query(numbered(sql), params)).rows[0],
+        all: async (sql, params) => (await client.query(numbered(sql), params)).rows,
+        // Inserts return their row so lastID works as on SQLite
+        run: async (sql, params, returning = true) => {
+            const text = returning && /^\s*INSERT\b/i.test(sql) && !/\bRETURNING\b/i.test(sql) ? `${sql} RETURNING *` : sql;
+            const result = await client.query(numbered(text), params);
+            const row = result.rows && result.rows[0];
+            return { lastID: row && row.id !== undefined ? row.id : null, changes: result.rowCount };
+        }
+    });
+
+    return {
+        query: bind(pool),
+        async transaction(fn) {
+            const client = await pool.connect();
+            try {
+                await client.query('BEGIN');
+                const result = await fn(bind(client));
+                await client.query('COMMIT');
+                return result;
+            } catch (error) {
+                await client.query('ROLLBACK').catch(() => {});
+                throw error;
+            } finally {
+                client.release();
+            }
+        },
+        close: () => pool.end()
+    };
+}
+
+const driver = dialect === 'postgres' ? postgresDriver(DATABASE_URL) : sqliteDriver(DATABASE_URL);
+
+const sql = dialect === 'postgres'
+    ? {
+        time: expr => `(${expr})::timestamptz`,
+        hoursBetween: (a, b) => `ABS(EXTRACT(EPOCH FROM (${a})::timestamptz - (${b})::timestamptz)) / 3600`
+    }
+    : {
+        time: expr => `julianday(${expr})`,
+        hoursBetween: (a, b) => `ABS(julianday(${a}) - julianday(${b})) * 24`
+    };
+
+const types = dialect === 'postgres'
+    ? { id: 'SERIAL PRIMARY KEY', real: 'DOUBLE PRECISION', datetime: 'TIMESTAMPTZ' }
+    : { id: 'INTEGER PRIMARY KEY AUTOINCREMENT', real: 'REAL', datetime: 'DATETIME' };
+
+// get/all/run/insertMany over a driver query set (the pool, or a transaction)
+function handle(query) {
+    // Multi-row INSERT in chunks; far cheaper than one statement (and one implicit
+    // transaction) per row when storing hundreds of forecast hours
+    async function insertMany(table, columns, rows, chunkSize = 100) {
+        for (let i = 0; i < rows.length; i += chunkSize) {
+            const chunk = rows.slice(i, i + chunkSize);
+            const placeholders = chunk.map(() => `(${columns.map(() => '?').join(', ')})`).join(', ');
+            await query.run(`INSERT INTO ${table} (${columns.join(', ')}) VALUES ${placeholders}`, chunk.flat(), false);
+        }
+        return rows.length;
+    }
+
+    return {
+        dialect,
+        sql,
+        types,
+        get: (text, params = []) => query.get(text, params),
+        all: (text, params = []) => query.all(text, params),
+        run: (text, params = []) => query.run(text, params),
+        insertMany
+    };
+}
+
+// Runs fn with a handle whose queries commit together, or not at all
+function transaction(fn) {
+    return driver.transaction(query => fn(handle(query)));
+}
+
+module.exports = { ...handle(driver.query), transaction, close: driver.close };
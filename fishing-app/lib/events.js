@@ -0,0 +1,80 @@
+// lib/events.js - Server-sent events channel for live dashboard updates
+//
+// Events are numbered `<boot>-<seq>` and the most recent BUFFER_SIZE are kept
+// in memory. A client reconnecting with Last-Event-ID gets everything it missed
+// replayed; if its id is from an earlier server run, or has already dropped out
+// of the buffer, it gets a `reset` event and should reload from the REST API.
+const BUFFER_SIZE = 200;
+const HEARTBEAT_MS = 25000;
+const RETRY_MS = 5000;
+
+const EVENT_TYPES = ['conditions', 'catch', 'predictions', 'alerts'];
+
+const boot = Date.now().toString(36);
+const buffer = [];
+const clients = new Set();
+let sequence = 0;
+
+function write(res, event) {
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+}
+
+function publish(type, data) {
+    const event = { id: `${boot}-${++sequence}`, seq: sequence, type, data };
+    buffer.push(event);
+    if (buffer.length > BUFFER_SIZE) buffer.shift();
+
+    clients.forEach(client => {
+        if (!client.types || client.types.includes(type)) write(client.res, event);
+    });
+    return event.id;
+}
+
+// Events after `lastEventId`, or null when the gap can't be filled
+function missedSince(lastEventId) {
+    const [eventBoot, eventSeq] = String(lastEventId).split('-');
+    const seq = Number(eventSeq);
+    if (eventBoot !== boot || !Number.isInteger(seq) || seq > sequence) return null;
+    if (seq === sequence) return [];
+    if (buffer.length === 0 || buffer[0].seq > seq + 1) return null;
+    return buffer.filter(event => event.seq > seq);
+}
+
+// Express handler: opens the stream, replays missed events and keeps it alive
+function subscribe(req, res) {
+    const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+    const types = req.query.types || null; // a list of EVENT_TYPES, checked by the route
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no' // stop nginx-style proxies buffering the stream
+    });
+    res.flushHeaders();
+    res.write(`retry: ${RETRY_MS}\n\n`);
+
+    if (lastEventId) {
+        const missed = missedSince(lastEventId);
+        if (missed === null) {
+            write(res, { id: `${boot}-${sequence}`, type: 'reset', data: { reason: 'Missed events are no longer available' } });
+        } else {
+            missed.filter(event => !types || types.includes(event.type)).forEach(event => write(res, event));
+        }
+    }
+
+    const client = { res, types };
+    clients.add(client);
+
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        clients.delete(client);
+    });
+}
+
+function clientCount() {
+    return clients.size;
+}
+
+module.exports = { EVENT_TYPES, publish, subscribe, clientCount };
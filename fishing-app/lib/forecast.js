@@ -0,0 +1,209 @@
+// lib/forecast.js - Multi-day hourly forecast predictions per hotspot
+//
+// Forecast environmental inputs come from the providers' forecast products
+// (stored in environmental_forecasts); hours past the providers' horizon fall
+// back to the latest observation (persistence). Each hour is scored with the
+// species profile, so light, solunar and tide factors move with the clock.
+// Forecast predictions are kept in forecast_predictions, apart from the
+// nowcasts in predictions, so the two can be compared once the hours pass.
+//
+// The forecast-generation job rebuilds every species' forecast after each data
+// refresh; requests only read the latest stored issue.
+const { get, all, insertMany } = require('./db');
+const providers = require('./providers');
+const { scoreConditions } = require('./scoring');
+const { listProfiles } = require('./species');
+const { localDateString, toLocalISOString } = require('./nztime');
+const { getDay } = require('./astro');
+const spatial = require('./spatial');
+
+const MAX_DAYS = 10;
+const BEST_WINDOW_HOURS = 3;
+const HOUR_MS = 3600000;
+
+const FIELDS = providers.FIELDS;
+
+function getHotspots() {
+    return all(`
+        SELECT id, name, latitude, longitude
+        FROM hotspots
+        WHERE archived_at IS NULL
+        ORDER BY name
+    `);
+}
+
+// Fetches and stores forecast inputs for every hotspot; returns rows stored
+async function refreshForecastInputs() {
+    const issuedAt = new Date();
+    const start = new Date(Math.floor(issuedAt.getTime() / HOUR_MS) * HOUR_MS);
+    const end = new Date(start.getTime() + MAX_DAYS * 24 * HOUR_MS);
+    let stored = 0;
+
+    for (const hotspot of await getHotspots()) {
+        const rows = await providers.fetchForecast({ lat: hotspot.latitude, lng: hotspot.longitude }, { start, end });
+        stored += await insertMany(
+            'environmental_forecasts',
+            ['latitude', 'longitude', 'valid_time', ...FIELDS, 'source', 'issued_at'],
+            rows.map(row => [hotspot.latitude, hotspot.longitude, row.timestamp, ...FIELDS.map(f => row[f]),
+                row.source, issuedAt.toISOString()])
+        );
+    }
+    return stored;
+}
+
+// Latest issue of forecast inputs at the nearest forecast point within
+// spatial.NEARBY_KM, keyed by hour
+async function loadForecastInputs(lat, lng, start, end) {
+    const [latest] = await spatial.nearby('environmental_forecasts', lat, lng, spatial.NEARBY_KM, {
+        columns: 't.latitude, t.longitude, t.issued_at',
+        orderBy: 't.issued_at DESC, distance_km',
+        limit: 1
+    });
+    if (!latest) return new Map();
+
+    const rows = await all(`
+        SELECT * FROM environmental_forecasts
+        WHERE latitude = ? AND longitude = ? AND issued_at = ? AND valid_time BETWEEN ? AND ?
+    `, [latest.latitude, latest.longitude, latest.issued_at, start.toISOString(), end.toISOString()]);
+
+    return new Map(rows.map(row => [Date.parse(row.valid_time), row]));
+}
+
+// Highest-mean run of BEST_WINDOW_HOURS consecutive hours in each NZ day
+function bestWindows(series, lat, lng) {
+    const byDay = new Map();
+    series.forEach(point => {
+        const day = localDateString(point.date);
+        if (!byDay.has(day)) byDay.set(day, []);
+        byDay.get(day).push(point);
+    });
+
+    return [...byDay.entries()].map(([date, points]) => {
+        let best = null;
+        for (let i = 0; i + BEST_WINDOW_HOURS <= points.length; i++) {
+            const window = points.slice(i, i + BEST_WINDOW_HOURS);
+            const mean = window.reduce((sum, p) => sum + p.probability, 0) / window.length;
+            if (!best || mean > best.mean) best = { mean, window };
+        }
+        const peak = points.reduce((a, b) => (b.probability > a.probability ? b : a));
+
+        return {
+            date,
+            start: best ? toLocalISOString(best.window[0].date) : null,
+            end: best ? toLocalISOString(new Date(best.window[best.window.length - 1].date.getTime() + HOUR_MS)) : null,
+            mean_probability: best ? Math.round(best.mean) : null,
+            peak_probability: peak.probability,
+            peak_time: toLocalISOString(peak.date),
+            solunar_rating: getDay(date, lat, lng).rating
+        };
+    });
+}
+
+// Scores every hour of the forecast horizon at each hotspot for each species
+// profile and stores it as one issue; returns the rows stored
+async function buildForecast(profiles = listProfiles()) {
+    const issuedAt = new Date().toISOString();
+    const start = new Date(Math.ceil(Date.now() / HOUR_MS) * HOUR_MS);
+    const end = new Date(start.getTime() + MAX_DAYS * 24 * HOUR_MS - HOUR_MS);
+
+    const rows = [];
+    for (const hotspot of await getHotspots()) {
+        const inputs = await loadForecastInputs(hotspot.latitude, hotspot.longitude, start, end);
+        const observation = await spatial.latestObservation(hotspot.latitude, hotspot.longitude);
+
+        for (let t = start.getTime(); t <= end.getTime(); t += HOUR_MS) {
+            const forecast = inputs.get(t);
+            const conditions = { latitude: hotspot.latitude, longitude: hotspot.longitude };
+            let fromForecast = 0;
+            let fromObservation = 0;
+
+            FIELDS.forEach(field => {
+                if (forecast && forecast[field] != null) {
+                    conditions[field] = forecast[field];
+                    fromForecast++;
+                } else if (observation && observation[field] != null) {
+                    conditions[field] = observation[field];
+                    fromObservation++;
+                }
+            });
+
+            const source = fromForecast && fromObservation ? 'mixed'
+                : fromForecast ? 'forecast'
+                : fromObservation ? 'persistence'
+                : 'none';
+
+            profiles.forEach(profile => {
+                const score = scoreConditions(conditions, profile, { date: new Date(t) });
+                rows.push([issuedAt, hotspot.id, hotspot.name, hotspot.latitude, hotspot.longitude, profile.name,
+                    new Date(t).toISOString(), score.score, score.coverage, source,
+                    JSON.stringify(conditions), JSON.stringify(score.factors)]);
+            });
+        }
+    }
+
+    return insertMany('forecast_predictions', [
+        'issued_at', 'hotspot_id', 'hotspot_name', 'latitude', 'longitude', 'species',
+        'valid_time', 'probability', 'coverage', 'inputs', 'conditions', 'factors'
+    ], rows);
+}
+
+// Returns the species' latest stored forecast for the next `days` days; 503
+// until the forecast-generation job has run once
+async function getForecast(profile, days) {
+    const latest = await get(
+        'SELECT MAX(issued_at) AS issued_at FROM forecast_predictions WHERE species = ?', [profile.name]
+    );
+    const issuedAt = latest && latest.issued_at;
+    if (!issuedAt) {
+        throw Object.assign(new Error('The forecast has not been generated yet; try again shortly'), { status: 503 });
+    }
+
+    const from = new Date(Math.floor(Date.now() / HOUR_MS) * HOUR_MS).toISOString();
+    const until = new Date(Date.now() + days * 24 * HOUR_MS).toISOString();
+    const rows = await all(`
+        SELECT * FROM forecast_predictions
+        WHERE species = ? AND issued_at = ? AND valid_time BETWEEN ? AND ?
+        ORDER BY hotspot_name, valid_time
+    `, [profile.name, issuedAt, from, until]);
+
+    const hotspots = new Map();
+    rows.forEach(row => {
+        if (!hotspots.has(row.hotspot_id)) {
+            hotspots.set(row.hotspot_id, {
+                id: row.hotspot_id,
+                name: row.hotspot_name,
+                latitude: row.latitude,
+                longitude: row.longitude,
+                series: []
+            });
+        }
+        hotspots.get(row.hotspot_id).series.push({
+            date: new Date(row.valid_time),
+            probability: row.probability,
+            coverage: row.coverage,
+            inputs: row.inputs
+        });
+    });
+
+    return {
+        species: profile.name,
+        issued_at: issuedAt,
+        days,
+        timezone: 'Pacific/Auckland',
+        hotspots: [...hotspots.values()].map(h => ({
+            id: h.id,
+            name: h.name,
+            latitude: h.latitude,
+            longitude: h.longitude,
+            best_windows: bestWindows(h.series, h.latitude, h.longitude),
+            series: h.series.map(p => ({
+                time: toLocalISOString(p.date),
+                probability: p.probability,
+                coverage: p.coverage,
+                inputs: p.inputs
+            }))
+        }))
+    };
+}
+
+module.exports = { MAX_DAYS, refreshForecastInputs, buildForecast, getForecast };
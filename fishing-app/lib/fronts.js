@@ -0,0 +1,446 @@
+// lib/fronts.js - Temperature-break, chlorophyll-front and eddy-edge detection
+//
+// Runs over the latest gridded environmental_data: samples are binned onto a
+// regular lat/lng lattice, gradients come from central differences (one-sided
+// at the edges and next to gaps), and cells above the threshold are grouped
+// into connected features. Eddies are SST extrema that stand out from the ring
+// of water around them; their edge is the ring with the steepest gradient.
+// Every feature is stored in `alerts` with a GeoJSON geometry, a strength and
+// an expiry. A feature close to an unexpired alert of the same type refreshes
+// that alert instead of adding a duplicate.
+const { get, all, run, insertMany } = require('./db');
+const providers = require('./providers');
+const { distanceNm } = require('./tides');
+
+function number(value, fallback) {
+    const parsed = parseFloat(value);
+    return Number.isFinite(parsed) ? parsed : fallback;
+}
+
+const CONFIG = {
+    resolution: number(process.env.FRONT_GRID_RESOLUTION, 0.1),        // degrees
+    sstGradient: number(process.env.FRONT_SST_GRADIENT, 0.05),         // °C per km
+    chlorophyllGradient: number(process.env.FRONT_CHL_GRADIENT, 0.005), // mg/m³ per km
+    eddyAnomaly: number(process.env.EDDY_SST_ANOMALY, 0.6),            // °C, core vs surroundings
+    minCells: number(process.env.FRONT_MIN_CELLS, 3),
+    ttlHours: number(process.env.ALERT_TTL_HOURS, 12),
+    dedupKm: number(process.env.ALERT_DEDUP_KM, 15)
+};
+
+// Area gridded on every refresh: Three Kings to the Poor Knights
+const FISHING_AREA = { south: -35.6, north: -33.9, west: 172.0, east: 174.6 };
+
+const ALERT_TYPES = ['temperature_front', 'chlorophyll_front', 'eddy_edge'];
+const KM_PER_DEG_LAT = 110.57;
+const KM_PER_NM = 1.852;
+const EDDY_RING = 3; // cells between an eddy core and the water it is compared with
+
+const LAYERS = [
+    { field: 'sea_temperature', type: 'temperature_front', threshold: () => CONFIG.sstGradient,
+        title: 'Temperature Break Detected', units: '°C/km', label: (v) => `${v.toFixed(1)}°C`, higher: 'warmer' },
+    { field: 'chlorophyll', type: 'chlorophyll_front', threshold: () => CONFIG.chlorophyllGradient,
+        title: 'Chlorophyll Front Detected', units: 'mg/m³/km', label: (v) => `${v.toFixed(2)} mg/m³`, higher: 'greener' }
+];
+
+const COMPASS = ['north', 'north-east', 'east', 'south-east', 'south', 'south-west', 'west', 'north-west'];
+
+function compass(bearing) {
+    return COMPASS[Math.round((((bearing % 360) + 360) % 360) / 45) % 8];
+}
+
+function kmPerDegLng(lat) {
+    return 111.32 * Math.cos(lat * Math.PI / 180);
+}
+
+// Fetches SST and chlorophyll over FISHING_AREA and stores one
+// environmental_data row per grid point; returns the rows stored
+async function refreshGrid() {
+    const rows = await providers.fetchGrid(FISHING_AREA);
+    return insertMany(
+        'environmental_data',
+        ['latitude', 'longitude', 'timestamp', 'sea_temperature', 'chlorophyll', 'source', 'fetched_at', 'is_grid'],
+        rows.map(row => [row.latitude, row.longitude, row.timestamp, row.sea_temperature, row.chlorophyll,
+            row.source, row.fetched_at, 1])
+    );
+}
+
+// Latest gridded fetch binned onto the detection lattice
+async function loadGrid() {
+    const latest = await get('SELECT MAX(fetched_at) AS fetched_at FROM environmental_data WHERE is_grid = 1');
+    if (!latest || !latest.fetched_at) return null;
+
+    const rows = await all(`
+        SELECT latitude, longitude, timestamp, sea_temperature, chlorophyll
+        FROM environmental_data
+        WHERE is_grid = 1 AND fetched_at = ?
+    `, [latest.fetched_at]);
+
+    const res = CONFIG.resolution;
+    const sums = new Map();
+    rows.forEach(row => {
+        const i = Math.round(row.latitude / res);
+        const j = Math.round(row.longitude / res);
+        const key = `${i},${j}`;
+        if (!sums.has(key)) sums.set(key, { i, j, sea_temperature: [], chlorophyll: [] });
+        LAYERS.forEach(({ field }) => {
+            if (row[field] != null) sums.get(key)[field].push(row[field]);
+        });
+    });
+
+    const cells = new Map();
+    sums.forEach((sum, key) => {
+        const cell = { i: sum.i, j: sum.j, lat: sum.i * res, lng: sum.j * res };
+        LAYERS.forEach(({ field }) => {
+            const values = sum[field];
+            cell[field] = values.length ? values.reduce((a, b) => a + b, 0) / values.length : null;
+        });
+        cells.set(key, cell);
+    });
+
+    const sourceTime = rows.reduce((max, row) => (row.timestamp > max ? row.timestamp : max), '');
+    return { cells, res, fetchedAt: latest.fetched_at, sourceTime: sourceTime || latest.fetched_at };
+}
+
+function valueAt(grid, i, j, field) {
+    const cell = grid.cells.get(`${i},${j}`);
+    return cell ? cell[field] : null;
+}
+
+// Derivative along one axis in units per km, or null when neither neighbour has data
+function derivative(grid, i, j, di, dj, field, kmPerCell) {
+    const here = valueAt(grid, i, j, field);
+    const ahead = valueAt(grid, i + di, j + dj, field);
+    const behind = valueAt(grid, i - di, j - dj, field);
+    if (ahead != null && behind != null) return (ahead - behind) / (2 * kmPerCell);
+    if (ahead != null) return (ahead - here) / kmPerCell;
+    if (behind != null) return (here - behind) / kmPerCell;
+    return null;
+}
+
+// Gradient vector (units per km, x east, y north) at a cell
+function gradientAt(grid, cell, field) {
+    if (cell[field] == null) return null;
+    const gy = derivative(grid, cell.i, cell.j, 1, 0, field, grid.res * KM_PER_DEG_LAT);
+    const gx = derivative(grid, cell.i, cell.j, 0, 1, field, grid.res * kmPerDegLng(cell.lat));
+    if (gx == null && gy == null) return null;
+    const x = gx || 0;
+    const y = gy || 0;
+    return { x, y, magnitude: Math.hypot(x, y) };
+}
+
+// 8-connected groups of cells
+function connectedComponents(cells) {
+    const remaining = new Map(cells.map(c => [`${c.i},${c.j}`, c]));
+    const components = [];
+    while (remaining.size) {
+        const [firstKey, first] = remaining.entries().next().value;
+        remaining.delete(firstKey);
+        const component = [first];
+        for (let k = 0; k < component.length; k++) {
+            const { i, j } = component[k];
+            for (let di = -1; di <= 1; di++) {
+                for (let dj = -1; dj <= 1; dj++) {
+                    const key = `${i + di},${j + dj}`;
+                    if (remaining.has(key)) {
+                        component.push(remaining.get(key));
+                        remaining.delete(key);
+                    }
+                }
+            }
+        }
+        components.push(component);
+    }
+    return components;
+}
+
+// Front line: cells ordered along their principal axis and averaged per
+// cell-width step, so a band several cells wide reads as a single line
+function frontGeometry(cells, res) {
+    const lat0 = cells.reduce((s, c) => s + c.lat, 0) / cells.length;
+    const lng0 = cells.reduce((s, c) => s + c.lng, 0) / cells.length;
+    const kx = kmPerDegLng(lat0);
+    const points = cells.map(c => ({ c, x: (c.lng - lng0) * kx, y: (c.lat - lat0) * KM_PER_DEG_LAT }));
+
+    const sxx = points.reduce((s, p) => s + p.x * p.x, 0);
+    const syy = points.reduce((s, p) => s + p.y * p.y, 0);
+    const sxy = points.reduce((s, p) => s + p.x * p.y, 0);
+    const angle = 0.5 * Math.atan2(2 * sxy, sxx - syy);
+    const step = res * KM_PER_DEG_LAT;
+
+    const bins = new Map();
+    points.forEach(p => {
+        const t = p.x * Math.cos(angle) + p.y * Math.sin(angle);
+        const bin = Math.round(t / step);
+        if (!bins.has(bin)) bins.set(bin, []);
+        bins.get(bin).push(p.c);
+    });
+
+    const line = [...bins.entries()]
+        .sort((a, b) => a[0] - b[0])
+        .map(([, group]) => [
+            round(group.reduce((s, c) => s + c.lng, 0) / group.length, 4),
+            round(group.reduce((s, c) => s + c.lat, 0) / group.length, 4)
+        ]);
+
+    const lengthKm = line.slice(1).reduce((sum, point, k) =>
+        sum + distanceNm(line[k][1], line[k][0], point[1], point[0]) * KM_PER_NM, 0);
+
+    return {
+        geometry: line.length > 1 ? { type: 'LineString', coordinates: line } : { type: 'Point', coordinates: line[0] },
+        center: { lat: lat0, lng: lng0 },
+        lengthKm
+    };
+}
+
+function circle(lat, lng, radiusDeg, vertices = 16) {
+    const ring = [];
+    for (let k = 0; k <= vertices; k++) {
+        const a = (k % vertices) / vertices * 2 * Math.PI;
+        ring.push([
+            round(lng + radiusDeg * Math.sin(a) * KM_PER_DEG_LAT / kmPerDegLng(lat), 4),
+            round(lat + radiusDeg * Math.cos(a), 4)
+        ]);
+    }
+    return { type: 'Polygon', coordinates: [ring] };
+}
+
+function ringCells(grid, cell, r) {
+    const ring = [];
+    for (let di = -r; di <= r; di++) {
+        for (let dj = -r; dj <= r; dj++) {
+            if (Math.max(Math.abs(di), Math.abs(dj)) !== r) continue;
+            const neighbour = grid.cells.get(`${cell.i + di},${cell.j + dj}`);
+            ring.push(neighbour && neighbour.sea_temperature != null ? neighbour : null);
+        }
+    }
+    return ring;
+}
+
+// SST extrema standing out from a complete ring of water EDDY_RING cells away
+function detectEddies(grid) {
+    const eddies = [];
+    grid.cells.forEach(cell => {
+        if (cell.sea_temperature == null) return;
+
+        const outer = ringCells(grid, cell, EDDY_RING);
+        if (outer.some(c => !c)) return;
+        const surroundings = outer.reduce((s, c) => s + c.sea_temperature, 0) / outer.length;
+        const anomaly = cell.sea_temperature - surroundings;
+        if (Math.abs(anomaly) < CONFIG.eddyAnomaly) return;
+
+        const warm = anomaly > 0;
+        for (let r = 1; r < EDDY_RING; r++) {
+            const isExtremum = ringCells(grid, cell, r).every(c =>
+                !c || (warm ? c.sea_temperature < cell.sea_temperature : c.sea_temperature > cell.sea_temperature));
+            if (!isExtremum) return;
+        }
+
+        // The edge is the ring with the steepest mean gradient
+        let edge = null;
+        for (let r = 1; r <= EDDY_RING; r++) {
+            const gradients = ringCells(grid, cell, r)
+                .filter(Boolean)
+                .map(c => gradientAt(grid, c, 'sea_temperature'))
+                .filter(Boolean);
+            if (gradients.length === 0) continue;
+            const mean = gradients.reduce((s, g) => s + g.magnitude, 0) / gradients.length;
+            if (!edge || mean > edge.gradient) edge = { radius: r, gradient: mean };
+        }
+        if (!edge) return;
+
+        eddies.push({ cell, warm, anomaly, radius: edge.radius, gradient: edge.gradient });
+    });
+    return eddies;
+}
+
+function round(value, places) {
+    const factor = 10 ** places;
+    return Math.round(value * factor) / factor;
+}
+
+async function nearestHotspot(lat, lng) {
+    const hotspots = await all('SELECT name, latitude, longitude FROM hotspots WHERE archived_at IS NULL');
+    let best = null;
+    hotspots.forEach(h => {
+        const distance = distanceNm(lat, lng, h.latitude, h.longitude);
+        if (!best || distance < best.distance) best = { name: h.name, distance };
+    });
+    return best;
+}
+
+function describePlace(hotspot) {
+    if (!hotspot) return '';
+    if (hotspot.distance < 3) return ` at ${hotspot.name}`;
+    return ` ${Math.round(hotspot.distance)} nm from ${hotspot.name}`;
+}
+
+// Detects features in the latest grid without storing them
+async function detectFeatures() {
+    const grid = await loadGrid();
+    if (!grid) return [];
+
+    const features = [];
+    const eddies = detectEddies(grid);
+
+    for (const eddy of eddies) {
+        const { cell } = eddy;
+        const kind = eddy.warm ? 'Warm' : 'Cold';
+        const hotspot = await nearestHotspot(cell.lat, cell.lng);
+        const radiusKm = eddy.radius * grid.res * KM_PER_DEG_LAT;
+        features.push({
+            type: 'eddy_edge',
+            priority: Math.abs(eddy.anomaly) >= 2 * CONFIG.eddyAnomaly ? 'high' : 'medium',
+            title: `${kind}-Core Eddy Edge`,
+            message: `${kind}-core eddy${describePlace(hotspot)}: core ${Math.abs(eddy.anomaly).toFixed(1)}°C ` +
+                `${eddy.warm ? 'warmer' : 'cooler'} than surrounding water, edge about ${Math.round(radiusKm)} km out`,
+            center: { lat: cell.lat, lng: cell.lng },
+            geometry: circle(cell.lat, cell.lng, eddy.radius * grid.res),
+            strength: round(eddy.gradient, 4),
+            units: '°C/km',
+            properties: {
+                core: eddy.warm ? 'warm' : 'cold',
+                core_temperature: round(cell.sea_temperature, 2),
+                anomaly: round(eddy.anomaly, 2),
+                radius_km: round(radiusKm, 1)
+            }
+        });
+    }
+
+    // Front cells inside an eddy belong to its edge, not to a separate front
+    const insideEddy = cell => eddies.some(e =>
+        Math.max(Math.abs(cell.i - e.cell.i), Math.abs(cell.j - e.cell.j)) <= e.radius + 1);
+
+    for (const layer of LAYERS) {
+        const threshold = layer.threshold();
+        const steep = [];
+        grid.cells.forEach(cell => {
+            const gradient = gradientAt(grid, cell, layer.field);
+            if (gradient && gradient.magnitude >= threshold) steep.push({ ...cell, gradient });
+        });
+
+        for (const component of connectedComponents(steep)) {
+            if (component.length < CONFIG.minCells) continue;
+            if (layer.field === 'sea_temperature' && component.filter(insideEddy).length * 2 >= component.length) continue;
+
+            const { geometry, center, lengthKm } = frontGeometry(component, grid.res);
+            const peak = component.reduce((a, b) => (b.gradient.magnitude > a.gradient.magnitude ? b : a)).gradient.magnitude;
+            const mean = component.reduce((s, c) => s + c.gradient.magnitude, 0) / component.length;
+            const gx = component.reduce((s, c) => s + c.gradient.x, 0);
+            const gy = component.reduce((s, c) => s + c.gradient.y, 0);
+            const towards = compass(Math.atan2(gx, gy) * 180 / Math.PI);
+            const hotspot = await nearestHotspot(center.lat, center.lng);
+
+            features.push({
+                type: layer.type,
+                priority: peak >= 2 * threshold ? 'high' : 'medium',
+                title: layer.title,
+                message: `${layer.title.replace(' Detected', '')}${describePlace(hotspot)}: ` +
+                    `${layer.label(peak * 10)} per 10 km over ${Math.max(1, Math.round(lengthKm))} km, ` +
+                    `${layer.higher} water to the ${towards}`,
+                center,
+                geometry,
+                strength: round(peak, 4),
+                units: layer.units,
+                properties: {
+                    mean_gradient: round(mean, 4),
+                    threshold,
+                    length_km: round(lengthKm, 1),
+                    cells: component.length,
+                    [`${layer.higher}_side`]: towards
+                }
+            });
+        }
+    }
+
+    return features.map(f => ({ ...f, source_time: grid.sourceTime }));
+}
+
+// Detects features in the latest grid and stores them as alerts, refreshing
+// matching unexpired alerts; returns counts
+async function detectFronts() {
+    const now = new Date();
+    const expires = new Date(now.getTime() + CONFIG.ttlHours * 3600000).toISOString();
+    const features = await detectFeatures();
+    const active = await all('SELECT id, type, latitude, longitude FROM alerts WHERE expires_at > ?', [now.toISOString()]);
+    const claimed = new Set();
+    let inserted = 0;
+    let updated = 0;
+
+    for (const feature of features) {
+        const match = active.find(a => a.type === feature.type && !claimed.has(a.id) &&
+            distanceNm(a.latitude, a.longitude, feature.center.lat, feature.center.lng) * KM_PER_NM <= CONFIG.dedupKm);
+        const values = [feature.priority, feature.title, feature.message, feature.center.lat, feature.center.lng,
+            JSON.stringify(feature.geometry), feature.strength, feature.units, JSON.stringify(feature.properties),
+            feature.source_time];
+
+        if (match) {
+            await run(`
+                UPDATE alerts SET priority = ?, title = ?, message = ?, latitude = ?, longitude = ?,
+                    geometry = ?, strength = ?, units = ?, properties = ?, source_time = ?,
+                    updated_at = ?, expires_at = ?
+                WHERE id = ?
+            `, [...values, now.toISOString(), expires, match.id]);
+            claimed.add(match.id);
+            updated++;
+        } else {
+            const { lastID } = await run(`
+                INSERT INTO alerts (type, priority, title, message, latitude, longitude, geometry, strength,
+                    units, properties, source_time, detected_at, updated_at, expires_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `, [feature.type, ...values, now.toISOString(), now.toISOString(), expires]);
+            active.push({ id: lastID, type: feature.type, latitude: feature.center.lat, longitude: feature.center.lng });
+            claimed.add(lastID);
+            inserted++;
+        }
+    }
+
+    return { detected: features.length, inserted, updated };
+}
+
+function geometryBounds(geometry) {
+    const points = [];
+    const collect = coords => (typeof coords[0] === 'number' ? points.push(coords) : coords.forEach(collect));
+    collect(geometry.coordinates);
+    return {
+        south: Math.min(...points.map(p => p[1])),
+        north: Math.max(...points.map(p => p[1])),
+        west: Math.min(...points.map(p => p[0])),
+        east: Math.max(...points.map(p => p[0]))
+    };
+}
+
+// Unexpired alerts, optionally limited to those whose geometry overlaps
+// `bounds` ({ south, north, west, east }) and to the given types. With `at`,
+// those detected by then and not yet expired at it (see lib/replay.js).
+async function listAlerts({ bounds, types, at = null } = {}) {
+    const time = (at || new Date()).toISOString();
+    const rows = await all('SELECT * FROM alerts WHERE expires_at > ? AND detected_at <= ? ORDER BY strength DESC', [time, time]);
+
+    return rows
+        .filter(row => !types || types.includes(row.type))
+        .map(row => ({ ...row, geometry: JSON.parse(row.geometry) }))
+        .filter(row => {
+            if (!bounds) return true;
+            const box = geometryBounds(row.geometry);
+            return box.south <= bounds.north && box.north >= bounds.south &&
+                box.west <= bounds.east && box.east >= bounds.west;
+        })
+        .map(row => ({
+            id: row.id,
+            type: row.type,
+            priority: row.priority,
+            title: row.title,
+            message: row.message,
+            location: { lat: row.latitude, lng: row.longitude },
+            geometry: row.geometry,
+            strength: row.strength,
+            units: row.units,
+            properties: JSON.parse(row.properties || '{}'),
+            source_time: row.source_time,
+            detected_at: row.detected_at,
+            updated_at: row.updated_at,
+            expires: row.expires_at
+        }));
+}
+
+module.exports = { ALERT_TYPES, FISHING_AREA, CONFIG, refreshGrid, detectFeatures, detectFronts, listAlerts };
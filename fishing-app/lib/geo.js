@@ -0,0 +1,56 @@
+// lib/geo.js - GeoJSON polygon and distance helpers (coordinates are [lng, lat])
+
+function isPosition(value) {
+    return Array.isArray(value) && value.length >= 2 &&
+        Number.isFinite(value[0]) && Number.isFinite(value[1]) &&
+        Math.abs(value[0]) <= 180 && Math.abs(value[1]) <= 90;
+}
+
+// Returns an error message for anything that isn't a closed GeoJSON Polygon
+function validatePolygon(geometry) {
+    if (!geometry || geometry.type !== 'Polygon' || !Array.isArray(geometry.coordinates) || geometry.coordinates.length === 0) {
+        return 'area must be a GeoJSON Polygon';
+    }
+    for (const ring of geometry.coordinates) {
+        if (!Array.isArray(ring) || ring.length < 4 || !ring.every(isPosition)) {
+            return 'area rings need at least four [lng, lat] positions';
+        }
+        const first = ring[0];
+        const last = ring[ring.length - 1];
+        if (first[0] !== last[0] || first[1] !== last[1]) {
+            return 'area rings must be closed (first and last positions equal)';
+        }
+    }
+    return null;
+}
+
+// Even-odd ray casting against one linear ring
+function inRing(lat, lng, ring) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [xi, yi] = ring[i];
+        const [xj, yj] = ring[j];
+        if ((yi > lat) !== (yj > lat) && lng < (xj - xi) * (lat - yi) / (yj - yi) + xi) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+// Inside the outer ring and outside every hole
+function pointInPolygon(lat, lng, polygon) {
+    const [outer, ...holes] = polygon.coordinates;
+    return inRing(lat, lng, outer) && !holes.some(hole => inRing(lat, lng, hole));
+}
+
+// Great-circle distance (haversine)
+function distanceKm(lat1, lng1, lat2, lng2) {
+    const rad = Math.PI / 180;
+    const dLat = (lat2 - lat1) * rad;
+    const dLng = (lng2 - lng1) * rad;
+    const a = Math.sin(dLat / 2) ** 2 +
+        Math.cos(lat1 * rad) * Math.cos(lat2 * rad) * Math.sin(dLng / 2) ** 2;
+    return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+module.exports = { validatePolygon, pointInPolygon, distanceKm };
@@ -0,0 +1,298 @@
+// lib/grid.js - Recent conditions interpolated onto a regular lat/lng grid
+//
+// Observations from the last `hours` (point and gridded fetches alike) in and
+// around the requested bounds are reduced to the latest value per location and
+// field. Gridded rows count from when they were fetched: they carry the time of
+// the analysis ERDDAP served as (last), which for MUR SST is about a day old. Each cell centre then takes an inverse-distance-weighted mean (power
+// 2) of the nearest CONFIG.neighbours observations within CONFIG.searchKm;
+// directions are averaged as unit vectors so 350° and 10° come out as north.
+// Cells on land or with nothing in reach have no value. When nothing has been
+// observed and the simulator is on, a coarse lattice of simulated conditions
+// is interpolated instead.
+//
+// Rows run north to south and columns west to east; cell (row, col) is
+// centred at north - (row + 0.5) * resolution, west + (col + 0.5) * resolution.
+const { sql } = require('./db');
+const validation = require('./validation');
+const simulator = require('./providers/simulator');
+const { landAt } = require('./routing');
+const { KM_PER_DEG_LAT, kmPerDegLng, inBox } = require('./spatial');
+
+function number(value, fallback) {
+    const parsed = parseFloat(value);
+    return Number.isFinite(parsed) ? parsed : fallback;
+}
+
+const CONFIG = {
+    searchKm: number(process.env.GRID_SEARCH_KM, 30),
+    neighbours: number(process.env.GRID_NEIGHBOURS, 8),
+    maxCells: number(process.env.GRID_MAX_CELLS, 40000)
+};
+
+const FIELDS = ['sea_temperature', 'current_speed', 'current_direction', 'chlorophyll', 'wind_speed', 'wind_direction', 'wave_height'];
+const DEFAULT_FIELDS = ['sea_temperature', 'current_speed', 'current_direction', 'chlorophyll', 'wind_speed'];
+const DIRECTIONS = ['current_direction', 'wind_direction'];
+const DEFAULT_RESOLUTION = 0.05;
+const MIN_RESOLUTION = 0.01;
+const MAX_RESOLUTION = 1;
+const DEFAULT_HOURS = 6;
+const MAX_HOURS = 72;
+const SIMULATED_SPACING = 0.25; // degrees between simulated samples
+const EXACT_KM = 0.05;          // an observation this close is taken as is
+const FORMATS = ['geojson', 'binary'];
+
+// Grid dimensions for the query (checked against lib/validation.js schemas in
+// node.js): bounds, resolution in degrees, fields, hours of observations to
+// use, the output format and `at` to replay a past moment. Refuses grids of
+// more than CONFIG.maxCells.
+function gridOptions({ bounds, resolution = DEFAULT_RESOLUTION, fields = DEFAULT_FIELDS, hours = DEFAULT_HOURS, format = 'geojson', at = null }) {
+    const rows = Math.ceil((bounds.north - bounds.south) / resolution - 1e-9);
+    const cols = Math.ceil((bounds.east - bounds.west) / resolution - 1e-9);
+    if (rows * cols > CONFIG.maxCells) {
+        throw validation.invalid('Invalid query parameters', [{
+            field: 'resolution',
+            message: `gives ${rows * cols} cells, more than the ${CONFIG.maxCells} allowed; use a coarser resolution or smaller bounds`
+        }]);
+    }
+    return { bounds, resolution, rows, cols, fields: [...new Set(fields)], hours, format, at };
+}
+
+// Latest non-null value of each field at each observed location
+function latestByLocation(rows, fields) {
+    const locations = new Map();
+    rows.forEach(row => {
+        const key = `${row.latitude},${row.longitude}`;
+        if (!locations.has(key)) locations.set(key, { lat: row.latitude, lng: row.longitude });
+        const location = locations.get(key);
+        fields.forEach(field => {
+            if (location[field] == null && row[field] != null) location[field] = row[field];
+        });
+    });
+    return [...locations.values()];
+}
+
+// The bounds widened by the search radius, so edge cells see observations outside them
+function searchBox(bounds) {
+    const dLat = CONFIG.searchKm / KM_PER_DEG_LAT;
+    const dLng = CONFIG.searchKm / kmPerDegLng(Math.abs(bounds.south) > Math.abs(bounds.north) ? bounds.south : bounds.north);
+    return { south: bounds.south - dLat, north: bounds.north + dLat, west: bounds.west - dLng, east: bounds.east + dLng };
+}
+
+// Observations from the `hours` before `at` (default now) that had been
+// fetched by then; gridded ones by their fetch time
+function recentWindow(hours, at) {
+    const until = at || new Date();
+    const fetched = 'COALESCE(t.fetched_at, t.timestamp)';
+    const since = `CASE WHEN t.is_grid = 1 THEN ${fetched} ELSE t.timestamp END`;
+    return {
+        where: `${sql.time(since)} > ${sql.time('?')} AND ${sql.time(fetched)} <= ${sql.time('?')}`,
+        params: [new Date(until.getTime() - hours * 3600000).toISOString(), until.toISOString()]
+    };
+}
+
+// Timestamp of the newest observation a grid over `bounds` would use, or null
+async function observedAt(bounds, hours = DEFAULT_HOURS, at = null) {
+    const [row] = await inBox('environmental_data', searchBox(bounds), {
+        columns: 'MAX(t.timestamp) AS latest',
+        ...recentWindow(hours, at)
+    });
+    return row ? row.latest : null;
+}
+
+async function loadObservations(bounds, fields, hours, at) {
+    const midLat = (bounds.south + bounds.north) / 2;
+    const box = searchBox(bounds);
+    const rows = await inBox('environmental_data', box, {
+        columns: `t.latitude, t.longitude, t.timestamp, ${fields.map(f => `t.${f}`).join(', ')}`,
+        ...recentWindow(hours, at),
+        orderBy: 't.timestamp DESC, t.fetched_at DESC'
+    });
+    if (rows.length) {
+        return { observations: latestByLocation(rows, fields), source: 'observed', observedAt: rows[0].timestamp, midLat };
+    }
+    if (!simulator.isEnabled()) return { observations: [], source: null, observedAt: null, midLat };
+
+    const samples = [];
+    for (let lat = box.south; lat <= box.north + SIMULATED_SPACING; lat += SIMULATED_SPACING) {
+        for (let lng = box.west; lng <= box.east + SIMULATED_SPACING; lng += SIMULATED_SPACING) {
+            samples.push(simulator.generateSimulatedConditions(lat, lng, at || new Date()));
+        }
+    }
+    return { observations: latestByLocation(samples, fields), source: simulator.name, observedAt: null, midLat };
+}
+
+// Buckets observations by searchKm-sized squares so each cell only looks at
+// the 3x3 buckets around it
+function bucketIndex(observations, midLat) {
+    const kx = kmPerDegLng(midLat);
+    const size = CONFIG.searchKm;
+    const buckets = new Map();
+    observations.forEach(obs => {
+        obs.x = obs.lng * kx;
+        obs.y = obs.lat * KM_PER_DEG_LAT;
+        const key = `${Math.floor(obs.x / size)},${Math.floor(obs.y / size)}`;
+        if (!buckets.has(key)) buckets.set(key, []);
+        buckets.get(key).push(obs);
+    });
+
+    return (lat, lng) => {
+        const x = lng * kx;
+        const y = lat * KM_PER_DEG_LAT;
+        const bx = Math.floor(x / size);
+        const by = Math.floor(y / size);
+        const found = [];
+        for (let i = bx - 1; i <= bx + 1; i++) {
+            for (let j = by - 1; j <= by + 1; j++) {
+                (buckets.get(`${i},${j}`) || []).forEach(obs => {
+                    const km = Math.hypot(obs.x - x, obs.y - y);
+                    if (km <= size) found.push({ obs, km });
+                });
+            }
+        }
+        return found.sort((a, b) => a.km - b.km);
+    };
+}
+
+// IDW estimate of one field from distance-sorted candidates, or NaN
+function interpolate(candidates, field) {
+    const direction = DIRECTIONS.includes(field);
+    let weights = 0;
+    let sum = 0;
+    let sumX = 0;
+    let sumY = 0;
+    let used = 0;
+    for (const { obs, km } of candidates) {
+        const value = obs[field];
+        if (value == null) continue;
+        if (km < EXACT_KM) return value;
+        const weight = 1 / (km * km);
+        if (direction) {
+            const rad = value * Math.PI / 180;
+            sumX += weight * Math.sin(rad);
+            sumY += weight * Math.cos(rad);
+        } else {
+            sum += weight * value;
+        }
+        weights += weight;
+        if (++used >= CONFIG.neighbours) break;
+    }
+    if (!used) return NaN;
+    if (!direction) return sum / weights;
+    return (Math.atan2(sumX, sumY) * 180 / Math.PI + 360) % 360;
+}
+
+// Fills the grid described by `options` (see gridOptions); values holds one
+// Float32Array of rows * cols per field, NaN where there is no value
+async function buildGrid(options) {
+    const { bounds, resolution, rows, cols, fields, hours, at } = options;
+    const { observations, source, observedAt: observed, midLat } = await loadObservations(bounds, fields, hours, at);
+    const nearest = bucketIndex(observations, midLat);
+    const values = Object.fromEntries(fields.map(field => [field, new Float32Array(rows * cols).fill(NaN)]));
+
+    let filled = 0;
+    for (let row = 0; row < rows; row++) {
+        const lat = bounds.north - (row + 0.5) * resolution;
+        for (let col = 0; col < cols; col++) {
+            const lng = bounds.west + (col + 0.5) * resolution;
+            if (landAt(lat, lng)) continue;
+            const candidates = nearest(lat, lng);
+            if (!candidates.length) continue;
+            fields.forEach(field => {
+                values[field][row * cols + col] = interpolate(candidates, field);
+            });
+            filled++;
+        }
+    }
+
+    return {
+        bounds,
+        resolution,
+        rows,
+        cols,
+        fields,
+        values,
+        cells_with_data: filled,
+        observations: observations.length,
+        source,
+        observed_at: observed,
+        as_of: at ? at.toISOString() : null,
+        generated_at: new Date().toISOString()
+    };
+}
+
+const round = (value, places) => Math.round(value * 10 ** places) / 10 ** places;
+
+function metadata(grid) {
+    const { values, ...meta } = grid;
+    return meta;
+}
+
+// Cell centres with data as GeoJSON Points; the grid layout travels in `grid`
+function toGeoJSON(grid) {
+    const features = [];
+    for (let row = 0; row < grid.rows; row++) {
+        for (let col = 0; col < grid.cols; col++) {
+            const i = row * grid.cols + col;
+            if (grid.fields.every(field => Number.isNaN(grid.values[field][i]))) continue;
+            const properties = { row, col };
+            grid.fields.forEach(field => {
+                const value = grid.values[field][i];
+                properties[field] = Number.isNaN(value) ? null : round(value, 3);
+            });
+            features.push({
+                type: 'Feature',
+                geometry: {
+                    type: 'Point',
+                    coordinates: [
+                        round(grid.bounds.west + (col + 0.5) * grid.resolution, 5),
+                        round(grid.bounds.north - (row + 0.5) * grid.resolution, 5)
+                    ]
+                },
+                properties
+            });
+        }
+    }
+    return { type: 'FeatureCollection', grid: metadata(grid), features };
+}
+
+// Float32 little-endian, one rows * cols block per field in `fields` order,
+// rows north to south; NaN marks no data. Layout goes in response headers.
+function toBinary(grid) {
+    const buffer = Buffer.alloc(grid.fields.length * grid.rows * grid.cols * 4);
+    let offset = 0;
+    grid.fields.forEach(field => {
+        grid.values[field].forEach(value => {
+            buffer.writeFloatLE(value, offset);
+            offset += 4;
+        });
+    });
+    return {
+        body: buffer,
+        headers: {
+            'Content-Type': 'application/octet-stream',
+            'X-Grid-Rows': String(grid.rows),
+            'X-Grid-Cols': String(grid.cols),
+            'X-Grid-Bounds': [grid.bounds.south, grid.bounds.west, grid.bounds.north, grid.bounds.east].join(','),
+            'X-Grid-Resolution': String(grid.resolution),
+            'X-Grid-Fields': grid.fields.join(','),
+            'X-Grid-Source': grid.source || 'none',
+            'Access-Control-Expose-Headers': 'X-Grid-Rows, X-Grid-Cols, X-Grid-Bounds, X-Grid-Resolution, X-Grid-Fields, X-Grid-Source'
+        }
+    };
+}
+
+module.exports = {
+    FIELDS,
+    DEFAULT_FIELDS,
+    DEFAULT_RESOLUTION,
+    MIN_RESOLUTION,
+    MAX_RESOLUTION,
+    DEFAULT_HOURS,
+    MAX_HOURS,
+    FORMATS,
+    gridOptions,
+    observedAt,
+    buildGrid,
+    toGeoJSON,
+    toBinary
+};
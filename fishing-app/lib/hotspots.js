@@ -0,0 +1,195 @@
+// lib/hotspots.js - Fishing hotspots: built-in seed data and admin management
+//
+// The built-in spots carry a seed_key with a unique index, so seeding (see
+// lib/seed.js) is a no-op once they exist. Deleting a hotspot archives it instead: the
+// row (and its seed_key) stays for alert rules and forecasts that point at it,
+// and a deleted built-in spot isn't re-created by the next seed.
+// best_months and avg_success_rate start as the seed (or admin's) values and
+// are replaced from logged catches and trips once there are enough of them
+// (see lib/analytics.js).
+const { get, all, run } = require('./db');
+const { getProfile } = require('./species');
+const audit = require('./audit');
+const { publicCondition } = require('./moderation');
+const privacy = require('./privacy');
+const { distanceKm } = require('./geo');
+const spatial = require('./spatial');
+
+const SEED_HOTSPOTS = [
+    {
+        seed_key: 'bay-of-islands', name: 'Bay of Islands', latitude: -35.25, longitude: 174.1,
+        description: 'Protected bay area, good for smaller pelagics and kingfish',
+        species: ['Kingfish', 'Snapper', 'Trevally'], best_months: [12, 1, 2, 3], avg_success_rate: 65.5
+    },
+    {
+        seed_key: 'north-cape', name: 'North Cape', latitude: -34.42, longitude: 173.05,
+        description: 'Current convergence zone - premier marlin fishing area',
+        species: ['Blue Marlin', 'Striped Marlin', 'Yellowfin Tuna'], best_months: [1, 2, 3, 4, 11, 12], avg_success_rate: 78.2
+    },
+    {
+        seed_key: 'king-bank', name: 'King Bank', latitude: -34.15, longitude: 173.8,
+        description: 'Underwater seamount - major tuna aggregation area',
+        species: ['Yellowfin Tuna', 'Bigeye Tuna', 'Albacore'], best_months: [11, 12, 1, 2, 3, 4], avg_success_rate: 72.8
+    },
+    {
+        seed_key: 'middlesex-bank', name: 'Middlesex Bank', latitude: -34.3, longitude: 173.6,
+        description: 'Deep water bank - consistent big game fishing',
+        species: ['Blue Marlin', 'Bigeye Tuna', 'Mako Shark'], best_months: [12, 1, 2, 3], avg_success_rate: 69.4
+    },
+    {
+        seed_key: 'three-kings-islands', name: 'Three Kings Islands', latitude: -34.17, longitude: 172.13,
+        description: 'Remote islands with pristine fishing',
+        species: ['Marlin', 'Tuna', 'Kingfish', 'Hapuku'], best_months: [1, 2, 3, 4], avg_success_rate: 75.6
+    }
+];
+
+const RECENT_DAYS = 30;
+const NEARBY_KM = 5;
+
+function badRequest(message) {
+    return Object.assign(new Error(message), { status: 400 });
+}
+
+function splitList(value) {
+    return value ? String(value).split(',').map(item => item.trim()).filter(Boolean) : [];
+}
+
+function describeHotspot(row) {
+    return {
+        ...row,
+        species: splitList(row.species_common),
+        best_months: splitList(row.best_months).map(Number)
+    };
+}
+
+// Validates a create (or, with `existing`, an update) body into column values
+async function normaliseHotspot(body, existing = null) {
+    const input = { ...(existing ? describeHotspot(existing) : {}), ...body };
+    const values = {};
+
+    const name = String(input.name || '').trim();
+    if (!name) throw badRequest('name is required');
+    const clash = await get('SELECT id FROM hotspots WHERE LOWER(name) = LOWER(?) AND archived_at IS NULL AND id IS DISTINCT FROM ?',
+        [name, existing ? existing.id : null]);
+    if (clash) throw badRequest(`A hotspot called ${name} already exists`);
+    values.name = name;
+
+    const latitude = Number(input.latitude);
+    const longitude = Number(input.longitude);
+    if (input.latitude === undefined || !Number.isFinite(latitude) || Math.abs(latitude) > 90) {
+        throw badRequest('latitude must be between -90 and 90');
+    }
+    if (input.longitude === undefined || !Number.isFinite(longitude) || Math.abs(longitude) > 180) {
+        throw badRequest('longitude must be between -180 and 180');
+    }
+    Object.assign(values, { latitude, longitude });
+
+    values.description = input.description ? String(input.description).trim() : null;
+
+    // Known species are stored under their profile name; others (snapper,
+    // hapuku...) are kept as written
+    const species = Array.isArray(input.species) ? input.species : splitList(input.species);
+    values.species_common = species.map(s => {
+        const profile = getProfile(s);
+        return profile ? profile.name : String(s).trim();
+    }).join(',') || null;
+
+    const months = Array.isArray(input.best_months) ? input.best_months : splitList(input.best_months);
+    if (!months.every(m => Number.isInteger(Number(m)) && Number(m) >= 1 && Number(m) <= 12)) {
+        throw badRequest('best_months must be months 1-12');
+    }
+    values.best_months = [...new Set(months.map(Number))].join(',') || null;
+
+    if (input.avg_success_rate === undefined || input.avg_success_rate === null || input.avg_success_rate === '') {
+        values.avg_success_rate = null;
+    } else {
+        const rate = Number(input.avg_success_rate);
+        if (!Number.isFinite(rate) || rate < 0 || rate > 100) throw badRequest('avg_success_rate must be between 0 and 100');
+        values.avg_success_rate = rate;
+    }
+
+    return values;
+}
+
+// Shared, visible catches since `since` whose public position is within
+// NEARBY_KM of the hotspot, so a private catch never counts and a fuzzed one
+// counts where the public map shows it. Fuzzing moves a catch by less than
+// twice its owner's fuzz_km, so the index is searched that much wider first.
+async function publicCatchesNear(hotspot, since) {
+    const { fuzz } = await get('SELECT MAX(COALESCE(fuzz_km, 1)) AS fuzz FROM users');
+    const catches = await spatial.nearby('catch_logs', hotspot.latitude, hotspot.longitude, NEARBY_KM + 2 * (fuzz || 1), {
+        columns: 't.*, u.fuzz_method, u.fuzz_km',
+        join: 'JOIN users u ON u.id = t.user_id',
+        where: `t.time_caught > ? AND ${privacy.sharedCondition('t')} AND ${publicCondition('t')}`,
+        params: [since]
+    });
+    return catches.filter(c => {
+        const { lat, lng } = privacy.publicLocation(c);
+        return distanceKm(hotspot.latitude, hotspot.longitude, lat, lng) <= NEARBY_KM;
+    });
+}
+
+// Active hotspots' positions, for the jobs that fetch conditions and score
+// species at each of them
+function activeHotspots() {
+    return all('SELECT id, name, latitude, longitude FROM hotspots WHERE archived_at IS NULL ORDER BY name');
+}
+
+// Active hotspots with recent_catches and avg_weight over the last 30 days;
+// catches logged without a weight count as catches but not toward the average
+async function listHotspots() {
+    const hotspots = await all('SELECT * FROM hotspots WHERE archived_at IS NULL ORDER BY avg_success_rate DESC');
+    const since = new Date(Date.now() - RECENT_DAYS * 86400000).toISOString();
+
+    return Promise.all(hotspots.map(async hotspot => {
+        const nearby = await publicCatchesNear(hotspot, since);
+        const weighed = nearby.filter(c => c.weight != null);
+        return {
+            ...describeHotspot(hotspot),
+            recent_catches: nearby.length,
+            avg_weight: weighed.length ? weighed.reduce((sum, c) => sum + c.weight, 0) / weighed.length : null
+        };
+    }));
+}
+
+async function findHotspot(id) {
+    const row = await get('SELECT * FROM hotspots WHERE id = ? AND archived_at IS NULL', [id]);
+    if (!row) throw Object.assign(new Error('Hotspot not found'), { status: 404 });
+    return row;
+}
+
+async function getHotspot(id) {
+    return describeHotspot(await findHotspot(id));
+}
+
+async function createHotspot(adminId, body) {
+    const values = await normaliseHotspot(body);
+    const columns = Object.keys(values);
+    const { lastID } = await run(`
+        INSERT INTO hotspots (${columns.join(', ')}, updated_at)
+        VALUES (${columns.map(() => '?').join(', ')}, ?)
+    `, [...columns.map(c => values[c]), new Date().toISOString()]);
+    const created = await getHotspot(lastID);
+    await audit.record(adminId, 'hotspot.create', 'hotspot', lastID, { after: created });
+    return created;
+}
+
+async function updateHotspot(adminId, id, body) {
+    const existing = await findHotspot(id);
+    const values = await normaliseHotspot(body, existing);
+    const columns = Object.keys(values);
+    await run(`UPDATE hotspots SET ${columns.map(c => `${c} = ?`).join(', ')}, updated_at = ? WHERE id = ?`,
+        [...columns.map(c => values[c]), new Date().toISOString(), id]);
+    const updated = await getHotspot(id);
+    await audit.record(adminId, 'hotspot.update', 'hotspot', Number(id), { before: describeHotspot(existing), after: updated });
+    return updated;
+}
+
+async function archiveHotspot(adminId, id) {
+    const existing = await findHotspot(id);
+    await run('UPDATE hotspots SET archived_at = ?, updated_at = ? WHERE id = ?',
+        [new Date().toISOString(), new Date().toISOString(), id]);
+    await audit.record(adminId, 'hotspot.archive', 'hotspot', Number(id), { before: describeHotspot(existing) });
+}
+
+module.exports = { SEED_HOTSPOTS, NEARBY_KM, describeHotspot, publicCatchesNear, activeHotspots, listHotspots, getHotspot, createHotspot, updateHotspot, archiveHotspot };
@@ -0,0 +1,78 @@
+// lib/idempotency.js - Client-generated keys that make a POST safe to replay
+//
+// The dashboard sends an Idempotency-Key header (a UUID made when the catch is
+// first submitted) and reuses it on every retry from its offline outbox. The
+// first request claims the key before doing any work; a replay then gets the
+// original result instead of creating a duplicate, and a replay that arrives
+// while the first request is still running gets a 409. The key is stored with
+// a hash of the request body, and reusing it with a different body is refused
+// with a 422 rather than answered with another request's result. Keys are per
+// user and per scope (e.g. 'catch') and are forgotten after KEY_DAYS.
+const crypto = require('crypto');
+const { get, run } = require('./db');
+
+const KEY_PATTERN = /^[A-Za-z0-9_.:-]{8,100}$/;
+const KEY_DAYS = 30;
+
+function keyError(status, message) {
+    return Object.assign(new Error(message), { status });
+}
+
+function checkKey(key) {
+    if (!KEY_PATTERN.test(key)) {
+        throw keyError(400, 'Idempotency-Key must be 8-100 letters, digits or - _ . :');
+    }
+    return key;
+}
+
+// JSON with object keys sorted, so the hash doesn't depend on key order
+function canonical(value) {
+    if (Array.isArray(value)) return `[${value.map(canonical).join(',')}]`;
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonical(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value === undefined ? null : value);
+}
+
+function hashBody(body) {
+    return crypto.createHash('sha256').update(canonical(body)).digest('hex');
+}
+
+// Resolves { replay: resourceId } for a key that already finished, or
+// { replay: null } once this request holds the key
+async function claim(userId, scope, key, body) {
+    checkKey(key);
+    const requestHash = hashBody(body);
+    const cutoff = new Date(Date.now() - KEY_DAYS * 86400000).toISOString();
+    await run('DELETE FROM idempotency_keys WHERE created_at < ?', [cutoff]);
+
+    const { changes } = await run(`
+        INSERT INTO idempotency_keys (user_id, scope, idempotency_key, request_hash, created_at)
+        VALUES (?, ?, ?, ?, ?)
+        ON CONFLICT DO NOTHING
+    `, [userId, scope, key, requestHash, new Date().toISOString()]);
+    if (changes) return { replay: null };
+
+    const row = await get(`
+        SELECT resource_id, request_hash FROM idempotency_keys
+        WHERE user_id = ? AND scope = ? AND idempotency_key = ?
+    `, [userId, scope, key]);
+    if (row && row.request_hash && row.request_hash !== requestHash) {
+        throw keyError(422, 'This Idempotency-Key was already used with a different request body');
+    }
+    if (!row || row.resource_id == null) throw keyError(409, 'A request with this Idempotency-Key is still being processed');
+    return { replay: row.resource_id };
+}
+
+async function complete(userId, scope, key, resourceId) {
+    await run('UPDATE idempotency_keys SET resource_id = ? WHERE user_id = ? AND scope = ? AND idempotency_key = ?',
+        [resourceId, userId, scope, key]);
+}
+
+// Lets the key be used again after the request failed
+async function release(userId, scope, key) {
+    await run('DELETE FROM idempotency_keys WHERE user_id = ? AND scope = ? AND idempotency_key = ? AND resource_id IS NULL',
+        [userId, scope, key]);
+}
+
+module.exports = { claim, complete, release };
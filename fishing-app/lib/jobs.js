@@ -0,0 +1,203 @@
+// lib/jobs.js - Registry of background jobs with run history and retries
+//
+// Each job is an async task with a cron schedule, and/or `after`: other jobs
+// whose successful runs start it (alert evaluation follows the data refresh).
+// Every run is recorded in job_runs with its trigger, duration, result or
+// error. A job never overlaps itself: a run due while one is in progress is
+// recorded as skipped, and a manual trigger gets a 409. A failed run is
+// retried up to `retries` times, waiting retryDelayMs and doubling it after
+// each attempt; a scheduled run in the meantime replaces the pending retry.
+//
+// Runs left 'running' by a process that stopped mid-job are marked failed
+// when the scheduler starts.
+const cron = require('node-cron');
+const { get, all, run } = require('./db');
+
+const DEFAULT_RETRIES = 2;
+const DEFAULT_RETRY_DELAY_MS = 60000;
+const MAX_HISTORY = 200;
+
+const jobs = new Map();
+
+function jobError(status, message) {
+    return Object.assign(new Error(message), { status });
+}
+
+// { description, schedule, after, retries, retryDelayMs, runOnStartup, task }.
+// `task` resolves with a JSON-serialisable summary of what it did.
+function define(name, options) {
+    if (jobs.has(name)) throw new Error(`Job ${name} is already defined`);
+    if (options.schedule && !cron.validate(options.schedule)) throw new Error(`Job ${name} has an invalid schedule`);
+    jobs.set(name, {
+        name,
+        description: options.description || '',
+        schedule: options.schedule || null,
+        after: options.after || [],
+        retries: options.retries === undefined ? DEFAULT_RETRIES : options.retries,
+        retryDelayMs: options.retryDelayMs || DEFAULT_RETRY_DELAY_MS,
+        runOnStartup: Boolean(options.runOnStartup),
+        task: options.task,
+        running: null,       // the run in progress, if any
+        retryTimer: null,
+        nextRetryAt: null
+    });
+}
+
+function findJob(name) {
+    const job = jobs.get(name);
+    if (!job) throw jobError(404, 'Job not found');
+    return job;
+}
+
+function cancelRetry(job) {
+    clearTimeout(job.retryTimer);
+    job.retryTimer = null;
+    job.nextRetryAt = null;
+}
+
+async function finish(runId, status, startedAt, { result = null, error = null } = {}) {
+    const finishedAt = new Date();
+    await run(`
+        UPDATE job_runs SET status = ?, finished_at = ?, duration_ms = ?, result = ?, error = ?
+        WHERE id = ?
+    `, [status, finishedAt.toISOString(), finishedAt - startedAt, result === null ? null : JSON.stringify(result),
+        error, runId]);
+}
+
+// Runs a job now. Resolves with the recorded run once it has finished (the
+// `started` callback gets it as soon as it begins); an overlapping run is
+// recorded as skipped.
+async function execute(job, trigger, { attempt = 1, adminId = null, started } = {}) {
+    const startedAt = new Date();
+    if (job.running) {
+        const { lastID } = await run(`
+            INSERT INTO job_runs (job, trigger, attempt, status, started_at, finished_at, duration_ms, error, triggered_by)
+            VALUES (?, ?, ?, 'skipped', ?, ?, 0, ?, ?)
+        `, [job.name, trigger, attempt, startedAt.toISOString(), startedAt.toISOString(),
+            `Run ${job.running.id} still in progress`, adminId]);
+        return getRun(lastID);
+    }
+    if (trigger !== 'retry') cancelRetry(job);
+
+    job.running = { id: null, trigger, started_at: startedAt.toISOString() };
+    let runId;
+    try {
+        ({ lastID: runId } = await run(`
+            INSERT INTO job_runs (job, trigger, attempt, status, started_at, triggered_by)
+            VALUES (?, ?, ?, 'running', ?, ?)
+        `, [job.name, trigger, attempt, startedAt.toISOString(), adminId]));
+    } catch (error) {
+        job.running = null;
+        throw error;
+    }
+    job.running.id = runId;
+    if (started) started(await getRun(runId));
+
+    let succeeded = false;
+    try {
+        const result = await job.task();
+        await finish(runId, 'succeeded', startedAt, { result: result === undefined ? null : result });
+        succeeded = true;
+    } catch (error) {
+        console.error(`Job ${job.name} failed (attempt ${attempt}):`, error);
+        await finish(runId, 'failed', startedAt, { error: error.message || String(error) });
+        if (attempt <= job.retries) scheduleRetry(job, attempt + 1);
+    } finally {
+        job.running = null;
+    }
+
+    if (succeeded) {
+        jobs.forEach(next => {
+            if (next.after.includes(job.name)) {
+                execute(next, 'after').catch(error => console.error(`Job ${next.name} could not start:`, error));
+            }
+        });
+    }
+    return getRun(runId);
+}
+
+function scheduleRetry(job, attempt) {
+    const delay = job.retryDelayMs * 2 ** (attempt - 2);
+    cancelRetry(job);
+    job.nextRetryAt = new Date(Date.now() + delay).toISOString();
+    job.retryTimer = setTimeout(() => {
+        job.retryTimer = null;
+        job.nextRetryAt = null;
+        execute(job, 'retry', { attempt }).catch(error => console.error(`Job ${job.name} could not start:`, error));
+    }, delay);
+    job.retryTimer.unref();
+}
+
+// Starts a job by hand; resolves with the run as soon as it is under way
+function trigger(name, adminId) {
+    const job = findJob(name);
+    if (job.running) return Promise.reject(jobError(409, `Job ${name} is already running`));
+    return new Promise((resolve, reject) => {
+        execute(job, 'manual', { adminId, started: resolve }).catch(reject);
+    });
+}
+
+async function getRun(id) {
+    const row = await get('SELECT * FROM job_runs WHERE id = ?', [id]);
+    return row && { ...row, result: row.result ? JSON.parse(row.result) : null };
+}
+
+async function listRuns(name, { limit = 50 } = {}) {
+    findJob(name);
+    const rows = await all('SELECT * FROM job_runs WHERE job = ? ORDER BY id DESC LIMIT ?', [name, limit]);
+    return rows.map(row => ({ ...row, result: row.result ? JSON.parse(row.result) : null }));
+}
+
+// Every job with its configuration, current state and latest runs
+async function listJobs() {
+    const latest = await all(`
+        SELECT r.* FROM job_runs r
+        JOIN (SELECT job, MAX(id) AS id FROM job_runs WHERE status != 'skipped' GROUP BY job) l ON l.id = r.id
+    `);
+    const successes = await all(`
+        SELECT job, MAX(finished_at) AS finished_at FROM job_runs WHERE status = 'succeeded' GROUP BY job
+    `);
+    const lastRuns = new Map(latest.map(row => [row.job, row]));
+    const lastSuccess = new Map(successes.map(row => [row.job, row.finished_at]));
+
+    return [...jobs.values()].map(job => {
+        const last = lastRuns.get(job.name);
+        return {
+            name: job.name,
+            description: job.description,
+            schedule: job.schedule,
+            after: job.after,
+            retries: job.retries,
+            running: job.running ? { run_id: job.running.id, trigger: job.running.trigger, started_at: job.running.started_at } : null,
+            next_retry_at: job.nextRetryAt,
+            last_run: last ? { ...last, result: last.result ? JSON.parse(last.result) : null } : null,
+            last_success_at: lastSuccess.get(job.name) || null
+        };
+    });
+}
+
+// Marks interrupted runs, schedules every job and, after `startupDelayMs`,
+// runs the startup jobs one after another
+async function start({ startupDelayMs = 5000 } = {}) {
+    const { changes } = await run(`
+        UPDATE job_runs SET status = 'failed', error = 'Interrupted by a server restart', finished_at = ?
+        WHERE status = 'running'
+    `, [new Date().toISOString()]);
+    if (changes) console.log(`Marked ${changes} interrupted job run(s) as failed`);
+
+    jobs.forEach(job => {
+        if (!job.schedule) return;
+        cron.schedule(job.schedule, () => {
+            execute(job, 'schedule').catch(error => console.error(`Job ${job.name} could not start:`, error));
+        });
+    });
+
+    setTimeout(async () => {
+        for (const job of jobs.values()) {
+            if (!job.runOnStartup) continue;
+            await execute(job, 'startup').catch(error => console.error(`Job ${job.name} could not start:`, error));
+        }
+    }, startupDelayMs);
+}
+
+module.exports = { MAX_HISTORY, define, start, trigger, listJobs, listRuns, getRun };
@@ -0,0 +1,428 @@
+// lib/migrations/001-baseline.js - Every table as of the switch to migrations
+//
+// SQLite databases from before then already have most of these tables, some
+// without the columns later versions added on boot; those columns are added
+// here. Such a database may also hold the duplicate built-in hotspots that
+// every boot re-inserted before seed_key existed, which are merged into the
+// oldest row of each name.
+function tables({ id, real, datetime }) {
+    return [
+        ['users', `
+            id ${id},
+            email TEXT UNIQUE NOT NULL,
+            password_hash TEXT NOT NULL,
+            name TEXT NOT NULL,
+            created_at ${datetime} DEFAULT CURRENT_TIMESTAMP,
+            -- Set when an account is deleted but its catches are kept anonymized
+            deleted_at ${datetime},
+            -- 'user' or 'admin'; ADMIN_EMAILS promotes the first admins on startup
+            role TEXT NOT NULL DEFAULT 'user',
+            -- Catch privacy defaults (see lib/privacy.js)
+            default_visibility TEXT NOT NULL DEFAULT 'public-fuzzed',
+            fuzz_method TEXT NOT NULL DEFAULT 'grid',
+            fuzz_km ${real} NOT NULL DEFAULT 1
+        `],
+        // Sign-in sessions and their rotating refresh tokens (see lib/auth.js)
+        ['sessions', `
+            id TEXT PRIMARY KEY,
+            user_id INTEGER NOT NULL,
+            user_agent TEXT,
+            created_at ${datetime} NOT NULL,
+            last_used_at ${datetime},
+            revoked_at ${datetime},
+            FOREIGN KEY (user_id) REFERENCES users (id)
+        `],
+        ['refresh_tokens', `
+            id ${id},
+            session_id TEXT NOT NULL,
+            token_hash TEXT UNIQUE NOT NULL,
+            created_at ${datetime} NOT NULL,
+            expires_at ${datetime} NOT NULL,
+            used_at ${datetime},
+            FOREIGN KEY (session_id) REFERENCES sessions (id)
+        `],
+        ['password_resets', `
+            id ${id},
+            user_id INTEGER NOT NULL,
+            token_hash TEXT UNIQUE NOT NULL,
+            created_at ${datetime} NOT NULL,
+            expires_at ${datetime} NOT NULL,
+            used_at ${datetime},
+            FOREIGN KEY (user_id) REFERENCES users (id)
+        `],
+        ['environmental_data', `
+            id ${id},
+            latitude ${real} NOT NULL,
+            longitude ${real} NOT NULL,
+            timestamp ${datetime} NOT NULL,
+            sea_temperature ${real},
+            current_speed ${real},
+            current_direction INTEGER,
+            chlorophyll ${real},
+            wind_speed ${real},
+            wind_direction INTEGER,
+            wave_height ${real},
+            source TEXT,
+            fetched_at ${datetime},
+            is_grid INTEGER DEFAULT 0,
+            created_at ${datetime} DEFAULT CURRENT_TIMESTAMP
+        `],
+        ['catch_logs', `
+            id ${id},
+            user_id INTEGER,
+            species TEXT NOT NULL,
+            weight ${real} NOT NULL,
+            length ${real},
+            gear_type TEXT NOT NULL,
+            latitude ${real} NOT NULL,
+            longitude ${real} NOT NULL,
+            depth ${real},
+            water_temp ${real},
+            time_caught ${datetime} NOT NULL,
+            notes TEXT,
+            photo_url TEXT,
+            thumbnail_url TEXT,
+            -- private, public-fuzzed or public-exact (see lib/privacy.js)
+            visibility TEXT NOT NULL DEFAULT 'public-fuzzed',
+            -- Moderation state (see lib/moderation.js)
+            moderation_status TEXT DEFAULT 'visible',
+            moderation_reason TEXT,
+            moderated_by INTEGER,
+            moderated_at ${datetime},
+            trip_id INTEGER,
+            created_at ${datetime} DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (user_id) REFERENCES users (id)
+        `],
+        // Fishing trips and their GPS tracks (see lib/trips.js)
+        ['trips', `
+            id ${id},
+            user_id INTEGER NOT NULL,
+            started_at ${datetime} NOT NULL,
+            ended_at ${datetime},
+            vessel TEXT,
+            crew INTEGER,
+            gear_type TEXT,
+            lines_hours ${real},
+            notes TEXT,
+            track TEXT,
+            track_points INTEGER,
+            track_distance_nm ${real},
+            created_at ${datetime} NOT NULL,
+            updated_at ${datetime} NOT NULL,
+            FOREIGN KEY (user_id) REFERENCES users (id)
+        `],
+        // Uploaded catch photos (files live in lib/storage.js, one photo per catch)
+        ['catch_photos', `
+            id ${id},
+            catch_id INTEGER UNIQUE NOT NULL,
+            user_id INTEGER NOT NULL,
+            original_key TEXT NOT NULL,
+            public_key TEXT NOT NULL,
+            thumbnail_key TEXT NOT NULL,
+            content_type TEXT NOT NULL,
+            width INTEGER,
+            height INTEGER,
+            size INTEGER,
+            exif_latitude ${real},
+            exif_longitude ${real},
+            exif_time ${datetime},
+            created_at ${datetime} DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (catch_id) REFERENCES catch_logs (id),
+            FOREIGN KEY (user_id) REFERENCES users (id)
+        `],
+        ['predictions', `
+            id ${id},
+            latitude ${real} NOT NULL,
+            longitude ${real} NOT NULL,
+            timestamp ${datetime} NOT NULL,
+            species TEXT NOT NULL,
+            probability INTEGER NOT NULL,
+            conditions TEXT,
+            factors TEXT,
+            model_id INTEGER,
+            verified_at ${datetime},
+            created_at ${datetime} DEFAULT CURRENT_TIMESTAMP
+        `],
+        // Provider forecast inputs, one set of hourly rows per issue (see lib/forecast.js)
+        ['environmental_forecasts', `
+            id ${id},
+            latitude ${real} NOT NULL,
+            longitude ${real} NOT NULL,
+            valid_time ${datetime} NOT NULL,
+            sea_temperature ${real},
+            current_speed ${real},
+            current_direction INTEGER,
+            chlorophyll ${real},
+            wind_speed ${real},
+            wind_direction INTEGER,
+            wave_height ${real},
+            source TEXT,
+            issued_at ${datetime} NOT NULL,
+            created_at ${datetime} DEFAULT CURRENT_TIMESTAMP
+        `],
+        // Hourly forecast predictions, kept apart from the nowcasts in predictions
+        ['forecast_predictions', `
+            id ${id},
+            issued_at ${datetime} NOT NULL,
+            hotspot_id INTEGER,
+            hotspot_name TEXT,
+            latitude ${real} NOT NULL,
+            longitude ${real} NOT NULL,
+            species TEXT NOT NULL,
+            valid_time ${datetime} NOT NULL,
+            probability INTEGER NOT NULL,
+            coverage ${real},
+            inputs TEXT,
+            conditions TEXT,
+            factors TEXT,
+            verified_at ${datetime},
+            created_at ${datetime} DEFAULT CURRENT_TIMESTAMP
+        `],
+        // Past predictions checked against later catches and effort (see lib/verification.js)
+        ['prediction_outcomes', `
+            id ${id},
+            source TEXT NOT NULL,
+            prediction_id INTEGER NOT NULL,
+            species TEXT NOT NULL,
+            hotspot_id INTEGER,
+            hotspot_name TEXT,
+            latitude ${real} NOT NULL,
+            longitude ${real} NOT NULL,
+            valid_time ${datetime} NOT NULL,
+            lead_hours ${real},
+            probability INTEGER NOT NULL,
+            outcome INTEGER NOT NULL,
+            catches INTEGER,
+            effort_hours ${real},
+            verified_at ${datetime} DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE (source, prediction_id)
+        `],
+        // Learned per-species prediction models (see lib/model.js)
+        ['prediction_models', `
+            id ${id},
+            species TEXT NOT NULL,
+            version INTEGER NOT NULL,
+            algorithm TEXT NOT NULL,
+            weights TEXT NOT NULL,
+            intercept ${real} NOT NULL,
+            feature_means TEXT NOT NULL,
+            metrics TEXT,
+            positives INTEGER,
+            background INTEGER,
+            is_active INTEGER DEFAULT 0,
+            created_at ${datetime} DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE (species, version)
+        `],
+        // Detected fronts and eddy edges (see lib/fronts.js)
+        ['alerts', `
+            id ${id},
+            type TEXT NOT NULL,
+            priority TEXT NOT NULL,
+            title TEXT NOT NULL,
+            message TEXT,
+            latitude ${real} NOT NULL,
+            longitude ${real} NOT NULL,
+            geometry TEXT NOT NULL,
+            strength ${real} NOT NULL,
+            units TEXT,
+            properties TEXT,
+            source_time ${datetime},
+            detected_at ${datetime} NOT NULL,
+            updated_at ${datetime} NOT NULL,
+            expires_at ${datetime} NOT NULL,
+            created_at ${datetime} DEFAULT CURRENT_TIMESTAMP
+        `],
+        // User alert rules and their delivery history (see lib/rules.js, lib/notify.js)
+        ['alert_rules', `
+            id ${id},
+            user_id INTEGER NOT NULL,
+            name TEXT NOT NULL,
+            species TEXT NOT NULL,
+            hotspot_id INTEGER,
+            area TEXT,
+            min_probability ${real},
+            min_favorability ${real},
+            quiet_start TEXT,
+            quiet_end TEXT,
+            webhook_url TEXT,
+            email TEXT,
+            is_active INTEGER DEFAULT 1,
+            created_at ${datetime} NOT NULL,
+            updated_at ${datetime} NOT NULL,
+            FOREIGN KEY (user_id) REFERENCES users (id)
+        `],
+        ['alert_deliveries', `
+            id ${id},
+            rule_id INTEGER NOT NULL,
+            user_id INTEGER NOT NULL,
+            channel TEXT NOT NULL,
+            target TEXT NOT NULL,
+            dedup_key TEXT NOT NULL,
+            status TEXT NOT NULL,
+            attempts INTEGER DEFAULT 0,
+            last_error TEXT,
+            payload TEXT NOT NULL,
+            next_attempt_at ${datetime},
+            sent_at ${datetime},
+            created_at ${datetime} NOT NULL,
+            UNIQUE (rule_id, channel, dedup_key)
+        `],
+        // Built-in spots have a seed_key (see lib/seed.js); deleted ones are archived
+        ['hotspots', `
+            id ${id},
+            name TEXT NOT NULL,
+            latitude ${real} NOT NULL,
+            longitude ${real} NOT NULL,
+            description TEXT,
+            species_common TEXT,
+            best_months TEXT,
+            avg_success_rate ${real},
+            seed_key TEXT,
+            stats_catches INTEGER,
+            stats_trips INTEGER,
+            stats_updated_at ${datetime},
+            created_at ${datetime} DEFAULT CURRENT_TIMESTAMP,
+            updated_at ${datetime},
+            archived_at ${datetime}
+        `],
+        // Keys of replay-safe requests (see lib/idempotency.js)
+        ['idempotency_keys', `
+            user_id INTEGER NOT NULL,
+            scope TEXT NOT NULL,
+            idempotency_key TEXT NOT NULL,
+            resource_id INTEGER,
+            created_at ${datetime} NOT NULL,
+            PRIMARY KEY (user_id, scope, idempotency_key)
+        `],
+        // Admin actions (see lib/audit.js)
+        ['admin_audit', `
+            id ${id},
+            admin_id INTEGER NOT NULL,
+            action TEXT NOT NULL,
+            target_type TEXT NOT NULL,
+            target_id INTEGER,
+            details TEXT,
+            created_at ${datetime} NOT NULL,
+            FOREIGN KEY (admin_id) REFERENCES users (id)
+        `],
+        // Background job runs (see lib/jobs.js)
+        ['job_runs', `
+            id ${id},
+            job TEXT NOT NULL,
+            trigger TEXT NOT NULL,
+            attempt INTEGER NOT NULL DEFAULT 1,
+            status TEXT NOT NULL,
+            started_at ${datetime} NOT NULL,
+            finished_at ${datetime},
+            duration_ms INTEGER,
+            result TEXT,
+            error TEXT,
+            triggered_by INTEGER,
+            FOREIGN KEY (triggered_by) REFERENCES users (id)
+        `]
+    ];
+}
+
+const INDEXES = [
+    'idx_env_forecasts_issue ON environmental_forecasts (issued_at, valid_time)',
+    'idx_forecast_predictions_species ON forecast_predictions (species, issued_at, valid_time)',
+    'idx_prediction_outcomes_time ON prediction_outcomes (valid_time, species)',
+    'idx_alerts_expiry ON alerts (expires_at, type)',
+    'idx_alert_deliveries_due ON alert_deliveries (status, next_attempt_at)',
+    'idx_job_runs_job ON job_runs (job, id)'
+];
+
+// Columns pre-migration versions added to existing tables on boot
+const LATER_COLUMNS = [
+    ['users', 'deleted_at', 'DATETIME'],
+    ['users', 'role', "TEXT NOT NULL DEFAULT 'user'"],
+    ['users', 'default_visibility', "TEXT NOT NULL DEFAULT 'public-fuzzed'"],
+    ['users', 'fuzz_method', "TEXT NOT NULL DEFAULT 'grid'"],
+    ['users', 'fuzz_km', 'REAL NOT NULL DEFAULT 1'],
+    ['environmental_data', 'source', 'TEXT'],
+    ['environmental_data', 'fetched_at', 'DATETIME'],
+    ['environmental_data', 'is_grid', 'INTEGER DEFAULT 0'],
+    ['catch_logs', 'thumbnail_url', 'TEXT'],
+    ['catch_logs', 'visibility', "TEXT NOT NULL DEFAULT 'public-fuzzed'"],
+    ['catch_logs', 'moderation_status', "TEXT DEFAULT 'visible'"],
+    ['catch_logs', 'moderation_reason', 'TEXT'],
+    ['catch_logs', 'moderated_by', 'INTEGER'],
+    ['catch_logs', 'moderated_at', 'DATETIME'],
+    ['catch_logs', 'trip_id', 'INTEGER'],
+    ['predictions', 'model_id', 'INTEGER'],
+    ['predictions', 'verified_at', 'DATETIME'],
+    ['forecast_predictions', 'verified_at', 'DATETIME'],
+    ['hotspots', 'seed_key', 'TEXT'],
+    ['hotspots', 'updated_at', 'DATETIME'],
+    ['hotspots', 'archived_at', 'DATETIME'],
+    ['hotspots', 'stats_catches', 'INTEGER'],
+    ['hotspots', 'stats_trips', 'INTEGER'],
+    ['hotspots', 'stats_updated_at', 'DATETIME']
+];
+
+// Names the built-in hotspots were seeded under before they had a seed_key
+const LEGACY_SEEDS = [
+    ['bay-of-islands', 'Bay of Islands'],
+    ['north-cape', 'North Cape'],
+    ['king-bank', 'King Bank'],
+    ['middlesex-bank', 'Middlesex Bank'],
+    ['three-kings-islands', 'Three Kings Islands']
+];
+
+// Tables holding a hotspot id that must follow a merged duplicate
+const HOTSPOT_REFERENCES = [['alert_rules', 'hotspot_id'], ['forecast_predictions', 'hotspot_id']];
+
+async function sqliteColumns(db, table) {
+    return (await db.all(`PRAGMA table_info(${table})`)).map(column => column.name);
+}
+
+async function mergeDuplicateHotspots(db) {
+    const duplicates = 'SELECT id FROM hotspots WHERE id NOT IN (SELECT MIN(id) FROM hotspots GROUP BY name)';
+    for (const [table, column] of HOTSPOT_REFERENCES) {
+        await db.run(`
+            UPDATE ${table} SET ${column} = (
+                SELECT MIN(keep.id) FROM hotspots dup JOIN hotspots keep ON keep.name = dup.name
+                WHERE dup.id = ${table}.${column}
+            )
+            WHERE ${column} IN (${duplicates})
+        `);
+    }
+    const { changes } = await db.run(`DELETE FROM hotspots WHERE id IN (${duplicates})`);
+    if (changes) console.log(`Merged ${changes} duplicate hotspot rows`);
+
+    for (const [seedKey, name] of LEGACY_SEEDS) {
+        await db.run('UPDATE hotspots SET seed_key = ? WHERE name = ?', [seedKey, name]);
+    }
+}
+
+async function up(db) {
+    // Only SQLite databases can predate migrations
+    const legacy = db.dialect === 'sqlite';
+    const hotspotColumns = legacy ? await sqliteColumns(db, 'hotspots') : [];
+    const legacyHotspots = hotspotColumns.length > 0 && !hotspotColumns.includes('seed_key');
+
+    for (const [table, columns] of tables(db.types)) {
+        await db.run(`CREATE TABLE IF NOT EXISTS ${table} (${columns})`);
+    }
+    if (legacy) {
+        const existing = {};
+        for (const [table, column, definition] of LATER_COLUMNS) {
+            existing[table] = existing[table] || await sqliteColumns(db, table);
+            if (!existing[table].includes(column)) await db.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+        }
+    }
+    if (legacyHotspots) await mergeDuplicateHotspots(db);
+
+    for (const index of INDEXES) {
+        await db.run(`CREATE INDEX IF NOT EXISTS ${index}`);
+    }
+    await db.run('CREATE UNIQUE INDEX IF NOT EXISTS idx_hotspots_seed_key ON hotspots (seed_key)');
+}
+
+async function down(db) {
+    for (const [table] of tables(db.types).reverse()) {
+        await db.run(`DROP TABLE IF EXISTS ${table}`);
+    }
+}
+
+module.exports = { up, down };
@@ -0,0 +1,58 @@
+// lib/migrations/002-spatial-index.js - Indexes behind the radius lookups in lib/spatial.js
+//
+// On SQLite each point table gets a <table>_rtree, kept in step by triggers,
+// and any rows that predate it are indexed. Postgres narrows the bounding box
+// with an ordinary index on (latitude, longitude) instead.
+const INDEXED_TABLES = ['environmental_data', 'environmental_forecasts', 'catch_logs'];
+
+async function up(db) {
+    for (const table of INDEXED_TABLES) {
+        if (db.dialect !== 'sqlite') {
+            await db.run(`CREATE INDEX IF NOT EXISTS idx_${table}_position ON ${table} (latitude, longitude)`);
+            continue;
+        }
+
+        const index = `${table}_rtree`;
+        await db.run(`CREATE VIRTUAL TABLE IF NOT EXISTS ${index} USING rtree(id, min_lat, max_lat, min_lng, max_lng)`);
+        await db.run(`
+            CREATE TRIGGER IF NOT EXISTS ${index}_insert AFTER INSERT ON ${table} BEGIN
+                INSERT INTO ${index} VALUES (new.id, new.latitude, new.latitude, new.longitude, new.longitude);
+            END
+        `);
+        await db.run(`
+            CREATE TRIGGER IF NOT EXISTS ${index}_update AFTER UPDATE OF latitude, longitude ON ${table} BEGIN
+                UPDATE ${index} SET min_lat = new.latitude, max_lat = new.latitude,
+                    min_lng = new.longitude, max_lng = new.longitude
+                WHERE id = new.id;
+            END
+        `);
+        await db.run(`
+            CREATE TRIGGER IF NOT EXISTS ${index}_delete AFTER DELETE ON ${table} BEGIN
+                DELETE FROM ${index} WHERE id = old.id;
+            END
+        `);
+        const { changes } = await db.run(`
+            INSERT INTO ${index} (id, min_lat, max_lat, min_lng, max_lng)
+            SELECT id, latitude, latitude, longitude, longitude FROM ${table}
+            WHERE id NOT IN (SELECT id FROM ${index})
+        `);
+        if (changes) console.log(`Indexed ${changes} ${table} rows`);
+    }
+}
+
+async function down(db) {
+    for (const table of INDEXED_TABLES) {
+        if (db.dialect !== 'sqlite') {
+            await db.run(`DROP INDEX IF EXISTS idx_${table}_position`);
+            continue;
+        }
+
+        const index = `${table}_rtree`;
+        for (const trigger of ['insert', 'update', 'delete']) {
+            await db.run(`DROP TRIGGER IF EXISTS ${index}_${trigger}`);
+        }
+        await db.run(`DROP TABLE IF EXISTS ${index}`);
+    }
+}
+
+module.exports = { up, down };
@@ -0,0 +1,25 @@
+// lib/migrations/003-email-verification.js - Verified account emails
+//
+// Alert emails only go to the account's own address once it has been verified
+// (see lib/auth.js). Existing accounts start unverified.
+async function up(db) {
+    const { id, datetime } = db.types;
+    await db.run(`ALTER TABLE users ADD COLUMN email_verified_at ${datetime}`);
+    await db.run(`CREATE TABLE IF NOT EXISTS email_verifications (
+        id ${id},
+        user_id INTEGER NOT NULL,
+        email TEXT NOT NULL,
+        token_hash TEXT UNIQUE NOT NULL,
+        created_at ${datetime} NOT NULL,
+        expires_at ${datetime} NOT NULL,
+        used_at ${datetime},
+        FOREIGN KEY (user_id) REFERENCES users (id)
+    )`);
+}
+
+async function down(db) {
+    await db.run('DROP TABLE IF EXISTS email_verifications');
+    await db.run('ALTER TABLE users DROP COLUMN email_verified_at');
+}
+
+module.exports = { up, down };
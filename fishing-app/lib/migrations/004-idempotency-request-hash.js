@@ -0,0 +1,13 @@
+// lib/migrations/004-idempotency-request-hash.js - Request body hashes for idempotency keys
+//
+// A replay must carry the same body as the request that claimed its key (see
+// lib/idempotency.js). Keys claimed before this have no hash and aren't compared.
+async function up(db) {
+    await db.run('ALTER TABLE idempotency_keys ADD COLUMN request_hash TEXT');
+}
+
+async function down(db) {
+    await db.run('ALTER TABLE idempotency_keys DROP COLUMN request_hash');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,74 @@
+// lib/migrations/index.js - Numbered schema migrations, recorded in schema_migrations
+//
+// Each NNN-name.js in this directory exports up(db) and down(db). Both get a
+// transaction handle (see lib/db.js), so a migration and its schema_migrations
+// row are applied or reverted together. The server applies pending migrations
+// before it starts listening; migrate.js applies, reverts and lists them by hand.
+const fs = require('fs');
+const path = require('path');
+const db = require('../db');
+
+const FILE_PATTERN = /^(\d+)-(.+)\.js$/;
+
+function loadMigrations() {
+    return fs.readdirSync(__dirname)
+        .map(file => file.match(FILE_PATTERN))
+        .filter(Boolean)
+        .map(([file, version, name]) => ({ version: Number(version), name, ...require(path.join(__dirname, file)) }))
+        .sort((a, b) => a.version - b.version);
+}
+
+async function appliedMigrations() {
+    await db.run(`CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at ${db.types.datetime} NOT NULL
+    )`);
+    return db.all('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+}
+
+// Applies every pending migration, oldest first; resolves with those applied
+async function latest() {
+    const applied = new Set((await appliedMigrations()).map(row => row.version));
+    const migrated = [];
+    for (const migration of loadMigrations()) {
+        if (applied.has(migration.version)) continue;
+        await db.transaction(async tx => {
+            await migration.up(tx);
+            await tx.run('INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)',
+                [migration.version, migration.name, new Date().toISOString()]);
+        });
+        console.log(`Applied migration ${migration.version} ${migration.name}`);
+        migrated.push({ version: migration.version, name: migration.name });
+    }
+    return migrated;
+}
+
+// Reverts the last `steps` applied migrations, newest first
+async function rollback(steps = 1) {
+    const count = Number(steps);
+    if (!Number.isInteger(count) || count < 1) throw new Error('steps must be a positive whole number');
+
+    const available = new Map(loadMigrations().map(migration => [migration.version, migration]));
+    const applied = (await appliedMigrations()).reverse().slice(0, count);
+    const reverted = [];
+    for (const { version, name } of applied) {
+        const migration = available.get(version);
+        if (!migration) throw new Error(`Migration ${version} ${name} is applied but missing from lib/migrations`);
+        await db.transaction(async tx => {
+            await migration.down(tx);
+            await tx.run('DELETE FROM schema_migrations WHERE version = ?', [version]);
+        });
+        console.log(`Reverted migration ${version} ${name}`);
+        reverted.push({ version, name });
+    }
+    return reverted;
+}
+
+// Every known migration with when it was applied (null while pending)
+async function status() {
+    const applied = new Map((await appliedMigrations()).map(row => [row.version, row.applied_at]));
+    return loadMigrations().map(({ version, name }) => ({ version, name, applied_at: applied.get(version) || null }));
+}
+
+module.exports = { latest, rollback, status };
@@ -0,0 +1,385 @@
+// lib/model.js - Per-species catch models learned from logged catches
+//
+// Presence/background logistic regression: catches (joined with the
+// nearest-in-time environmental_data row) are presences, a seeded sample of
+// stored environmental_data rows is the background. Logged trip effort adds
+// true absences - hours anglers fished a tracked spot without catching the
+// species - which take the place of part of the background. Features are the
+// species profile's range fractions (0-1) for each environmental factor, so
+// the learned weights read as "how much this factor matters" for that species.
+const { get, all, run, sql } = require('./db');
+const { getProfile, listProfiles } = require('./species');
+const { rangeFraction } = require('./scoring');
+const { publicCondition } = require('./moderation');
+const trips = require('./trips');
+const spatial = require('./spatial');
+
+const FEATURES = ['sea_temperature', 'current_speed', 'chlorophyll', 'wind_speed', 'wave_height'];
+const MIN_CATCHES = 10;
+const RETRAIN_AFTER_CATCHES = 25;
+const BACKGROUND_RATIO = 3;
+const MAX_JOIN_HOURS = 48;
+const JOIN_KM = 25;
+const SEED = 20240214;
+
+// Small deterministic PRNG so background samples (and therefore model
+// versions trained on the same data) are reproducible
+function mulberry32(seed) {
+    let a = seed >>> 0;
+    return () => {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function sigmoid(z) {
+    return 1 / (1 + Math.exp(-z));
+}
+
+// Maps a conditions row onto model features; missing values stay null and are
+// imputed with the training means at fit/predict time
+function extractFeatures(conditions, profile) {
+    return FEATURES.map(column => {
+        const value = conditions[column];
+        const range = profile.ranges[column];
+        return typeof value === 'number' && Number.isFinite(value) && range
+            ? rangeFraction(value, range)
+            : null;
+    });
+}
+
+function impute(features, means) {
+    return features.map((value, i) => (value == null ? means[i] : value));
+}
+
+// Closest-in-time observation within JOIN_KM; of equally close ones, the nearest
+async function nearestConditions(latitude, longitude, time) {
+    const [row] = await spatial.nearby('environmental_data', latitude, longitude, JOIN_KM, {
+        where: `t.is_grid = 0 AND ${sql.hoursBetween('t.timestamp', '?')} <= ?`,
+        params: [time, MAX_JOIN_HOURS, time],
+        orderBy: `${sql.hoursBetween('t.timestamp', '?')}, distance_km`,
+        limit: 1
+    });
+    return row || null;
+}
+
+// Joins each catch with the closest-in-time environmental row near it, as
+// nearestConditions does but for every catch in one batched lookup. The
+// angler's own water temperature reading overrides the gridded SST. Catches
+// held or hidden by moderation are left out.
+async function loadPresences(profile) {
+    const catches = await all(`
+        SELECT id, latitude, longitude, time_caught, water_temp
+        FROM catch_logs
+        WHERE species = ? AND ${publicCondition()}
+    `, [profile.name]);
+
+    const joined = new Map();
+    if (catches.length) {
+        const hours = sql.hoursBetween('t.timestamp', 'p.time_caught');
+        const rows = await spatial.nearbyEach('environmental_data', 'catch_logs', catches, JOIN_KM, {
+            columns: `${FEATURES.map(column => `t.${column}`).join(', ')}, ${hours} AS hours`,
+            where: `t.is_grid = 0 AND ${hours} <= ?`,
+            params: [MAX_JOIN_HOURS]
+        });
+        // Rows come nearest first, so of equally close times the nearest is kept
+        rows.forEach(row => {
+            const best = joined.get(row.point_id);
+            if (!best || row.hours < best.hours) joined.set(row.point_id, row);
+        });
+    }
+
+    const presences = [];
+    for (const catch_ of catches) {
+        const env = joined.get(catch_.id);
+        if (!env && catch_.water_temp == null) continue;
+
+        const conditions = { ...(env || {}) };
+        if (catch_.water_temp != null) conditions.sea_temperature = catch_.water_temp;
+        presences.push(extractFeatures(conditions, profile));
+    }
+    return presences;
+}
+
+// Up to `count` effort absences that have environmental data, in a seeded order
+async function loadAbsences(profile, count, random) {
+    const points = await trips.absencePoints(profile.name);
+    const absences = [];
+    while (points.length && absences.length < count) {
+        const [point] = points.splice(Math.floor(random() * points.length), 1);
+        const env = await nearestConditions(point.lat, point.lng, point.time);
+        if (env) absences.push(extractFeatures(env, profile));
+    }
+    return absences;
+}
+
+async function loadBackground(profile, count, random) {
+    const rows = await all(`SELECT ${FEATURES.join(', ')} FROM environmental_data WHERE is_grid = 0`);
+    const sample = [];
+    for (let i = 0; i < count && rows.length > 0; i++) {
+        sample.push(extractFeatures(rows[Math.floor(random() * rows.length)], profile));
+    }
+    return sample;
+}
+
+// Builds a labelled dataset and a deterministic 80/20 train/test split
+async function buildDataset(profile) {
+    const random = mulberry32(SEED);
+    const presences = await loadPresences(profile);
+    const absences = await loadAbsences(profile, presences.length * BACKGROUND_RATIO, random);
+    const background = await loadBackground(profile, presences.length * BACKGROUND_RATIO - absences.length, random);
+
+    const samples = [
+        ...presences.map(x => ({ x, y: 1 })),
+        ...absences.map(x => ({ x, y: 0 })),
+        ...background.map(x => ({ x, y: 0 }))
+    ];
+    samples.forEach(s => { s.fold = random() < 0.8 ? 'train' : 'test'; });
+
+    return {
+        samples,
+        positives: presences.length,
+        background: absences.length + background.length,
+        effort_absences: absences.length
+    };
+}
+
+function featureMeans(samples) {
+    return FEATURES.map((_, i) => {
+        const values = samples.map(s => s.x[i]).filter(v => v != null);
+        return values.length ? values.reduce((a, b) => a + b, 0) / values.length : 0.5;
+    });
+}
+
+// Batch gradient descent with L2 regularisation; features are already 0-1
+function fitLogistic(samples, means, { iterations = 2000, learningRate = 0.5, l2 = 0.01 } = {}) {
+    const weights = FEATURES.map(() => 0);
+    let intercept = 0;
+    const rows = samples.map(s => ({ x: impute(s.x, means), y: s.y }));
+
+    for (let iter = 0; iter < iterations; iter++) {
+        const gradW = weights.map(() => 0);
+        let gradB = 0;
+        rows.forEach(({ x, y }) => {
+            const error = sigmoid(intercept + x.reduce((sum, v, i) => sum + v * weights[i], 0)) - y;
+            x.forEach((v, i) => { gradW[i] += error * v; });
+            gradB += error;
+        });
+        weights.forEach((w, i) => {
+            weights[i] -= learningRate * (gradW[i] / rows.length + l2 * w);
+        });
+        intercept -= learningRate * gradB / rows.length;
+    }
+
+    return { weights, intercept };
+}
+
+function predictProbability(model, features) {
+    const x = impute(features, model.feature_means);
+    return sigmoid(model.intercept + x.reduce((sum, v, i) => sum + v * model.weights[i], 0));
+}
+
+// Log loss, accuracy at 0.5 and ROC AUC (rank-based) on the given samples
+function evaluate(model, samples) {
+    if (samples.length === 0) {
+        return { samples: 0, log_loss: null, accuracy: null, auc: null };
+    }
+
+    const scored = samples.map(s => ({ p: predictProbability(model, s.x), y: s.y }));
+    const eps = 1e-9;
+    const logLoss = -scored.reduce((sum, { p, y }) =>
+        sum + (y ? Math.log(p + eps) : Math.log(1 - p + eps)), 0) / scored.length;
+    const accuracy = scored.filter(({ p, y }) => (p >= 0.5 ? 1 : 0) === y).length / scored.length;
+
+    const positives = scored.filter(s => s.y === 1);
+    const negatives = scored.filter(s => s.y === 0);
+    let auc = null;
+    if (positives.length && negatives.length) {
+        let wins = 0;
+        positives.forEach(pos => negatives.forEach(neg => {
+            wins += pos.p > neg.p ? 1 : pos.p === neg.p ? 0.5 : 0;
+        }));
+        auc = wins / (positives.length * negatives.length);
+    }
+
+    const round = v => (v == null ? null : Math.round(v * 1000) / 1000);
+    return { samples: scored.length, log_loss: round(logLoss), accuracy: round(accuracy), auc: round(auc) };
+}
+
+function parseModel(row) {
+    if (!row) return null;
+    return {
+        ...row,
+        weights: JSON.parse(row.weights),
+        feature_means: JSON.parse(row.feature_means),
+        metrics: JSON.parse(row.metrics),
+        is_active: Boolean(row.is_active)
+    };
+}
+
+// Trains a new model version for a species and (by default) activates it
+async function trainModel(species, { activate = true } = {}) {
+    const profile = getProfile(species);
+    if (!profile) {
+        throw Object.assign(new Error(`Unknown species: ${species}`), { status: 400 });
+    }
+
+    const dataset = await buildDataset(profile);
+    if (dataset.positives < MIN_CATCHES) {
+        throw Object.assign(
+            new Error(`At least ${MIN_CATCHES} catches with environmental data are needed to train ${profile.name} (have ${dataset.positives})`),
+            { status: 422 }
+        );
+    }
+
+    const train = dataset.samples.filter(s => s.fold === 'train');
+    const test = dataset.samples.filter(s => s.fold === 'test');
+    const means = featureMeans(train);
+    const fitted = fitLogistic(train, means);
+    const model = { ...fitted, feature_means: means };
+    const metrics = {
+        train: evaluate(model, train),
+        test: evaluate(model, test),
+        features: FEATURES,
+        effort_absences: dataset.effort_absences
+    };
+
+    const latest = await get('SELECT MAX(version) AS version FROM prediction_models WHERE species = ?', [profile.name]);
+    const version = (latest && latest.version ? latest.version : 0) + 1;
+
+    const result = await run(`
+        INSERT INTO prediction_models
+        (species, version, algorithm, weights, intercept, feature_means, metrics, positives, background, is_active)
+        VALUES (?, ?, 'logistic_regression', ?, ?, ?, ?, ?, ?, 0)
+    `, [profile.name, version, JSON.stringify(fitted.weights), fitted.intercept, JSON.stringify(means),
+        JSON.stringify(metrics), dataset.positives, dataset.background]);
+
+    if (activate) {
+        await activateModel(result.lastID);
+    }
+    return getModel(result.lastID);
+}
+
+async function activateModel(id) {
+    const model = await get('SELECT species FROM prediction_models WHERE id = ?', [id]);
+    if (!model) return null;
+    await run('UPDATE prediction_models SET is_active = 0 WHERE species = ?', [model.species]);
+    await run('UPDATE prediction_models SET is_active = 1 WHERE id = ?', [id]);
+    return getModel(id);
+}
+
+async function getModel(id) {
+    return parseModel(await get('SELECT * FROM prediction_models WHERE id = ?', [id]));
+}
+
+async function getActiveModel(species) {
+    return parseModel(await get(
+        'SELECT * FROM prediction_models WHERE species = ? AND is_active = 1', [species]
+    ));
+}
+
+async function listModels(species) {
+    const rows = species
+        ? await all('SELECT * FROM prediction_models WHERE species = ? ORDER BY version DESC', [species])
+        : await all('SELECT * FROM prediction_models ORDER BY species, version DESC');
+    return rows.map(parseModel);
+}
+
+// Scores every requested version of a species' model against the same,
+// freshly built dataset so the numbers are directly comparable
+async function compareModels(species, versions) {
+    const profile = getProfile(species);
+    if (!profile) {
+        throw Object.assign(new Error(`Unknown species: ${species}`), { status: 400 });
+    }
+
+    let models = await listModels(profile.name);
+    if (versions && versions.length) {
+        models = models.filter(m => versions.includes(m.version));
+    }
+
+    const dataset = await buildDataset(profile);
+    return {
+        species: profile.name,
+        positives: dataset.positives,
+        background: dataset.background,
+        effort_absences: dataset.effort_absences,
+        models: models.map(m => ({
+            id: m.id,
+            version: m.version,
+            is_active: m.is_active,
+            created_at: m.created_at,
+            weights: Object.fromEntries(FEATURES.map((f, i) => [f, Math.round(m.weights[i] * 1000) / 1000])),
+            trained: m.metrics,
+            current: evaluate(m, dataset.samples)
+        }))
+    };
+}
+
+// Probability (0-100) from the species' active model, or null if none is active
+async function predictWithModel(species, conditions) {
+    const profile = getProfile(species);
+    const model = profile && await getActiveModel(profile.name);
+    if (!model) return null;
+
+    return {
+        probability: Math.round(predictProbability(model, extractFeatures(conditions, profile)) * 100),
+        model_id: model.id,
+        model_version: model.version
+    };
+}
+
+// The species' active model as a plain function for scoring many points at
+// once (conditions -> probability 0-100, unrounded), or null without one
+async function loadPredictor(species) {
+    const profile = getProfile(species);
+    const model = profile && await getActiveModel(profile.name);
+    if (!model) return null;
+    return conditions => predictProbability(model, extractFeatures(conditions, profile)) * 100;
+}
+
+async function countCatchesSince(species, since) {
+    const row = await get(
+        `SELECT COUNT(*) AS count FROM catch_logs WHERE species = ? AND created_at > ? AND ${publicCondition()}`, [species, since]
+    );
+    return row.count;
+}
+
+// Trains a new version of each species' model once RETRAIN_AFTER_CATCHES
+// catches have come in since the active one was trained (or MIN_CATCHES, for
+// a first one). Run by the model-retraining job, so training never holds up a
+// request; returns the versions trained.
+async function retrainDueModels() {
+    const trained = [];
+    for (const profile of listProfiles()) {
+        const active = await getActiveModel(profile.name);
+        const newCatches = await countCatchesSince(profile.name, active ? active.created_at : '1970-01-01');
+        if (newCatches < (active ? RETRAIN_AFTER_CATCHES : MIN_CATCHES)) continue;
+
+        try {
+            const model = await trainModel(profile.name);
+            trained.push({ species: model.species, version: model.version, new_catches: newCatches });
+        } catch (error) {
+            if (error.status !== 422) throw error; // not enough catches joined with conditions yet
+        }
+    }
+    return trained;
+}
+
+module.exports = {
+    FEATURES,
+    MIN_CATCHES,
+    trainModel,
+    retrainDueModels,
+    activateModel,
+    getModel,
+    getActiveModel,
+    listModels,
+    compareModels,
+    predictWithModel,
+    loadPredictor,
+    countCatchesSince
+};
@@ -0,0 +1,101 @@
+// lib/moderation.js - Screening and admin moderation of logged catches
+//
+// catch_logs.moderation_status is one of:
+//   visible   the default; shown publicly
+//   flagged   in the moderation queue (put there by screening or an admin) and
+//             kept out of public feeds, stats and model training until reviewed
+//   hidden    taken down by an admin; only the owner still sees it
+//   approved  reviewed and public; screening leaves it alone until it's edited
+// Admin actions are written to the audit log with the catch before and after.
+const { all, run } = require('./db');
+const { getProfile } = require('./species');
+const catchLog = require('./catches');
+const audit = require('./audit');
+
+const STATUSES = ['visible', 'flagged', 'hidden', 'approved'];
+const ACTIONS = { hide: 'hidden', flag: 'flagged', approve: 'approved', restore: 'visible' };
+
+// WHERE condition for catches that may appear publicly
+function publicCondition(alias) {
+    return `${alias ? `${alias}.` : ''}moderation_status IN ('visible', 'approved')`;
+}
+
+// Reasons a catch looks wrong, e.g. a 900 kg albacore; empty when it looks fine
+function suspicionReasons(c) {
+    const reasons = [];
+    const profile = getProfile(c.species);
+    if (profile && profile.maxWeight && c.weight > profile.maxWeight) {
+        reasons.push(`${c.weight} kg is heavier than any ${profile.name} on record (max ${profile.maxWeight} kg)`);
+    }
+    return reasons;
+}
+
+// Flags suspicious catches that haven't been reviewed yet, optionally only one
+// catch or one angler's; returns the ids flagged
+async function screenCatches({ catchId, userId } = {}) {
+    const where = ["moderation_status = 'visible'"];
+    const params = [];
+    if (catchId) {
+        where.push('id = ?');
+        params.push(catchId);
+    }
+    if (userId) {
+        where.push('user_id = ?');
+        params.push(userId);
+    }
+
+    const flagged = [];
+    const rows = await all(`SELECT id, species, weight FROM catch_logs WHERE ${where.join(' AND ')}`, params);
+    for (const row of rows) {
+        const reasons = suspicionReasons(row);
+        if (!reasons.length) continue;
+        await run(`
+            UPDATE catch_logs SET moderation_status = 'flagged', moderation_reason = ?, moderated_by = NULL, moderated_at = ?
+            WHERE id = ?
+        `, [reasons.join('; '), new Date().toISOString(), row.id]);
+        flagged.push(row.id);
+    }
+    return flagged;
+}
+
+async function listQueue({ status = 'flagged', limit = 100 } = {}) {
+    return all(`
+        SELECT cl.*, u.name AS angler_name, u.email AS angler_email
+        FROM catch_logs cl
+        JOIN users u ON u.id = cl.user_id
+        WHERE cl.moderation_status = ?
+        ORDER BY cl.moderated_at DESC, cl.id DESC
+        LIMIT ?
+    `, [status, limit]);
+}
+
+async function setStatus(catchId, status, reason, adminId) {
+    await run(`
+        UPDATE catch_logs SET moderation_status = ?, moderation_reason = ?, moderated_by = ?, moderated_at = ?
+        WHERE id = ?
+    `, [status, reason, adminId, new Date().toISOString(), catchId]);
+}
+
+// action: hide | flag | approve | restore
+async function moderateCatch(adminId, catchId, action, reason) {
+    const status = ACTIONS[action];
+
+    const before = await catchLog.getAnyCatch(catchId);
+    await setStatus(before.id, status, reason ? String(reason) : before.moderation_reason, adminId);
+    const after = await catchLog.getAnyCatch(catchId);
+    await audit.record(adminId, `catch.${action}`, 'catch', before.id, { reason: reason || null, before, after });
+    return after;
+}
+
+// Fixes the fields given (say weight 900 -> 9.0) and marks the catch reviewed
+async function correctCatch(adminId, catchId, body) {
+    const { reason, ...fields } = body || {};
+    const before = await catchLog.getAnyCatch(catchId);
+    await catchLog.correctCatch(before.id, fields);
+    await setStatus(before.id, 'approved', reason ? String(reason) : 'Corrected by moderator', adminId);
+    const after = await catchLog.getAnyCatch(catchId);
+    await audit.record(adminId, 'catch.correct', 'catch', before.id, { reason: reason || null, before, after });
+    return after;
+}
+
+module.exports = { STATUSES, ACTIONS, publicCondition, suspicionReasons, screenCatches, listQueue, moderateCatch, correctCatch };
@@ -0,0 +1,225 @@
+// lib/notify.js - Outgoing webhook and SMTP email deliveries with retries
+//
+// Notifications are queued in alert_deliveries first, then sent. The
+// (rule_id, channel, dedup_key) unique key means the same match is never queued
+// twice, and failed sends are retried with backoff until MAX_ATTEMPTS. Point
+// SMTP_HOST/SMTP_PORT and webhook URLs at a local sink (MailHog, a request bin)
+// to try deliveries without sending anything real.
+//
+// Webhooks may only reach public addresses: the URL's host is checked when a
+// rule is saved and again on every send, and the connection itself resolves
+// through publicLookup so a hostname can't switch to a private address in
+// between. Redirects are not followed. WEBHOOK_ALLOW_PRIVATE=true lifts the
+// address check for local sinks in development. Alert emails only go to the
+// rule owner's own verified address, checked again when sent.
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const axios = require('axios');
+const nodemailer = require('nodemailer');
+const { get, all, run } = require('./db');
+
+const RETRY_DELAYS_MINUTES = [1, 5, 15, 60];
+const MAX_ATTEMPTS = RETRY_DELAYS_MINUTES.length + 1;
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+let mailer = null;
+let processing = null;
+
+function permanent(message) {
+    return Object.assign(new Error(message), { permanent: true });
+}
+
+// Loopback, private, CGNAT, link-local (cloud metadata), unique-local,
+// multicast and other non-public ranges
+const PRIVATE_RANGES = new net.BlockList();
+[['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]]
+    .forEach(([address, prefix]) => PRIVATE_RANGES.addSubnet(address, prefix, 'ipv4'));
+[['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]
+    .forEach(([address, prefix]) => PRIVATE_RANGES.addSubnet(address, prefix, 'ipv6'));
+
+function isPrivateAddress(address) {
+    const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+    if (mapped) return PRIVATE_RANGES.check(mapped[1], 'ipv4');
+    return PRIVATE_RANGES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+const allowPrivate = () => process.env.WEBHOOK_ALLOW_PRIVATE === 'true';
+
+function privateHost(hostname, address) {
+    return permanent(`Webhook host ${hostname} is a private address (${address})`);
+}
+
+// dns.lookup for the webhook agents, refusing private addresses
+function publicLookup(hostname, options, callback) {
+    const settings = typeof options === 'object' ? options : { family: options };
+    dns.lookup(hostname, { ...settings, all: true }, (error, addresses) => {
+        if (error) return callback(error);
+        const blocked = !allowPrivate() && addresses.find(entry => isPrivateAddress(entry.address));
+        if (blocked) return callback(privateHost(hostname, blocked.address));
+        if (settings.all) return callback(null, addresses);
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+}
+
+const agents = {
+    httpAgent: new http.Agent({ lookup: publicLookup }),
+    httpsAgent: new https.Agent({ lookup: publicLookup })
+};
+
+// Resolves when `target` is an http(s) URL whose host is a public address;
+// otherwise rejects with a permanent error saying why
+async function checkWebhookUrl(target) {
+    let url;
+    try {
+        url = new URL(target);
+    } catch (error) {
+        throw permanent('Webhook URL is not a valid URL');
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') throw permanent('Webhook URL must be http or https');
+    if (allowPrivate()) return;
+
+    const hostname = url.hostname.replace(/^\[(.*)\]$/, '$1');
+    let addresses;
+    if (net.isIP(hostname)) {
+        addresses = [hostname];
+    } else {
+        try {
+            addresses = (await dns.promises.lookup(hostname, { all: true })).map(entry => entry.address);
+        } catch (error) {
+            throw permanent(`Webhook host ${hostname} could not be resolved`);
+        }
+    }
+    const blocked = addresses.find(isPrivateAddress);
+    if (blocked) throw privateHost(hostname, blocked);
+}
+
+function getMailer() {
+    if (!process.env.SMTP_HOST) {
+        throw permanent('SMTP is not configured (set SMTP_HOST)');
+    }
+    if (!mailer) {
+        mailer = nodemailer.createTransport({
+            host: process.env.SMTP_HOST,
+            port: Number(process.env.SMTP_PORT) || 587,
+            secure: process.env.SMTP_SECURE === 'true',
+            auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+        });
+    }
+    return mailer;
+}
+
+async function sendWebhook(delivery, payload) {
+    const body = JSON.stringify(payload);
+    const headers = {
+        'Content-Type': 'application/json',
+        'X-Fishing-Delivery': String(delivery.id)
+    };
+    // Receivers can verify the body with the shared secret
+    if (process.env.WEBHOOK_SECRET) {
+        headers['X-Fishing-Signature'] = 'sha256=' +
+            crypto.createHmac('sha256', process.env.WEBHOOK_SECRET).update(body).digest('hex');
+    }
+
+    await checkWebhookUrl(delivery.target);
+    try {
+        await axios.post(delivery.target, body, { headers, timeout: WEBHOOK_TIMEOUT_MS, maxRedirects: 0, ...agents });
+    } catch (error) {
+        if (error.permanent) throw error;
+        const status = error.response && error.response.status;
+        if (status >= 300 && status < 400) {
+            throw permanent(`Webhook answered with a redirect (HTTP ${status}); redirects are not followed`);
+        }
+        // Other 4xx answers won't change on a retry
+        if (status >= 400 && status < 500 && status !== 408 && status !== 429) {
+            throw permanent(`Webhook rejected with HTTP ${status}`);
+        }
+        throw new Error(status ? `Webhook failed with HTTP ${status}` : error.message);
+    }
+}
+
+// Plain-text email; also used for account mail such as password resets
+function sendMail({ to, subject, text }) {
+    return getMailer().sendMail({
+        from: process.env.ALERT_EMAIL_FROM || 'NZ Fishing Predictor <alerts@localhost>',
+        to,
+        subject,
+        text
+    });
+}
+
+async function sendEmail(delivery, payload) {
+    const owner = await get('SELECT email, email_verified_at FROM users WHERE id = ? AND deleted_at IS NULL', [delivery.user_id]);
+    if (!owner || !owner.email_verified_at || owner.email.toLowerCase() !== delivery.target.toLowerCase()) {
+        throw permanent('Alert emails only go to the account\'s own verified address');
+    }
+    await sendMail({
+        to: delivery.target,
+        subject: payload.title,
+        text: `${payload.message}\n\nRule: ${payload.rule.name}\nSent ${payload.evaluated_at}`
+    });
+}
+
+const SENDERS = { webhook: sendWebhook, email: sendEmail };
+
+// Queues a delivery unless the same rule already queued this match on this
+// channel; returns true when a new delivery was queued
+async function enqueue({ ruleId, userId, channel, target, dedupKey, payload }) {
+    const now = new Date().toISOString();
+    const { changes } = await run(`
+        INSERT INTO alert_deliveries
+            (rule_id, user_id, channel, target, dedup_key, status, attempts, payload, next_attempt_at, created_at)
+        VALUES (?, ?, ?, ?, ?, 'pending', 0, ?, ?, ?)
+        ON CONFLICT DO NOTHING
+    `, [ruleId, userId, channel, target, dedupKey, JSON.stringify(payload), now, now]);
+    return changes > 0;
+}
+
+async function attempt(delivery) {
+    const attempts = delivery.attempts + 1;
+    try {
+        await SENDERS[delivery.channel](delivery, JSON.parse(delivery.payload));
+        await run(`
+            UPDATE alert_deliveries SET status = 'sent', attempts = ?, last_error = NULL, sent_at = ?
+            WHERE id = ?
+        `, [attempts, new Date().toISOString(), delivery.id]);
+        return 'sent';
+    } catch (error) {
+        const giveUp = error.permanent || attempts >= MAX_ATTEMPTS;
+        const delay = RETRY_DELAYS_MINUTES[attempts - 1] || 0;
+        await run(`
+            UPDATE alert_deliveries SET status = ?, attempts = ?, last_error = ?, next_attempt_at = ?
+            WHERE id = ?
+        `, [giveUp ? 'failed' : 'pending', attempts, error.message,
+            giveUp ? null : new Date(Date.now() + delay * 60000).toISOString(), delivery.id]);
+        return giveUp ? 'failed' : 'retrying';
+    }
+}
+
+// Sends every delivery that is due. Calls made while a run is in progress
+// share that run rather than sending the same rows twice.
+function processDeliveries() {
+    if (!processing) {
+        processing = (async () => {
+            const due = await all(`
+                SELECT * FROM alert_deliveries
+                WHERE status = 'pending' AND next_attempt_at <= ?
+                ORDER BY next_attempt_at
+            `, [new Date().toISOString()]);
+
+            const counts = { sent: 0, retrying: 0, failed: 0 };
+            for (const delivery of due) {
+                counts[await attempt(delivery)]++;
+            }
+            return counts;
+        })().finally(() => {
+            processing = null;
+        });
+    }
+    return processing;
+}
+
+module.exports = { MAX_ATTEMPTS, checkWebhookUrl, enqueue, processDeliveries, sendMail };
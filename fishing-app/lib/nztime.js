@@ -0,0 +1,91 @@
+// lib/nztime.js - Pacific/Auckland calendar helpers (independent of the server's TZ)
+
+const TIMEZONE = 'Pacific/Auckland';
+
+const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone: TIMEZONE,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+});
+
+// Wall-clock fields of an instant in NZ time
+function localParts(date) {
+    const parts = {};
+    formatter.formatToParts(date).forEach(({ type, value }) => {
+        if (type !== 'literal') parts[type] = Number(value);
+    });
+    return parts;
+}
+
+// NZST/NZDT offset from UTC in minutes (+720 or +780)
+function offsetMinutes(date) {
+    const p = localParts(date);
+    const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+    return Math.round((asUtc - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+}
+
+const pad = n => String(n).padStart(2, '0');
+
+// 'YYYY-MM-DD' of the NZ calendar day containing the instant
+function localDateString(date) {
+    const p = localParts(date);
+    return `${p.year}-${pad(p.month)}-${pad(p.day)}`;
+}
+
+// UTC instant of an NZ wall-clock time on a 'YYYY-MM-DD' calendar day
+function fromLocalTime(ymd, hour = 0, minute = 0, second = 0) {
+    const [year, month, day] = ymd.split('-').map(Number);
+    const guess = Date.UTC(year, month - 1, day, hour, minute, second);
+    let instant = guess - offsetMinutes(new Date(guess)) * 60000;
+    // Re-check once in case the guess and the answer straddle a DST change
+    const corrected = guess - offsetMinutes(new Date(instant)) * 60000;
+    if (corrected !== instant) instant = corrected;
+    return new Date(instant);
+}
+
+// UTC instant of NZ midnight at the start of a 'YYYY-MM-DD' calendar day
+function startOfLocalDay(ymd) {
+    return fromLocalTime(ymd);
+}
+
+function addLocalDays(ymd, days) {
+    const [year, month, day] = ymd.split('-').map(Number);
+    const next = new Date(Date.UTC(year, month - 1, day + days));
+    return `${next.getUTCFullYear()}-${pad(next.getUTCMonth() + 1)}-${pad(next.getUTCDate())}`;
+}
+
+// ISO 8601 with the NZ offset, e.g. 2024-02-14T06:41:00+13:00
+function toLocalISOString(date) {
+    if (!date) return null;
+    const p = localParts(date);
+    const offset = offsetMinutes(date);
+    const sign = offset >= 0 ? '+' : '-';
+    const abs = Math.abs(offset);
+    return `${p.year}-${pad(p.month)}-${pad(p.day)}T${pad(p.hour)}:${pad(p.minute)}:${pad(p.second)}` +
+        `${sign}${pad(Math.floor(abs / 60))}:${pad(abs % 60)}`;
+}
+
+// A real 'YYYY-MM-DD' day; Date.parse would roll 2026-02-30 on to March 2nd
+function isValidDateString(value) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+    const [year, month, day] = value.split('-').map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day));
+    return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
+module.exports = {
+    TIMEZONE,
+    localParts,
+    offsetMinutes,
+    localDateString,
+    fromLocalTime,
+    startOfLocalDay,
+    addLocalDays,
+    toLocalISOString,
+    isValidDateString
+};
@@ -0,0 +1,236 @@
+// lib/photos.js - Catch photos: EXIF position/time, thumbnails and public copies
+//
+// A catch has at most one photo, stored three ways (see lib/storage.js):
+//   private/<user>/<token>.<ext>  the upload as sent, EXIF and all (owner only)
+//   public/<token>.jpg            re-encoded copy with every metadata tag removed
+//   public/<token>-thumb.jpg      square thumbnail, also metadata-free
+// photo_url and thumbnail_url point at the public copies, so nothing on the
+// public feed carries the GPS position the camera recorded. Tokens are random,
+// so public URLs can't be guessed from catch ids.
+const crypto = require('crypto');
+const sharp = require('sharp');
+const exifr = require('exifr');
+const { get, run } = require('./db');
+const { storage } = require('./storage');
+const { fromLocalTime } = require('./nztime');
+const { distanceKm } = require('./geo');
+const catchLog = require('./catches');
+
+const MAX_UPLOAD_BYTES = 15 * 1024 * 1024;
+const PUBLIC_MAX_PIXELS = 1600;
+const THUMBNAIL_PIXELS = 320;
+const EXTENSIONS = { jpeg: 'jpg', png: 'png', webp: 'webp', tiff: 'tif', heif: 'heic' };
+
+// Past these the photo and the log entry disagree enough to mention it
+const MAX_DISTANCE_KM = 5;
+const MAX_TIME_DIFFERENCE_HOURS = 6;
+
+const TIME_TAGS = ['DateTimeOriginal', 'CreateDate', 'ModifyDate', 'OffsetTimeOriginal', 'OffsetTime'];
+
+function photoError(status, message) {
+    return Object.assign(new Error(message), { status });
+}
+
+async function imageMetadata(buffer) {
+    let metadata;
+    try {
+        metadata = await sharp(buffer).metadata();
+    } catch (error) {
+        throw photoError(400, 'File is not a readable image');
+    }
+    if (!EXTENSIONS[metadata.format]) {
+        throw photoError(415, `Unsupported image format: ${metadata.format}. Use JPEG, PNG, WebP, TIFF or HEIC`);
+    }
+    return metadata;
+}
+
+// EXIF times carry no zone unless the camera wrote OffsetTimeOriginal; phones
+// and cameras in NZ record local time, so bare times are read as NZ time
+function exifTime(tags) {
+    const raw = tags.DateTimeOriginal || tags.CreateDate || tags.ModifyDate;
+    const match = typeof raw === 'string' && raw.match(/^(\d{4}):(\d{2}):(\d{2})[ T](\d{2}):(\d{2}):(\d{2})/);
+    if (!match) return null;
+
+    const [, year, month, day, hour, minute, second] = match;
+    const offset = tags.OffsetTimeOriginal || tags.OffsetTime;
+    const time = typeof offset === 'string' && /^[+-]\d{2}:\d{2}$/.test(offset)
+        ? new Date(`${year}-${month}-${day}T${hour}:${minute}:${second}${offset}`)
+        : fromLocalTime(`${year}-${month}-${day}`, Number(hour), Number(minute), Number(second));
+    return Number.isNaN(time.getTime()) ? null : time;
+}
+
+// { latitude, longitude, time_caught } from the EXIF block, null where absent
+async function readExif(buffer) {
+    const [tags, gps] = await Promise.all([
+        exifr.parse(buffer, { pick: TIME_TAGS, reviveValues: false }).catch(() => null),
+        exifr.gps(buffer).catch(() => null)
+    ]);
+    const time = tags ? exifTime(tags) : null;
+    const located = gps && Number.isFinite(gps.latitude) && Number.isFinite(gps.longitude) &&
+        !(gps.latitude === 0 && gps.longitude === 0);
+
+    return {
+        latitude: located ? Math.round(gps.latitude * 1e6) / 1e6 : null,
+        longitude: located ? Math.round(gps.longitude * 1e6) / 1e6 : null,
+        time_caught: time ? time.toISOString() : null
+    };
+}
+
+// Checks a photo before the catch is logged, so the form can be pre-filled
+async function inspectPhoto(buffer) {
+    const metadata = await imageMetadata(buffer);
+    return { ...await readExif(buffer), width: metadata.width, height: metadata.height };
+}
+
+function crossCheck(catchRow, exif) {
+    const warnings = [];
+    if (exif.latitude !== null) {
+        const km = distanceKm(catchRow.latitude, catchRow.longitude, exif.latitude, exif.longitude);
+        if (km > MAX_DISTANCE_KM) {
+            warnings.push({ field: 'location', message: `Photo was taken ${km.toFixed(1)} km from the logged position` });
+        }
+    }
+    if (exif.time_caught) {
+        const hours = (Date.parse(exif.time_caught) - Date.parse(catchRow.time_caught)) / 3600000;
+        if (Math.abs(hours) > MAX_TIME_DIFFERENCE_HOURS) {
+            const gap = Math.abs(hours) < 48 ? `${Math.abs(hours).toFixed(1)} hours` : `${Math.round(Math.abs(hours) / 24)} days`;
+            warnings.push({
+                field: 'time_caught',
+                message: `Photo was taken ${gap} ${hours > 0 ? 'after' : 'before'} the logged time`
+            });
+        }
+    }
+    return warnings;
+}
+
+function describePhoto(row) {
+    return {
+        id: row.id,
+        catch_id: row.catch_id,
+        photo_url: storage.url(row.public_key),
+        thumbnail_url: storage.url(row.thumbnail_key),
+        content_type: row.content_type,
+        width: row.width,
+        height: row.height,
+        size: row.size,
+        exif: {
+            latitude: row.exif_latitude,
+            longitude: row.exif_longitude,
+            time_caught: row.exif_time
+        },
+        created_at: row.created_at
+    };
+}
+
+async function removeFiles(row) {
+    await Promise.all([row.original_key, row.public_key, row.thumbnail_key].map(key => storage.remove(key)));
+}
+
+// Stores a photo for the catch, replacing any earlier one. With useExif the
+// photo's GPS position and time overwrite the logged ones; otherwise they are
+// only compared and any disagreement comes back as warnings.
+async function attachPhoto(userId, catchId, buffer, { useExif = false } = {}) {
+    const catchRow = await catchLog.getCatch(userId, catchId);
+    const metadata = await imageMetadata(buffer);
+    const exif = await readExif(buffer);
+
+    const token = crypto.randomBytes(16).toString('hex');
+    const keys = {
+        original: `private/${userId}/${token}.${EXTENSIONS[metadata.format]}`,
+        public: `public/${token}.jpg`,
+        thumbnail: `public/${token}-thumb.jpg`
+    };
+
+    // rotate() bakes in the EXIF orientation; sharp writes no metadata unless
+    // asked to, so both copies come out without GPS or camera tags
+    const image = sharp(buffer).rotate();
+    const [publicCopy, thumbnail] = await Promise.all([
+        image.clone()
+            .resize(PUBLIC_MAX_PIXELS, PUBLIC_MAX_PIXELS, { fit: 'inside', withoutEnlargement: true })
+            .jpeg({ quality: 85 })
+            .toBuffer({ resolveWithObject: true }),
+        image.clone()
+            .resize(THUMBNAIL_PIXELS, THUMBNAIL_PIXELS, { fit: 'cover' })
+            .jpeg({ quality: 75 })
+            .toBuffer()
+    ]);
+
+    await storage.put(keys.original, buffer);
+    await storage.put(keys.public, publicCopy.data);
+    await storage.put(keys.thumbnail, thumbnail);
+
+    const previous = await get('SELECT * FROM catch_photos WHERE catch_id = ?', [catchId]);
+    await run('DELETE FROM catch_photos WHERE catch_id = ?', [catchId]);
+    await run(`
+        INSERT INTO catch_photos
+            (catch_id, user_id, original_key, public_key, thumbnail_key, content_type, width, height, size,
+             exif_latitude, exif_longitude, exif_time)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [catchId, userId, keys.original, keys.public, keys.thumbnail, `image/${metadata.format}`,
+        publicCopy.info.width, publicCopy.info.height, buffer.length,
+        exif.latitude, exif.longitude, exif.time_caught]);
+    await run('UPDATE catch_logs SET photo_url = ?, thumbnail_url = ? WHERE id = ?',
+        [storage.url(keys.public), storage.url(keys.thumbnail), catchId]);
+    if (previous) await removeFiles(previous);
+
+    const applied = {};
+    if (useExif) {
+        if (exif.latitude !== null) Object.assign(applied, { latitude: exif.latitude, longitude: exif.longitude });
+        if (exif.time_caught) applied.time_caught = exif.time_caught;
+        if (Object.keys(applied).length) await catchLog.updateCatch(userId, catchId, applied, { partial: true });
+    }
+
+    const row = await get('SELECT * FROM catch_photos WHERE catch_id = ?', [catchId]);
+    return {
+        catch: await catchLog.getCatch(userId, catchId),
+        photo: describePhoto(row),
+        applied: Object.keys(applied),
+        warnings: crossCheck({ ...catchRow, ...applied }, exif)
+    };
+}
+
+async function findPhoto(userId, catchId) {
+    await catchLog.getCatch(userId, catchId);
+    const row = await get('SELECT * FROM catch_photos WHERE catch_id = ?', [catchId]);
+    if (!row) throw photoError(404, 'Catch has no photo');
+    return row;
+}
+
+async function getPhoto(userId, catchId) {
+    return describePhoto(await findPhoto(userId, catchId));
+}
+
+// The untouched upload, EXIF included - only ever served to its owner
+async function getOriginal(userId, catchId) {
+    const row = await findPhoto(userId, catchId);
+    const body = await storage.read(row.original_key);
+    if (!body) throw photoError(404, 'Photo file is missing');
+    return { body, contentType: row.content_type };
+}
+
+// Returns false when the catch exists but has no photo
+async function deletePhoto(userId, catchId) {
+    await catchLog.getCatch(userId, catchId);
+    const row = await get('SELECT * FROM catch_photos WHERE catch_id = ?', [catchId]);
+    if (!row) return false;
+
+    await run('DELETE FROM catch_photos WHERE id = ?', [row.id]);
+    // Leave photo_url alone if the angler has since pointed it somewhere else
+    await run(`
+        UPDATE catch_logs SET thumbnail_url = NULL,
+            photo_url = CASE WHEN photo_url = ? THEN NULL ELSE photo_url END
+        WHERE id = ?
+    `, [storage.url(row.public_key), catchId]);
+    await removeFiles(row);
+    return true;
+}
+
+module.exports = {
+    MAX_UPLOAD_BYTES,
+    removeFiles,
+    inspectPhoto,
+    attachPhoto,
+    getPhoto,
+    getOriginal,
+    deletePhoto
+};
@@ -0,0 +1,126 @@
+// lib/privacy.js - Catch visibility and public location fuzzing
+//
+// Each catch is private (owner only), public-fuzzed or public-exact; new catches
+// take the owner's default_visibility. Fuzzed positions use the owner's
+// fuzz_method and fuzz_km:
+//   grid    snap to the centre of a fuzz_km grid cell
+//   radius  the cell centre moved by a fixed, secret offset of up to fuzz_km
+// Both depend only on the owner and the cell a catch falls in, never on the
+// catch itself, so every catch from one spot is shown at the same point and
+// averaging many of them gets no closer than a single one. Changing
+// FUZZ_SECRET moves every radius-fuzzed point, so keep it fixed once set.
+const crypto = require('crypto');
+const { get } = require('./db');
+const { JWT_SECRET } = require('./auth');
+
+const VISIBILITIES = ['private', 'public-fuzzed', 'public-exact'];
+const FUZZ_METHODS = ['grid', 'radius'];
+const MIN_FUZZ_KM = 0.5;
+const MAX_FUZZ_KM = 50;
+const KM_PER_DEGREE = 111.32;
+
+const FUZZ_SECRET = process.env.FUZZ_SECRET || JWT_SECRET;
+
+function badRequest(message) {
+    return Object.assign(new Error(message), { status: 400 });
+}
+
+// WHERE condition for catches their owners have shared
+function sharedCondition(alias) {
+    return `${alias ? `${alias}.` : ''}visibility != 'private'`;
+}
+
+function checkVisibility(value) {
+    if (!VISIBILITIES.includes(value)) throw badRequest(`visibility must be one of: ${VISIBILITIES.join(', ')}`);
+    return value;
+}
+
+// Validates the privacy fields of a profile update into users columns
+function normaliseSettings(body) {
+    const values = {};
+    if (body.default_visibility !== undefined) values.default_visibility = checkVisibility(body.default_visibility);
+    if (body.fuzz_method !== undefined) {
+        if (!FUZZ_METHODS.includes(body.fuzz_method)) {
+            throw badRequest(`fuzz_method must be one of: ${FUZZ_METHODS.join(', ')}`);
+        }
+        values.fuzz_method = body.fuzz_method;
+    }
+    if (body.fuzz_km !== undefined) {
+        const km = Number(body.fuzz_km);
+        if (!Number.isFinite(km) || km < MIN_FUZZ_KM || km > MAX_FUZZ_KM) {
+            throw badRequest(`fuzz_km must be between ${MIN_FUZZ_KM} and ${MAX_FUZZ_KM}`);
+        }
+        values.fuzz_km = km;
+    }
+    return values;
+}
+
+async function getSettings(userId) {
+    return get('SELECT default_visibility, fuzz_method, fuzz_km FROM users WHERE id = ?', [userId]);
+}
+
+// Centre of the km-sized cell holding the point. Cell widths in longitude are
+// taken at the centre latitude of their row, so cells stay roughly square.
+function snapToGrid(lat, lng, km) {
+    const latStep = km / KM_PER_DEGREE;
+    const row = Math.floor(lat / latStep);
+    const centreLat = (row + 0.5) * latStep;
+    const lngStep = km / (KM_PER_DEGREE * Math.cos(centreLat * Math.PI / 180));
+    const col = Math.floor(lng / lngStep);
+    return { lat: centreLat, lng: (col + 0.5) * lngStep, row, col };
+}
+
+function fuzzLocation(lat, lng, { userId, method = 'grid', km = 1 }) {
+    const cell = snapToGrid(lat, lng, km);
+    if (method !== 'radius') return { lat: cell.lat, lng: cell.lng };
+
+    const digest = crypto.createHmac('sha256', FUZZ_SECRET).update(`${userId}:${km}:${cell.row}:${cell.col}`).digest();
+    const bearing = digest.readUInt32BE(0) / 0x100000000 * 2 * Math.PI;
+    const distance = Math.sqrt(digest.readUInt32BE(4) / 0x100000000) * km;
+    const dLat = distance * Math.cos(bearing) / KM_PER_DEGREE;
+    const dLng = distance * Math.sin(bearing) / (KM_PER_DEGREE * Math.cos(cell.lat * Math.PI / 180));
+    return { lat: cell.lat + dLat, lng: cell.lng + dLng };
+}
+
+// Position of a shared catch as the public sees it; expects the catch row plus
+// its owner's fuzz_method and fuzz_km
+function publicLocation(c) {
+    if (c.visibility === 'public-exact') return { lat: c.latitude, lng: c.longitude };
+    return fuzzLocation(c.latitude, c.longitude, { userId: c.user_id, method: c.fuzz_method, km: c.fuzz_km || 1 });
+}
+
+const round = value => Math.round(value * 100000) / 100000;
+
+// Angler's initial only, e.g. "R***"
+function maskName(name) {
+    return name.charAt(0) + '*'.repeat(name.length - 1);
+}
+
+// Public view of a shared catch: position as published, angler initial only,
+// nothing that identifies the owner or the row
+function publicCatch(c) {
+    const { id, user_id: userId, fuzz_method: method, fuzz_km: km, moderation_reason, moderated_by, ...rest } = c;
+    const { lat, lng } = publicLocation(c);
+    return {
+        ...rest,
+        latitude: round(lat),
+        longitude: round(lng),
+        location_precision: c.visibility === 'public-exact' ? 'exact' : `${km || 1} km`,
+        angler_name: maskName(c.angler_name)
+    };
+}
+
+module.exports = {
+    VISIBILITIES,
+    FUZZ_METHODS,
+    MIN_FUZZ_KM,
+    MAX_FUZZ_KM,
+    sharedCondition,
+    checkVisibility,
+    normaliseSettings,
+    getSettings,
+    fuzzLocation,
+    publicLocation,
+    maskName,
+    publicCatch
+};
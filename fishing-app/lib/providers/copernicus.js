@@ -0,0 +1,152 @@
+// lib/providers/copernicus.js - Copernicus Marine adapter (currents, SST, waves, chlorophyll)
+//
+// Reads point time series from the THREDDS NetCDF Subset Service, which returns
+// CSV with unit-annotated headers, e.g.
+//   time,station,latitude[unit="degrees_north"],longitude[unit="degrees_east"],uo[unit="m s-1"]
+const { nearest, isNumber } = require('./util');
+
+const BASE_URL = process.env.COPERNICUS_API_URL || 'https://nrt.cmems-du.eu/thredds/ncss';
+
+// Each product is a separate subset request; variables are mapped onto our columns below
+const PRODUCTS = [
+    {
+        dataset: process.env.COPERNICUS_PHYSICS_DATASET || 'cmems_mod_glo_phy-cur_anfc_0.083deg_PT6H-i',
+        variables: ['uo', 'vo'],
+        fixture: 'copernicus-physics.csv',
+        forecastFixture: 'copernicus-physics-forecast.csv'
+    },
+    {
+        dataset: process.env.COPERNICUS_WAVE_DATASET || 'cmems_mod_glo_wav_anfc_0.083deg_PT3H-i',
+        variables: ['VHM0'],
+        fixture: 'copernicus-waves.csv',
+        forecastFixture: 'copernicus-waves-forecast.csv'
+    },
+    {
+        dataset: process.env.COPERNICUS_BGC_DATASET || 'cmems_mod_glo_bgc-pft_anfc_0.25deg_P1D-m',
+        variables: ['chl', 'thetao'],
+        fixture: 'copernicus-bgc.csv',
+        forecastFixture: 'copernicus-bgc-forecast.csv'
+    }
+];
+
+const name = 'copernicus';
+
+// Products range from 3-hourly (waves) to daily means (biogeochemistry), so a
+// sample stands in for up to half a day either side
+const forecastToleranceHours = 12;
+
+function isConfigured() {
+    return Boolean(process.env.COPERNICUS_API_KEY);
+}
+
+// Parses NCSS CSV into objects keyed by bare variable name ("uo[unit=...]" -> "uo")
+function parseCsv(body) {
+    const lines = String(body).trim().split(/\r?\n/);
+    if (lines.length < 2) {
+        return [];
+    }
+
+    const headers = lines[0].split(',').map(h => h.replace(/\[.*\]$/, '').trim());
+    return lines.slice(1).map(line => {
+        const cells = line.split(',');
+        const sample = {};
+        headers.forEach((header, i) => {
+            const raw = (cells[i] || '').trim();
+            if (raw === '' || raw === 'NaN') {
+                sample[header] = null;
+            } else if (header === 'time' || header === 'station' || Number.isNaN(Number(raw))) {
+                sample[header] = raw;
+            } else {
+                sample[header] = Number(raw);
+            }
+        });
+        return sample;
+    });
+}
+
+// Converts velocity components to speed (m/s) and the direction the water is
+// flowing towards (degrees true, oceanographic convention)
+function toCurrent(uo, vo) {
+    if (!isNumber(uo) || !isNumber(vo)) {
+        return { current_speed: null, current_direction: null };
+    }
+    const direction = (Math.atan2(uo, vo) * 180 / Math.PI + 360) % 360;
+    return {
+        current_speed: Math.sqrt(uo * uo + vo * vo),
+        current_direction: Math.round(direction) % 360
+    };
+}
+
+function toConditions(samples) {
+    const value = key => {
+        const sample = samples.find(s => isNumber(s[key]));
+        return sample ? sample[key] : null;
+    };
+
+    const timestamps = samples.map(s => s.time).filter(Boolean).sort();
+    return {
+        timestamp: timestamps.length ? new Date(timestamps[timestamps.length - 1]).toISOString() : null,
+        sea_temperature: value('thetao'),
+        chlorophyll: value('chl'),
+        wave_height: value('VHM0'),
+        ...toCurrent(value('uo'), value('vo'))
+    };
+}
+
+// One conditions row per CSV sample; fields a product doesn't carry stay null
+function toRow(sample) {
+    const value = key => (isNumber(sample[key]) ? sample[key] : null);
+    return {
+        timestamp: sample.time ? new Date(sample.time).toISOString() : null,
+        sea_temperature: value('thetao'),
+        chlorophyll: value('chl'),
+        wave_height: value('VHM0'),
+        ...toCurrent(sample.uo, sample.vo)
+    };
+}
+
+// Requests every product in parallel; one failing product doesn't sink the others
+async function requestProducts(location, timeParams, fixtureKey, transport) {
+    const headers = { Authorization: `Bearer ${process.env.COPERNICUS_API_KEY}` };
+    const results = await Promise.allSettled(PRODUCTS.map(product =>
+        transport.get(`${BASE_URL}/${product.dataset}`, {
+            params: {
+                var: product.variables.join(','),
+                latitude: location.lat,
+                longitude: location.lng,
+                ...timeParams,
+                accept: 'csv'
+            },
+            headers,
+            responseType: 'text',
+            fixture: product[fixtureKey]
+        }).then(parseCsv)
+    ));
+
+    const fulfilled = results.filter(r => r.status === 'fulfilled').map(r => r.value);
+    if (fulfilled.length === 0) {
+        throw results[0].reason;
+    }
+    return fulfilled;
+}
+
+async function fetchConditions(location, transport) {
+    const products = await requestProducts(location, { time: 'present' }, 'fixture', transport);
+    const samples = products
+        .map(samples => nearest(samples, location.lat, location.lng))
+        .filter(Boolean);
+
+    return samples.length ? toConditions(samples) : null;
+}
+
+// Forecast time series between start and end (the "anfc" products run ~10 days ahead)
+async function fetchForecast(location, { start, end }, transport) {
+    const products = await requestProducts(location, {
+        time_start: start.toISOString(),
+        time_end: end.toISOString()
+    }, 'forecastFixture', transport);
+
+    return products.flat().map(toRow).filter(row => row.timestamp);
+}
+
+module.exports = { name, isConfigured, fetchConditions, fetchForecast, forecastToleranceHours, parseCsv, toCurrent };
@@ -0,0 +1,169 @@
+// lib/providers/index.js - Oceanographic data provider registry with priority fallback
+const copernicus = require('./copernicus');
+const noaa = require('./noaa-erddap');
+const openweather = require('./openweather');
+const simulator = require('./simulator');
+const { createTransport } = require('./transport');
+
+const ADAPTERS = { copernicus, noaa, openweather };
+const DEFAULT_PRIORITY = 'copernicus,noaa,openweather';
+
+const FIELDS = [
+    'sea_temperature', 'current_speed', 'current_direction', 'chlorophyll',
+    'wind_speed', 'wind_direction', 'wave_height'
+];
+
+// Providers in priority order, from OCEAN_PROVIDERS (comma separated)
+function getProviders() {
+    return (process.env.OCEAN_PROVIDERS || DEFAULT_PRIORITY)
+        .split(',')
+        .map(name => ADAPTERS[name.trim()])
+        .filter(Boolean);
+}
+
+// Queries each provider in priority order and fills every field from the
+// highest-priority provider that reported it. A provider that fails or lacks a
+// key is skipped, so lower-priority providers cover for it.
+async function fetchConditions(location, { providers = getProviders(), transport = createTransport() } = {}) {
+    const row = { latitude: location.lat, longitude: location.lng, timestamp: null };
+    const sources = [];
+
+    for (const provider of providers) {
+        if (transport.mode === 'live' && !provider.isConfigured()) {
+            continue;
+        }
+
+        let result;
+        try {
+            result = await provider.fetchConditions(location, transport);
+        } catch (error) {
+            console.error(`Provider ${provider.name} failed for ${location.lat},${location.lng}:`, error.message);
+            continue;
+        }
+        if (!result) continue;
+
+        let contributed = false;
+        FIELDS.forEach(field => {
+            if (row[field] == null && result[field] != null) {
+                row[field] = result[field];
+                contributed = true;
+            }
+        });
+
+        if (contributed) {
+            sources.push(provider.name);
+            row.timestamp = row.timestamp || result.timestamp;
+        }
+        if (FIELDS.every(field => row[field] != null)) break;
+    }
+
+    if (sources.length === 0) {
+        return simulator.isEnabled()
+            ? simulator.generateSimulatedConditions(location.lat, location.lng)
+            : null;
+    }
+
+    const fetchedAt = new Date().toISOString();
+    FIELDS.forEach(field => {
+        if (row[field] === undefined) row[field] = null;
+    });
+
+    return {
+        ...row,
+        timestamp: row.timestamp || fetchedAt,
+        source: sources.join(','),
+        fetched_at: fetchedAt
+    };
+}
+
+// Gridded fields over an area from the first provider (in priority order) that
+// serves area requests. Rows carry only the fields that provider grids.
+async function fetchGrid(bounds, { providers = getProviders(), transport = createTransport() } = {}) {
+    for (const provider of providers) {
+        if (!provider.fetchGrid) continue;
+        if (transport.mode === 'live' && !provider.isConfigured()) continue;
+
+        try {
+            let rows = await provider.fetchGrid(bounds, transport);
+            if (rows.length === 0) continue;
+            if (transport.mode === 'fixture') rows = rebase(rows, new Date());
+
+            const fetchedAt = new Date().toISOString();
+            return rows.map(row => ({ ...row, source: provider.name, fetched_at: fetchedAt }));
+        } catch (error) {
+            console.error(`Provider ${provider.name} grid failed:`, error.message);
+        }
+    }
+    return [];
+}
+
+// Recorded fixtures come from a fixed date; shift a provider's samples so its
+// first one lands on `start` and the replay looks like a fresh forecast (or,
+// for a grid, a fresh analysis)
+function rebase(rows, start) {
+    if (rows.length === 0) return rows;
+    const first = Math.min(...rows.map(r => Date.parse(r.timestamp)));
+    const shift = start.getTime() - first;
+    return rows.map(r => ({ ...r, timestamp: new Date(Date.parse(r.timestamp) + shift).toISOString() }));
+}
+
+function nearestInTime(rows, time, field, toleranceMs) {
+    let best = null;
+    let bestGap = Infinity;
+    rows.forEach(row => {
+        const gap = Math.abs(row.time - time);
+        if (row[field] != null && gap <= toleranceMs && gap < bestGap) {
+            best = row;
+            bestGap = gap;
+        }
+    });
+    return best;
+}
+
+// Hourly forecast rows for a location between start and end. Each field comes
+// from the highest-priority provider with a sample within its tolerance, so a
+// provider whose horizon is shorter hands over to the next one.
+async function fetchForecast(location, { start, end, providers = getProviders(), transport = createTransport() }) {
+    const series = [];
+    for (const provider of providers) {
+        if (!provider.fetchForecast) continue;
+        if (transport.mode === 'live' && !provider.isConfigured()) continue;
+
+        try {
+            const window = transport.mode === 'fixture'
+                ? { start: new Date(0), end: new Date(8.64e15) }
+                : { start, end };
+            let rows = await provider.fetchForecast(location, window, transport);
+            if (transport.mode === 'fixture') rows = rebase(rows, start);
+            series.push({ provider, rows: rows.map(r => ({ ...r, time: Date.parse(r.timestamp) })) });
+        } catch (error) {
+            console.error(`Provider ${provider.name} forecast failed for ${location.lat},${location.lng}:`, error.message);
+        }
+    }
+
+    const hours = [];
+    const first = Math.ceil(start.getTime() / 3600000) * 3600000;
+    for (let t = first; t <= end.getTime(); t += 3600000) {
+        const row = { latitude: location.lat, longitude: location.lng, timestamp: new Date(t).toISOString() };
+        const sources = new Set();
+
+        FIELDS.forEach(field => {
+            row[field] = null;
+            for (const { provider, rows } of series) {
+                const sample = nearestInTime(rows, t, field, provider.forecastToleranceHours * 3600000);
+                if (sample) {
+                    row[field] = sample[field];
+                    sources.add(provider.name);
+                    break;
+                }
+            }
+        });
+
+        if (sources.size) {
+            hours.push({ ...row, source: [...sources].join(',') });
+        }
+    }
+    return hours;
+}
+
+module.exports = { getProviders, fetchConditions, fetchGrid, fetchForecast, FIELDS, ADAPTERS };
@@ -0,0 +1,134 @@
+// lib/providers/noaa-erddap.js - NOAA CoastWatch ERDDAP griddap adapter (SST, chlorophyll)
+const { nearest, isNumber } = require('./util');
+
+const BASE_URL = process.env.NOAA_ERDDAP_URL || 'https://coastwatch.pfeg.noaa.gov/erddap/griddap';
+const SST_DATASET = process.env.NOAA_SST_DATASET || 'jplMURSST41';
+const CHLOROPHYLL_DATASET = process.env.NOAA_CHLOROPHYLL_DATASET || 'erdMH1chla8day';
+const BOX = 0.1; // degrees either side of the requested point
+// Strides that thin each dataset to roughly 0.1 degree for area (grid) requests:
+// MUR SST is 0.01 degree, MODIS chlorophyll about 0.04 degree
+const GRID_STRIDE = { analysed_sst: 10, chlorophyll: 2 };
+
+const name = 'noaa';
+
+function isConfigured() {
+    // ERDDAP is public; the key is only forwarded when present
+    return true;
+}
+
+function griddapQuery(variable, lat, lng) {
+    return `${variable}[(last)][(${lat - BOX}):(${lat + BOX})][(${lng - BOX}):(${lng + BOX})]`;
+}
+
+function griddapBoxQuery(variable, bounds) {
+    const stride = GRID_STRIDE[variable];
+    return `${variable}[(last)][(${bounds.south}):${stride}:(${bounds.north})][(${bounds.west}):${stride}:(${bounds.east})]`;
+}
+
+// ERDDAP .json responses are column-oriented tables:
+// { table: { columnNames: [...], columnUnits: [...], rows: [[...], ...] } }
+function parseTable(body, variable) {
+    const table = body && body.table;
+    if (!table || !Array.isArray(table.rows)) {
+        throw new Error('Unexpected ERDDAP response');
+    }
+
+    const column = name => table.columnNames.indexOf(name);
+    const timeIdx = column('time');
+    const latIdx = column('latitude');
+    const lngIdx = column('longitude');
+    const valueIdx = column(variable);
+    if (valueIdx === -1) {
+        throw new Error(`ERDDAP response missing ${variable}`);
+    }
+
+    const units = (table.columnUnits || [])[valueIdx];
+    return table.rows
+        .filter(row => isNumber(row[valueIdx]))
+        .map(row => ({
+            timestamp: row[timeIdx],
+            latitude: row[latIdx],
+            longitude: row[lngIdx],
+            value: units === 'degree_K' || units === 'K' ? row[valueIdx] - 273.15 : row[valueIdx]
+        }));
+}
+
+function requestTable(transport, dataset, query, fixture) {
+    const headers = process.env.NOAA_API_KEY ? { token: process.env.NOAA_API_KEY } : undefined;
+    return transport.get(`${BASE_URL}/${dataset}.json?${encodeURIComponent(query)}`, { headers, fixture });
+}
+
+async function fetchConditions(location, transport) {
+    const request = (dataset, variable, fixture) =>
+        requestTable(transport, dataset, griddapQuery(variable, location.lat, location.lng), fixture);
+
+    // The two datasets fail independently (chlorophyll is cloud-masked far
+    // more often than SST), so one missing layer shouldn't drop the other
+    const [sstResult, chlorophyllResult] = await Promise.allSettled([
+        request(SST_DATASET, 'analysed_sst', 'noaa-sst.json')
+            .then(body => nearest(parseTable(body, 'analysed_sst'), location.lat, location.lng)),
+        request(CHLOROPHYLL_DATASET, 'chlorophyll', 'noaa-chlorophyll.json')
+            .then(body => nearest(parseTable(body, 'chlorophyll'), location.lat, location.lng))
+    ]);
+
+    if (sstResult.status === 'rejected' && chlorophyllResult.status === 'rejected') {
+        throw sstResult.reason;
+    }
+
+    const sst = sstResult.value;
+    const chlorophyll = chlorophyllResult.value;
+
+    if (!sst && !chlorophyll) {
+        return null;
+    }
+
+    return {
+        timestamp: (sst || chlorophyll).timestamp,
+        sea_temperature: sst ? sst.value : null,
+        chlorophyll: chlorophyll ? chlorophyll.value : null
+    };
+}
+
+// SST and chlorophyll over an area ({ south, north, west, east }), one row per
+// grid point. Cells where a layer is missing (cloud, land) keep it null.
+async function fetchGrid(bounds, transport) {
+    const [sstResult, chlorophyllResult] = await Promise.allSettled([
+        requestTable(transport, SST_DATASET, griddapBoxQuery('analysed_sst', bounds), 'noaa-sst-grid.json')
+            .then(body => parseTable(body, 'analysed_sst')),
+        requestTable(transport, CHLOROPHYLL_DATASET, griddapBoxQuery('chlorophyll', bounds), 'noaa-chlorophyll-grid.json')
+            .then(body => parseTable(body, 'chlorophyll'))
+    ]);
+
+    if (sstResult.status === 'rejected' && chlorophyllResult.status === 'rejected') {
+        throw sstResult.reason;
+    }
+
+    // The datasets sit on different native grids, so match samples on the
+    // coarser 0.1 degree lattice
+    const cells = new Map();
+    const key = sample => `${Math.round(sample.latitude * 10)},${Math.round(sample.longitude * 10)}`;
+    const cellFor = sample => {
+        const k = key(sample);
+        if (!cells.has(k)) {
+            cells.set(k, {
+                latitude: Math.round(sample.latitude * 10) / 10,
+                longitude: Math.round(sample.longitude * 10) / 10,
+                timestamp: sample.timestamp,
+                sea_temperature: null,
+                chlorophyll: null
+            });
+        }
+        return cells.get(k);
+    };
+
+    (sstResult.value || []).forEach(sample => {
+        cellFor(sample).sea_temperature = sample.value;
+    });
+    (chlorophyllResult.value || []).forEach(sample => {
+        cellFor(sample).chlorophyll = sample.value;
+    });
+
+    return [...cells.values()];
+}
+
+module.exports = { name, isConfigured, fetchConditions, fetchGrid, parseTable };
@@ -0,0 +1,61 @@
+// lib/providers/openweather.js - OpenWeather One Call adapter (surface wind)
+const { toKnots, isNumber } = require('./util');
+
+const BASE_URL = process.env.OPENWEATHER_API_URL || 'https://api.openweathermap.org/data/3.0/onecall';
+
+const name = 'openweather';
+
+// One Call forecasts are hourly
+const forecastToleranceHours = 1;
+
+function isConfigured() {
+    return Boolean(process.env.OPENWEATHER_API_KEY);
+}
+
+// One Call reports wind in m/s (units=metric) with a unix `dt` timestamp
+function parseCurrent(body) {
+    const current = body && body.current;
+    if (!current || !isNumber(current.dt)) {
+        throw new Error('Unexpected OpenWeather response');
+    }
+
+    return {
+        timestamp: new Date(current.dt * 1000).toISOString(),
+        wind_speed: isNumber(current.wind_speed) ? toKnots(current.wind_speed) : null,
+        wind_direction: isNumber(current.wind_deg) ? Math.round(current.wind_deg) : null
+    };
+}
+
+// The 48 entries of `hourly`, in the same shape as parseCurrent
+function parseHourly(body) {
+    if (!body || !Array.isArray(body.hourly)) {
+        throw new Error('Unexpected OpenWeather response');
+    }
+    return body.hourly
+        .filter(hour => isNumber(hour.dt))
+        .map(hour => parseCurrent({ current: hour }));
+}
+
+function requestOneCall(location, transport) {
+    return transport.get(BASE_URL, {
+        params: {
+            lat: location.lat,
+            lon: location.lng,
+            units: 'metric',
+            exclude: 'minutely,daily,alerts',
+            appid: process.env.OPENWEATHER_API_KEY
+        },
+        fixture: 'openweather-onecall.json'
+    });
+}
+
+async function fetchConditions(location, transport) {
+    return parseCurrent(await requestOneCall(location, transport));
+}
+
+async function fetchForecast(location, { start, end }, transport) {
+    return parseHourly(await requestOneCall(location, transport))
+        .filter(row => new Date(row.timestamp) >= start && new Date(row.timestamp) <= end);
+}
+
+module.exports = { name, isConfigured, fetchConditions, fetchForecast, forecastToleranceHours, parseCurrent, parseHourly };
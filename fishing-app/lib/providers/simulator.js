@@ -0,0 +1,175 @@
+// lib/providers/simulator.js - Seeded synthetic conditions for demos and local development
+//
+// Only used when ENABLE_SIMULATOR=true; rows it produces are tagged
+// source='simulator' so they are never mistaken for observations.
+//
+// Conditions are a pure function of SIMULATOR_SEED, position and the hour, so
+// the same request gives the same numbers and any past hour can be replayed.
+// The seed draws the shape of the ocean once: SST cools southward with the
+// season on top, across a meandering front whose position drifts over a few
+// days, with a warm eddy wandering north of it and smooth plane-wave ripples
+// (moving with time) rather than independent noise per point. Chlorophyll is
+// higher on the cool side and along the front, currents run as a jet along
+// the front, wind follows weather systems passing every few days and waves
+// follow the wind.
+
+const name = 'simulator';
+
+const DEFAULT_SEED = 'nz-fishing';
+const HOUR_MS = 3600000;
+const DAY_MS = 86400000;
+const CENTRE = { lat: -34.5, lng: 173.5 }; // the fishing area the features are placed around
+
+function isEnabled() {
+    return process.env.ENABLE_SIMULATOR === 'true';
+}
+
+// FNV-1a, so any string (or number) can seed the generator
+function hashSeed(seed) {
+    let hash = 2166136261;
+    for (const char of String(seed)) {
+        hash ^= char.charCodeAt(0);
+        hash = Math.imul(hash, 16777619);
+    }
+    return hash >>> 0;
+}
+
+// mulberry32: small, fast and plenty for drawing a few dozen shape parameters
+function generator(seed) {
+    let state = hashSeed(seed);
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+const round = (value, places) => Math.round(value * 10 ** places) / 10 ** places;
+
+// The simulated ocean for one seed: conditionsAt(lat, lng, time) gives the
+// conditions for the hour containing `time`
+function createSimulation(seed = process.env.SIMULATOR_SEED || DEFAULT_SEED) {
+    const random = generator(seed);
+    const between = (min, max) => min + random() * (max - min);
+
+    // Plane waves with 0.3-1.5° wavelengths drifting at up to ~0.4°/day; the
+    // sum is smooth in space and time and stays within -1..1
+    const ripples = count => {
+        const waves = Array.from({ length: count }, () => {
+            const wavenumber = 2 * Math.PI / between(0.3, 1.5);
+            const heading = between(0, 2 * Math.PI);
+            return {
+                kLat: wavenumber * Math.cos(heading),
+                kLng: wavenumber * Math.sin(heading),
+                speed: wavenumber * between(0.05, 0.4),
+                phase: between(0, 2 * Math.PI),
+                weight: between(0.5, 1)
+            };
+        });
+        const total = waves.reduce((sum, wave) => sum + wave.weight, 0);
+        return (lat, lng, days) => waves.reduce((sum, wave) =>
+            sum + wave.weight * Math.sin(wave.kLat * lat + wave.kLng * lng - wave.speed * days + wave.phase), 0) / total;
+    };
+
+    const front = {
+        lat: CENTRE.lat + between(-0.3, 0.3),
+        slope: between(-0.35, 0.35),        // degrees of latitude per degree east
+        meander: between(0.1, 0.3),         // amplitude in degrees
+        wavelength: between(1.2, 2.5),      // degrees of longitude
+        periodDays: between(5, 10),         // how long the meanders take to pass a point
+        phase: between(0, 2 * Math.PI),
+        width: between(0.05, 0.12),         // degrees
+        step: between(1.5, 3)               // °C warmer on the north side
+    };
+    const eddy = {
+        lat: CENTRE.lat + between(0.2, 0.5),
+        lng: CENTRE.lng + between(-0.5, 0.5),
+        orbit: between(0.15, 0.35),         // degrees the centre wanders
+        periodDays: between(12, 25),
+        phase: between(0, 2 * Math.PI),
+        radius: between(0.12, 0.25),
+        anomaly: between(0.8, 1.5)          // °C
+    };
+    const weather = {
+        periodDays: between(3.5, 6),
+        phase: between(0, 2 * Math.PI),
+        meanSpeed: between(10, 14),         // kts
+        prevailing: between(200, 250)       // degrees, south-westerly
+    };
+    const sstRipple = ripples(6);
+    const chlRipple = ripples(5);
+    const flowRipple = ripples(4);
+    const windRipple = ripples(4);
+
+    function frontLatitude(lng, days) {
+        const along = (lng - CENTRE.lng) * 2 * Math.PI / front.wavelength;
+        return front.lat + front.slope * (lng - CENTRE.lng) +
+            front.meander * Math.sin(along - 2 * Math.PI * days / front.periodDays + front.phase);
+    }
+
+    function conditionsAt(lat, lng, time = new Date()) {
+        const hour = new Date(Math.floor(new Date(time).getTime() / HOUR_MS) * HOUR_MS);
+        const days = hour.getTime() / DAY_MS;
+        const dayOfYear = (hour - Date.UTC(hour.getUTCFullYear(), 0, 1)) / DAY_MS;
+
+        // Signed distance across the front (in widths), positive on the warm north side
+        const across = (lat - frontLatitude(lng, days)) / front.width;
+        const warmSide = Math.tanh(across);
+        const nearFront = Math.exp(-across * across / 4);
+
+        const eddyAngle = 2 * Math.PI * days / eddy.periodDays + eddy.phase;
+        const eddyLat = eddy.lat + eddy.orbit * Math.sin(eddyAngle);
+        const eddyLng = eddy.lng + eddy.orbit * Math.cos(eddyAngle);
+        const eddyDistance = ((lat - eddyLat) ** 2 + (lng - eddyLng) ** 2) / (eddy.radius * eddy.radius);
+
+        const seaTemperature = 19.5 + 0.6 * (lat - CENTRE.lat) +
+            2.5 * Math.cos(2 * Math.PI * (dayOfYear - 45) / 365.25) + // warmest mid-February
+            0.15 * Math.cos(2 * Math.PI * (hour.getUTCHours() - 3) / 24) + // mid-afternoon NZ time
+            front.step / 2 * warmSide +
+            eddy.anomaly * Math.exp(-eddyDistance) +
+            0.5 * sstRipple(lat, lng, days);
+
+        const chlorophyll = Math.max(0.02,
+            0.1 + 0.15 * (1 - warmSide) / 2 + 0.12 * nearFront + 0.05 * chlRipple(lat, lng, days));
+
+        // Jet along the front, heading east along its local slope
+        const frontBearing = 90 - Math.atan(front.slope) * 180 / Math.PI;
+        const currentSpeed = Math.max(0, 0.2 + 0.9 * nearFront + 0.15 * flowRipple(lat, lng, days));
+        const currentDirection = frontBearing + 25 * flowRipple(lng, lat, days);
+
+        const systems = 2 * Math.PI * days / weather.periodDays + weather.phase + 0.3 * (lng - CENTRE.lng);
+        const windSpeed = Math.max(0, weather.meanSpeed + 7 * Math.sin(systems) + 3 * windRipple(lat, lng, days));
+        const windDirection = weather.prevailing + 60 * Math.sin(systems + 1) + 15 * windRipple(lng, lat, days);
+        const waveHeight = 0.4 + 0.09 * windSpeed + 0.15 * (1 + windRipple(lat + 1, lng, days));
+
+        return {
+            latitude: parseFloat(lat),
+            longitude: parseFloat(lng),
+            timestamp: hour.toISOString(),
+            sea_temperature: round(seaTemperature, 2),
+            current_speed: round(currentSpeed, 2),
+            current_direction: Math.round(((currentDirection % 360) + 360) % 360),
+            chlorophyll: round(chlorophyll, 3),
+            wind_speed: round(windSpeed, 1),
+            wind_direction: Math.round(((windDirection % 360) + 360) % 360),
+            wave_height: round(waveHeight, 2),
+            source: name,
+            fetched_at: hour.toISOString()
+        };
+    }
+
+    return { seed: String(seed), conditionsAt };
+}
+
+let defaultSimulation = null;
+
+// Conditions at a point for the hour containing `time` (default now), from
+// the SIMULATOR_SEED simulation
+function generateSimulatedConditions(lat, lng, time = new Date()) {
+    if (!defaultSimulation) defaultSimulation = createSimulation();
+    return defaultSimulation.conditionsAt(parseFloat(lat), parseFloat(lng), time);
+}
+
+module.exports = { name, isEnabled, createSimulation, generateSimulatedConditions };
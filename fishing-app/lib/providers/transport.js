@@ -0,0 +1,38 @@
+// lib/providers/transport.js - HTTP and fixture-backed transports for data providers
+const axios = require('axios');
+const fs = require('fs');
+const path = require('path');
+
+const FIXTURE_DIR = path.join(__dirname, 'fixtures');
+
+// Live transport: performs the real HTTP request
+function createHttpTransport({ timeout = 15000 } = {}) {
+    return {
+        mode: 'live',
+        async get(url, { params, headers, responseType = 'json' } = {}) {
+            const response = await axios.get(url, { params, headers, timeout, responseType });
+            return response.data;
+        }
+    };
+}
+
+// Fixture transport: returns a recorded provider response from disk so the
+// pipeline can run without network access or API keys
+function createFixtureTransport({ dir = FIXTURE_DIR } = {}) {
+    return {
+        mode: 'fixture',
+        async get(url, { fixture, responseType = 'json' } = {}) {
+            if (!fixture) {
+                throw new Error(`No fixture registered for ${url}`);
+            }
+            const body = await fs.promises.readFile(path.join(dir, fixture), 'utf8');
+            return responseType === 'json' ? JSON.parse(body) : body;
+        }
+    };
+}
+
+function createTransport(mode = process.env.OCEAN_PROVIDER_MODE || 'live') {
+    return mode === 'fixture' ? createFixtureTransport() : createHttpTransport();
+}
+
+module.exports = { createHttpTransport, createFixtureTransport, createTransport };
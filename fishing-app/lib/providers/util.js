@@ -0,0 +1,28 @@
+// lib/providers/util.js - Helpers shared by the provider adapters
+
+const MS_TO_KNOTS = 1.943844;
+
+function toKnots(metresPerSecond) {
+    return metresPerSecond == null ? null : metresPerSecond * MS_TO_KNOTS;
+}
+
+// Picks the sample closest to the requested point (squared degree distance is
+// plenty at the ~0.1° boxes we request)
+function nearest(samples, lat, lng) {
+    let best = null;
+    let bestDistance = Infinity;
+    samples.forEach(sample => {
+        const distance = (sample.latitude - lat) ** 2 + (sample.longitude - lng) ** 2;
+        if (distance < bestDistance) {
+            best = sample;
+            bestDistance = distance;
+        }
+    });
+    return best;
+}
+
+function isNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
+module.exports = { toKnots, nearest, isNumber };
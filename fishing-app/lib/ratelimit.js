@@ -0,0 +1,128 @@
+// lib/ratelimit.js - Per-IP and per-user request limits and sign-in lockout
+//
+// Requests are counted in memory in fixed windows of CONFIG.windowMinutes, so
+// counts start again on restart and each instance behind a load balancer
+// counts on its own. Behind a proxy, set TRUST_PROXY (see lib/security.js) or
+// every client shares the proxy's address. A limit of 0 turns it off.
+//
+// Failed sign-ins are counted per email address rather than per client: after
+// CONFIG.loginMaxFailures the address is locked for CONFIG.lockoutMinutes
+// whatever the password, so guesses can't be spread across many IPs, while
+// the per-IP auth limit stops one client working through many addresses. A
+// successful sign-in clears the count.
+
+function number(value, fallback) {
+    const parsed = parseInt(value, 10);
+    return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+}
+
+const CONFIG = {
+    windowMinutes: number(process.env.RATE_LIMIT_WINDOW_MINUTES, 15) || 15,
+    authPerIp: number(process.env.AUTH_RATE_LIMIT, 30),
+    writesPerIp: number(process.env.WRITE_RATE_LIMIT_IP, 300),
+    writesPerUser: number(process.env.WRITE_RATE_LIMIT_USER, 200),
+    loginMaxFailures: number(process.env.LOGIN_MAX_FAILURES, 5),
+    lockoutMinutes: number(process.env.LOGIN_LOCKOUT_MINUTES, 15) || 15
+};
+
+const SWEEP_MS = 60000;
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Fixed-window counters by key; expired windows are swept once a minute
+function createCounter(windowMs) {
+    const windows = new Map();
+    const sweep = setInterval(() => {
+        const now = Date.now();
+        windows.forEach((entry, key) => {
+            if (entry.resetAt <= now) windows.delete(key);
+        });
+    }, SWEEP_MS);
+    sweep.unref();
+
+    const current = key => {
+        const entry = windows.get(key);
+        return entry && entry.resetAt > Date.now() ? entry : null;
+    };
+    return {
+        current,
+        hit(key) {
+            let entry = current(key);
+            if (!entry) {
+                entry = { count: 0, resetAt: Date.now() + windowMs };
+                windows.set(key, entry);
+            }
+            entry.count += 1;
+            return entry;
+        },
+        reset(key) {
+            windows.delete(key);
+        }
+    };
+}
+
+const secondsUntil = time => Math.max(1, Math.ceil((time - Date.now()) / 1000));
+
+function tooManyRequests(message, resetAt) {
+    return Object.assign(new Error(message), { status: 429, retryAfter: secondsUntil(resetAt) });
+}
+
+// Middleware allowing `max` requests per window for each key(req); key may
+// return null to let a request through uncounted
+function limit(max, key, message = 'Too many requests; please slow down') {
+    const counter = createCounter(CONFIG.windowMinutes * 60000);
+    return (req, res, next) => {
+        const id = max ? key(req) : null;
+        if (id === null || id === undefined) return next();
+
+        const entry = counter.hit(String(id));
+        res.set({
+            'RateLimit-Limit': String(max),
+            'RateLimit-Remaining': String(Math.max(0, max - entry.count)),
+            'RateLimit-Reset': String(secondsUntil(entry.resetAt))
+        });
+        if (entry.count <= max) return next();
+        res.set('Retry-After', String(secondsUntil(entry.resetAt)));
+        res.status(429).json({ error: message });
+    };
+}
+
+const isWrite = req => !READ_METHODS.includes(req.method);
+
+// Registration, sign-in, token refresh and password reset, per client IP
+const authLimit = limit(CONFIG.authPerIp, req => req.ip,
+    'Too many sign-in requests from this address; please wait and try again');
+
+// Every POST/PUT/PATCH/DELETE under /api, per client IP
+const writeLimitByIp = limit(CONFIG.writesPerIp, req => (isWrite(req) ? req.ip : null));
+
+// Writes by a signed-in user, whatever address they come from; must come
+// after authentication has set req.user
+const writeLimitByUser = limit(CONFIG.writesPerUser, req => (isWrite(req) && req.user ? req.user.userId : null));
+
+const loginFailures = createCounter(CONFIG.lockoutMinutes * 60000);
+
+// Throws a 429 while the address is locked out
+function assertLoginAllowed(email) {
+    const entry = loginFailures.current(email);
+    if (CONFIG.loginMaxFailures && entry && entry.count >= CONFIG.loginMaxFailures) {
+        throw tooManyRequests('Too many failed sign-ins for this account; please wait and try again', entry.resetAt);
+    }
+}
+
+function recordLoginFailure(email) {
+    loginFailures.hit(email);
+}
+
+function clearLoginFailures(email) {
+    loginFailures.reset(email);
+}
+
+module.exports = {
+    CONFIG,
+    authLimit,
+    writeLimitByIp,
+    writeLimitByUser,
+    assertLoginAllowed,
+    recordLoginFailure,
+    clearLoginFailures
+};
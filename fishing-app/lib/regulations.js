@@ -0,0 +1,185 @@
+// lib/regulations.js - Recreational size and bag limits and marine protected areas
+//
+// Limits are the MPI recreational rules for the Auckland and Kermadec fishery
+// area, which takes in the whole coast the app covers; elsewhere no limits are
+// applied. Lengths are centimetres (fork length for kingfish, total length
+// otherwise) and bag limits are per person per day, where a day is an NZ
+// calendar day. Combined limits cap several species together. Rules change -
+// this is a guide for anglers, not the legal text.
+//
+// Marine reserves and closed areas come from data/nz-marine-areas.geojson and
+// are indicative outlines. A catch inside a reserve, or inside a closed area
+// that covers its species, breaks the rules and is rejected. Undersize fish,
+// a bag limit passed and species we have no rules for come back as warnings.
+const fs = require('fs');
+const path = require('path');
+const { all, sql } = require('./db');
+const { CATALOGUE, resolveSpecies } = require('./species');
+const { inRing } = require('./routing');
+const { localDateString, startOfLocalDay, addLocalDays } = require('./nztime');
+
+const AREAS_FILE = path.join(__dirname, '..', 'data', 'nz-marine-areas.geojson');
+const SOURCE = 'MPI recreational fishing rules, Auckland and Kermadec area (checked October 2026)';
+const NEARBY_DEGREES = 0.05;
+
+const LIMITS = {
+    'Snapper': { min_length_cm: 30, daily_limit: 7 },
+    'Kingfish': { min_length_cm: 75, daily_limit: 3 },
+    'Tarakihi': { min_length_cm: 25 },
+    'Trevally': { min_length_cm: 25 },
+    'Red Gurnard': { min_length_cm: 25 },
+    'John Dory': { min_length_cm: 25 },
+    'Blue Cod': { min_length_cm: 30, daily_limit: 10 },
+    'Kahawai': { daily_limit: 10 },
+    'Southern Bluefin Tuna': { daily_limit: 1 },
+    'Pacific Bluefin Tuna': { daily_limit: 1 }
+};
+
+const COMBINED_LIMITS = [
+    { name: 'Hāpuku and bass', daily_limit: 5, species: ['Hāpuku', 'Bass'] },
+    {
+        name: 'Mixed finfish',
+        daily_limit: 20,
+        species: ['Snapper', 'Kingfish', 'Tarakihi', 'Trevally', 'Red Gurnard', 'John Dory', 'Blue Cod', 'Kahawai', 'Hāpuku', 'Bass']
+    }
+];
+
+let areas = null;
+
+function loadAreas() {
+    if (!areas) {
+        const collection = JSON.parse(fs.readFileSync(AREAS_FILE, 'utf8'));
+        areas = collection.features.map(feature => {
+            const ring = feature.geometry.coordinates[0];
+            const lngs = ring.map(p => p[0]);
+            const lats = ring.map(p => p[1]);
+            return {
+                ...feature.properties,
+                ring,
+                bbox: [Math.min(...lngs), Math.min(...lats), Math.max(...lngs), Math.max(...lats)]
+            };
+        });
+    }
+    return areas;
+}
+
+const inBbox = ({ bbox }, lat, lng, margin = 0) =>
+    lng >= bbox[0] - margin && lat >= bbox[1] - margin && lng <= bbox[2] + margin && lat <= bbox[3] + margin;
+
+function areasAt(lat, lng) {
+    return loadAreas().filter(area => inBbox(area, lat, lng) && inRing(lat, lng, area.ring));
+}
+
+function describeArea({ id, name, type, rule, species }) {
+    return { id, name, type, rule, species: species || null };
+}
+
+// Whether a closed area's closure covers the species (null = every species)
+const closedTo = (area, species) => !area.species || area.species.includes(species);
+
+function inFisheryArea(lat, lng) {
+    return areasAt(lat, lng).some(area => area.type === 'fishery-area');
+}
+
+function rulesFor(species) {
+    const limits = LIMITS[species] || {};
+    return {
+        min_length_cm: limits.min_length_cm || null,
+        daily_limit: limits.daily_limit || null,
+        combined_limits: COMBINED_LIMITS.filter(group => group.species.includes(species))
+            .map(({ name, daily_limit }) => ({ name, daily_limit }))
+    };
+}
+
+// Problems that need nothing but the catch itself: { violations, warnings },
+// each a list of { code, field, message }. `values` is a validated catch
+// (canonical species name, length in cm).
+function checkRules({ species, length, latitude, longitude }) {
+    const violations = [];
+    const warnings = [];
+    const here = areasAt(latitude, longitude);
+
+    const breach = (code, area) => violations.push({ code, field: 'latitude', area: area.id,
+        message: `Inside ${area.name}: ${area.rule.charAt(0).toLowerCase()}${area.rule.slice(1)}` });
+    here.forEach(area => {
+        if (area.type === 'marine-reserve') breach('marine_reserve', area);
+        if (area.type === 'closed-area' && closedTo(area, species)) breach('closed_area', area);
+    });
+
+    if (!resolveSpecies(species)) {
+        warnings.push({ code: 'unknown_species', field: 'species',
+            message: `"${species}" is not in the species catalogue, so no size or bag limits were checked` });
+    } else if (here.some(area => area.type === 'fishery-area')) {
+        const limits = LIMITS[species];
+        if (limits && limits.min_length_cm && length != null && length < limits.min_length_cm) {
+            warnings.push({ code: 'undersize', field: 'length',
+                message: `${species} under ${limits.min_length_cm} cm must be released (this one is ${length} cm)` });
+        }
+    }
+    return { violations, warnings };
+}
+
+// The angler's catches on the same NZ day as `time`, by species
+async function dayCounts(userId, time, excludeId) {
+    const day = localDateString(new Date(time));
+    const rows = await all(`
+        SELECT species, COUNT(*) AS count FROM catch_logs
+        WHERE user_id = ? AND id IS DISTINCT FROM ?
+          AND ${sql.time('time_caught')} >= ${sql.time('?')} AND ${sql.time('time_caught')} < ${sql.time('?')}
+        GROUP BY species
+    `, [userId, excludeId || null, startOfLocalDay(day).toISOString(), startOfLocalDay(addLocalDays(day, 1)).toISOString()]);
+    return new Map(rows.map(row => [row.species, row.count]));
+}
+
+// checkRules plus daily bag limits, counting the angler's other catches that
+// day (`excludeId` leaves out the catch being edited)
+async function checkCatch(userId, values, { excludeId } = {}) {
+    const result = checkRules(values);
+    const { species, latitude, longitude, time_caught: time } = values;
+    if (!resolveSpecies(species) || !inFisheryArea(latitude, longitude)) return result;
+
+    const counts = await dayCounts(userId, time, excludeId);
+    const limit = LIMITS[species] && LIMITS[species].daily_limit;
+    const count = (counts.get(species) || 0) + 1;
+    if (limit && count > limit) {
+        result.warnings.push({ code: 'bag_limit', field: 'species',
+            message: `This is ${species} number ${count} today; the daily limit is ${limit}` });
+    }
+    COMBINED_LIMITS.filter(group => group.species.includes(species)).forEach(group => {
+        const total = group.species.reduce((sum, name) => sum + (counts.get(name) || 0), 0) + 1;
+        if (total > group.daily_limit) {
+            result.warnings.push({ code: 'bag_limit', field: 'species',
+                message: `This is fish number ${total} today under the ${group.name.toLowerCase()} limit of ${group.daily_limit}` });
+        }
+    });
+    return result;
+}
+
+function complianceError(violations) {
+    return Object.assign(new Error(violations[0].message), { status: 422, details: violations });
+}
+
+// Everything that applies at a point: the protected areas it is in (and any
+// within about 5 km) and the species limits, if the point is in the covered area
+function lookup(latitude, longitude) {
+    const here = areasAt(latitude, longitude);
+    const protectedArea = area => area.type !== 'fishery-area';
+    const fishery = here.find(area => area.type === 'fishery-area');
+    const nearby = loadAreas().filter(area => protectedArea(area) && !here.includes(area) &&
+        inBbox(area, latitude, longitude, NEARBY_DEGREES));
+
+    return {
+        latitude,
+        longitude,
+        fishing_allowed: !here.some(area => area.type === 'marine-reserve' || (area.type === 'closed-area' && !area.species)),
+        protected_areas: here.filter(protectedArea).map(describeArea),
+        nearby_protected_areas: nearby.map(describeArea),
+        fishery_area: fishery ? fishery.name : null,
+        source: fishery ? SOURCE : null,
+        species: fishery
+            ? CATALOGUE.map(entry => ({ name: entry.name, aliases: entry.aliases, ...rulesFor(entry.name) }))
+            : []
+    };
+}
+
+module.exports = { LIMITS, COMBINED_LIMITS, areasAt, checkRules, checkCatch, complianceError, lookup };
@@ -0,0 +1,28 @@
+// lib/replay.js - The ?at= parameter: reads as of a past moment
+//
+// Current conditions, the conditions grid and its contours, predictions and
+// alerts take ?at=<ISO 8601 timestamp> and answer from what was stored by then:
+// observations fetched at or before it, predictions made in the window before
+// it and alerts that were live at it. Simulated conditions depend only on the
+// hour (see lib/providers/simulator.js), so they replay too. Alerts are
+// replayed as last updated, not as first detected.
+//
+// `at` can go back at most CONFIG.days (REPLAY_DAYS). lib/retention.js keeps
+// gridded observations and expired alerts, and lib/verification.js verified
+// predictions, for at least that long, so anything in the window replays; a
+// look-back before `at` (?hours=) that reaches past it only finds what was kept.
+const validation = require('./validation');
+
+function number(value, fallback) {
+    const parsed = parseFloat(value);
+    return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+const CONFIG = {
+    days: number(process.env.REPLAY_DAYS, 30)
+};
+
+// Schema rule for ?at=: a Date, absent (meaning now) when not given
+const atParam = validation.timestamp({ past: true, maxAgeDays: CONFIG.days });
+
+module.exports = { CONFIG, atParam };
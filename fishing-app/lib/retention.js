@@ -0,0 +1,46 @@
+// lib/retention.js - Pruning of data that only matters while it is recent
+//
+// Gridded observations are read back for the latest grid (fronts), the
+// conditions grid and its replays; point observations are kept for model
+// training. Alerts are read while live and replayed for as long as ?at= can
+// reach back. Forecast inputs are only read from their latest issue. Verified
+// predictions are pruned by lib/verification.js.
+//
+// Gridded observations and expired alerts are kept for the replay window
+// (REPLAY_DAYS, see lib/replay.js) plus the longest grid look-back, even when
+// GRID_RETENTION_DAYS or ALERT_RETENTION_DAYS ask for less.
+const { run } = require('./db');
+const replay = require('./replay');
+const { MAX_HOURS: GRID_MAX_HOURS } = require('./grid');
+
+function number(value, fallback) {
+    const parsed = parseFloat(value);
+    return Number.isFinite(parsed) ? parsed : fallback;
+}
+
+const REPLAYABLE_DAYS = replay.CONFIG.days + Math.ceil(GRID_MAX_HOURS / 24);
+
+const CONFIG = {
+    gridDays: Math.max(number(process.env.GRID_RETENTION_DAYS, 7), REPLAYABLE_DAYS),
+    forecastInputDays: number(process.env.FORECAST_INPUT_RETENTION_DAYS, 7),
+    alertDays: Math.max(number(process.env.ALERT_RETENTION_DAYS, 30), replay.CONFIG.days),
+    jobHistoryDays: number(process.env.JOB_HISTORY_DAYS, 30)
+};
+
+const daysAgo = days => new Date(Date.now() - days * 86400000).toISOString();
+
+// Deletes everything past its retention; returns rows deleted per kind
+async function pruneData() {
+    const grid = await run('DELETE FROM environmental_data WHERE is_grid = 1 AND fetched_at < ?', [daysAgo(CONFIG.gridDays)]);
+    const forecastInputs = await run('DELETE FROM environmental_forecasts WHERE issued_at < ?', [daysAgo(CONFIG.forecastInputDays)]);
+    const alerts = await run('DELETE FROM alerts WHERE expires_at < ?', [daysAgo(CONFIG.alertDays)]);
+    const jobRuns = await run("DELETE FROM job_runs WHERE started_at < ? AND status != 'running'", [daysAgo(CONFIG.jobHistoryDays)]);
+    return {
+        grid_observations: grid.changes,
+        forecast_inputs: forecastInputs.changes,
+        alerts: alerts.changes,
+        job_runs: jobRuns.changes
+    };
+}
+
+module.exports = { CONFIG, pruneData };
@@ -0,0 +1,410 @@
+// lib/routing.js - Sea-only route planning through waypoints
+//
+// Land comes from data/nz-coastline.geojson, a simplified outline of the main
+// islands and the offshore islands of Northland and the Hauraki Gulf. It is
+// good to a kilometre or two: enough to go round headlands and islands, not to
+// thread harbour channels. A leg that can run straight does; otherwise A*
+// searches a water grid around the leg (widening the search if it has to go
+// round a whole peninsula) and the grid path is then pulled straight wherever
+// a direct line stays off the land. Each leg carries its distance, time, fuel
+// and the forecast wind and waves where the boat is expected to be.
+const fs = require('fs');
+const path = require('path');
+const providers = require('./providers');
+const { distanceNm } = require('./tides');
+const { toLocalISOString } = require('./nztime');
+
+const COASTLINE_FILE = path.join(__dirname, '..', 'data', 'nz-coastline.geojson');
+
+const MAX_WAYPOINTS = 12;
+const DEFAULT_SPEED_KNOTS = 18;
+const DEFAULT_FUEL_LPH = 40;
+const GRID_MAX_CELLS = 300; // per side
+const GRID_MIN_CELL_DEG = 0.01;
+const SEARCH_MARGINS_DEG = [0.3, 1, 3];
+const WEATHER_SAMPLE_NM = 15;
+const MAX_WEATHER_SAMPLES = 5;
+const ROUGH_WIND_KNOTS = 25;
+const ROUGH_WAVE_M = 2.5;
+const HOUR_MS = 3600000;
+
+function badRequest(message) {
+    return Object.assign(new Error(message), { status: 400 });
+}
+
+let coastline = null;
+
+// Outer rings with their bounding boxes, read once
+function loadCoastline() {
+    if (!coastline) {
+        const collection = JSON.parse(fs.readFileSync(COASTLINE_FILE, 'utf8'));
+        coastline = collection.features.map(feature => {
+            const ring = feature.geometry.coordinates[0];
+            const lngs = ring.map(p => p[0]);
+            const lats = ring.map(p => p[1]);
+            return {
+                name: feature.properties.name,
+                ring,
+                bbox: [Math.min(...lngs), Math.min(...lats), Math.max(...lngs), Math.max(...lats)]
+            };
+        });
+    }
+    return coastline;
+}
+
+function inRing(lat, lng, ring) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [xi, yi] = ring[i];
+        const [xj, yj] = ring[j];
+        if ((yi > lat) !== (yj > lat) && lng < (xj - xi) * (lat - yi) / (yj - yi) + xi) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+// Name of the land mass at a point, or null at sea
+function landAt(lat, lng) {
+    const land = loadCoastline().find(({ bbox, ring }) =>
+        lng >= bbox[0] && lat >= bbox[1] && lng <= bbox[2] && lat <= bbox[3] && inRing(lat, lng, ring));
+    return land ? land.name : null;
+}
+
+function cross(ax, ay, bx, by, cx, cy) {
+    return (bx - ax) * (cy - ay) - (by - ay) * (cx - ax);
+}
+
+function segmentsIntersect(a, b, c, d) {
+    const d1 = cross(c[0], c[1], d[0], d[1], a[0], a[1]);
+    const d2 = cross(c[0], c[1], d[0], d[1], b[0], b[1]);
+    const d3 = cross(a[0], a[1], b[0], b[1], c[0], c[1]);
+    const d4 = cross(a[0], a[1], b[0], b[1], d[0], d[1]);
+    return d1 * d2 < 0 && d3 * d4 < 0;
+}
+
+// True when the straight line between two points never touches land
+function lineClear(from, to) {
+    const a = [from.lng, from.lat];
+    const b = [to.lng, to.lat];
+    const box = [Math.min(a[0], b[0]), Math.min(a[1], b[1]), Math.max(a[0], b[0]), Math.max(a[1], b[1])];
+
+    for (const { bbox, ring } of loadCoastline()) {
+        if (bbox[0] > box[2] || bbox[2] < box[0] || bbox[1] > box[3] || bbox[3] < box[1]) continue;
+        for (let i = 0; i < ring.length - 1; i++) {
+            if (segmentsIntersect(a, b, ring[i], ring[i + 1])) return false;
+        }
+    }
+    return !landAt((from.lat + to.lat) / 2, (from.lng + to.lng) / 2);
+}
+
+// Minimal binary heap keyed on `f`
+function createQueue() {
+    const items = [];
+    return {
+        get size() { return items.length; },
+        push(item) {
+            items.push(item);
+            let i = items.length - 1;
+            while (i > 0) {
+                const parent = (i - 1) >> 1;
+                if (items[parent].f <= items[i].f) break;
+                [items[parent], items[i]] = [items[i], items[parent]];
+                i = parent;
+            }
+        },
+        pop() {
+            const top = items[0];
+            const last = items.pop();
+            if (items.length) {
+                items[0] = last;
+                let i = 0;
+                for (;;) {
+                    const left = 2 * i + 1;
+                    const right = left + 1;
+                    let smallest = i;
+                    if (left < items.length && items[left].f < items[smallest].f) smallest = left;
+                    if (right < items.length && items[right].f < items[smallest].f) smallest = right;
+                    if (smallest === i) break;
+                    [items[smallest], items[i]] = [items[i], items[smallest]];
+                    i = smallest;
+                }
+            }
+            return top;
+        }
+    };
+}
+
+// A* over a grid of roughly square cells covering both points plus `margin`
+// degrees. A cell is water only if its centre and all four corners are, which
+// keeps the path about half a cell off the coast. Returns points or null.
+function gridPath(from, to, margin) {
+    const south = Math.max(Math.min(from.lat, to.lat) - margin, -90);
+    const north = Math.min(Math.max(from.lat, to.lat) + margin, 90);
+    const cosLat = Math.cos((south + north) / 2 * Math.PI / 180);
+    const west = Math.min(from.lng, to.lng) - margin / cosLat;
+    const east = Math.max(from.lng, to.lng) + margin / cosLat;
+
+    const cell = Math.max(GRID_MIN_CELL_DEG, (north - south) / GRID_MAX_CELLS, (east - west) * cosLat / GRID_MAX_CELLS);
+    const cellLng = cell / cosLat;
+    const rows = Math.ceil((north - south) / cell);
+    const cols = Math.ceil((east - west) / cellLng);
+
+    const corners = new Uint8Array((rows + 1) * (cols + 1));
+    for (let r = 0; r <= rows; r++) {
+        for (let c = 0; c <= cols; c++) {
+            corners[r * (cols + 1) + c] = landAt(south + r * cell, west + c * cellLng) ? 1 : 0;
+        }
+    }
+    const blocked = new Uint8Array(rows * cols);
+    for (let r = 0; r < rows; r++) {
+        for (let c = 0; c < cols; c++) {
+            const k = r * (cols + 1) + c;
+            blocked[r * cols + c] = corners[k] || corners[k + 1] || corners[k + cols + 1] || corners[k + cols + 2] ||
+                landAt(south + (r + 0.5) * cell, west + (c + 0.5) * cellLng) ? 1 : 0;
+        }
+    }
+
+    const cellOf = p => [
+        Math.min(rows - 1, Math.floor((p.lat - south) / cell)),
+        Math.min(cols - 1, Math.floor((p.lng - west) / cellLng))
+    ];
+    const [startRow, startCol] = cellOf(from);
+    const [goalRow, goalCol] = cellOf(to);
+    const start = startRow * cols + startCol;
+    const goal = goalRow * cols + goalCol;
+    // The waypoints themselves are at sea, even when their cell brushes the coast
+    blocked[start] = 0;
+    blocked[goal] = 0;
+
+    const stepNs = cell * 60;
+    const stepEw = cellLng * cosLat * 60;
+    const heuristic = (r, c) => Math.hypot((r - goalRow) * stepNs, (c - goalCol) * stepEw);
+    const cost = new Float64Array(rows * cols).fill(Infinity);
+    const previous = new Int32Array(rows * cols).fill(-1);
+    const queue = createQueue();
+    cost[start] = 0;
+    queue.push({ index: start, f: heuristic(startRow, startCol) });
+
+    while (queue.size) {
+        const { index, f } = queue.pop();
+        if (index === goal) break;
+        const r = Math.floor(index / cols);
+        const c = index % cols;
+        if (f - heuristic(r, c) > cost[index] + 1e-9) continue; // stale entry
+
+        for (let dr = -1; dr <= 1; dr++) {
+            for (let dc = -1; dc <= 1; dc++) {
+                if (!dr && !dc) continue;
+                const nr = r + dr;
+                const nc = c + dc;
+                if (nr < 0 || nc < 0 || nr >= rows || nc >= cols) continue;
+                const next = nr * cols + nc;
+                if (blocked[next]) continue;
+                // No cutting corners between two land cells
+                if (dr && dc && (blocked[r * cols + nc] || blocked[nr * cols + c])) continue;
+
+                const total = cost[index] + Math.hypot(dr * stepNs, dc * stepEw);
+                if (total < cost[next]) {
+                    cost[next] = total;
+                    previous[next] = index;
+                    queue.push({ index: next, f: total + heuristic(nr, nc) });
+                }
+            }
+        }
+    }
+    if (cost[goal] === Infinity) return null;
+
+    const points = [];
+    for (let index = previous[goal]; index !== -1 && index !== start; index = previous[index]) {
+        points.unshift({ lat: south + (Math.floor(index / cols) + 0.5) * cell, lng: west + (index % cols + 0.5) * cellLng });
+    }
+    return [from, ...points, to];
+}
+
+// Drops every point that a straight, land-free line can skip
+function straighten(points) {
+    const result = [points[0]];
+    let i = 0;
+    while (i < points.length - 1) {
+        let j = points.length - 1;
+        while (j > i + 1 && !lineClear(points[i], points[j])) j--;
+        result.push(points[j]);
+        i = j;
+    }
+    return result;
+}
+
+function planLeg(from, to) {
+    if (lineClear(from, to)) return [from, to];
+    for (const margin of SEARCH_MARGINS_DEG) {
+        const points = gridPath(from, to, margin);
+        if (points) return straighten(points);
+    }
+    throw Object.assign(new Error(`No sea route found from ${formatPoint(from)} to ${formatPoint(to)}`), { status: 422 });
+}
+
+const formatPoint = p => `${p.lat.toFixed(4)}, ${p.lng.toFixed(4)}`;
+const round = (value, places) => Math.round(value * 10 ** places) / 10 ** places;
+
+// Accepts [lat, lng] pairs or { lat, lng } / { latitude, longitude } objects
+function parseWaypoints(input) {
+    if (!Array.isArray(input) || input.length < 2) throw badRequest('waypoints needs at least two positions');
+    if (input.length > MAX_WAYPOINTS) throw badRequest(`Routes are limited to ${MAX_WAYPOINTS} waypoints`);
+
+    return input.map((item, i) => {
+        const lat = Number(Array.isArray(item) ? item[0] : item && (item.lat ?? item.latitude));
+        const lng = Number(Array.isArray(item) ? item[1] : item && (item.lng ?? item.longitude));
+        if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+            throw badRequest(`Waypoint ${i + 1} is not a valid position`);
+        }
+        const land = landAt(lat, lng);
+        if (land) throw badRequest(`Waypoint ${i + 1} (${formatPoint({ lat, lng })}) is on land (${land})`);
+        return { lat, lng, name: item && item.name ? String(item.name) : null };
+    });
+}
+
+function positiveNumber(value, fallback, name, max) {
+    if (value === undefined || value === null || value === '') return fallback;
+    const number = Number(value);
+    if (!Number.isFinite(number) || number <= 0 || number > max) throw badRequest(`${name} must be between 0 and ${max}`);
+    return number;
+}
+
+// Points every WEATHER_SAMPLE_NM along a leg (at least its midpoint), each
+// with its distance from the start of the leg
+function samplePoints(points) {
+    const legs = [];
+    let total = 0;
+    for (let i = 1; i < points.length; i++) {
+        const nm = distanceNm(points[i - 1].lat, points[i - 1].lng, points[i].lat, points[i].lng);
+        legs.push({ from: points[i - 1], to: points[i], start: total, nm });
+        total += nm;
+    }
+    const count = Math.min(MAX_WEATHER_SAMPLES, Math.max(1, Math.round(total / WEATHER_SAMPLE_NM)));
+    return Array.from({ length: count }, (_, k) => {
+        const at = total * (k + 0.5) / count;
+        const leg = legs.find(l => at <= l.start + l.nm) || legs[legs.length - 1];
+        const t = leg.nm ? (at - leg.start) / leg.nm : 0;
+        return {
+            lat: leg.from.lat + (leg.to.lat - leg.from.lat) * t,
+            lng: leg.from.lng + (leg.to.lng - leg.from.lng) * t,
+            nm: at
+        };
+    });
+}
+
+// Forecast hour nearest `time` at a point; null past the providers' horizon
+async function forecastAt(lat, lng, time, cache) {
+    const hour = Math.round(time.getTime() / HOUR_MS) * HOUR_MS;
+    const key = `${lat.toFixed(2)},${lng.toFixed(2)},${hour}`;
+    if (!cache.has(key)) {
+        cache.set(key, providers.fetchForecast({ lat, lng }, { start: new Date(hour), end: new Date(hour) })
+            .then(rows => rows[0] || null)
+            .catch(error => {
+                console.error('Route forecast failed:', error.message);
+                return null;
+            }));
+    }
+    return cache.get(key);
+}
+
+async function legWeather(points, departure, speedKnots, cache) {
+    const samples = [];
+    for (const point of samplePoints(points)) {
+        const time = new Date(departure.getTime() + point.nm / speedKnots * HOUR_MS);
+        const row = await forecastAt(point.lat, point.lng, time, cache);
+        samples.push({
+            latitude: round(point.lat, 4),
+            longitude: round(point.lng, 4),
+            time: toLocalISOString(time),
+            wind_speed: row && row.wind_speed != null ? round(row.wind_speed, 1) : null,
+            wind_direction: row ? row.wind_direction : null,
+            wave_height: row && row.wave_height != null ? round(row.wave_height, 1) : null
+        });
+    }
+    const max = field => {
+        const values = samples.map(s => s[field]).filter(v => v != null);
+        return values.length ? Math.max(...values) : null;
+    };
+    return { samples, max_wind_speed: max('wind_speed'), max_wave_height: max('wave_height') };
+}
+
+// Plans a trip through the waypoints in order. Returns a GeoJSON
+// FeatureCollection of leg LineStrings and waypoint Points, with the trip
+// totals in its `properties`.
+async function planRoute({ waypoints, speed_knots: speed, fuel_lph: fuel, departure } = {}) {
+    const stops = parseWaypoints(waypoints);
+    const speedKnots = positiveNumber(speed, DEFAULT_SPEED_KNOTS, 'speed_knots', 60);
+    const fuelLph = positiveNumber(fuel, DEFAULT_FUEL_LPH, 'fuel_lph', 2000);
+    const start = departure ? new Date(departure) : new Date();
+    if (Number.isNaN(start.getTime())) throw badRequest('departure must be a date/time');
+
+    const cache = new Map();
+    const features = [];
+    const warnings = [];
+    let clock = start;
+    let totalNm = 0;
+
+    stops.forEach((stop, i) => {
+        features.push({
+            type: 'Feature',
+            geometry: { type: 'Point', coordinates: [stop.lng, stop.lat] },
+            properties: { kind: 'waypoint', index: i + 1, name: stop.name }
+        });
+    });
+
+    for (let i = 1; i < stops.length; i++) {
+        const points = planLeg(stops[i - 1], stops[i]);
+        let nm = 0;
+        for (let k = 1; k < points.length; k++) {
+            nm += distanceNm(points[k - 1].lat, points[k - 1].lng, points[k].lat, points[k].lng);
+        }
+        const hours = nm / speedKnots;
+        const weather = await legWeather(points, clock, speedKnots, cache);
+        const arrive = new Date(clock.getTime() + hours * HOUR_MS);
+
+        if (weather.max_wind_speed >= ROUGH_WIND_KNOTS || weather.max_wave_height >= ROUGH_WAVE_M) {
+            warnings.push(`Leg ${i}: forecast up to ${weather.max_wind_speed ?? '?'} kts wind and ` +
+                `${weather.max_wave_height ?? '?'} m waves`);
+        }
+        features[i - 1].properties.depart = toLocalISOString(clock);
+        features[i].properties.arrive = toLocalISOString(arrive);
+        features.push({
+            type: 'Feature',
+            geometry: { type: 'LineString', coordinates: points.map(p => [round(p.lng, 5), round(p.lat, 5)]) },
+            properties: {
+                kind: 'leg',
+                leg: i,
+                from: i,
+                to: i + 1,
+                distance_nm: round(nm, 1),
+                duration_hours: round(hours, 2),
+                depart: toLocalISOString(clock),
+                arrive: toLocalISOString(arrive),
+                fuel_litres: Math.round(hours * fuelLph),
+                weather
+            }
+        });
+        totalNm += nm;
+        clock = arrive;
+    }
+
+    const hours = totalNm / speedKnots;
+    return {
+        type: 'FeatureCollection',
+        properties: {
+            distance_nm: round(totalNm, 1),
+            duration_hours: round(hours, 2),
+            speed_knots: speedKnots,
+            fuel_lph: fuelLph,
+            fuel_litres: Math.round(hours * fuelLph),
+            departure: toLocalISOString(start),
+            eta: toLocalISOString(clock),
+            warnings
+        },
+        features
+    };
+}
+
+module.exports = { MAX_WAYPOINTS, inRing, landAt, lineClear, planLeg, planRoute };
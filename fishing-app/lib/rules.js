@@ -0,0 +1,378 @@
+// lib/rules.js - User alert rules and their evaluation after each data refresh
+//
+// A rule names a species, optionally limits itself to a hotspot or a GeoJSON
+// area, and sets a minimum probability (learned model, falling back to the
+// profile score) and/or favorability (profile score). Sites are the hotspots
+// plus any other point we hold recent observations for. Each matching site is
+// delivered at most once per rule, channel and NZ day; nothing is sent during
+// the rule's quiet hours (NZ time), so a match still standing afterwards goes
+// out on the next evaluation. Webhooks must point at a public address and
+// email only goes to the account's own verified address (see lib/notify.js).
+const { get, all, run } = require('./db');
+const { getProfile } = require('./species');
+const { scoreConditions } = require('./scoring');
+const models = require('./model');
+const notify = require('./notify');
+const { validatePolygon, pointInPolygon, distanceKm } = require('./geo');
+const spatial = require('./spatial');
+const { localParts, localDateString } = require('./nztime');
+
+const OBSERVATION_MAX_AGE_HOURS = 24;
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+function badRequest(message) {
+    return Object.assign(new Error(message), { status: 400 });
+}
+
+function threshold(value, name) {
+    if (value === undefined || value === null || value === '') return null;
+    const number = Number(value);
+    if (!Number.isFinite(number) || number < 0 || number > 100) {
+        throw badRequest(`${name} must be between 0 and 100`);
+    }
+    return number;
+}
+
+// Validates a create/update body and returns the column values to store
+async function normaliseRule(userId, body) {
+    const profile = getProfile(body.species);
+    if (!profile) throw badRequest(`Unknown species: ${body.species}`);
+
+    const minProbability = threshold(body.min_probability, 'min_probability');
+    const minFavorability = threshold(body.min_favorability, 'min_favorability');
+    if (minProbability == null && minFavorability == null) {
+        throw badRequest('Set min_probability and/or min_favorability');
+    }
+
+    if (body.hotspot_id != null && body.area != null) {
+        throw badRequest('Use either hotspot_id or area, not both');
+    }
+    let hotspotId = null;
+    if (body.hotspot_id != null) {
+        const hotspot = await get('SELECT id FROM hotspots WHERE id = ? AND archived_at IS NULL', [body.hotspot_id]);
+        if (!hotspot) throw badRequest(`Unknown hotspot: ${body.hotspot_id}`);
+        hotspotId = hotspot.id;
+    }
+    if (body.area != null) {
+        const problem = validatePolygon(body.area);
+        if (problem) throw badRequest(problem);
+    }
+
+    let quietStart = null;
+    let quietEnd = null;
+    if (body.quiet_hours != null) {
+        const { start, end } = body.quiet_hours;
+        if (!TIME_PATTERN.test(start || '') || !TIME_PATTERN.test(end || '')) {
+            throw badRequest('quiet_hours needs start and end as HH:MM (NZ time)');
+        }
+        quietStart = start;
+        quietEnd = end;
+    }
+
+    const webhookUrl = body.webhook_url || null;
+    if (webhookUrl) {
+        try {
+            await notify.checkWebhookUrl(webhookUrl);
+        } catch (error) {
+            throw badRequest(`webhook_url: ${error.message}`);
+        }
+    }
+    const email = body.email || null;
+    if (email) {
+        const user = await get('SELECT email, email_verified_at FROM users WHERE id = ?', [userId]);
+        if (!user || String(email).toLowerCase() !== user.email.toLowerCase()) {
+            throw badRequest('email must be your account\'s email address');
+        }
+        if (!user.email_verified_at) {
+            throw badRequest('Verify your email address before sending alerts to it');
+        }
+    }
+    if (!webhookUrl && !email) {
+        throw badRequest('Set webhook_url and/or email to deliver to');
+    }
+
+    return {
+        name: body.name || `${profile.name} alert`,
+        species: profile.name,
+        hotspot_id: hotspotId,
+        area: body.area ? JSON.stringify(body.area) : null,
+        min_probability: minProbability,
+        min_favorability: minFavorability,
+        quiet_start: quietStart,
+        quiet_end: quietEnd,
+        webhook_url: webhookUrl,
+        email,
+        is_active: body.is_active === false ? 0 : 1
+    };
+}
+
+function formatRule(row) {
+    return {
+        id: row.id,
+        name: row.name,
+        species: row.species,
+        hotspot_id: row.hotspot_id,
+        area: row.area ? JSON.parse(row.area) : null,
+        min_probability: row.min_probability,
+        min_favorability: row.min_favorability,
+        quiet_hours: row.quiet_start ? { start: row.quiet_start, end: row.quiet_end } : null,
+        webhook_url: row.webhook_url,
+        email: row.email,
+        is_active: !!row.is_active,
+        created_at: row.created_at,
+        updated_at: row.updated_at
+    };
+}
+
+async function listRules(userId) {
+    const rows = await all('SELECT * FROM alert_rules WHERE user_id = ? ORDER BY created_at DESC', [userId]);
+    return rows.map(formatRule);
+}
+
+async function findRule(userId, id) {
+    const row = await get('SELECT * FROM alert_rules WHERE id = ? AND user_id = ?', [id, userId]);
+    if (!row) throw Object.assign(new Error('Alert rule not found'), { status: 404 });
+    return row;
+}
+
+async function getRule(userId, id) {
+    return formatRule(await findRule(userId, id));
+}
+
+async function createRule(userId, body) {
+    const rule = await normaliseRule(userId, body);
+    const now = new Date().toISOString();
+    const columns = Object.keys(rule);
+    const { lastID } = await run(`
+        INSERT INTO alert_rules (user_id, ${columns.join(', ')}, created_at, updated_at)
+        VALUES (?, ${columns.map(() => '?').join(', ')}, ?, ?)
+    `, [userId, ...Object.values(rule), now, now]);
+    return formatRule(await findRule(userId, lastID));
+}
+
+async function updateRule(userId, id, body) {
+    await findRule(userId, id);
+    const rule = await normaliseRule(userId, body);
+    const columns = Object.keys(rule);
+    await run(`
+        UPDATE alert_rules SET ${columns.map(c => `${c} = ?`).join(', ')}, updated_at = ?
+        WHERE id = ? AND user_id = ?
+    `, [...Object.values(rule), new Date().toISOString(), id, userId]);
+    return formatRule(await findRule(userId, id));
+}
+
+async function deleteRule(userId, id) {
+    await findRule(userId, id);
+    await run('DELETE FROM alert_rules WHERE id = ? AND user_id = ?', [id, userId]);
+}
+
+function minutesOf(hhmm) {
+    const [, h, m] = hhmm.match(TIME_PATTERN);
+    return Number(h) * 60 + Number(m);
+}
+
+// Quiet hours may wrap midnight (e.g. 21:00-06:00)
+function inQuietHours(rule, date) {
+    if (!rule.quiet_start || !rule.quiet_end) return false;
+    const { hour, minute } = localParts(date);
+    const now = hour * 60 + minute;
+    const start = minutesOf(rule.quiet_start);
+    const end = minutesOf(rule.quiet_end);
+    return start <= end ? now >= start && now < end : now >= start || now < end;
+}
+
+// Hotspots plus other recently observed points, each with its latest conditions
+async function loadSites() {
+    const hotspots = await all(`
+        SELECT name, latitude, longitude FROM hotspots
+        WHERE archived_at IS NULL
+        ORDER BY name
+    `);
+    const since = new Date(Date.now() - OBSERVATION_MAX_AGE_HOURS * 3600000).toISOString();
+    const observed = await all(`
+        SELECT DISTINCT latitude, longitude FROM environmental_data
+        WHERE is_grid = 0 AND fetched_at > ?
+    `, [since]);
+
+    const sites = hotspots.map(h => ({ key: `hotspot:${h.name}`, name: h.name, hotspot: h.name, lat: h.latitude, lng: h.longitude }));
+    observed.forEach(point => {
+        const covered = sites.some(s => distanceKm(s.lat, s.lng, point.latitude, point.longitude) <= spatial.NEARBY_KM);
+        if (!covered) {
+            sites.push({
+                key: `point:${point.latitude},${point.longitude}`,
+                name: `${point.latitude.toFixed(2)}, ${point.longitude.toFixed(2)}`,
+                hotspot: null,
+                lat: point.latitude,
+                lng: point.longitude
+            });
+        }
+    });
+
+    for (const site of sites) {
+        site.conditions = await spatial.latestObservation(site.lat, site.lng);
+    }
+    return sites.filter(site => site.conditions);
+}
+
+async function assess(site, profile, date) {
+    const favorability = scoreConditions(site.conditions, profile, { date, lat: site.lat, lng: site.lng });
+    const learned = await models.predictWithModel(profile.name, site.conditions);
+    return {
+        probability: learned ? learned.probability : favorability.score,
+        favorability: favorability.score,
+        rating: favorability.rating,
+        model_id: learned ? learned.model_id : null
+    };
+}
+
+function channelsFor(rule) {
+    const channels = [];
+    if (rule.webhook_url) channels.push({ channel: 'webhook', target: rule.webhook_url });
+    if (rule.email) channels.push({ channel: 'email', target: rule.email });
+    return channels;
+}
+
+function buildPayload(rule, site, result, date) {
+    const value = rule.min_probability != null ? `${result.probability}% probability` : `favorability ${result.favorability}`;
+    return {
+        type: 'alert_rule_match',
+        rule: { id: rule.id, name: rule.name },
+        species: rule.species,
+        site: { name: site.name, hotspot: site.hotspot, lat: site.lat, lng: site.lng },
+        probability: result.probability,
+        favorability: result.favorability,
+        rating: result.rating,
+        model_id: result.model_id,
+        conditions: {
+            sea_temperature: site.conditions.sea_temperature,
+            current_speed: site.conditions.current_speed,
+            chlorophyll: site.conditions.chlorophyll,
+            wind_speed: site.conditions.wind_speed,
+            wave_height: site.conditions.wave_height,
+            observed_at: site.conditions.timestamp
+        },
+        title: `${rule.species} conditions at ${site.name}`,
+        message: `${rule.species} is looking ${result.rating} at ${site.name}: ${value}.`,
+        evaluated_at: date.toISOString()
+    };
+}
+
+function ruleSites(rule, sites, hotspotName) {
+    if (rule.hotspot_id) return sites.filter(s => s.hotspot === hotspotName);
+    if (rule.area) {
+        const area = JSON.parse(rule.area);
+        return sites.filter(s => pointInPolygon(s.lat, s.lng, area));
+    }
+    return sites;
+}
+
+// Evaluates every active rule against the latest conditions and queues
+// deliveries for new matches, then sends whatever is due
+async function evaluateRules(date = new Date()) {
+    const rules = await all('SELECT * FROM alert_rules WHERE is_active = 1');
+    const summary = { rules: rules.length, quiet: 0, matches: 0, queued: 0 };
+    if (rules.length === 0) return summary;
+
+    const sites = await loadSites();
+    const assessments = new Map();
+
+    for (const rule of rules) {
+        if (inQuietHours(rule, date)) {
+            summary.quiet++;
+            continue;
+        }
+        const profile = getProfile(rule.species);
+        if (!profile) continue;
+
+        const hotspot = rule.hotspot_id ? await get('SELECT name FROM hotspots WHERE id = ?', [rule.hotspot_id]) : null;
+        for (const site of ruleSites(rule, sites, hotspot && hotspot.name)) {
+            const cacheKey = `${site.key}|${profile.id}`;
+            if (!assessments.has(cacheKey)) assessments.set(cacheKey, await assess(site, profile, date));
+            const result = assessments.get(cacheKey);
+
+            const matches = (rule.min_probability == null || result.probability >= rule.min_probability) &&
+                (rule.min_favorability == null || result.favorability >= rule.min_favorability);
+            if (!matches) continue;
+            summary.matches++;
+
+            const payload = buildPayload(rule, site, result, date);
+            for (const { channel, target } of channelsFor(rule)) {
+                const queued = await notify.enqueue({
+                    ruleId: rule.id,
+                    userId: rule.user_id,
+                    channel,
+                    target,
+                    dedupKey: `${site.key}:${localDateString(date)}`,
+                    payload
+                });
+                if (queued) summary.queued++;
+            }
+        }
+    }
+
+    summary.deliveries = await notify.processDeliveries();
+    return summary;
+}
+
+// Sends a sample notification on each of the rule's channels straight away
+async function sendTest(userId, id) {
+    const rule = await findRule(userId, id);
+    const date = new Date();
+    const payload = {
+        type: 'alert_rule_test',
+        rule: { id: rule.id, name: rule.name },
+        species: rule.species,
+        title: `Test: ${rule.name}`,
+        message: `This is a test notification for your ${rule.species} alert rule.`,
+        evaluated_at: date.toISOString()
+    };
+    for (const { channel, target } of channelsFor(rule)) {
+        await notify.enqueue({ ruleId: rule.id, userId, channel, target, dedupKey: `test:${date.getTime()}`, payload });
+    }
+    await notify.processDeliveries();
+    return listDeliveries(userId, { ruleId: rule.id, limit: channelsFor(rule).length });
+}
+
+async function listDeliveries(userId, { ruleId, status, limit = 50 } = {}) {
+    const conditions = ['user_id = ?'];
+    const params = [userId];
+    if (ruleId) {
+        conditions.push('rule_id = ?');
+        params.push(ruleId);
+    }
+    if (status) {
+        conditions.push('status = ?');
+        params.push(status);
+    }
+    const rows = await all(`
+        SELECT * FROM alert_deliveries
+        WHERE ${conditions.join(' AND ')}
+        ORDER BY created_at DESC, id DESC
+        LIMIT ?
+    `, [...params, limit]);
+
+    return rows.map(row => ({
+        id: row.id,
+        rule_id: row.rule_id,
+        channel: row.channel,
+        target: row.target,
+        status: row.status,
+        attempts: row.attempts,
+        last_error: row.last_error,
+        next_attempt_at: row.next_attempt_at,
+        sent_at: row.sent_at,
+        created_at: row.created_at,
+        payload: JSON.parse(row.payload)
+    }));
+}
+
+module.exports = {
+    listRules,
+    getRule,
+    createRule,
+    updateRule,
+    deleteRule,
+    evaluateRules,
+    sendTest,
+    listDeliveries
+};
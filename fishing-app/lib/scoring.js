@@ -0,0 +1,131 @@
+// lib/scoring.js - Explainable favorability scoring against a species profile
+const { getProfile } = require('./species');
+const { localParts } = require('./nztime');
+const { timeOfDayFraction } = require('./astro');
+const { tidalFlowFraction } = require('./tides');
+
+// Condition column -> factor name used in the `factors` summary the dashboard reads
+const FACTOR_NAMES = {
+    sea_temperature: 'temperature',
+    current_speed: 'current',
+    chlorophyll: 'chlorophyll',
+    wind_speed: 'wind',
+    wave_height: 'waves'
+};
+
+const TOLERABLE_FLOOR = 0.3; // fraction scored at the outer edge of the tolerable range
+const DEFAULT_LOCATION = { lat: -34.25, lng: 173.25 };
+
+function within(value, [min, max]) {
+    return (min == null || value >= min) && (max == null || value <= max);
+}
+
+// 1 inside the optimal range, tapering linearly to TOLERABLE_FLOOR at the
+// tolerable edge, 0 beyond it
+function rangeFraction(value, range) {
+    if (within(value, range.optimal)) return 1;
+    if (!within(value, range.tolerable)) return 0;
+
+    const [optMin, optMax] = range.optimal;
+    const [tolMin, tolMax] = range.tolerable;
+    const below = optMin != null && value < optMin;
+    const edge = below ? optMin : optMax;
+    const limit = below ? tolMin : tolMax;
+    if (limit == null || limit === edge) return 1;
+
+    const distance = Math.abs(value - edge) / Math.abs(limit - edge);
+    return 1 - distance * (1 - TOLERABLE_FLOOR);
+}
+
+function ratingFor(fraction) {
+    if (fraction == null) return 'unknown';
+    if (fraction >= 1) return 'optimal';
+    if (fraction > 0) return 'good';
+    return 'poor';
+}
+
+function seasonFraction(profile, month) {
+    if (profile.season.peak.includes(month)) return 1;
+    if (profile.season.shoulder.includes(month)) return 0.5;
+    return 0;
+}
+
+// Scores conditions for a species. Every weighted factor is reported in
+// `contributions` with the value used, its rating and the points it earned;
+// factors without data are reported but excluded from the total. Season, light,
+// solunar and tide factors are evaluated in NZ time at the given position
+// (defaulting to the conditions' own coordinates).
+function scoreConditions(conditions, species = 'generic', { date = new Date(), lat, lng } = {}) {
+    const profile = typeof species === 'object' ? species : getProfile(species);
+    if (!profile) {
+        throw new Error(`Unknown species: ${species}`);
+    }
+
+    const contributions = [];
+    const add = (factor, value, fraction, detail) => {
+        const weight = profile.weights[factor] || 0;
+        if (!weight) return;
+        contributions.push({
+            factor,
+            value,
+            rating: ratingFor(fraction),
+            weight,
+            points: fraction == null ? null : Math.round(weight * fraction * 10) / 10,
+            detail
+        });
+    };
+
+    Object.entries(profile.ranges).forEach(([column, range]) => {
+        const value = conditions[column];
+        const hasValue = typeof value === 'number' && Number.isFinite(value);
+        add(column, hasValue ? value : null, hasValue ? rangeFraction(value, range) : null, {
+            optimal: range.optimal,
+            tolerable: range.tolerable
+        });
+    });
+
+    const position = {
+        lat: Number(lat ?? conditions.latitude ?? DEFAULT_LOCATION.lat),
+        lng: Number(lng ?? conditions.longitude ?? DEFAULT_LOCATION.lng)
+    };
+    const local = localParts(date);
+
+    add('season', local.month, seasonFraction(profile, local.month), profile.season);
+
+    const light = timeOfDayFraction(date, position.lat, position.lng);
+    add('time', local.hour, light.fraction, { reasons: light.reasons, solunar_rating: light.solunar_rating });
+
+    if (profile.weights.tide) {
+        const flow = tidalFlowFraction(position.lat, position.lng, date);
+        add('tide', Math.round(flow * 100) / 100, flow, { description: 'tidal flow relative to peak (0 = slack)' });
+    }
+
+    const scored = contributions.filter(c => c.points != null);
+    const available = scored.reduce((sum, c) => sum + c.weight, 0);
+    const total = contributions.reduce((sum, c) => sum + c.weight, 0);
+    const points = scored.reduce((sum, c) => sum + c.points, 0);
+    const score = available ? Math.round(points / available * 100) : 0;
+
+    const factors = {};
+    contributions.forEach(c => {
+        const name = FACTOR_NAMES[c.factor] || c.factor;
+        if (c.factor === 'time') {
+            if (c.rating === 'optimal') factors.time = 'prime_time';
+            else if (c.points >= c.weight * 0.7) factors.time = 'solunar';
+        } else {
+            factors[name] = c.rating;
+        }
+    });
+
+    return {
+        species: profile.name,
+        score: Math.min(100, Math.max(0, score)),
+        rating: score >= 80 ? 'excellent' : score >= 60 ? 'good' : score >= 40 ? 'fair' : 'poor',
+        factors,
+        contributions,
+        coverage: total ? Math.round(available / total * 100) / 100 : 0,
+        depth: profile.depth
+    };
+}
+
+module.exports = { scoreConditions, rangeFraction };
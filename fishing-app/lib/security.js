@@ -0,0 +1,74 @@
+// lib/security.js - Response security headers, the CORS allowlist and proxy trust
+//
+// The content security policy allows what the dashboard actually loads: its
+// own script files (no inline script or event handler attributes, so injected
+// markup can't run anything), Leaflet from unpkg and OpenStreetMap tiles.
+// Inline styles are still allowed. HSTS is only sent in production, where the app is served over HTTPS.
+//
+// Cross-origin browser requests are allowed from CORS_ORIGINS (comma-separated
+// origins, or * for any), defaulting to APP_URL's origin. Other origins get no
+// CORS headers, so browsers refuse to hand them the response; requests that
+// don't come from a browser page (curl, the app itself) are unaffected.
+const LEAFLET = 'https://unpkg.com';
+// The map loads tiles from a.-c. subdomains; the service worker's offline
+// area download (public/sw.js) fetches them from the bare host
+const TILES = 'https://tile.openstreetmap.org https://*.tile.openstreetmap.org';
+
+const CONTENT_SECURITY_POLICY = [
+    "default-src 'self'",
+    `script-src 'self' ${LEAFLET}`,
+    `style-src 'self' 'unsafe-inline' ${LEAFLET}`,
+    `img-src 'self' data: blob: ${LEAFLET} ${TILES}`,
+    `connect-src 'self' ${LEAFLET} ${TILES}`,
+    "font-src 'self' data:",
+    "object-src 'none'",
+    "base-uri 'self'",
+    "form-action 'self'",
+    "frame-ancestors 'none'"
+].join('; ');
+
+const isProduction = () => process.env.NODE_ENV === 'production';
+
+function securityHeaders(req, res, next) {
+    res.set({
+        'Content-Security-Policy': CONTENT_SECURITY_POLICY,
+        'X-Content-Type-Options': 'nosniff',
+        'X-Frame-Options': 'DENY',
+        'Referrer-Policy': 'strict-origin-when-cross-origin',
+        'Permissions-Policy': 'camera=(), microphone=(), geolocation=(self)',
+        'Cross-Origin-Opener-Policy': 'same-origin'
+    });
+    if (isProduction()) res.set('Strict-Transport-Security', 'max-age=15552000; includeSubDomains');
+    next();
+}
+
+function allowedOrigins() {
+    const configured = String(process.env.CORS_ORIGINS || '').split(',').map(o => o.trim().replace(/\/+$/, '')).filter(Boolean);
+    if (configured.length) return configured;
+    try {
+        return [new URL(process.env.APP_URL || 'http://localhost:3000').origin];
+    } catch (error) {
+        return [];
+    }
+}
+
+// Options for the cors middleware
+function corsOptions() {
+    const origins = allowedOrigins();
+    return {
+        origin: origins.includes('*') ? true : (origin, callback) => callback(null, !origin || origins.includes(origin)),
+        exposedHeaders: ['Retry-After', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset'],
+        maxAge: 600
+    };
+}
+
+// Express 'trust proxy' setting from TRUST_PROXY: true, a number of proxy hops,
+// or addresses/subnets; off when unset so X-Forwarded-For can't be spoofed
+function trustProxy() {
+    const value = String(process.env.TRUST_PROXY || '').trim();
+    if (!value || value === 'false') return false;
+    if (value === 'true') return true;
+    return /^\d+$/.test(value) ? Number(value) : value;
+}
+
+module.exports = { securityHeaders, corsOptions, trustProxy };
@@ -0,0 +1,27 @@
+// lib/seed.js - Reference data every installation starts with
+//
+// Safe to run any number of times: the built-in hotspots are keyed by
+// seed_key, so a spot that already exists (or was archived by an admin) is
+// left alone rather than inserted again.
+const { transaction } = require('./db');
+const { SEED_HOTSPOTS } = require('./hotspots');
+
+// Inserts whatever seed rows are missing; resolves with how many were added
+function seed() {
+    return transaction(async db => {
+        let hotspots = 0;
+        for (const spot of SEED_HOTSPOTS) {
+            const { changes } = await db.run(`
+                INSERT INTO hotspots
+                    (seed_key, name, latitude, longitude, description, species_common, best_months, avg_success_rate)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+                ON CONFLICT (seed_key) DO NOTHING
+            `, [spot.seed_key, spot.name, spot.latitude, spot.longitude, spot.description,
+                spot.species.join(','), spot.best_months.join(','), spot.avg_success_rate]);
+            hotspots += changes;
+        }
+        return { hotspots };
+    });
+}
+
+module.exports = { seed };
@@ -0,0 +1,129 @@
+// lib/spatial.js - Bounding-box and radius lookups over the point tables
+//
+// On SQLite, environmental_data, environmental_forecasts and catch_logs each
+// have a <table>_rtree holding one zero-size box per row, kept in step by
+// triggers; on Postgres an index on (latitude, longitude) stands in (both from
+// lib/migrations/002-spatial-index.js). A radius query narrows to the circle's
+// bounding box, then keeps the rows whose distance is within the radius,
+// nearest first. Distances are on a local equirectangular projection, which
+// is well under 0.1% off a great circle over the tens of kilometres these
+// lookups span.
+const { all, dialect, sql } = require('./db');
+
+const KM_PER_DEG_LAT = 110.57;
+const NEARBY_KM = 10; // how far a point can be from the observation that describes it
+const EACH_BATCH = 500;
+
+function kmPerDegLng(lat) {
+    return 111.32 * Math.max(Math.cos(lat * Math.PI / 180), 0.01);
+}
+
+// { south, north, west, east } of the circle of `km` around a point
+function boxAround(lat, lng, km) {
+    const dLat = km / KM_PER_DEG_LAT;
+    const dLng = km / kmPerDegLng(lat);
+    return { south: lat - dLat, north: lat + dLat, west: lng - dLng, east: lng + dLng };
+}
+
+// Join and condition selecting the rows inside a box (south, north, west, east)
+function boxFilter(table) {
+    if (dialect === 'sqlite') {
+        return {
+            join: `JOIN ${table}_rtree r ON r.id = t.id`,
+            where: 'r.min_lat >= ? AND r.max_lat <= ? AND r.min_lng >= ? AND r.max_lng <= ?'
+        };
+    }
+    return { join: '', where: 't.latitude >= ? AND t.latitude <= ? AND t.longitude >= ? AND t.longitude <= ?' };
+}
+
+// Rows of an indexed table inside a box. The table is aliased `t`; `join`,
+// `where` and `params` narrow it further, e.g. { where: 't.is_grid = 0' }.
+function inBox(table, box, { columns = 't.*', join = '', where, params = [], orderBy, limit } = {}) {
+    const filter = boxFilter(table);
+    return all(`
+        SELECT ${columns} FROM ${table} t
+        ${filter.join}
+        ${join}
+        WHERE ${filter.where}
+          ${where ? `AND ${where}` : ''}
+        ${orderBy ? `ORDER BY ${orderBy}` : ''}
+        ${limit ? `LIMIT ${Number(limit)}` : ''}
+    `, [box.south, box.north, box.west, box.east, ...params]);
+}
+
+// Rows within `km` of a point, each with distance_km; nearest first unless
+// `orderBy` says otherwise (distance_km can be used there too). `params` fill
+// the placeholders in `where`, then any in `orderBy`.
+function nearby(table, lat, lng, km, { columns = 't.*', join = '', where, params = [], orderBy = 'distance_km', limit } = {}) {
+    const box = boxAround(lat, lng, km);
+    const kx = kmPerDegLng(lat);
+    const filter = boxFilter(table);
+    const distance = `sqrt(((t.latitude - ?) * ${KM_PER_DEG_LAT}) * ((t.latitude - ?) * ${KM_PER_DEG_LAT}) +
+        ((t.longitude - ?) * ?) * ((t.longitude - ?) * ?))`;
+    const distanceParams = [lat, lat, lng, kx, lng, kx];
+    // The distance is repeated in WHERE, since Postgres can't refer to the alias there
+    return all(`
+        SELECT ${columns}, ${distance} AS distance_km
+        FROM ${table} t
+        ${filter.join}
+        ${join}
+        WHERE ${filter.where}
+          AND ${distance} <= ?
+          ${where ? `AND ${where}` : ''}
+        ORDER BY ${orderBy}
+        ${limit ? `LIMIT ${Number(limit)}` : ''}
+    `, [...distanceParams, box.south, box.north, box.west, box.east, ...distanceParams, km, ...params]);
+}
+
+// Rows of an indexed table within `km` of each of several rows of another
+// (`points`, which need id, latitude and longitude), in one query per
+// EACH_BATCH points rather than one per point. The point table is aliased `p`
+// and the indexed one `t`; each result has point_id and distance_km, nearest
+// first for each point.
+async function nearbyEach(table, pointTable, points, km, { columns = 't.*', where, params = [] } = {}) {
+    const byId = new Map(points.map(point => [point.id, point]));
+    const dLat = km / KM_PER_DEG_LAT;
+    const dLng = km / Math.min(...points.map(point => kmPerDegLng(point.latitude)));
+    // Each point's bounding box, through the rtree or (latitude, longitude) index
+    const join = dialect === 'sqlite'
+        ? `JOIN ${table}_rtree r ON r.min_lat >= p.latitude - ? AND r.max_lat <= p.latitude + ?
+                AND r.min_lng >= p.longitude - ? AND r.max_lng <= p.longitude + ?
+            JOIN ${table} t ON t.id = r.id`
+        : `JOIN ${table} t ON t.latitude >= p.latitude - ? AND t.latitude <= p.latitude + ?
+                AND t.longitude >= p.longitude - ? AND t.longitude <= p.longitude + ?`;
+
+    const rows = [];
+    for (let start = 0; start < points.length; start += EACH_BATCH) {
+        const ids = [...byId.keys()].slice(start, start + EACH_BATCH);
+        rows.push(...await all(`
+            SELECT ${columns}, t.latitude AS t_latitude, t.longitude AS t_longitude, p.id AS point_id
+            FROM ${pointTable} p
+            ${join}
+            WHERE p.id IN (${ids.map(() => '?').join(', ')})
+              ${where ? `AND ${where}` : ''}
+        `, [dLat, dLat, dLng, dLng, ...ids, ...params]));
+    }
+
+    return rows
+        .map(({ t_latitude: lat, t_longitude: lng, ...row }) => {
+            const point = byId.get(row.point_id);
+            const distance = Math.hypot((lat - point.latitude) * KM_PER_DEG_LAT, (lng - point.longitude) * kmPerDegLng(point.latitude));
+            return { ...row, distance_km: distance };
+        })
+        .filter(row => row.distance_km <= km)
+        .sort((a, b) => a.distance_km - b.distance_km);
+}
+
+// Latest point observation within `km`; of several equally recent ones, the
+// nearest. With `at`, only what had been fetched by then (see lib/replay.js).
+async function latestObservation(lat, lng, { km = NEARBY_KM, at = null } = {}) {
+    const [row] = await nearby('environmental_data', Number(lat), Number(lng), km, {
+        where: at ? `t.is_grid = 0 AND ${sql.time('COALESCE(t.fetched_at, t.timestamp)')} <= ${sql.time('?')}` : 't.is_grid = 0',
+        params: at ? [at.toISOString()] : [],
+        orderBy: 't.timestamp DESC, distance_km',
+        limit: 1
+    });
+    return row || null;
+}
+
+module.exports = { NEARBY_KM, KM_PER_DEG_LAT, boxAround, kmPerDegLng, inBox, nearby, nearbyEach, latestObservation };
@@ -0,0 +1,189 @@
+// lib/species.js - Declarative per-species scoring profiles
+//
+// Ranges are [min, max] (null = open ended). `optimal` scores full marks,
+// `tolerable` tapers off towards its edges, anything outside scores nothing.
+// Weights are relative; the scorer normalises over the factors it has data for.
+// Months are NZ calendar months (1 = January). Depths are metres. `maxWeight`
+// (kg) sits just above the all-tackle record; heavier catches are flagged for
+// moderation as likely typos.
+//
+// CATALOGUE lists every species a catch can be logged as, scored or not, with
+// the other names anglers use for it. Lookups ignore case, spacing, hyphens
+// and macrons, so "yellowfin", "Yellowfin Tuna" and "YFT" are the same fish.
+
+const SEA_STATE = {
+    wind_speed: { optimal: [0, 15], tolerable: [0, 22] },
+    wave_height: { optimal: [0, 2], tolerable: [0, 3] }
+};
+
+const PROFILES = [
+    {
+        id: 'generic',
+        name: 'Generic Pelagic',
+        ranges: {
+            sea_temperature: { optimal: [20, 24], tolerable: [18, 26] },
+            current_speed: { optimal: [0.5, 1.2], tolerable: [0.3, 1.5] },
+            chlorophyll: { optimal: [0.1, 0.4], tolerable: [0.05, 0.6] },
+            ...SEA_STATE
+        },
+        weights: { sea_temperature: 25, current_speed: 20, chlorophyll: 20, wind_speed: 15, wave_height: 10, time: 10 },
+        season: { peak: [], shoulder: [] },
+        depth: { min: 0, max: 200, typical: [0, 50] }
+    },
+    {
+        id: 'blue-marlin',
+        name: 'Blue Marlin',
+        ranges: {
+            sea_temperature: { optimal: [22, 27], tolerable: [20, 29] },
+            current_speed: { optimal: [0.4, 1.2], tolerable: [0.2, 1.6] },
+            chlorophyll: { optimal: [0.05, 0.2], tolerable: [0.02, 0.35] },
+            ...SEA_STATE
+        },
+        weights: { sea_temperature: 30, current_speed: 15, chlorophyll: 15, wind_speed: 10, wave_height: 5, season: 15, time: 10 },
+        season: { peak: [1, 2, 3], shoulder: [12, 4] },
+        depth: { min: 0, max: 200, typical: [0, 40] },
+        maxWeight: 820
+    },
+    {
+        id: 'striped-marlin',
+        name: 'Striped Marlin',
+        ranges: {
+            sea_temperature: { optimal: [20, 23], tolerable: [18, 25] },
+            current_speed: { optimal: [0.3, 1.0], tolerable: [0.1, 1.4] },
+            chlorophyll: { optimal: [0.1, 0.3], tolerable: [0.05, 0.5] },
+            ...SEA_STATE
+        },
+        weights: { sea_temperature: 25, current_speed: 15, chlorophyll: 15, wind_speed: 10, wave_height: 5, season: 20, time: 10 },
+        season: { peak: [1, 2, 3, 4], shoulder: [12, 5] },
+        depth: { min: 0, max: 150, typical: [0, 30] },
+        maxWeight: 230
+    },
+    {
+        id: 'yellowfin-tuna',
+        name: 'Yellowfin Tuna',
+        ranges: {
+            sea_temperature: { optimal: [20, 25], tolerable: [18, 29] },
+            current_speed: { optimal: [0.5, 1.2], tolerable: [0.3, 1.6] },
+            chlorophyll: { optimal: [0.1, 0.4], tolerable: [0.05, 0.6] },
+            ...SEA_STATE
+        },
+        weights: { sea_temperature: 25, current_speed: 20, chlorophyll: 15, wind_speed: 10, wave_height: 5, season: 15, time: 10 },
+        season: { peak: [1, 2, 3], shoulder: [12, 4] },
+        depth: { min: 0, max: 250, typical: [0, 100] },
+        maxWeight: 200
+    },
+    {
+        id: 'bigeye-tuna',
+        name: 'Bigeye Tuna',
+        ranges: {
+            sea_temperature: { optimal: [17, 22], tolerable: [14, 26] },
+            current_speed: { optimal: [0.3, 1.0], tolerable: [0.1, 1.5] },
+            chlorophyll: { optimal: [0.1, 0.3], tolerable: [0.05, 0.5] },
+            ...SEA_STATE
+        },
+        // Bigeye feed deep, so surface temperature and light matter less
+        weights: { sea_temperature: 15, current_speed: 20, chlorophyll: 15, wind_speed: 15, wave_height: 10, season: 20, time: 5 },
+        season: { peak: [3, 4, 5], shoulder: [2, 6] },
+        depth: { min: 50, max: 500, typical: [150, 350] },
+        maxWeight: 200
+    },
+    {
+        id: 'albacore-tuna',
+        name: 'Albacore Tuna',
+        ranges: {
+            sea_temperature: { optimal: [16, 19], tolerable: [14, 21] },
+            current_speed: { optimal: [0.3, 1.0], tolerable: [0.1, 1.4] },
+            chlorophyll: { optimal: [0.2, 0.5], tolerable: [0.1, 0.8] },
+            ...SEA_STATE
+        },
+        weights: { sea_temperature: 35, current_speed: 10, chlorophyll: 20, wind_speed: 10, wave_height: 5, season: 15, time: 5 },
+        season: { peak: [1, 2, 3], shoulder: [12, 4] },
+        depth: { min: 0, max: 200, typical: [0, 60] },
+        maxWeight: 45
+    },
+    {
+        id: 'mako-shark',
+        name: 'Mako Shark',
+        ranges: {
+            sea_temperature: { optimal: [17, 22], tolerable: [14, 25] },
+            current_speed: { optimal: [0.2, 1.0], tolerable: [0, 1.5] },
+            chlorophyll: { optimal: [0.1, 0.5], tolerable: [0.05, 0.8] },
+            ...SEA_STATE
+        },
+        weights: { sea_temperature: 25, current_speed: 10, chlorophyll: 20, wind_speed: 15, wave_height: 10, season: 15, time: 5 },
+        season: { peak: [1, 2, 3, 4], shoulder: [12, 5] },
+        depth: { min: 0, max: 300, typical: [0, 100] },
+        maxWeight: 600
+    },
+    {
+        id: 'kingfish',
+        name: 'Kingfish',
+        ranges: {
+            sea_temperature: { optimal: [17, 22], tolerable: [15, 25] },
+            current_speed: { optimal: [0.2, 1.0], tolerable: [0, 1.5] },
+            chlorophyll: { optimal: [0.2, 0.8], tolerable: [0.1, 1.5] },
+            ...SEA_STATE
+        },
+        // Kingfish hunt reef edges and points, where moving tide matters
+        weights: { sea_temperature: 20, current_speed: 20, chlorophyll: 10, wind_speed: 10, wave_height: 10, season: 10, time: 10, tide: 10 },
+        season: { peak: [12, 1, 2, 3, 4], shoulder: [11, 5] },
+        depth: { min: 5, max: 120, typical: [10, 60] },
+        maxWeight: 60
+    }
+];
+
+const CATALOGUE = [
+    { name: 'Blue Marlin', aliases: ['Pacific Blue Marlin'] },
+    { name: 'Black Marlin', aliases: [] },
+    { name: 'Striped Marlin', aliases: ['Stripey', 'Striper', 'Stripe Marlin'] },
+    { name: 'Shortbill Spearfish', aliases: ['Spearfish'] },
+    { name: 'Broadbill Swordfish', aliases: ['Swordfish', 'Broadbill'] },
+    { name: 'Yellowfin Tuna', aliases: ['Yellowfin', 'YFT'] },
+    { name: 'Bigeye Tuna', aliases: ['Bigeye'] },
+    { name: 'Albacore Tuna', aliases: ['Albacore', 'Albie'] },
+    { name: 'Skipjack Tuna', aliases: ['Skipjack', 'Skippy'] },
+    { name: 'Southern Bluefin Tuna', aliases: ['Southern Bluefin', 'SBT'] },
+    { name: 'Pacific Bluefin Tuna', aliases: ['Pacific Bluefin', 'PBT'] },
+    { name: 'Mahimahi', aliases: ['Dolphinfish', 'Dorado'] },
+    { name: 'Mako Shark', aliases: ['Mako', 'Shortfin Mako'] },
+    { name: 'Kingfish', aliases: ['Yellowtail Kingfish', 'Kingi', 'Haku'] },
+    { name: 'Snapper', aliases: ['Tāmure', 'Pink Snapper'] },
+    { name: 'Kahawai', aliases: ['Australian Salmon'] },
+    { name: 'Tarakihi', aliases: ['Terakihi'] },
+    { name: 'Trevally', aliases: ['Silver Trevally', 'Araara'] },
+    { name: 'Red Gurnard', aliases: ['Gurnard', 'Kumukumu'] },
+    { name: 'John Dory', aliases: ['Dory', 'Kuparu'] },
+    { name: 'Hāpuku', aliases: ['Hapuka', 'Groper', 'Grouper'] },
+    { name: 'Bass', aliases: ['Bass Groper', 'Moeone'] },
+    { name: 'Blue Cod', aliases: ['Rāwaru', 'Pakirikiri'] }
+];
+
+function normalise(value) {
+    return String(value || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+        .trim().toLowerCase().replace(/[\s_-]+/g, '-');
+}
+
+const catalogueIndex = new Map();
+CATALOGUE.forEach(entry => {
+    [entry.name, ...entry.aliases].forEach(name => catalogueIndex.set(normalise(name), entry));
+});
+
+// Catalogue entry for a species name or alias, or null for a species we don't know
+function resolveSpecies(species) {
+    return catalogueIndex.get(normalise(species)) || null;
+}
+
+// Looks a profile up by id ("striped-marlin"), display name ("Striped Marlin")
+// or any catalogue alias ("stripey")
+function getProfile(species) {
+    const key = normalise(species);
+    const entry = catalogueIndex.get(key);
+    return PROFILES.find(p => p.id === key || normalise(p.name) === key || (entry && p.name === entry.name)) || null;
+}
+
+// Profiles with a real species behind them (excludes the generic fallback)
+function listProfiles() {
+    return PROFILES.filter(p => p.id !== 'generic');
+}
+
+module.exports = { PROFILES, CATALOGUE, resolveSpecies, getProfile, listProfiles };
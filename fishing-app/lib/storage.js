@@ -0,0 +1,56 @@
+// lib/storage.js - File storage for uploaded media
+//
+// Backends expose put(key, buffer), read(key) (null when missing), remove(key)
+// and url(key). Keys are '/'-separated paths; only keys under `public/` get a
+// URL, everything else is readable through the API alone. The local backend
+// keeps files under UPLOAD_DIR, and the server mounts its public/ folder at
+// PUBLIC_PATH, so another backend (S3 and friends) only has to match this shape.
+const fs = require('fs/promises');
+const path = require('path');
+
+const PUBLIC_PATH = '/media';
+
+function createLocalStorage(root) {
+    const base = path.resolve(root);
+
+    const resolve = key => {
+        const file = path.resolve(base, key);
+        if (!file.startsWith(base + path.sep)) {
+            throw new Error(`Invalid storage key: ${key}`);
+        }
+        return file;
+    };
+
+    return {
+        root: base,
+
+        async put(key, data) {
+            const file = resolve(key);
+            await fs.mkdir(path.dirname(file), { recursive: true });
+            await fs.writeFile(file, data);
+            return key;
+        },
+
+        async read(key) {
+            try {
+                return await fs.readFile(resolve(key));
+            } catch (error) {
+                if (error.code === 'ENOENT') return null;
+                throw error;
+            }
+        },
+
+        async remove(key) {
+            await fs.rm(resolve(key), { force: true });
+        },
+
+        url(key) {
+            if (!key.startsWith('public/')) return null;
+            return `${PUBLIC_PATH}/${key.slice('public/'.length)}`;
+        }
+    };
+}
+
+const storage = createLocalStorage(process.env.UPLOAD_DIR || './uploads');
+
+module.exports = { PUBLIC_PATH, createLocalStorage, storage };
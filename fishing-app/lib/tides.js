@@ -0,0 +1,170 @@
+// lib/tides.js - Harmonic tide predictions for Northland ports
+//
+// h(t) = Z0 + Σ f·H·cos(V(t) + u − g) over the main constituents, with V from
+// Doodson arguments and simplified nodal corrections (f, u). Amplitudes (H, m)
+// and Greenwich phase lags (g, degrees, UTC) are approximate values for the
+// standard ports; they are fine for planning a fishing day but replace them
+// with the official LINZ constituents before using them for navigation.
+const { startOfLocalDay, addLocalDays, toLocalISOString } = require('./nztime');
+
+const rad = Math.PI / 180;
+const SAMPLE_MINUTES = 6;
+
+// Doodson numbers (τ, s, h, p) plus phase offset in degrees
+const CONSTITUENTS = {
+    M2: { doodson: [2, 0, 0, 0], offset: 0 },
+    S2: { doodson: [2, 2, -2, 0], offset: 0 },
+    N2: { doodson: [2, -1, 0, 1], offset: 0 },
+    K2: { doodson: [2, 2, 0, 0], offset: 0 },
+    K1: { doodson: [1, 1, 0, 0], offset: 90 },
+    O1: { doodson: [1, -1, 0, 0], offset: -90 },
+    P1: { doodson: [1, 1, -2, 0], offset: -90 },
+    M4: { doodson: [4, 0, 0, 0], offset: 0 }
+};
+
+const PORTS = [
+    {
+        id: 'houhora', name: 'Houhora', lat: -34.80, lng: 173.10, z0: 1.05,
+        constituents: { M2: [0.72, 197], S2: [0.15, 262], N2: [0.15, 174], K2: [0.04, 258], K1: [0.06, 162], O1: [0.04, 141], P1: [0.02, 158], M4: [0.01, 80] }
+    },
+    {
+        id: 'mangonui', name: 'Mangonui', lat: -34.99, lng: 173.53, z0: 1.12,
+        constituents: { M2: [0.78, 199], S2: [0.16, 264], N2: [0.16, 176], K2: [0.04, 260], K1: [0.06, 164], O1: [0.04, 142], P1: [0.02, 160], M4: [0.01, 84] }
+    },
+    {
+        id: 'whangaroa', name: 'Whangaroa', lat: -35.04, lng: 173.74, z0: 1.15,
+        constituents: { M2: [0.80, 200], S2: [0.16, 265], N2: [0.16, 177], K2: [0.04, 261], K1: [0.06, 165], O1: [0.04, 143], P1: [0.02, 161], M4: [0.01, 85] }
+    },
+    {
+        id: 'opua', name: 'Opua (Bay of Islands)', lat: -35.31, lng: 174.12, z0: 1.20,
+        constituents: { M2: [0.83, 202], S2: [0.17, 267], N2: [0.17, 179], K2: [0.05, 263], K1: [0.06, 166], O1: [0.04, 144], P1: [0.02, 162], M4: [0.01, 88] }
+    },
+    {
+        id: 'tutukaka', name: 'Tutukaka', lat: -35.61, lng: 174.53, z0: 1.22,
+        constituents: { M2: [0.86, 204], S2: [0.18, 269], N2: [0.18, 181], K2: [0.05, 265], K1: [0.06, 167], O1: [0.04, 145], P1: [0.02, 163], M4: [0.01, 90] }
+    },
+    {
+        id: 'marsden-point', name: 'Marsden Point', lat: -35.84, lng: 174.49, z0: 1.30,
+        constituents: { M2: [0.93, 208], S2: [0.19, 272], N2: [0.19, 185], K2: [0.05, 268], K1: [0.06, 168], O1: [0.04, 146], P1: [0.02, 164], M4: [0.02, 95] }
+    }
+];
+
+function distanceNm(lat1, lng1, lat2, lng2) {
+    const R = 3440.065; // Earth radius in nautical miles
+    const dLat = (lat2 - lat1) * rad;
+    const dLng = (lng2 - lng1) * rad;
+    const a = Math.sin(dLat / 2) ** 2 +
+        Math.cos(lat1 * rad) * Math.cos(lat2 * rad) * Math.sin(dLng / 2) ** 2;
+    return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+function nearestPort(lat, lng) {
+    let best = null;
+    PORTS.forEach(port => {
+        const distance = distanceNm(lat, lng, port.lat, port.lng);
+        if (!best || distance < best.distance) best = { port, distance };
+    });
+    return best;
+}
+
+// Mean longitudes (degrees) of moon (s), sun (h), lunar perigee (p) and lunar
+// node (N), plus mean lunar time τ, at an instant
+function astronomicalArguments(date) {
+    const T = (date.getTime() / 86400000 + 2440587.5 - 2451545) / 36525;
+    const s = 218.3164 + 481267.8812 * T;
+    const h = 280.4661 + 36000.7698 * T;
+    const p = 83.3535 + 4069.0137 * T;
+    const N = 125.0445 - 1934.1363 * T;
+    const utHours = (date.getTime() % 86400000) / 3600000;
+    const tau = 15 * utHours + 180 + h - s;
+    return { tau, s, h, p, N };
+}
+
+// Simplified nodal amplitude factor f and phase correction u (degrees)
+function nodalCorrection(name, N) {
+    const n = N * rad;
+    const m2 = { f: 1 - 0.037 * Math.cos(n), u: -2.1 * Math.sin(n) };
+    switch (name) {
+        case 'M2':
+        case 'N2':
+            return m2;
+        case 'M4':
+            return { f: m2.f * m2.f, u: 2 * m2.u };
+        case 'K1':
+            return { f: 1.006 + 0.115 * Math.cos(n), u: -8.9 * Math.sin(n) };
+        case 'O1':
+            return { f: 1.009 + 0.187 * Math.cos(n), u: 10.8 * Math.sin(n) };
+        case 'K2':
+            return { f: 1.024 + 0.286 * Math.cos(n), u: -17.7 * Math.sin(n) };
+        default:
+            return { f: 1, u: 0 };
+    }
+}
+
+// Predicted height (m above chart datum) at a port
+function heightAt(port, date) {
+    const args = astronomicalArguments(date);
+    let height = port.z0;
+    Object.entries(port.constituents).forEach(([name, [H, g]]) => {
+        const { doodson, offset } = CONSTITUENTS[name];
+        const V = doodson[0] * args.tau + doodson[1] * args.s + doodson[2] * args.h + doodson[3] * args.p + offset;
+        const { f, u } = nodalCorrection(name, args.N);
+        height += f * H * Math.cos((V + u - g) * rad);
+    });
+    return height;
+}
+
+// High and low waters during the NZ calendar day, refined with a parabola
+// through the three samples around each turning point
+function getTideExtremes(port, ymd) {
+    const start = startOfLocalDay(ymd).getTime();
+    const end = startOfLocalDay(addLocalDays(ymd, 1)).getTime();
+    const step = SAMPLE_MINUTES * 60000;
+    const extremes = [];
+
+    let prev = heightAt(port, new Date(start - step));
+    let cur = heightAt(port, new Date(start));
+    for (let t = start; t < end; t += step) {
+        const next = heightAt(port, new Date(t + step));
+        const isHigh = cur > prev && cur >= next;
+        const isLow = cur < prev && cur <= next;
+        if (isHigh || isLow) {
+            const denom = prev - 2 * cur + next;
+            const shift = denom === 0 ? 0 : 0.5 * (prev - next) / denom;
+            const time = new Date(t + shift * step);
+            extremes.push({ type: isHigh ? 'high' : 'low', time, height: heightAt(port, time) });
+        }
+        prev = cur;
+        cur = next;
+    }
+    return extremes;
+}
+
+// Relative tidal flow (0-1): rate of change of the tide against the strongest
+// flow the port's constituents can produce. Mid-tide is ~1, slack water ~0.
+function tidalFlowFraction(lat, lng, date) {
+    const { port } = nearestPort(lat, lng);
+    const dt = 10 * 60000;
+    const rate = Math.abs(heightAt(port, new Date(date.getTime() + dt)) - heightAt(port, new Date(date.getTime() - dt))) / (2 * dt / 3600000);
+    const maxRate = Object.entries(port.constituents).reduce((sum, [name, [H]]) => {
+        const speed = CONSTITUENTS[name].doodson[0] * 14.4920521 * rad; // rad/hour, τ dominated
+        return sum + H * speed;
+    }, 0);
+    return Math.min(1, rate / maxRate);
+}
+
+function describeTides(lat, lng, ymd) {
+    const { port, distance } = nearestPort(lat, lng);
+    return {
+        port: { id: port.id, name: port.name, lat: port.lat, lng: port.lng },
+        distance_nm: Math.round(distance * 10) / 10,
+        datum: 'chart datum',
+        extremes: getTideExtremes(port, ymd).map(e => ({
+            type: e.type,
+            time: toLocalISOString(e.time),
+            height: Math.round(e.height * 100) / 100
+        }))
+    };
+}
+
+module.exports = { PORTS, nearestPort, heightAt, getTideExtremes, tidalFlowFraction, describeTides, distanceNm };
@@ -0,0 +1,427 @@
+// lib/trips.js - Fishing trips, GPS tracks and catch-per-unit-effort (CPUE)
+//
+// A trip is one outing: start and end time, vessel, crew, the main method
+// (gear_type) and lines_hours, the total time lines were in the water (four
+// rods out for five hours is 20). Catches link to a trip through trip_id;
+// saving a trip also links the angler's unlinked catches from its time window.
+// An uploaded GPX track gives the trip's path and shows where the effort went.
+//
+// CPUE is catches per line-hour over trips that recorded lines_hours, blank
+// trips included - they are the effort that caught nothing. For hotspots, a
+// trip's line-hours are split by the share of its fishing time (track
+// segments at trolling speed or slower) spent within 5 km of each hotspot, so
+// only tracked trips count there. Public CPUE leaves out trips holding private
+// catches, and catches held or hidden by moderation.
+const { get, all, run, sql } = require('./db');
+const formats = require('./catch-formats');
+const { parseTime } = require('./catches');
+const { getProfile } = require('./species');
+const { publicCondition } = require('./moderation');
+const privacy = require('./privacy');
+const { distanceNm } = require('./tides');
+const { distanceKm } = require('./geo');
+const { localParts } = require('./nztime');
+
+const COLUMNS = ['started_at', 'ended_at', 'vessel', 'crew', 'gear_type', 'lines_hours', 'notes'];
+const MAX_TRIP_HOURS = 14 * 24;
+const MAX_TRACK_POINTS = 50000;
+const MAX_NOTES_LENGTH = 2000;
+const FISHING_MAX_KNOTS = 10;
+const NEARBY_KM = 5;
+const CPUE_GROUPS = ['species', 'hotspot', 'gear', 'month'];
+const DEFAULT_CPUE_DAYS = 365;
+const HOUR_MS = 3600000;
+
+function tripError(status, message) {
+    return Object.assign(new Error(message), { status });
+}
+
+const notFound = () => tripError(404, 'Trip not found');
+const round = (value, places) => Math.round(value * 10 ** places) / 10 ** places;
+
+// PUT replaces every field; PATCH (partial) only changes the fields given
+function normaliseTrip(body, existing, partial) {
+    const input = partial && existing ? { ...existing, ...body } : { ...body };
+    const has = column => input[column] !== undefined && input[column] !== null && String(input[column]).trim() !== '';
+    const values = {};
+
+    if (!has('started_at')) throw tripError(400, 'started_at is required');
+    const started = parseTime(input.started_at);
+    if (!started) throw tripError(400, 'started_at is not a recognised date/time');
+    values.started_at = started.toISOString();
+
+    values.ended_at = null;
+    if (has('ended_at')) {
+        const ended = parseTime(input.ended_at);
+        if (!ended) throw tripError(400, 'ended_at is not a recognised date/time');
+        if (ended <= started) throw tripError(400, 'ended_at must be after started_at');
+        if (ended - started > MAX_TRIP_HOURS * HOUR_MS) throw tripError(400, `Trips can last at most ${MAX_TRIP_HOURS / 24} days`);
+        values.ended_at = ended.toISOString();
+    }
+
+    values.vessel = has('vessel') ? String(input.vessel).trim().slice(0, 100) : null;
+    values.gear_type = has('gear_type') ? String(input.gear_type).trim() : null;
+    values.notes = has('notes') ? String(input.notes) : null;
+    if (values.notes && values.notes.length > MAX_NOTES_LENGTH) {
+        throw tripError(400, `notes must be at most ${MAX_NOTES_LENGTH} characters`);
+    }
+
+    values.crew = null;
+    if (has('crew')) {
+        const crew = Number(input.crew);
+        if (!Number.isInteger(crew) || crew < 1 || crew > 100) throw tripError(400, 'crew must be a whole number from 1 to 100');
+        values.crew = crew;
+    }
+
+    values.lines_hours = null;
+    if (has('lines_hours')) {
+        const hours = Number(input.lines_hours);
+        if (!Number.isFinite(hours) || hours < 0 || hours > 10000) throw tripError(400, 'lines_hours must be between 0 and 10000');
+        values.lines_hours = hours;
+    }
+    return values;
+}
+
+function describeTrip(row) {
+    const { track, ...trip } = row;
+    return {
+        ...trip,
+        duration_hours: trip.ended_at ? round((Date.parse(trip.ended_at) - Date.parse(trip.started_at)) / HOUR_MS, 2) : null,
+        has_track: Boolean(track),
+        cpue: trip.lines_hours ? round((trip.catch_count || 0) / trip.lines_hours, 3) : null
+    };
+}
+
+const TRIP_SELECT = `
+    SELECT t.*, (SELECT COUNT(*) FROM catch_logs cl WHERE cl.trip_id = t.id) AS catch_count
+    FROM trips t
+`;
+
+async function findTrip(userId, id) {
+    const row = await get(`${TRIP_SELECT} WHERE t.id = ? AND t.user_id = ?`, [id, userId]);
+    if (!row) throw notFound();
+    return row;
+}
+
+async function listTrips(userId, { limit = 50, offset = 0 } = {}) {
+    const rows = await all(`${TRIP_SELECT} WHERE t.user_id = ? ORDER BY t.started_at DESC LIMIT ? OFFSET ?`,
+        [userId, Math.min(Number(limit) || 50, 500), Number(offset) || 0]);
+    return rows.map(describeTrip);
+}
+
+async function getTrip(userId, id) {
+    const trip = describeTrip(await findTrip(userId, id));
+    trip.catches = await all(`
+        SELECT id, species, weight, gear_type, latitude, longitude, time_caught
+        FROM catch_logs WHERE trip_id = ? ORDER BY time_caught
+    `, [trip.id]);
+    return trip;
+}
+
+// Links the angler's unlinked catches that fall inside the trip (up to now
+// while it's still open)
+async function linkCatchesInWindow(userId, trip) {
+    await run(`
+        UPDATE catch_logs SET trip_id = ?
+        WHERE user_id = ? AND trip_id IS NULL
+          AND ${sql.time('time_caught')} BETWEEN ${sql.time('?')} AND ${sql.time('?')}
+    `, [trip.id, userId, trip.started_at, trip.ended_at || new Date().toISOString()]);
+}
+
+async function createTrip(userId, body) {
+    const values = normaliseTrip(body);
+    const now = new Date().toISOString();
+    const { lastID } = await run(`
+        INSERT INTO trips (user_id, ${COLUMNS.join(', ')}, created_at, updated_at)
+        VALUES (?, ${COLUMNS.map(() => '?').join(', ')}, ?, ?)
+    `, [userId, ...COLUMNS.map(c => values[c]), now, now]);
+    await linkCatchesInWindow(userId, { id: lastID, ...values });
+    return getTrip(userId, lastID);
+}
+
+async function updateTrip(userId, id, body, { partial = false } = {}) {
+    const existing = await findTrip(userId, id);
+    const values = normaliseTrip(body, existing, partial);
+    await run(`UPDATE trips SET ${COLUMNS.map(c => `${c} = ?`).join(', ')}, updated_at = ? WHERE id = ?`,
+        [...COLUMNS.map(c => values[c]), new Date().toISOString(), existing.id]);
+    await linkCatchesInWindow(userId, { id: existing.id, ...values });
+    return getTrip(userId, existing.id);
+}
+
+// The catches stay; they just no longer belong to a trip
+async function deleteTrip(userId, id) {
+    const trip = await findTrip(userId, id);
+    await run('UPDATE catch_logs SET trip_id = NULL WHERE trip_id = ?', [trip.id]);
+    await run('DELETE FROM trips WHERE id = ?', [trip.id]);
+}
+
+// Replaces the trip's catches with exactly these (all the angler's own)
+async function setTripCatches(userId, id, catchIds) {
+    const trip = await findTrip(userId, id);
+    if (!Array.isArray(catchIds)) throw tripError(400, 'catch_ids must be an array');
+    const ids = [...new Set(catchIds.map(Number))];
+    if (ids.length) {
+        const owned = await all(`SELECT id FROM catch_logs WHERE user_id = ? AND id IN (${ids.map(() => '?').join(', ')})`,
+            [userId, ...ids]);
+        if (owned.length !== ids.length) {
+            const missing = ids.filter(catchId => !owned.some(row => row.id === catchId));
+            throw tripError(400, `Unknown catch ids: ${missing.join(', ')}`);
+        }
+    }
+    await run('UPDATE catch_logs SET trip_id = NULL WHERE trip_id = ?', [trip.id]);
+    if (ids.length) {
+        await run(`UPDATE catch_logs SET trip_id = ? WHERE id IN (${ids.map(() => '?').join(', ')})`, [trip.id, ...ids]);
+    }
+    return getTrip(userId, trip.id);
+}
+
+// For catch logging: throws unless the trip is the angler's
+async function assertOwnTrip(userId, tripId) {
+    await findTrip(userId, tripId);
+}
+
+// Stored as [[lng, lat, timeMs | null], ...]
+function parseTrack(row) {
+    return row.track ? JSON.parse(row.track) : null;
+}
+
+async function setTrack(userId, id, gpx) {
+    const trip = await findTrip(userId, id);
+    const points = formats.parseGpxTrack(gpx || '');
+    if (points.length < 2) throw tripError(400, 'No GPX track found (need at least two <trkpt> points)');
+    if (points.length > MAX_TRACK_POINTS) throw tripError(413, `Tracks are limited to ${MAX_TRACK_POINTS} points`);
+
+    let nm = 0;
+    for (let i = 1; i < points.length; i++) {
+        nm += distanceNm(points[i - 1].lat, points[i - 1].lng, points[i].lat, points[i].lng);
+    }
+    await run('UPDATE trips SET track = ?, track_points = ?, track_distance_nm = ?, updated_at = ? WHERE id = ?', [
+        JSON.stringify(points.map(p => [p.lng, p.lat, p.time])), points.length, round(nm, 2),
+        new Date().toISOString(), trip.id
+    ]);
+    return getTrip(userId, trip.id);
+}
+
+async function getTrack(userId, id) {
+    const trip = await findTrip(userId, id);
+    const track = parseTrack(trip);
+    if (!track) throw tripError(404, 'This trip has no track');
+    return {
+        type: 'Feature',
+        geometry: { type: 'LineString', coordinates: track.map(([lng, lat]) => [lng, lat]) },
+        properties: {
+            trip_id: trip.id,
+            distance_nm: trip.track_distance_nm,
+            coordTimes: track.map(([, , time]) => (time == null ? null : new Date(time).toISOString()))
+        }
+    };
+}
+
+async function deleteTrack(userId, id) {
+    const trip = await findTrip(userId, id);
+    await run('UPDATE trips SET track = NULL, track_points = NULL, track_distance_nm = NULL, updated_at = ? WHERE id = ?',
+        [new Date().toISOString(), trip.id]);
+}
+
+// Track points with a time for each: the GPS time where present, otherwise
+// spread evenly over the trip. Null when neither is known.
+function timedTrack(trip) {
+    const track = parseTrack(trip);
+    if (!track) return null;
+    if (track.every(([, , time]) => time != null)) return track.map(([lng, lat, time]) => ({ lat, lng, time }));
+    if (!trip.ended_at) return null;
+    const start = Date.parse(trip.started_at);
+    const span = Date.parse(trip.ended_at) - start;
+    return track.map(([lng, lat], i) => ({ lat, lng, time: start + span * i / (track.length - 1) }));
+}
+
+// Segments of the track slow enough to be fishing, as { lat, lng, time, ms }
+// at each segment's start
+function fishingSegments(points) {
+    const segments = [];
+    for (let i = 1; i < points.length; i++) {
+        const a = points[i - 1];
+        const b = points[i];
+        const ms = b.time - a.time;
+        if (ms <= 0) continue;
+        const knots = distanceNm(a.lat, a.lng, b.lat, b.lng) / (ms / HOUR_MS);
+        if (knots <= FISHING_MAX_KNOTS) segments.push({ lat: a.lat, lng: a.lng, time: a.time, ms });
+    }
+    return segments;
+}
+
+const near = (a, b) => distanceKm(a.lat, a.lng, b.latitude, b.longitude) <= NEARBY_KM;
+
+async function loadEffort({ userId, species, days }) {
+    const since = new Date(Date.now() - (Number(days) || DEFAULT_CPUE_DAYS) * 86400000).toISOString();
+    const trips = await all(`
+        SELECT * FROM trips WHERE lines_hours > 0 AND started_at > ? ${userId ? 'AND user_id = ?' : ''}
+    `, userId ? [since, userId] : [since]);
+    if (!trips.length) return { trips: [], catches: [] };
+
+    let catches = await all(`
+        SELECT cl.*, u.fuzz_method, u.fuzz_km
+        FROM catch_logs cl
+        JOIN users u ON u.id = cl.user_id
+        WHERE cl.trip_id IN (${trips.map(() => '?').join(', ')})
+    `, trips.map(t => t.id));
+
+    let counted = trips;
+    if (!userId) {
+        const privateTrips = new Set(catches.filter(c => c.visibility === 'private').map(c => c.trip_id));
+        counted = trips.filter(t => !privateTrips.has(t.id));
+        const visible = new Set((await all(`SELECT id FROM catch_logs WHERE ${publicCondition()} AND trip_id IS NOT NULL`))
+            .map(row => row.id));
+        catches = catches.filter(c => !privateTrips.has(c.trip_id) && visible.has(c.id));
+    }
+    if (species) {
+        const profile = getProfile(species);
+        const name = profile ? profile.name : String(species).trim();
+        catches = catches.filter(c => c.species.toLowerCase() === name.toLowerCase());
+    }
+    return { trips: counted, catches };
+}
+
+function cpueRow(key, trips, catches, effort) {
+    const weight = catches.reduce((sum, c) => sum + (c.weight || 0), 0);
+    return {
+        ...key,
+        trips: trips.length,
+        blank_trips: trips.filter(t => !catches.some(c => c.trip_id === t.id)).length,
+        catches: catches.length,
+        effort_hours: round(effort, 1),
+        cpue: effort > 0 ? round(catches.length / effort, 3) : null,
+        kg_per_hour: effort > 0 ? round(weight / effort, 2) : null
+    };
+}
+
+function groupBy(items, keyOf) {
+    const groups = new Map();
+    items.forEach(item => {
+        const key = keyOf(item);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(item);
+    });
+    return groups;
+}
+
+// CPUE (catches per line-hour) grouped by species, hotspot, gear (the trip's
+// main method) or month (NZ calendar month the trip started). With userId only
+// that angler's trips count, private catches included.
+async function cpueStats({ group = 'species', species, days, userId } = {}) {
+    const { trips, catches } = await loadEffort({ userId, species, days });
+    const totalEffort = trips.reduce((sum, t) => sum + t.lines_hours, 0);
+    const tripIds = new Set(trips.map(t => t.id));
+    const counted = catches.filter(c => tripIds.has(c.trip_id));
+    let rows;
+
+    if (group === 'species') {
+        const bySpecies = groupBy(counted, c => c.species);
+        if (species && !bySpecies.size) bySpecies.set(getProfile(species) ? getProfile(species).name : species, []);
+        rows = [...bySpecies.entries()].map(([name, list]) => cpueRow({ species: name }, trips, list, totalEffort));
+    } else if (group === 'gear' || group === 'month') {
+        const keyOf = group === 'gear'
+            ? t => t.gear_type || 'unknown'
+            : t => localParts(new Date(t.started_at)).month;
+        rows = [...groupBy(trips, keyOf).entries()].map(([key, list]) => {
+            const ids = new Set(list.map(t => t.id));
+            return cpueRow({ [group]: key }, list, counted.filter(c => ids.has(c.trip_id)),
+                list.reduce((sum, t) => sum + t.lines_hours, 0));
+        });
+    } else {
+        const hotspots = await all('SELECT id, name, latitude, longitude FROM hotspots WHERE archived_at IS NULL');
+        const tracked = trips.map(trip => {
+            const points = timedTrack(trip);
+            const segments = points ? fishingSegments(points) : [];
+            return { trip, segments, fishingMs: segments.reduce((sum, s) => sum + s.ms, 0) };
+        }).filter(t => t.fishingMs > 0);
+
+        rows = hotspots.map(hotspot => {
+            let effort = 0;
+            const visited = [];
+            tracked.forEach(({ trip, segments, fishingMs }) => {
+                const nearMs = segments.filter(s => near(s, hotspot)).reduce((sum, s) => sum + s.ms, 0);
+                if (nearMs > 0) {
+                    effort += trip.lines_hours * nearMs / fishingMs;
+                    visited.push(trip);
+                }
+            });
+            const ids = new Set(visited.map(t => t.id));
+            const nearby = counted.filter(c => {
+                if (!ids.has(c.trip_id)) return false;
+                const position = userId ? { lat: c.latitude, lng: c.longitude } : privacy.publicLocation(c);
+                return near(position, hotspot);
+            });
+            return cpueRow({ hotspot_id: hotspot.id, hotspot: hotspot.name }, visited, nearby, effort);
+        }).filter(row => row.effort_hours > 0);
+    }
+
+    return {
+        group,
+        species: species || null,
+        trips: trips.length,
+        effort_hours: round(totalEffort, 1),
+        rows: rows.sort((a, b) => (b.cpue || 0) - (a.cpue || 0))
+    };
+}
+
+// Places and times anglers were fishing (hourly along tracked trips with
+// effort) without catching the species within the hour: true absences for
+// model training, as { lat, lng, time }
+async function absencePoints(speciesName) {
+    const trips = await all('SELECT * FROM trips WHERE lines_hours > 0 AND track IS NOT NULL');
+    const points = [];
+    for (const trip of trips) {
+        const track = timedTrack(trip);
+        if (!track) continue;
+        const caught = (await all('SELECT time_caught FROM catch_logs WHERE trip_id = ? AND species = ?', [trip.id, speciesName]))
+            .map(row => Date.parse(row.time_caught));
+
+        let nextSample = -Infinity;
+        for (const segment of fishingSegments(track)) {
+            if (segment.time < nextSample) continue;
+            nextSample = segment.time + HOUR_MS;
+            if (caught.some(time => Math.abs(time - segment.time) <= HOUR_MS)) continue;
+            points.push({ lat: segment.lat, lng: segment.lng, time: new Date(segment.time).toISOString() });
+        }
+    }
+    return points;
+}
+
+// Fishing time along tracked trips between two instants (ms), as
+// { trip_id, lat, lng, time, ms } segments. As with public CPUE, trips
+// holding private catches are left out.
+async function fishingEffort(since, until) {
+    const trips = await all(`
+        SELECT * FROM trips t
+        WHERE t.lines_hours > 0 AND t.track IS NOT NULL AND t.started_at BETWEEN ? AND ?
+          AND NOT EXISTS (SELECT 1 FROM catch_logs cl WHERE cl.trip_id = t.id AND cl.visibility = 'private')
+    `, [new Date(since - MAX_TRIP_HOURS * HOUR_MS).toISOString(), new Date(until).toISOString()]);
+    const segments = [];
+    trips.forEach(trip => {
+        const track = timedTrack(trip);
+        if (!track) return;
+        fishingSegments(track)
+            .filter(segment => segment.time >= since && segment.time <= until)
+            .forEach(segment => segments.push({ trip_id: trip.id, ...segment }));
+    });
+    return segments;
+}
+
+module.exports = {
+    CPUE_GROUPS,
+    MAX_NOTES_LENGTH,
+    listTrips,
+    getTrip,
+    createTrip,
+    updateTrip,
+    deleteTrip,
+    setTripCatches,
+    assertOwnTrip,
+    setTrack,
+    getTrack,
+    deleteTrack,
+    cpueStats,
+    absencePoints,
+    fishingEffort
+};
@@ -0,0 +1,195 @@
+// lib/validation.js - Schemas for query strings and request bodies
+//
+// A schema maps field names to rules built with the helpers below, e.g.
+//   validation.query({ days: validation.number({ min: 1, max: 365, default: 30 }) })
+// gives middleware that parses each field it names (so the route sees numbers,
+// not strings, and defaults for anything left out) and leaves fields it doesn't
+// name for the route or lib module to check. Invalid input is answered with
+// 400 and the same body as an invalid catch: { error, details: [{ field, message }] }.
+
+function badField(message) {
+    return Object.assign(new Error(message), { invalidField: true });
+}
+
+// An empty array is a value (e.g. clearing a list); an empty string is not
+const present = value => value !== undefined && value !== null && (Array.isArray(value) || String(value).trim() !== '');
+
+function rule(parse, { required = false, default: fallback } = {}) {
+    return { parse, required, fallback };
+}
+
+function number({ min, max, exclusiveMin, integer = false, ...options } = {}) {
+    return rule(raw => {
+        const value = typeof raw === 'number' ? raw : Number(String(raw).trim());
+        if (!Number.isFinite(value)) throw badField(integer ? 'must be a whole number' : 'must be a number');
+        if (integer && !Number.isInteger(value)) throw badField('must be a whole number');
+        if (exclusiveMin !== undefined && value <= exclusiveMin) throw badField(`must be greater than ${exclusiveMin}`);
+        if (min !== undefined && value < min) throw badField(`must be at least ${min}`);
+        if (max !== undefined && value > max) throw badField(`must be at most ${max}`);
+        return value;
+    }, options);
+}
+
+function integer(options = {}) {
+    return number({ ...options, integer: true });
+}
+
+// Strings are trimmed; query strings repeated (?a=1&a=2) arrive as arrays and are refused
+function string({ maxLength = 200, pattern, trim = true, ...options } = {}) {
+    return rule(raw => {
+        if (typeof raw !== 'string' && typeof raw !== 'number') throw badField('must be a string');
+        const value = trim ? String(raw).trim() : String(raw);
+        if (value.length > maxLength) throw badField(`must be at most ${maxLength} characters`);
+        if (pattern && !pattern.test(value)) throw badField('is not in the expected format');
+        return value;
+    }, options);
+}
+
+function oneOf(values, options = {}) {
+    return rule(raw => {
+        const value = String(raw).trim().toLowerCase();
+        if (!values.includes(value)) throw badField(`must be one of: ${values.join(', ')}`);
+        return value;
+    }, options);
+}
+
+// true/false, or their query string spellings 'true'/'false' and '1'/'0'
+function boolean(options = {}) {
+    return rule(raw => {
+        if (raw === true || raw === 'true' || raw === '1') return true;
+        if (raw === false || raw === 'false' || raw === '0') return false;
+        throw badField('must be true or false');
+    }, options);
+}
+
+// An array, or a comma-separated string as query strings carry lists. With an
+// `item` rule each entry is parsed by it; without one the entries are left
+// for the route or lib module to check.
+function list(item, { minItems = 0, maxItems = 100, ...options } = {}) {
+    return rule(raw => {
+        const entries = Array.isArray(raw) ? raw
+            : typeof raw === 'string' ? raw.split(',').map(entry => entry.trim()).filter(Boolean) : null;
+        if (!entries) throw badField('must be a list');
+        if (entries.length < minItems) throw badField(`needs at least ${minItems} entries`);
+        if (entries.length > maxItems) throw badField(`must have at most ${maxItems} entries`);
+        if (!item) return entries;
+        return entries.map((entry, i) => {
+            try {
+                return item.parse(entry);
+            } catch (error) {
+                if (!error.invalidField) throw error;
+                throw badField(`entry ${i + 1} ${error.message}`);
+            }
+        });
+    }, options);
+}
+
+// An ISO 8601 date/time as a Date; with `past`, one that isn't in the future,
+// and with `maxAgeDays`, one no further back than that
+function timestamp({ past = false, maxAgeDays, ...options } = {}) {
+    return rule(raw => {
+        const time = new Date(String(raw).trim());
+        if (typeof raw !== 'string' || Number.isNaN(time.getTime())) throw badField('must be an ISO 8601 timestamp');
+        if (past && time.getTime() > Date.now()) throw badField('cannot be in the future');
+        if (maxAgeDays !== undefined && time.getTime() < Date.now() - maxAgeDays * 86400000) {
+            throw badField(`must be within the last ${maxAgeDays} days`);
+        }
+        return time;
+    }, options);
+}
+
+// A box given as lat1,lng1,lat2,lng2 (any two opposite corners), as
+// { south, north, west, east }
+function bounds(options = {}) {
+    return rule(raw => {
+        const corners = String(raw).split(',').map(value => (value.trim() === '' ? NaN : Number(value)));
+        if (corners.length !== 4 || !corners.every(Number.isFinite)) {
+            throw badField('must be four numbers: lat1,lng1,lat2,lng2');
+        }
+        const [lat1, lng1, lat2, lng2] = corners;
+        if (Math.abs(lat1) > 90 || Math.abs(lat2) > 90 || Math.abs(lng1) > 180 || Math.abs(lng2) > 180) {
+            throw badField('must be valid latitudes and longitudes');
+        }
+        const box = { south: Math.min(lat1, lat2), north: Math.max(lat1, lat2), west: Math.min(lng1, lng2), east: Math.max(lng1, lng2) };
+        if (box.south === box.north || box.west === box.east) throw badField('must enclose an area');
+        return box;
+    }, options);
+}
+
+// A JSON object (such as a GeoJSON geometry), passed on as it is
+function object(options = {}) {
+    return rule(raw => {
+        if (typeof raw !== 'object' || Array.isArray(raw)) throw badField('must be an object');
+        return raw;
+    }, options);
+}
+
+// Returns { values, details }: parsed values for the schema's fields that were
+// given (or have a default), and { field, message } for each problem
+function check(schema, input) {
+    const values = {};
+    const details = [];
+    Object.entries(schema).forEach(([field, { parse, required, fallback }]) => {
+        if (!present(input[field])) {
+            if (required) details.push({ field, message: 'is required' });
+            else if (fallback !== undefined) values[field] = fallback;
+            return;
+        }
+        try {
+            values[field] = parse(input[field]);
+        } catch (error) {
+            if (!error.invalidField) throw error;
+            details.push({ field, message: error.message });
+        }
+    });
+    return { values, details };
+}
+
+// An error for checks that involve more than one field, answered like a
+// schema failure: invalid('Invalid query parameters', [{ field, message }])
+function invalid(message, details) {
+    return Object.assign(new Error(message), { status: 400, details });
+}
+
+function sendInvalid(res, error) {
+    res.status(400).json({ error: error.message, details: error.details });
+}
+
+function query(schema) {
+    return (req, res, next) => {
+        const { values, details } = check(schema, req.query);
+        if (details.length) return sendInvalid(res, invalid('Invalid query parameters', details));
+        Object.assign(req.query, values);
+        next();
+    };
+}
+
+// JSON bodies must be an object; without a JSON Content-Type req.body is {}
+// and required fields report as missing
+function body(schema) {
+    return (req, res, next) => {
+        if (req.body === null || typeof req.body !== 'object' || Array.isArray(req.body)) {
+            return res.status(400).json({ error: 'Request body must be a JSON object' });
+        }
+        const { values, details } = check(schema, req.body);
+        if (details.length) return sendInvalid(res, invalid('Invalid request body', details));
+        Object.assign(req.body, values);
+        next();
+    };
+}
+
+module.exports = {
+    number,
+    integer,
+    string,
+    oneOf,
+    boolean,
+    list,
+    timestamp,
+    bounds,
+    object,
+    check,
+    invalid,
+    query,
+    body
+};
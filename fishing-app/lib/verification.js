@@ -0,0 +1,270 @@
+// lib/verification.js - Checks past predictions against what anglers caught
+//
+// A prediction (a nowcast in predictions, or one hour of a forecast in
+// forecast_predictions) is verified once VERIFY_GRACE_HOURS have passed since
+// its window closed, so late-logged catches count. The window is the
+// VERIFY_WINDOW_HOURS from the predicted time, the area is within 5 km of the
+// predicted spot (the same "near" as hotspots). The outcome is 1 when a
+// public catch of the species was logged there in the window, 0 when someone
+// was fishing there without one (tracked trip effort, or catches of other
+// species), and unknown otherwise - unknown predictions say nothing about
+// accuracy and are not kept. Outcomes go to prediction_outcomes; verified
+// predictions older than PREDICTION_RETENTION_DAYS (or the ?at= replay window,
+// if longer) are then deleted.
+//
+// Accuracy is reported as the Brier score (mean squared error of the
+// probability against the 0/1 outcome), its skill over always forecasting the
+// observed catch rate, calibration bins, and hit rates for calls at or above
+// a threshold.
+const { get, all, run, insertMany } = require('./db');
+const { resolveSpecies } = require('./species');
+const hotspotStore = require('./hotspots');
+const trips = require('./trips');
+const { distanceKm } = require('./geo');
+const replay = require('./replay');
+
+function number(value, fallback) {
+    const parsed = parseFloat(value);
+    return Number.isFinite(parsed) ? parsed : fallback;
+}
+
+const CONFIG = {
+    windowHours: number(process.env.VERIFY_WINDOW_HOURS, 6),
+    graceHours: number(process.env.VERIFY_GRACE_HOURS, 72),
+    // Never less than the ?at= replay window (see lib/replay.js)
+    retentionDays: Math.max(number(process.env.PREDICTION_RETENTION_DAYS, 30), replay.CONFIG.days)
+};
+
+const HOUR_MS = 3600000;
+const BATCH_SIZE = 2000;
+const SOURCES = {
+    nowcast: { table: 'predictions', time: 'timestamp', issued: 'timestamp' },
+    forecast: { table: 'forecast_predictions', time: 'valid_time', issued: 'issued_at' }
+};
+const CALIBRATION_BINS = 10;
+const DEFAULT_DAYS = 90;
+const MAX_DAYS = 730;
+const DEFAULT_THRESHOLD = 50;
+
+const round = (value, places = 3) => (value == null ? null : Math.round(value * 10 ** places) / 10 ** places);
+
+// Nearest active hotspot within the "near" radius of a point, or null
+function hotspotAt(hotspots, lat, lng) {
+    let best = null;
+    hotspots.forEach(hotspot => {
+        const km = distanceKm(lat, lng, hotspot.latitude, hotspot.longitude);
+        if (km <= hotspotStore.NEARBY_KM && (!best || km < best.km)) best = { hotspot, km };
+    });
+    return best && best.hotspot;
+}
+
+// Outcome of each prediction at one spot, given the public catches and the
+// fishing effort near it
+function judge(predictions, catches, effort) {
+    const windowMs = CONFIG.windowHours * HOUR_MS;
+    return predictions.map(prediction => {
+        const start = Date.parse(prediction.time);
+        const end = start + windowMs;
+        const inWindow = catches.filter(c => {
+            const time = Date.parse(c.time_caught);
+            return time >= start && time <= end;
+        });
+        const caught = inWindow.filter(c => c.species.toLowerCase() === prediction.species.toLowerCase());
+        const effortMs = effort
+            .filter(segment => segment.time >= start && segment.time <= end)
+            .reduce((sum, segment) => sum + segment.ms, 0);
+        const outcome = caught.length ? 1 : inWindow.length || effortMs > 0 ? 0 : null;
+        return { prediction, outcome, catches: caught.length, effort_hours: round(effortMs / HOUR_MS, 2) };
+    });
+}
+
+// Verifies one batch of due predictions from a source; returns
+// { checked, verified, caught }
+async function verifyBatch(source, due, hotspots) {
+    const { table, time, issued } = SOURCES[source];
+    const predictions = await all(`
+        SELECT id, latitude, longitude, species, probability, ${time} AS time, ${issued} AS issued_at
+        FROM ${table}
+        WHERE verified_at IS NULL AND ${time} <= ?
+        ORDER BY ${time}
+        LIMIT ${BATCH_SIZE}
+    `, [due]);
+    if (!predictions.length) return { checked: 0, verified: 0, caught: 0 };
+
+    const first = Date.parse(predictions[0].time);
+    const last = Date.parse(predictions[predictions.length - 1].time) + CONFIG.windowHours * HOUR_MS;
+    const effort = await trips.fishingEffort(first, last);
+
+    const bySpot = new Map();
+    predictions.forEach(p => {
+        const key = `${p.latitude.toFixed(4)},${p.longitude.toFixed(4)}`;
+        if (!bySpot.has(key)) bySpot.set(key, []);
+        bySpot.get(key).push(p);
+    });
+
+    const outcomes = [];
+    for (const spotPredictions of bySpot.values()) {
+        const { latitude, longitude } = spotPredictions[0];
+        const since = new Date(Math.min(...spotPredictions.map(p => Date.parse(p.time))) - 1).toISOString();
+        const catches = (await hotspotStore.publicCatchesNear({ latitude, longitude }, since))
+            .filter(c => Date.parse(c.time_caught) <= last);
+        const spotEffort = effort.filter(segment =>
+            distanceKm(latitude, longitude, segment.lat, segment.lng) <= hotspotStore.NEARBY_KM);
+        const hotspot = hotspotAt(hotspots, latitude, longitude);
+
+        judge(spotPredictions, catches, spotEffort)
+            .filter(result => result.outcome !== null)
+            .forEach(({ prediction, outcome, catches: caught, effort_hours }) => outcomes.push([
+                source, prediction.id, prediction.species, hotspot ? hotspot.id : null, hotspot ? hotspot.name : null,
+                latitude, longitude, prediction.time,
+                round((Date.parse(prediction.time) - Date.parse(prediction.issued_at)) / HOUR_MS, 1),
+                prediction.probability, outcome, caught, effort_hours
+            ]));
+    }
+
+    await insertMany('prediction_outcomes', [
+        'source', 'prediction_id', 'species', 'hotspot_id', 'hotspot_name', 'latitude', 'longitude',
+        'valid_time', 'lead_hours', 'probability', 'outcome', 'catches', 'effort_hours'
+    ], outcomes);
+    const verifiedAt = new Date().toISOString();
+    for (let i = 0; i < predictions.length; i += 500) {
+        const ids = predictions.slice(i, i + 500).map(p => p.id);
+        await run(`UPDATE ${table} SET verified_at = ? WHERE id IN (${ids.map(() => '?').join(', ')})`, [verifiedAt, ...ids]);
+    }
+    return { checked: predictions.length, verified: outcomes.length, caught: outcomes.filter(o => o[10] === 1).length };
+}
+
+// Verifies every due prediction, then prunes old verified ones; returns
+// { checked, verified, caught, pruned }
+async function verifyPredictions() {
+    const due = new Date(Date.now() - (CONFIG.windowHours + CONFIG.graceHours) * HOUR_MS).toISOString();
+    const hotspots = await all('SELECT id, name, latitude, longitude FROM hotspots WHERE archived_at IS NULL');
+    const totals = { checked: 0, verified: 0, caught: 0, pruned: 0 };
+
+    for (const source of Object.keys(SOURCES)) {
+        let batch;
+        do {
+            batch = await verifyBatch(source, due, hotspots);
+            totals.checked += batch.checked;
+            totals.verified += batch.verified;
+            totals.caught += batch.caught;
+        } while (batch.checked === BATCH_SIZE);
+    }
+
+    const cutoff = new Date(Date.now() - CONFIG.retentionDays * 24 * HOUR_MS).toISOString();
+    for (const { table, issued } of Object.values(SOURCES)) {
+        const { changes } = await run(`DELETE FROM ${table} WHERE verified_at IS NOT NULL AND ${issued} < ?`, [cutoff]);
+        totals.pruned += changes;
+    }
+    return totals;
+}
+
+// Brier score, skill and hit rates of a set of outcomes
+function summarise(rows, threshold) {
+    if (!rows.length) {
+        return { verified: 0, caught: 0, base_rate: null, mean_probability: null, brier: null, brier_skill: null,
+            hits: 0, misses: 0, false_alarms: 0, correct_negatives: 0, hit_rate: null, false_alarm_ratio: null };
+    }
+    const caught = rows.filter(r => r.outcome === 1).length;
+    const baseRate = caught / rows.length;
+    const brier = rows.reduce((sum, r) => sum + (r.probability / 100 - r.outcome) ** 2, 0) / rows.length;
+    const reference = baseRate * (1 - baseRate);
+    const called = rows.filter(r => r.probability >= threshold);
+    const hits = called.filter(r => r.outcome === 1).length;
+    const misses = caught - hits;
+    const falseAlarms = called.length - hits;
+
+    return {
+        verified: rows.length,
+        caught,
+        base_rate: round(baseRate),
+        mean_probability: round(rows.reduce((sum, r) => sum + r.probability, 0) / rows.length / 100),
+        brier: round(brier, 4),
+        brier_skill: reference > 0 ? round(1 - brier / reference) : null,
+        hits,
+        misses,
+        false_alarms: falseAlarms,
+        correct_negatives: rows.length - hits - misses - falseAlarms,
+        hit_rate: caught ? round(hits / caught) : null,
+        false_alarm_ratio: called.length ? round(falseAlarms / called.length) : null
+    };
+}
+
+// Predicted probability against the observed catch rate, in 10% bins
+function calibration(rows) {
+    const bins = Array.from({ length: CALIBRATION_BINS }, (_, i) => ({
+        from: i * 100 / CALIBRATION_BINS, to: (i + 1) * 100 / CALIBRATION_BINS, rows: []
+    }));
+    rows.forEach(r => {
+        bins[Math.min(Math.floor(r.probability / (100 / CALIBRATION_BINS)), CALIBRATION_BINS - 1)].rows.push(r);
+    });
+    return bins.map(({ from, to, rows: binRows }) => ({
+        from,
+        to,
+        predictions: binRows.length,
+        mean_probability: binRows.length ? round(binRows.reduce((sum, r) => sum + r.probability, 0) / binRows.length / 100) : null,
+        observed_rate: binRows.length ? round(binRows.filter(r => r.outcome === 1).length / binRows.length) : null
+    }));
+}
+
+function groupRows(rows, keyOf) {
+    const groups = new Map();
+    rows.forEach(row => {
+        const key = keyOf(row);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(row);
+    });
+    return groups;
+}
+
+// Accuracy over verified predictions from the last ?days=, optionally for one
+// species, hotspot or source (nowcast or forecast); hit rates count calls at
+// or above `threshold`. The route checks the query (see node.js).
+async function accuracy({ days = DEFAULT_DAYS, threshold = DEFAULT_THRESHOLD, ...query } = {}) {
+    const conditions = ['valid_time > ?'];
+    const params = [new Date(Date.now() - days * 24 * HOUR_MS).toISOString()];
+    let species = null;
+    if (query.species) {
+        const entry = resolveSpecies(query.species);
+        species = entry ? entry.name : String(query.species).trim();
+        conditions.push('LOWER(species) = LOWER(?)');
+        params.push(species);
+    }
+    if (query.hotspot_id) {
+        conditions.push('hotspot_id = ?');
+        params.push(query.hotspot_id);
+    }
+    if (query.source) {
+        conditions.push('source = ?');
+        params.push(query.source);
+    }
+    const rows = await all(`SELECT * FROM prediction_outcomes WHERE ${conditions.join(' AND ')}`, params);
+    const pending = await get(`
+        SELECT (SELECT COUNT(*) FROM predictions WHERE verified_at IS NULL) +
+               (SELECT COUNT(*) FROM forecast_predictions WHERE verified_at IS NULL) AS count
+    `);
+
+    return {
+        days,
+        species,
+        hotspot_id: query.hotspot_id || null,
+        source: query.source || null,
+        threshold,
+        window_hours: CONFIG.windowHours,
+        pending: pending.count,
+        overall: summarise(rows, threshold),
+        calibration: calibration(rows),
+        by_species: [...groupRows(rows, r => r.species).entries()]
+            .map(([name, list]) => ({ species: name, ...summarise(list, threshold) }))
+            .sort((a, b) => b.verified - a.verified),
+        by_hotspot: [...groupRows(rows, r => r.hotspot_id).entries()]
+            .map(([id, list]) => ({
+                hotspot_id: id,
+                hotspot: id == null ? null : list[0].hotspot_name,
+                ...summarise(list, threshold)
+            }))
+            .sort((a, b) => b.verified - a.verified)
+    };
+}
+
+module.exports = { CONFIG, SOURCES, MAX_DAYS, verifyPredictions, accuracy };
@@ -0,0 +1,48 @@
+// migrate.js - Schema migrations and seed data from the command line
+//
+//   node migrate.js up            apply pending migrations (the server does this on start)
+//   node migrate.js down [steps]  revert the last `steps` migrations (default 1)
+//   node migrate.js status        list migrations and when they were applied
+//   node migrate.js seed          insert missing seed data
+//
+// Works on whichever database DATABASE_URL selects (see lib/db.js).
+require('dotenv').config();
+const db = require('./lib/db');
+const migrations = require('./lib/migrations');
+const { seed } = require('./lib/seed');
+
+const COMMANDS = {
+    async up() {
+        const applied = await migrations.latest();
+        if (!applied.length) console.log('Already up to date');
+    },
+    async down(steps = '1') {
+        const reverted = await migrations.rollback(Number(steps));
+        if (!reverted.length) console.log('Nothing to revert');
+    },
+    async status() {
+        for (const migration of await migrations.status()) {
+            const state = migration.applied_at ? `applied ${migration.applied_at}` : 'pending';
+            console.log(`${String(migration.version).padStart(3, '0')} ${migration.name.padEnd(24)} ${state}`);
+        }
+    },
+    async seed() {
+        const added = await seed();
+        console.log(`Seeded ${added.hotspots} built-in hotspots`);
+    }
+};
+
+async function main([command = 'up', ...args]) {
+    if (!COMMANDS[command]) {
+        throw new Error(`Unknown command ${command}; use one of: ${Object.keys(COMMANDS).join(', ')}`);
+    }
+    console.log(`Database: ${db.dialect}`);
+    await COMMANDS[command](...args);
+}
+
+main(process.argv.slice(2))
+    .catch(error => {
+        console.error(error.message);
+        process.exitCode = 1;
+    })
+    .finally(() => db.close());
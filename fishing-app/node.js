@@ -1,119 +1,79 @@
 // server.js - Complete Backend Server for NZ Fishing Predictor
 const express = require('express');
 const cors = require('cors');
-const sqlite3 = require('sqlite3').verbose();
-const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const axios = require('axios');
-const cron = require('node-cron');
 const path = require('path');
 require('dotenv').config();
+const { get, all, run, insertMany } = require('./lib/db');
+const migrations = require('./lib/migrations');
+const { seed } = require('./lib/seed');
+const providers = require('./lib/providers');
+const simulator = require('./lib/providers/simulator');
+const { atParam } = require('./lib/replay');
+const { getProfile, listProfiles } = require('./lib/species');
+const { scoreConditions } = require('./lib/scoring');
+const models = require('./lib/model');
+const { localDateString, isValidDateString } = require('./lib/nztime');
+const { describeDay } = require('./lib/astro');
+const { describeTides } = require('./lib/tides');
+const forecast = require('./lib/forecast');
+const fronts = require('./lib/fronts');
+const rules = require('./lib/rules');
+const notify = require('./lib/notify');
+const events = require('./lib/events');
+const catchLog = require('./lib/catches');
+const photos = require('./lib/photos');
+const { storage, PUBLIC_PATH } = require('./lib/storage');
+const multer = require('multer');
+const auth = require('./lib/auth');
+const accounts = require('./lib/accounts');
+const hotspotStore = require('./lib/hotspots');
+const moderation = require('./lib/moderation');
+const audit = require('./lib/audit');
+const privacy = require('./lib/privacy');
+const routing = require('./lib/routing');
+const trips = require('./lib/trips');
+const regulations = require('./lib/regulations');
+const idempotency = require('./lib/idempotency');
+const spatial = require('./lib/spatial');
+const conditionsGrid = require('./lib/grid');
+const contours = require('./lib/contours');
+const analytics = require('./lib/analytics');
+const verification = require('./lib/verification');
+const jobs = require('./lib/jobs');
+const retention = require('./lib/retention');
+const validation = require('./lib/validation');
+const rateLimit = require('./lib/ratelimit');
+const security = require('./lib/security');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
-const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
+const { version: VERSION } = require('./package.json');
 
 // Middleware
-app.use(cors());
+// Security headers, the CORS allowlist and TRUST_PROXY are in lib/security.js;
+// request limits in lib/ratelimit.js
+app.disable('x-powered-by');
+app.set('trust proxy', security.trustProxy());
+app.use(security.securityHeaders);
+app.use(cors(security.corsOptions()));
+app.use('/api', rateLimit.writeLimitByIp);
+// Logbook imports can be far larger than ordinary API bodies
+app.use('/api/catches/import', express.json({ type: ['application/json', 'application/geo+json'], limit: '10mb' }));
 app.use(express.json());
-app.use(express.static('public'));
-
-// Database setup
-const db = new sqlite3.Database('./fishing_app.db');
-
-// Initialize database tables
-db.serialize(() => {
-    // Users table
-    db.run(`CREATE TABLE IF NOT EXISTS users (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        email TEXT UNIQUE NOT NULL,
-        password_hash TEXT NOT NULL,
-        name TEXT NOT NULL,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-    )`);
-
-    // Environmental data table
-    db.run(`CREATE TABLE IF NOT EXISTS environmental_data (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        latitude REAL NOT NULL,
-        longitude REAL NOT NULL,
-        timestamp DATETIME NOT NULL,
-        sea_temperature REAL,
-        current_speed REAL,
-        current_direction INTEGER,
-        chlorophyll REAL,
-        wind_speed REAL,
-        wind_direction INTEGER,
-        wave_height REAL,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-    )`);
-
-    // Catch logs table
-    db.run(`CREATE TABLE IF NOT EXISTS catch_logs (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        user_id INTEGER,
-        species TEXT NOT NULL,
-        weight REAL NOT NULL,
-        length REAL,
-        gear_type TEXT NOT NULL,
-        latitude REAL NOT NULL,
-        longitude REAL NOT NULL,
-        depth REAL,
-        water_temp REAL,
-        time_caught DATETIME NOT NULL,
-        notes TEXT,
-        photo_url TEXT,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (user_id) REFERENCES users (id)
-    )`);
-
-    // Fishing predictions table
-    db.run(`CREATE TABLE IF NOT EXISTS predictions (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        latitude REAL NOT NULL,
-        longitude REAL NOT NULL,
-        timestamp DATETIME NOT NULL,
-        species TEXT NOT NULL,
-        probability INTEGER NOT NULL,
-        conditions TEXT,
-        factors TEXT,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-    )`);
-
-    // Fishing hotspots table
-    db.run(`CREATE TABLE IF NOT EXISTS hotspots (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        name TEXT NOT NULL,
-        latitude REAL NOT NULL,
-        longitude REAL NOT NULL,
-        description TEXT,
-        species_common TEXT,
-        best_months TEXT,
-        avg_success_rate REAL,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-    )`);
-
-    // Insert initial hotspot data
-    const hotspots = [
-        ['Bay of Islands', -35.25, 174.1, 'Protected bay area, good for smaller pelagics and kingfish', 'Kingfish,Snapper,Trevally', '12,1,2,3', 65.5],
-        ['North Cape', -34.42, 173.05, 'Current convergence zone - premier marlin fishing area', 'Blue Marlin,Striped Marlin,Yellowfin Tuna', '1,2,3,4,11,12', 78.2],
-        ['King Bank', -34.15, 173.8, 'Underwater seamount - major tuna aggregation area', 'Yellowfin Tuna,Bigeye Tuna,Albacore', '11,12,1,2,3,4', 72.8],
-        ['Middlesex Bank', -34.3, 173.6, 'Deep water bank - consistent big game fishing', 'Blue Marlin,Bigeye Tuna,Mako Shark', '12,1,2,3', 69.4],
-        ['Three Kings Islands', -34.17, 172.13, 'Remote islands with pristine fishing', 'Marlin,Tuna,Kingfish,Hapuku', '1,2,3,4', 75.6]
-    ];
-
-    const stmt = db.prepare(`INSERT OR REPLACE INTO hotspots 
-        (name, latitude, longitude, description, species_common, best_months, avg_success_rate) 
-        VALUES (?, ?, ?, ?, ?, ?, ?)`);
-    
-    hotspots.forEach(hotspot => {
-        stmt.run(hotspot);
-    });
-    stmt.finalize();
+// The service worker is revalidated on every load so new versions reach everyone
+app.get('/sw.js', (req, res) => {
+    res.set('Cache-Control', 'no-cache');
+    res.sendFile(path.join(__dirname, 'public', 'sw.js'));
 });
+app.use(express.static(path.join(__dirname, 'public')));
+// Metadata-stripped catch photos and thumbnails; originals are never mounted
+app.use(PUBLIC_PATH, express.static(path.join(storage.root, 'public'), { maxAge: '7d' }));
 
 // Authentication middleware
-const authenticateToken = (req, res, next) => {
+// Access tokens are short-lived; a 401 means refresh (POST /api/token/refresh).
+// Writes are also limited per user from here.
+const authenticateToken = async (req, res, next) => {
     const authHeader = req.headers['authorization'];
     const token = authHeader && authHeader.split(' ')[1];
 
@@ -121,280 +81,616 @@ const authenticateToken = (req, res, next) => {
         return res.status(401).json({ error: 'Access token required' });
     }
 
-    jwt.verify(token, JWT_SECRET, (err, user) => {
-        if (err) {
-            return res.status(403).json({ error: 'Invalid token' });
-        }
-        req.user = user;
-        next();
-    });
+    try {
+        req.user = await auth.verifyAccessToken(token);
+    } catch (error) {
+        return sendAccountError(res, error);
+    }
+    rateLimit.writeLimitByUser(req, res, next);
 };
 
+// Must come after authenticateToken
+const requireAdmin = (req, res, next) => {
+    if (req.user.role !== 'admin') {
+        return res.status(403).json({ error: 'Admin access required' });
+    }
+    next();
+};
+
+function sendAccountError(res, error) {
+    if (!error.status) console.error('Account request failed:', error);
+    if (error.retryAfter) res.set('Retry-After', String(error.retryAfter));
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Server error' });
+}
+
 // API Routes
+// Query strings and bodies are checked against schemas (see lib/validation.js);
+// these rules recur across routes
+const MAX_DAYS = 3650;
+const limitParam = (fallback, max = 500) => validation.integer({ min: 1, max, default: fallback });
+const offsetParam = validation.integer({ min: 0, default: 0 });
+const daysParam = fallback => validation.number({ exclusiveMin: 0, max: MAX_DAYS, default: fallback });
+const latitudeParam = fallback => validation.number({ min: -90, max: 90, default: fallback });
+const longitudeParam = fallback => validation.number({ min: -180, max: 180, default: fallback });
+const idParam = validation.integer({ min: 1 });
+
+// User Authentication - limited per client IP, and sign-in per account too
+const EMAIL = validation.string({ required: true, maxLength: 254 });
+const PASSWORD = validation.string({ required: true, maxLength: 200, trim: false });
+const TOKEN = validation.string({ required: true, maxLength: 200 });
+
+app.post('/api/register', rateLimit.authLimit, validation.body({
+    email: EMAIL,
+    password: PASSWORD,
+    name: validation.string({ required: true, maxLength: 100 })
+}), async (req, res) => {
+    try {
+        const session = await auth.register(req.body, req.get('User-Agent'));
+        res.status(201).json({ message: 'User registered successfully', ...session });
+    } catch (error) {
+        sendAccountError(res, error);
+    }
+});
+
+app.post('/api/login', rateLimit.authLimit, validation.body({ email: EMAIL, password: PASSWORD }), async (req, res) => {
+    try {
+        const session = await auth.login(req.body, req.get('User-Agent'));
+        res.json({ message: 'Login successful', ...session });
+    } catch (error) {
+        sendAccountError(res, error);
+    }
+});
 
-// User Authentication
-app.post('/api/register', async (req, res) => {
-    const { email, password, name } = req.body;
+// Swaps a refresh token for a new access token and refresh token
+app.post('/api/token/refresh', rateLimit.authLimit, validation.body({ refresh_token: TOKEN }), async (req, res) => {
+    try {
+        res.json(await auth.refresh(req.body.refresh_token));
+    } catch (error) {
+        sendAccountError(res, error);
+    }
+});
 
-    if (!email || !password || !name) {
-        return res.status(400).json({ error: 'Email, password, and name required' });
+app.get('/api/verify', authenticateToken, async (req, res) => {
+    try {
+        res.json({ valid: true, user: await accounts.getProfile(req.user.userId) });
+    } catch (error) {
+        sendAccountError(res, error);
     }
+});
 
+// Ends this session, or with { all: true } every session of the account
+app.post('/api/logout', authenticateToken, validation.body({ all: validation.boolean({ default: false }) }), async (req, res) => {
     try {
-        const hashedPassword = await bcrypt.hash(password, 10);
-        
-        db.run(
-            'INSERT INTO users (email, password_hash, name) VALUES (?, ?, ?)',
-            [email, hashedPassword, name],
-            function(err) {
-                if (err) {
-                    if (err.message.includes('UNIQUE constraint failed')) {
-                        return res.status(400).json({ error: 'Email already registered' });
-                    }
-                    return res.status(500).json({ error: 'Registration failed' });
-                }
-
-                const token = jwt.sign(
-                    { userId: this.lastID, email, name },
-                    JWT_SECRET,
-                    { expiresIn: '30d' }
-                );
-
-                res.status(201).json({
-                    message: 'User registered successfully',
-                    token,
-                    user: { id: this.lastID, email, name }
-                });
-            }
-        );
+        if (req.body.all) {
+            await auth.revokeUserSessions(req.user.userId);
+        } else {
+            await auth.revokeSession(req.user.sessionId);
+        }
+        res.status(204).end();
     } catch (error) {
-        res.status(500).json({ error: 'Server error' });
+        sendAccountError(res, error);
     }
 });
 
-app.post('/api/login', (req, res) => {
-    const { email, password } = req.body;
+app.post('/api/password/forgot', rateLimit.authLimit, validation.body({ email: EMAIL }), async (req, res) => {
+    try {
+        await auth.requestPasswordReset(req.body.email);
+    } catch (error) {
+        // Reported only in the log so the answer can't be used to probe accounts
+        console.error('Password reset email failed:', error.message);
+    }
+    res.status(202).json({ message: 'If that email has an account, a reset link is on its way' });
+});
 
-    if (!email || !password) {
-        return res.status(400).json({ error: 'Email and password required' });
+app.post('/api/password/reset', rateLimit.authLimit, validation.body({ token: TOKEN, password: PASSWORD }), async (req, res) => {
+    try {
+        await auth.resetPassword(req.body.token, req.body.password);
+        res.json({ message: 'Password updated; please sign in again' });
+    } catch (error) {
+        sendAccountError(res, error);
     }
+});
 
-    db.get(
-        'SELECT * FROM users WHERE email = ?',
-        [email],
-        async (err, user) => {
-            if (err) {
-                return res.status(500).json({ error: 'Server error' });
-            }
+// Mails a verification link to the account's address; alert emails only go
+// to a verified address
+app.post('/api/email/verification', authenticateToken, async (req, res) => {
+    try {
+        await auth.requestEmailVerification(req.user.userId);
+        res.status(202).json({ message: 'A verification link is on its way' });
+    } catch (error) {
+        sendAccountError(res, error);
+    }
+});
 
-            if (!user) {
-                return res.status(400).json({ error: 'Invalid credentials' });
-            }
+app.post('/api/email/verify', rateLimit.authLimit, validation.body({ token: TOKEN }), async (req, res) => {
+    try {
+        await auth.verifyEmail(req.body.token);
+        res.json({ message: 'Email address verified' });
+    } catch (error) {
+        sendAccountError(res, error);
+    }
+});
 
-            try {
-                const validPassword = await bcrypt.compare(password, user.password_hash);
-                
-                if (!validPassword) {
-                    return res.status(400).json({ error: 'Invalid credentials' });
-                }
-
-                const token = jwt.sign(
-                    { userId: user.id, email: user.email, name: user.name },
-                    JWT_SECRET,
-                    { expiresIn: '30d' }
-                );
-
-                res.json({
-                    message: 'Login successful',
-                    token,
-                    user: { id: user.id, email: user.email, name: user.name }
-                });
-            } catch (error) {
-                res.status(500).json({ error: 'Server error' });
-            }
-        }
-    );
+// Profile and account
+app.get('/api/profile', authenticateToken, async (req, res) => {
+    try {
+        res.json(await accounts.getProfile(req.user.userId));
+    } catch (error) {
+        sendAccountError(res, error);
+    }
+});
+
+app.put('/api/profile', authenticateToken, validation.body({
+    name: validation.string({ maxLength: 100 }),
+    email: validation.string({ maxLength: 254 }),
+    current_password: validation.string({ maxLength: 200, trim: false }),
+    new_password: validation.string({ maxLength: 200, trim: false }),
+    default_visibility: validation.oneOf(privacy.VISIBILITIES),
+    fuzz_method: validation.oneOf(privacy.FUZZ_METHODS),
+    fuzz_km: validation.number({ min: privacy.MIN_FUZZ_KM, max: privacy.MAX_FUZZ_KM })
+}), async (req, res) => {
+    try {
+        res.json(await accounts.updateProfile(req.user.userId, req.user.sessionId, req.body));
+    } catch (error) {
+        sendAccountError(res, error);
+    }
+});
+
+app.get('/api/account/export', authenticateToken, async (req, res) => {
+    try {
+        const data = await accounts.exportAccount(req.user.userId);
+        res.attachment(`nz-fishing-account-${req.user.userId}.json`);
+        res.json(data);
+    } catch (error) {
+        sendAccountError(res, error);
+    }
+});
+
+// Body: { password, catches: 'anonymize' | 'delete' }. Download
+// /api/account/export first - nothing can be recovered afterwards.
+app.delete('/api/account', authenticateToken, validation.body({
+    password: PASSWORD,
+    catches: validation.oneOf(accounts.CATCH_MODES, { required: true })
+}), async (req, res) => {
+    try {
+        res.json(await accounts.deleteAccount(req.user.userId, req.body));
+    } catch (error) {
+        sendAccountError(res, error);
+    }
 });
 
 // Environmental data endpoints
-app.get('/api/conditions/current', (req, res) => {
-    const { lat = -34.25, lng = 173.25 } = req.query;
+// ?at= replays the conditions as they stood at a past moment, up to REPLAY_DAYS
+// back (see lib/replay.js)
+app.get('/api/conditions/current', validation.query({
+    lat: latitudeParam(-34.25),
+    lng: longitudeParam(173.25),
+    species: validation.string({ maxLength: 50, default: 'generic' }),
+    at: atParam
+}), (req, res) => {
+    const { lat, lng, species, at } = req.query;
+
+    const profile = getProfile(species);
+    if (!profile) {
+        return res.status(400).json({ error: `Unknown species: ${species}` });
+    }
     
-    // Get latest environmental data for the area
-    db.get(`
-        SELECT * FROM environmental_data 
-        WHERE ABS(latitude - ?) < 0.1 AND ABS(longitude - ?) < 0.1 
-        ORDER BY timestamp DESC 
-        LIMIT 1
-    `, [lat, lng], (err, data) => {
-        if (err) {
-            return res.status(500).json({ error: 'Database error' });
-        }
-
+    // Latest observation within spatial.NEARBY_KM
+    spatial.latestObservation(lat, lng, { at }).then(data => {
         if (!data) {
-            // Return simulated data if no real data available
-            data = generateSimulatedConditions(lat, lng);
+            if (!simulator.isEnabled()) {
+                return res.status(404).json({ error: 'No environmental data available for this location' });
+            }
+            data = simulator.generateSimulatedConditions(lat, lng, at || new Date());
         }
 
         // Calculate fishing favorability
-        const favorability = calculateFishingFavorability(data);
+        const favorability = calculateFishingFavorability(data, profile, { date: at || new Date() });
         
         res.json({
             ...data,
             favorability,
-            lastUpdated: data.timestamp || new Date().toISOString()
+            lastUpdated: data.timestamp || new Date().toISOString(),
+            asOf: at ? at.toISOString() : null
         });
-    });
+    }).catch(() => res.status(500).json({ error: 'Database error' }));
 });
 
-app.get('/api/conditions/grid', (req, res) => {
-    const { bounds } = req.query; // Expected: "lat1,lng1,lat2,lng2"
-    
-    if (!bounds) {
-        return res.status(400).json({ error: 'Bounds parameter required' });
-    }
+// Recent conditions interpolated onto a regular grid (see lib/grid.js):
+// ?bounds=lat1,lng1,lat2,lng2&resolution=0.05&fields=sea_temperature,...&hours=6
+// &format=geojson (default) or binary (Float32 arrays, layout in X-Grid-* headers)
+const gridQuery = {
+    bounds: validation.bounds({ required: true }),
+    resolution: validation.number({
+        min: conditionsGrid.MIN_RESOLUTION,
+        max: conditionsGrid.MAX_RESOLUTION,
+        default: conditionsGrid.DEFAULT_RESOLUTION
+    }),
+    hours: validation.number({ exclusiveMin: 0, max: conditionsGrid.MAX_HOURS, default: conditionsGrid.DEFAULT_HOURS }),
+    at: atParam
+};
 
-    const [lat1, lng1, lat2, lng2] = bounds.split(',').map(Number);
-    
-    db.all(`
-        SELECT latitude, longitude, sea_temperature, current_speed, 
-               current_direction, chlorophyll, wind_speed, timestamp
-        FROM environmental_data 
-        WHERE latitude BETWEEN ? AND ? 
-          AND longitude BETWEEN ? AND ?
-          AND timestamp > datetime('now', '-6 hours')
-        ORDER BY timestamp DESC
-    `, [Math.min(lat1, lat2), Math.max(lat1, lat2), Math.min(lng1, lng2), Math.max(lng1, lng2)], 
-    (err, rows) => {
-        if (err) {
-            return res.status(500).json({ error: 'Database error' });
+app.get('/api/conditions/grid', validation.query({
+    ...gridQuery,
+    fields: validation.list(validation.oneOf(conditionsGrid.FIELDS), { minItems: 1, default: conditionsGrid.DEFAULT_FIELDS }),
+    format: validation.oneOf(conditionsGrid.FORMATS, { default: 'geojson' })
+}), async (req, res) => {
+    try {
+        const options = conditionsGrid.gridOptions(req.query);
+        const grid = await conditionsGrid.buildGrid(options);
+        if (options.format === 'binary') {
+            const { body, headers } = conditionsGrid.toBinary(grid);
+            return res.set(headers).send(body);
         }
+        res.json(conditionsGrid.toGeoJSON(grid));
+    } catch (error) {
+        if (error.status) return res.status(error.status).json({ error: error.message, details: error.details });
+        console.error('Grid error:', error);
+        res.status(500).json({ error: 'Failed to build conditions grid' });
+    }
+});
 
-        // If no recent data, generate grid with simulated data
-        if (rows.length === 0) {
-            rows = generateGridData(lat1, lng1, lat2, lng2);
-        }
+// Isolines and filled bands for SST, chlorophyll or a species' bite
+// probability (see lib/contours.js): ?layer=sea_temperature&bounds=...
+// &resolution=0.05&interval=1&kind=both&species=Kingfish&tolerance=0.0125
+app.get('/api/conditions/contours', validation.query({
+    ...gridQuery,
+    layer: validation.oneOf(Object.keys(contours.LAYERS), { default: 'sea_temperature' }),
+    interval: validation.number({ exclusiveMin: 0 }),
+    kind: validation.oneOf(contours.KINDS, { default: 'both' }),
+    species: validation.string({ maxLength: 50 }),
+    tolerance: validation.number({ min: 0 })
+}), async (req, res) => {
+    try {
+        res.json(await contours.buildContours(contours.contourOptions(req.query)));
+    } catch (error) {
+        if (error.status) return res.status(error.status).json({ error: error.message, details: error.details });
+        console.error('Contour error:', error);
+        res.status(500).json({ error: 'Failed to build contours' });
+    }
+});
+
+// Sun, moon, solunar periods and tides for a NZ calendar day (Pacific/Auckland)
+app.get('/api/solunar', validation.query({
+    lat: latitudeParam(-34.25),
+    lng: longitudeParam(173.25),
+    date: validation.string({ maxLength: 10 })
+}), (req, res) => {
+    const { lat: latitude, lng: longitude, date = localDateString(new Date()) } = req.query;
 
-        res.json(rows);
+    if (!isValidDateString(date)) {
+        return res.status(400).json({ error: 'date must be YYYY-MM-DD' });
+    }
+
+    res.json({
+        ...describeDay(date, latitude, longitude),
+        tides: describeTides(latitude, longitude, date)
     });
 });
 
-// Fishing predictions
-app.get('/api/predictions', (req, res) => {
-    const { species = 'all', hours = 24 } = req.query;
+// Species scoring profiles
+app.get('/api/species', (req, res) => {
+    res.json(listProfiles());
+});
+
+// Fishing predictions from the last `hours`, written by the prediction-generation
+// job after each data refresh; ?at= gives those from the `hours` before it
+app.get('/api/predictions', validation.query({
+    species: validation.string({ maxLength: 50, default: 'all' }),
+    hours: validation.number({ exclusiveMin: 0, max: 24 * 90, default: 24 }),
+    at: atParam
+}), async (req, res) => {
+    const { species, hours, at } = req.query;
     
-    const hoursAgo = new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
+    const until = at || new Date();
+    const hoursAgo = new Date(until.getTime() - hours * 60 * 60 * 1000).toISOString();
     
     let query = `
         SELECT * FROM predictions 
-        WHERE timestamp > ?
+        WHERE timestamp > ? AND timestamp <= ?
         ORDER BY probability DESC, timestamp DESC
     `;
-    let params = [hoursAgo];
+    let params = [hoursAgo, until.toISOString()];
 
     if (species !== 'all') {
         query = `
             SELECT * FROM predictions 
-            WHERE species = ? AND timestamp > ?
+            WHERE species = ? AND timestamp > ? AND timestamp <= ?
             ORDER BY probability DESC, timestamp DESC
         `;
-        params = [species, hoursAgo];
+        params = [species, hoursAgo, until.toISOString()];
     }
 
-    db.all(query, params, (err, predictions) => {
-        if (err) {
-            return res.status(500).json({ error: 'Database error' });
-        }
+    try {
+        res.json(await all(query, params));
+    } catch (error) {
+        res.status(500).json({ error: 'Database error' });
+    }
+});
 
-        if (predictions.length === 0) {
-            // Generate fresh predictions
-            predictions = generateFreshPredictions();
-            
-            // Store them in database
-            const stmt = db.prepare(`
-                INSERT INTO predictions (latitude, longitude, timestamp, species, probability, conditions, factors)
-                VALUES (?, ?, ?, ?, ?, ?, ?)
-            `);
-            
-            predictions.forEach(p => {
-                stmt.run([p.latitude, p.longitude, p.timestamp, p.species, p.probability, 
-                         JSON.stringify(p.conditions), JSON.stringify(p.factors)]);
-            });
-            stmt.finalize();
+// Hourly forecast per hotspot for the next N days, with the best window each day
+app.get('/api/predictions/forecast', validation.query({
+    species: validation.string({ required: true, maxLength: 50 }),
+    days: validation.integer({ min: 1, max: forecast.MAX_DAYS, default: 7 })
+}), async (req, res) => {
+    const { species, days } = req.query;
+    const profile = getProfile(species);
+
+    if (!profile) {
+        return res.status(400).json({ error: 'Valid species parameter required' });
+    }
+
+    try {
+        res.json(await forecast.getForecast(profile, days));
+    } catch (error) {
+        if (error.status) return res.status(error.status).json({ error: error.message });
+        console.error('Forecast failed:', error);
+        res.status(500).json({ error: 'Failed to load forecast' });
+    }
+});
+
+// How past predictions held up against later catches: ?species=, ?hotspot_id=,
+// ?source=nowcast|forecast, ?days= (default 90), ?threshold= for hit rates (default 50)
+app.get('/api/predictions/accuracy', validation.query({
+    species: validation.string({ maxLength: 50 }),
+    hotspot_id: idParam,
+    source: validation.oneOf(Object.keys(verification.SOURCES)),
+    days: validation.number({ exclusiveMin: 0, max: verification.MAX_DAYS }),
+    threshold: validation.number({ min: 0, max: 100 })
+}), async (req, res) => {
+    try {
+        res.json(await verification.accuracy(req.query));
+    } catch (error) {
+        if (!error.status) console.error('Accuracy report failed:', error);
+        res.status(error.status || 500).json({ error: error.status ? error.message : 'Database error' });
+    }
+});
+
+// Prediction models
+app.get('/api/models', validation.query({ species: validation.string({ maxLength: 50 }) }), (req, res) => {
+    models.listModels(req.query.species)
+        .then(list => res.json(list))
+        .catch(() => res.status(500).json({ error: 'Database error' }));
+});
+
+app.get('/api/models/compare', validation.query({
+    species: validation.string({ required: true, maxLength: 50 }),
+    versions: validation.string({ pattern: /^\d+(,\d+)*$/ })
+}), async (req, res) => {
+    const { species, versions } = req.query;
+
+    try {
+        const requested = versions ? versions.split(',').map(Number) : null;
+        res.json(await models.compareModels(species, requested));
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.status ? error.message : 'Model comparison failed' });
+    }
+});
+
+// Retrains one species (or every profiled species when none is given);
+// training and activation change everyone's predictions, so they're admin only
+app.post('/api/models/train', authenticateToken, requireAdmin, validation.body({
+    species: validation.string({ maxLength: 50 }),
+    activate: validation.boolean({ default: true })
+}), async (req, res) => {
+    const { species, activate } = req.body;
+    const targets = species ? [species] : listProfiles().map(p => p.name);
+
+    const results = [];
+    for (const target of targets) {
+        try {
+            const model = await models.trainModel(target, { activate });
+            results.push({ species: model.species, model });
+        } catch (error) {
+            if (species) {
+                return res.status(error.status || 500).json({ error: error.status ? error.message : 'Training failed' });
+            }
+            results.push({ species: target, error: error.message });
         }
+    }
 
-        res.json(predictions);
-    });
+    res.status(201).json(species ? results[0].model : results);
+});
+
+app.post('/api/models/:id(\\d+)/activate', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+        const model = await models.activateModel(req.params.id);
+        if (!model) {
+            return res.status(404).json({ error: 'Model not found' });
+        }
+        res.json(model);
+    } catch (error) {
+        res.status(500).json({ error: 'Database error' });
+    }
 });
 
 // Catch logging
-app.post('/api/catches', authenticateToken, (req, res) => {
+// `visibility` defaults to the angler's default_visibility (see lib/privacy.js);
+// `trip_id` links the catch to one of the angler's trips. Catches in a marine
+// reserve or closed area get a 422; size and bag limit problems come back as
+// `compliance` warnings (see lib/regulations.js). With an Idempotency-Key
+// header a retried submission returns the original catch instead of a copy,
+// and reusing the key with a different body gets a 422 (see lib/idempotency.js).
+// Fields are checked and normalised as for edits and imports (see lib/catches.js).
+app.post('/api/catches', authenticateToken, async (req, res) => {
+    const { values, errors } = catchLog.validateCatch(req.body);
+    const { values: { trip_id: tripId = null }, details } = validation.check({ trip_id: idParam }, req.body);
+    if (errors.length || details.length) {
+        return sendCatchError(res, validation.invalid('Invalid catch', [...errors, ...details]));
+    }
     const {
         species, weight, length, gear_type, latitude, longitude,
-        depth, water_temp, time_caught, notes, photo_url
-    } = req.body;
+        depth, water_temp, time_caught, notes, photo_url, visibility
+    } = values;
+    const idempotencyKey = req.get('Idempotency-Key');
 
-    if (!species || !weight || !gear_type || !latitude || !longitude || !time_caught) {
-        return res.status(400).json({ 
-            error: 'Required fields: species, weight, gear_type, latitude, longitude, time_caught' 
-        });
-    }
+    let owner;
+    let compliance;
+    try {
+        owner = await privacy.getSettings(req.user.userId);
+        if (tripId !== null) {
+            await trips.assertOwnTrip(req.user.userId, tripId)
+                .catch(() => { throw Object.assign(new Error('trip_id is not one of your trips'), { status: 400 }); });
+        }
+        compliance = await regulations.checkCatch(req.user.userId, values);
+        if (compliance.violations.length) throw regulations.complianceError(compliance.violations);
 
-    db.run(`
-        INSERT INTO catch_logs 
-        (user_id, species, weight, length, gear_type, latitude, longitude, 
-         depth, water_temp, time_caught, notes, photo_url)
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `, [req.user.userId, species, weight, length, gear_type, latitude, longitude,
-        depth, water_temp, time_caught, notes, photo_url], 
-    function(err) {
-        if (err) {
-            return res.status(500).json({ error: 'Failed to log catch' });
+        if (idempotencyKey) {
+            const { replay } = await idempotency.claim(req.user.userId, 'catch', idempotencyKey, req.body);
+            if (replay) return res.json({ message: 'Catch already logged', catchId: replay, replayed: true });
         }
+    } catch (error) {
+        if (error.status) return sendCatchError(res, error);
+        return res.status(500).json({ error: 'Failed to log catch' });
+    }
+    const shared = visibility || owner.default_visibility;
 
-        // Update predictions based on successful catch
-        updatePredictionsFromCatch({
-            species, latitude, longitude, time_caught, 
-            conditions: { water_temp, depth }
-        });
+    let catchId;
+    try {
+        ({ lastID: catchId } = await run(`
+            INSERT INTO catch_logs 
+            (user_id, species, weight, length, gear_type, latitude, longitude, 
+             depth, water_temp, time_caught, notes, photo_url, visibility, trip_id)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [req.user.userId, species, weight, length, gear_type, latitude, longitude,
+            depth, water_temp, time_caught, notes, photo_url, shared, tripId]));
+    } catch (error) {
+        if (idempotencyKey) await idempotency.release(req.user.userId, 'catch', idempotencyKey).catch(() => {});
+        return res.status(500).json({ error: 'Failed to log catch' });
+    }
+    if (idempotencyKey) {
+        await idempotency.complete(req.user.userId, 'catch', idempotencyKey, catchId)
+            .catch(error => console.error('Saving idempotency key failed:', error.message));
+    }
 
-        res.status(201).json({
-            message: 'Catch logged successfully',
-            catchId: this.lastID
-        });
+    // Implausible catches go to the moderation queue instead of the live feed
+    let flagged = [];
+    try {
+        flagged = await moderation.screenCatches({ catchId });
+    } catch (error) {
+        console.error('Catch screening failed:', error.message);
+    }
+
+    if (!flagged.length && shared !== 'private') {
+        events.publish('catch', privacy.publicCatch({
+            species, weight, length, gear_type, latitude, longitude, time_caught, notes,
+            user_id: req.user.userId, visibility: shared, fuzz_method: owner.fuzz_method,
+            fuzz_km: owner.fuzz_km, angler_name: req.user.name
+        }));
+    }
+
+    res.status(201).json({
+        message: flagged.length ? 'Catch logged and held for review' : 'Catch logged successfully',
+        catchId,
+        species,
+        visibility: shared,
+        moderation_status: flagged.length ? 'flagged' : 'visible',
+        compliance: compliance.warnings
     });
 });
 
-app.get('/api/catches', authenticateToken, (req, res) => {
-    const { limit = 50, offset = 0 } = req.query;
+app.get('/api/catches', authenticateToken, validation.query({ limit: limitParam(50), offset: offsetParam }), async (req, res) => {
+    const { limit, offset } = req.query;
     
-    db.all(`
-        SELECT cl.*, u.name as angler_name
-        FROM catch_logs cl
-        JOIN users u ON cl.user_id = u.id
-        WHERE cl.user_id = ?
-        ORDER BY cl.time_caught DESC
-        LIMIT ? OFFSET ?
-    `, [req.user.userId, limit, offset], (err, catches) => {
-        if (err) {
-            return res.status(500).json({ error: 'Database error' });
+    try {
+        res.json(await all(`
+            SELECT cl.*, u.name as angler_name
+            FROM catch_logs cl
+            JOIN users u ON cl.user_id = u.id
+            WHERE cl.user_id = ?
+            ORDER BY cl.time_caught DESC
+            LIMIT ? OFFSET ?
+        `, [req.user.userId, limit, offset]));
+    } catch (error) {
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// Catch errors carry per-field details when validation fails
+function sendCatchError(res, error) {
+    if (!error.status) console.error('Catch request failed:', error);
+    const body = { error: error.status ? error.message : 'Database error' };
+    if (error.details) body.details = error.details;
+    res.status(error.status || 500).json(body);
+}
+
+// Full log of the signed-in user's catches as CSV, GPX or GeoJSON
+app.get('/api/catches/export', authenticateToken, validation.query({
+    format: validation.oneOf(catchLog.EXPORT_FORMATS, { default: 'csv' })
+}), async (req, res) => {
+    try {
+        const file = await catchLog.exportCatches(req.user.userId, req.query.format);
+        res.set('Content-Type', file.contentType);
+        res.attachment(file.filename);
+        res.send(file.body);
+    } catch (error) {
+        sendCatchError(res, error);
+    }
+});
+
+// The signed-in user's heaviest and longest fish of each species
+app.get('/api/catches/personal-bests', authenticateToken, async (req, res) => {
+    try {
+        res.json(await analytics.personalBests(req.user.userId));
+    } catch (error) {
+        sendCatchError(res, error);
+    }
+});
+
+// Bulk import from CSV, GPX waypoints or JSON/GeoJSON. The format comes from
+// ?format= or the Content-Type; ?dry_run=true validates without storing and
+// ?gear_type= fills in rows that have none.
+const IMPORT_CONTENT_TYPES = {
+    'text/csv': 'csv',
+    'application/csv': 'csv',
+    'application/gpx+xml': 'gpx',
+    'application/xml': 'gpx',
+    'text/xml': 'gpx',
+    'application/json': 'json',
+    'application/geo+json': 'json'
+};
+
+app.post('/api/catches/import', authenticateToken,
+    validation.query({
+        format: validation.string({ maxLength: 20 }),
+        dry_run: validation.boolean({ default: false }),
+        gear_type: validation.string({ maxLength: 50 })
+    }),
+    express.text({ type: ['text/*', 'application/csv', 'application/gpx+xml', 'application/xml'], limit: '10mb' }),
+    async (req, res) => {
+        const contentType = (req.get('Content-Type') || '').split(';')[0].trim().toLowerCase();
+        const format = String(req.query.format || IMPORT_CONTENT_TYPES[contentType] || '').toLowerCase();
+        const dryRun = req.query.dry_run;
+        const defaults = req.query.gear_type ? { gear_type: req.query.gear_type } : {};
+
+        try {
+            const report = await catchLog.importCatches(req.user.userId, format, req.body, { dryRun, defaults });
+            if (!dryRun) {
+                report.flagged = (await moderation.screenCatches({ userId: req.user.userId })).length;
+            }
+            res.status(dryRun ? 200 : report.imported ? 201 : 422).json(report);
+        } catch (error) {
+            sendCatchError(res, error);
         }
-        res.json(catches);
     });
-});
 
-app.get('/api/catches/public', (req, res) => {
-    const { species, days = 7, limit = 100 } = req.query;
+app.get('/api/catches/public', validation.query({
+    species: validation.string({ maxLength: 50 }),
+    days: daysParam(7),
+    limit: limitParam(100)
+}), async (req, res) => {
+    const { species, days, limit } = req.query;
     
     const daysAgo = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
     
     let query = `
         SELECT cl.species, cl.weight, cl.length, cl.gear_type, 
                cl.latitude, cl.longitude, cl.time_caught, cl.notes,
-               u.name as angler_name
+               cl.photo_url, cl.thumbnail_url, u.name as angler_name,
+               cl.user_id, cl.visibility, u.fuzz_method, u.fuzz_km
         FROM catch_logs cl
         JOIN users u ON cl.user_id = u.id
-        WHERE cl.time_caught > ?
+        WHERE cl.time_caught > ? AND ${moderation.publicCondition('cl')} AND ${privacy.sharedCondition('cl')}
         ORDER BY cl.time_caught DESC
         LIMIT ?
     `;
@@ -404,337 +700,867 @@ app.get('/api/catches/public', (req, res) => {
         query = `
             SELECT cl.species, cl.weight, cl.length, cl.gear_type, 
                    cl.latitude, cl.longitude, cl.time_caught, cl.notes,
-                   u.name as angler_name
+                   cl.photo_url, cl.thumbnail_url, u.name as angler_name,
+                   cl.user_id, cl.visibility, u.fuzz_method, u.fuzz_km
             FROM catch_logs cl
             JOIN users u ON cl.user_id = u.id
-            WHERE cl.species = ? AND cl.time_caught > ?
+            WHERE cl.species = ? AND cl.time_caught > ? AND ${moderation.publicCondition('cl')} AND ${privacy.sharedCondition('cl')}
             ORDER BY cl.time_caught DESC
             LIMIT ?
         `;
         params = [species, daysAgo, limit];
     }
 
-    db.all(query, params, (err, catches) => {
-        if (err) {
-            return res.status(500).json({ error: 'Database error' });
-        }
+    try {
+        const catches = await all(query, params);
+        res.json(catches.map(privacy.publicCatch));
+    } catch (error) {
+        res.status(500).json({ error: 'Database error' });
+    }
+});
 
-        // Anonymize precise locations (round to nearest 0.01 degree)
-        const anonymizedCatches = catches.map(c => ({
-            ...c,
-            latitude: Math.round(c.latitude * 100) / 100,
-            longitude: Math.round(c.longitude * 100) / 100,
-            angler_name: c.angler_name.charAt(0) + '*'.repeat(c.angler_name.length - 1)
-        }));
+// Single catches - owner only; other anglers' catches read as not found
+app.get('/api/catches/:id(\\d+)', authenticateToken, async (req, res) => {
+    try {
+        res.json(await catchLog.getCatch(req.user.userId, req.params.id));
+    } catch (error) {
+        sendCatchError(res, error);
+    }
+});
 
-        res.json(anonymizedCatches);
-    });
+// Edits are screened again, so an edit can put a catch in the moderation queue
+async function updateAndScreen(req, res, options) {
+    try {
+        const updated = await catchLog.updateCatch(req.user.userId, req.params.id, req.body, options);
+        const flagged = await moderation.screenCatches({ catchId: updated.id });
+        res.json(flagged.length
+            ? { ...await catchLog.getCatch(req.user.userId, updated.id), compliance: updated.compliance }
+            : updated);
+    } catch (error) {
+        sendCatchError(res, error);
+    }
+}
+
+app.put('/api/catches/:id(\\d+)', authenticateToken, (req, res) => updateAndScreen(req, res));
+
+app.patch('/api/catches/:id(\\d+)', authenticateToken, (req, res) => updateAndScreen(req, res, { partial: true }));
+
+app.delete('/api/catches/:id(\\d+)', authenticateToken, async (req, res) => {
+    try {
+        await photos.deletePhoto(req.user.userId, req.params.id);
+        await catchLog.deleteCatch(req.user.userId, req.params.id);
+        res.status(204).end();
+    } catch (error) {
+        sendCatchError(res, error);
+    }
 });
 
-// Hotspots
-app.get('/api/hotspots', (req, res) => {
-    db.all(`
-        SELECT h.*, 
-               COUNT(cl.id) as recent_catches,
-               AVG(cl.weight) as avg_weight
-        FROM hotspots h
-        LEFT JOIN catch_logs cl ON 
-            ABS(cl.latitude - h.latitude) < 0.05 AND 
-            ABS(cl.longitude - h.longitude) < 0.05 AND
-            cl.time_caught > datetime('now', '-30 days')
-        GROUP BY h.id
-        ORDER BY h.avg_success_rate DESC
-    `, (err, hotspots) => {
-        if (err) {
-            return res.status(500).json({ error: 'Database error' });
+// Catch photos - multipart/form-data with the image in the `photo` field
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: photos.MAX_UPLOAD_BYTES, files: 1 } });
+
+function receivePhoto(req, res, next) {
+    upload.single('photo')(req, res, err => {
+        if (err && err.code === 'LIMIT_FILE_SIZE') {
+            return res.status(413).json({ error: `Photos are limited to ${photos.MAX_UPLOAD_BYTES / 1024 / 1024}MB` });
+        }
+        if (err && err.code !== 'LIMIT_UNEXPECTED_FILE') {
+            return res.status(400).json({ error: err.message });
         }
-        res.json(hotspots);
+        if (err || !req.file) {
+            return res.status(400).json({ error: 'Send the image as multipart/form-data field "photo"' });
+        }
+        next();
     });
+}
+
+// EXIF position and time without storing anything, to pre-fill a new catch
+app.post('/api/photos/inspect', authenticateToken, receivePhoto, async (req, res) => {
+    try {
+        res.json(await photos.inspectPhoto(req.file.buffer));
+    } catch (error) {
+        sendCatchError(res, error);
+    }
 });
 
-// Fishing alerts
-app.get('/api/alerts', (req, res) => {
-    const alerts = generateFishingAlerts();
-    res.json(alerts);
+// ?use_exif=true replaces the catch's position and time with the photo's
+app.post('/api/catches/:id(\\d+)/photo', authenticateToken, receivePhoto, async (req, res) => {
+    const useExif = req.query.use_exif === 'true' || req.query.use_exif === '1';
+    try {
+        res.status(201).json(await photos.attachPhoto(req.user.userId, req.params.id, req.file.buffer, { useExif }));
+    } catch (error) {
+        sendCatchError(res, error);
+    }
 });
 
-// Statistics
-app.get('/api/stats', (req, res) => {
-    const { days = 30 } = req.query;
-    const daysAgo = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
-    
-    db.all(`
-        SELECT 
-            species,
-            COUNT(*) as total_catches,
-            AVG(weight) as avg_weight,
-            MAX(weight) as max_weight,
-            gear_type,
-            COUNT(DISTINCT user_id) as unique_anglers
-        FROM catch_logs
-        WHERE time_caught > ?
-        GROUP BY species, gear_type
-        ORDER BY total_catches DESC
-    `, [daysAgo], (err, stats) => {
-        if (err) {
-            return res.status(500).json({ error: 'Database error' });
+app.get('/api/catches/:id(\\d+)/photo', authenticateToken, async (req, res) => {
+    try {
+        res.json(await photos.getPhoto(req.user.userId, req.params.id));
+    } catch (error) {
+        sendCatchError(res, error);
+    }
+});
+
+// The upload exactly as sent, GPS tags included
+app.get('/api/catches/:id(\\d+)/photo/original', authenticateToken, async (req, res) => {
+    try {
+        const file = await photos.getOriginal(req.user.userId, req.params.id);
+        res.set({ 'Content-Type': file.contentType, 'Cache-Control': 'private, no-store' });
+        res.send(file.body);
+    } catch (error) {
+        sendCatchError(res, error);
+    }
+});
+
+app.delete('/api/catches/:id(\\d+)/photo', authenticateToken, async (req, res) => {
+    try {
+        if (!await photos.deletePhoto(req.user.userId, req.params.id)) {
+            return res.status(404).json({ error: 'Catch has no photo' });
+        }
+        res.status(204).end();
+    } catch (error) {
+        sendCatchError(res, error);
+    }
+});
+
+// Fishing trips - effort (lines_hours) and an optional GPX track per outing.
+// Saving a trip links the angler's unlinked catches from its time window.
+function sendTripError(res, error) {
+    if (!error.status) console.error('Trip request failed:', error);
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Database error' });
+}
+
+app.get('/api/trips', authenticateToken, validation.query({ limit: limitParam(50), offset: offsetParam }), async (req, res) => {
+    try {
+        res.json(await trips.listTrips(req.user.userId, req.query));
+    } catch (error) {
+        sendTripError(res, error);
+    }
+});
+
+// Trip fields; lib/trips.js checks the dates against each other. started_at
+// is required except in a PATCH.
+const tripBody = ({ partial = false } = {}) => validation.body({
+    started_at: validation.string({ required: !partial, maxLength: 40 }),
+    ended_at: validation.string({ maxLength: 40 }),
+    vessel: validation.string({ maxLength: 100 }),
+    crew: validation.integer({ min: 1, max: 100 }),
+    gear_type: validation.string({ maxLength: 100 }),
+    lines_hours: validation.number({ min: 0, max: 10000 }),
+    notes: validation.string({ maxLength: trips.MAX_NOTES_LENGTH, trim: false })
+});
+
+app.post('/api/trips', authenticateToken, tripBody(), async (req, res) => {
+    try {
+        res.status(201).json(await trips.createTrip(req.user.userId, req.body));
+    } catch (error) {
+        sendTripError(res, error);
+    }
+});
+
+// CPUE queries: ?group=species|hotspot|gear|month, optional ?species= and ?days=
+const cpueQuery = {
+    group: validation.oneOf(trips.CPUE_GROUPS, { default: 'species' }),
+    species: validation.string({ maxLength: 50 }),
+    days: daysParam()
+};
+
+// The signed-in angler's own CPUE, private catches included
+app.get('/api/trips/cpue', authenticateToken, validation.query(cpueQuery), async (req, res) => {
+    const { group, species, days } = req.query;
+    try {
+        res.json(await trips.cpueStats({ group, species, days, userId: req.user.userId }));
+    } catch (error) {
+        sendTripError(res, error);
+    }
+});
+
+app.get('/api/trips/:id(\\d+)', authenticateToken, async (req, res) => {
+    try {
+        res.json(await trips.getTrip(req.user.userId, req.params.id));
+    } catch (error) {
+        sendTripError(res, error);
+    }
+});
+
+app.put('/api/trips/:id(\\d+)', authenticateToken, tripBody(), async (req, res) => {
+    try {
+        res.json(await trips.updateTrip(req.user.userId, req.params.id, req.body));
+    } catch (error) {
+        sendTripError(res, error);
+    }
+});
+
+app.patch('/api/trips/:id(\\d+)', authenticateToken, tripBody({ partial: true }), async (req, res) => {
+    try {
+        res.json(await trips.updateTrip(req.user.userId, req.params.id, req.body, { partial: true }));
+    } catch (error) {
+        sendTripError(res, error);
+    }
+});
+
+// The trip's catches are kept, just unlinked
+app.delete('/api/trips/:id(\\d+)', authenticateToken, async (req, res) => {
+    try {
+        await trips.deleteTrip(req.user.userId, req.params.id);
+        res.status(204).end();
+    } catch (error) {
+        sendTripError(res, error);
+    }
+});
+
+// { catch_ids: [...] } replaces the trip's catches
+app.put('/api/trips/:id(\\d+)/catches', authenticateToken, validation.body({
+    catch_ids: validation.list(idParam, { required: true, maxItems: 1000 })
+}), async (req, res) => {
+    try {
+        res.json(await trips.setTripCatches(req.user.userId, req.params.id, req.body.catch_ids));
+    } catch (error) {
+        sendTripError(res, error);
+    }
+});
+
+// Upload a GPX track (replaces any earlier one); read back as a GeoJSON LineString
+app.put('/api/trips/:id(\\d+)/track', authenticateToken,
+    express.text({ type: ['application/gpx+xml', 'application/xml', 'text/xml', 'text/plain'], limit: '20mb' }),
+    async (req, res) => {
+        try {
+            res.json(await trips.setTrack(req.user.userId, req.params.id, typeof req.body === 'string' ? req.body : ''));
+        } catch (error) {
+            sendTripError(res, error);
         }
-        res.json(stats);
     });
+
+app.get('/api/trips/:id(\\d+)/track', authenticateToken, async (req, res) => {
+    try {
+        res.type('application/geo+json').send(JSON.stringify(await trips.getTrack(req.user.userId, req.params.id)));
+    } catch (error) {
+        sendTripError(res, error);
+    }
 });
 
-// Helper Functions
-function generateSimulatedConditions(lat, lng) {
-    const now = new Date();
-    return {
-        latitude: parseFloat(lat),
-        longitude: parseFloat(lng),
-        timestamp: now.toISOString(),
-        sea_temperature: 18 + Math.random() * 8, // 18-26°C
-        current_speed: Math.random() * 1.5, // 0-1.5 m/s
-        current_direction: Math.floor(Math.random() * 360),
-        chlorophyll: Math.random() * 0.6, // 0-0.6 mg/m³
-        wind_speed: 5 + Math.random() * 20, // 5-25 kts
-        wind_direction: Math.floor(Math.random() * 360),
-        wave_height: 0.5 + Math.random() * 2.5 // 0.5-3m
-    };
+app.delete('/api/trips/:id(\\d+)/track', authenticateToken, async (req, res) => {
+    try {
+        await trips.deleteTrack(req.user.userId, req.params.id);
+        res.status(204).end();
+    } catch (error) {
+        sendTripError(res, error);
+    }
+});
+
+// Hotspots - anyone can read, admins manage (species and best_months are arrays)
+app.get('/api/hotspots', async (req, res) => {
+    try {
+        res.json(await hotspotStore.listHotspots());
+    } catch (error) {
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+function sendAdminError(res, error) {
+    if (!error.status) console.error('Admin request failed:', error);
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Server error' });
 }
 
-function calculateFishingFavorability(conditions) {
-    let score = 0;
-    const factors = {};
-
-    // Sea surface temperature (optimal: 20-24°C)
-    if (conditions.sea_temperature >= 20 && conditions.sea_temperature <= 24) {
-        score += 25;
-        factors.temperature = 'optimal';
-    } else if (conditions.sea_temperature >= 18 && conditions.sea_temperature <= 26) {
-        score += 15;
-        factors.temperature = 'good';
-    } else {
-        factors.temperature = 'poor';
-    }
-
-    // Current speed (optimal: 0.5-1.2 m/s)
-    if (conditions.current_speed >= 0.5 && conditions.current_speed <= 1.2) {
-        score += 20;
-        factors.current = 'optimal';
-    } else if (conditions.current_speed >= 0.3 && conditions.current_speed <= 1.5) {
-        score += 10;
-        factors.current = 'good';
-    } else {
-        factors.current = 'poor';
-    }
-
-    // Chlorophyll (optimal: 0.1-0.4 mg/m³)
-    if (conditions.chlorophyll >= 0.1 && conditions.chlorophyll <= 0.4) {
-        score += 20;
-        factors.chlorophyll = 'optimal';
-    } else if (conditions.chlorophyll >= 0.05 && conditions.chlorophyll <= 0.6) {
-        score += 10;
-        factors.chlorophyll = 'good';
-    } else {
-        factors.chlorophyll = 'poor';
-    }
-
-    // Wind conditions (optimal: < 15 kts)
-    if (conditions.wind_speed <= 15) {
-        score += 15;
-        factors.wind = 'optimal';
-    } else if (conditions.wind_speed <= 20) {
-        score += 8;
-        factors.wind = 'good';
-    } else {
-        factors.wind = 'poor';
-    }
-
-    // Wave height (optimal: < 2m)
-    if (conditions.wave_height <= 2) {
-        score += 10;
-        factors.waves = 'optimal';
-    } else if (conditions.wave_height <= 3) {
-        score += 5;
-        factors.waves = 'good';
-    } else {
-        factors.waves = 'poor';
-    }
-
-    // Time of day bonus
-    const hour = new Date().getHours();
-    if ((hour >= 5 && hour <= 8) || (hour >= 17 && hour <= 19)) {
-        score += 10;
-        factors.time = 'prime_time';
-    }
-
-    return {
-        score: Math.min(100, Math.max(0, score)),
-        rating: score >= 80 ? 'excellent' : score >= 60 ? 'good' : score >= 40 ? 'fair' : 'poor',
-        factors
-    };
+app.get('/api/hotspots/:id(\\d+)', async (req, res) => {
+    try {
+        res.json(await hotspotStore.getHotspot(req.params.id));
+    } catch (error) {
+        sendAdminError(res, error);
+    }
+});
+
+// An update keeps the fields it leaves out, so only a new hotspot needs a
+// name and position
+const hotspotBody = ({ partial = false } = {}) => validation.body({
+    name: validation.string({ required: !partial, maxLength: 100 }),
+    latitude: validation.number({ required: !partial, min: -90, max: 90 }),
+    longitude: validation.number({ required: !partial, min: -180, max: 180 }),
+    description: validation.string({ maxLength: 1000 }),
+    species: validation.list(validation.string({ maxLength: 50 }), { maxItems: 20 }),
+    best_months: validation.list(validation.integer({ min: 1, max: 12 }), { maxItems: 12 }),
+    avg_success_rate: validation.number({ min: 0, max: 100 })
+});
+
+app.post('/api/hotspots', authenticateToken, requireAdmin, hotspotBody(), async (req, res) => {
+    try {
+        res.status(201).json(await hotspotStore.createHotspot(req.user.userId, req.body));
+    } catch (error) {
+        sendAdminError(res, error);
+    }
+});
+
+app.put('/api/hotspots/:id(\\d+)', authenticateToken, requireAdmin, hotspotBody({ partial: true }), async (req, res) => {
+    try {
+        res.json(await hotspotStore.updateHotspot(req.user.userId, req.params.id, req.body));
+    } catch (error) {
+        sendAdminError(res, error);
+    }
+});
+
+// Archives the hotspot; alert rules and past forecasts keep pointing at it
+app.delete('/api/hotspots/:id(\\d+)', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+        await hotspotStore.archiveHotspot(req.user.userId, req.params.id);
+        res.status(204).end();
+    } catch (error) {
+        sendAdminError(res, error);
+    }
+});
+
+// Moderation queue - ?status=flagged (default), hidden, approved or visible
+app.get('/api/admin/moderation', authenticateToken, requireAdmin, validation.query({
+    status: validation.oneOf(moderation.STATUSES, { default: 'flagged' }),
+    limit: limitParam(100)
+}), async (req, res) => {
+    try {
+        res.json(await moderation.listQueue({ status: req.query.status, limit: req.query.limit }));
+    } catch (error) {
+        sendAdminError(res, error);
+    }
+});
+
+// { action: 'hide' | 'flag' | 'approve' | 'restore', reason }
+app.post('/api/admin/catches/:id(\\d+)/moderate', authenticateToken, requireAdmin, validation.body({
+    action: validation.oneOf(Object.keys(moderation.ACTIONS), { required: true }),
+    reason: validation.string({ maxLength: 500 })
+}), async (req, res) => {
+    try {
+        const { action, reason } = req.body;
+        res.json(await moderation.moderateCatch(req.user.userId, req.params.id, action, reason));
+    } catch (error) {
+        sendAdminError(res, error);
+    }
+});
+
+// Corrects any catch fields (plus an optional `reason`) and approves the catch;
+// the ranges are those lib/catches.js enforces on every catch
+app.patch('/api/admin/catches/:id(\\d+)', authenticateToken, requireAdmin, validation.body({
+    species: validation.string({ maxLength: 50 }),
+    weight: validation.number({ min: 0, max: 1500 }),
+    length: validation.number({ exclusiveMin: 0, max: 1000 }),
+    gear_type: validation.string({ maxLength: 50 }),
+    latitude: latitudeParam(),
+    longitude: longitudeParam(),
+    depth: validation.number({ min: 0, max: 11000 }),
+    water_temp: validation.number({ min: -2, max: 40 }),
+    time_caught: validation.string({ maxLength: 40 }),
+    notes: validation.string({ maxLength: catchLog.MAX_NOTES_LENGTH, trim: false }),
+    photo_url: validation.string({ maxLength: 500 }),
+    visibility: validation.oneOf(privacy.VISIBILITIES),
+    reason: validation.string({ maxLength: 500 })
+}), async (req, res) => {
+    try {
+        res.json(await moderation.correctCatch(req.user.userId, req.params.id, req.body));
+    } catch (error) {
+        sendCatchError(res, error);
+    }
+});
+
+app.put('/api/admin/users/:id(\\d+)/role', authenticateToken, requireAdmin, validation.body({
+    role: validation.oneOf(auth.ROLES, { required: true })
+}), async (req, res) => {
+    try {
+        res.json(await accounts.setRole(req.user.userId, req.params.id, req.body.role));
+    } catch (error) {
+        sendAdminError(res, error);
+    }
+});
+
+app.get('/api/admin/audit', authenticateToken, requireAdmin, validation.query({
+    target_type: validation.string({ maxLength: 50 }),
+    target_id: idParam,
+    limit: limitParam(100, 1000)
+}), async (req, res) => {
+    try {
+        res.json(await audit.list({
+            targetType: req.query.target_type,
+            targetId: req.query.target_id,
+            limit: req.query.limit
+        }));
+    } catch (error) {
+        sendAdminError(res, error);
+    }
+});
+
+// Background jobs with their schedule, state and latest run
+app.get('/api/admin/jobs', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+        res.json(await jobs.listJobs());
+    } catch (error) {
+        sendAdminError(res, error);
+    }
+});
+
+app.get('/api/admin/jobs/:name/runs', authenticateToken, requireAdmin, validation.query({
+    limit: limitParam(50, jobs.MAX_HISTORY)
+}), async (req, res) => {
+    try {
+        res.json(await jobs.listRuns(req.params.name, { limit: req.query.limit }));
+    } catch (error) {
+        sendAdminError(res, error);
+    }
+});
+
+// Starts a job now; answers 202 with the run as soon as it has begun
+app.post('/api/admin/jobs/:name/run', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+        const started = await jobs.trigger(req.params.name, req.user.userId);
+        await audit.record(req.user.userId, 'run_job', 'job_run', started.id, { job: started.job });
+        res.status(202).json(started);
+    } catch (error) {
+        sendAdminError(res, error);
+    }
+});
+
+// Fishing rules at a point: protected areas there and nearby, and size and
+// bag limits by species (see lib/regulations.js)
+app.get('/api/regulations', validation.query({
+    lat: validation.number({ required: true, min: -90, max: 90 }),
+    lng: validation.number({ required: true, min: -180, max: 180 })
+}), (req, res) => {
+    res.json(regulations.lookup(req.query.lat, req.query.lng));
+});
+
+// Route planning - { waypoints: [[lat, lng], ...], speed_knots, fuel_lph, departure }
+// Returns GeoJSON: a LineString per leg and a Point per waypoint (see lib/routing.js)
+app.post('/api/routes', validation.body({
+    waypoints: validation.list(null, { required: true, minItems: 2, maxItems: routing.MAX_WAYPOINTS }),
+    speed_knots: validation.number({ exclusiveMin: 0, max: 60 }),
+    fuel_lph: validation.number({ exclusiveMin: 0, max: 2000 }),
+    departure: validation.string({ maxLength: 40 })
+}), async (req, res) => {
+    try {
+        res.json(await routing.planRoute(req.body));
+    } catch (error) {
+        if (!error.status) console.error('Route planning failed:', error);
+        res.status(error.status || 500).json({ error: error.status ? error.message : 'Route planning failed' });
+    }
+});
+
+// Live updates (server-sent events): conditions, catch, predictions, alerts
+app.get('/api/events', validation.query({
+    types: validation.list(validation.oneOf(events.EVENT_TYPES), { minItems: 1 }),
+    lastEventId: validation.string({ maxLength: 100 })
+}), (req, res) => {
+    events.subscribe(req, res);
+});
+
+// Fishing alerts - detected fronts and eddy edges that haven't expired (or,
+// with ?at=, that were live at that moment)
+// ?bounds=lat1,lng1,lat2,lng2 and ?type= (comma separated) narrow them down
+app.get('/api/alerts', validation.query({
+    bounds: validation.bounds(),
+    type: validation.list(validation.oneOf(fronts.ALERT_TYPES), { minItems: 1 }),
+    at: atParam
+}), async (req, res) => {
+    const { bounds, type: types, at } = req.query;
+    try {
+        res.json(await fronts.listAlerts({ bounds, types, at }));
+    } catch (error) {
+        console.error('Alert lookup failed:', error);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// Alert rules - per-user conditions delivered by webhook and/or email
+function sendRuleError(res, error) {
+    if (!error.status) console.error('Alert rule request failed:', error);
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Database error' });
 }
 
-function generateGridData(lat1, lng1, lat2, lng2) {
-    const data = [];
-    const gridSize = 0.02; // ~2km resolution
-    
-    for (let lat = lat1; lat <= lat2; lat += gridSize) {
-        for (let lng = lng1; lng <= lng2; lng += gridSize) {
-            data.push(generateSimulatedConditions(lat, lng));
-        }
+app.get('/api/alert-rules', authenticateToken, async (req, res) => {
+    try {
+        res.json(await rules.listRules(req.user.userId));
+    } catch (error) {
+        sendRuleError(res, error);
     }
+});
+
+// Rule fields; lib/rules.js checks species, hotspot, area and delivery targets
+const ruleBody = validation.body({
+    name: validation.string({ maxLength: 100 }),
+    species: validation.string({ required: true, maxLength: 50 }),
+    hotspot_id: idParam,
+    area: validation.object(),
+    min_probability: validation.number({ min: 0, max: 100 }),
+    min_favorability: validation.number({ min: 0, max: 100 }),
+    quiet_hours: validation.object(),
+    webhook_url: validation.string({ maxLength: 2000 }),
+    email: validation.string({ maxLength: 254 }),
+    is_active: validation.boolean()
+});
+
+app.post('/api/alert-rules', authenticateToken, ruleBody, async (req, res) => {
+    try {
+        res.status(201).json(await rules.createRule(req.user.userId, req.body));
+    } catch (error) {
+        sendRuleError(res, error);
+    }
+});
+
+app.get('/api/alert-rules/:id(\\d+)', authenticateToken, async (req, res) => {
+    try {
+        res.json(await rules.getRule(req.user.userId, req.params.id));
+    } catch (error) {
+        sendRuleError(res, error);
+    }
+});
+
+app.put('/api/alert-rules/:id(\\d+)', authenticateToken, ruleBody, async (req, res) => {
+    try {
+        res.json(await rules.updateRule(req.user.userId, req.params.id, req.body));
+    } catch (error) {
+        sendRuleError(res, error);
+    }
+});
+
+app.delete('/api/alert-rules/:id(\\d+)', authenticateToken, async (req, res) => {
+    try {
+        await rules.deleteRule(req.user.userId, req.params.id);
+        res.status(204).end();
+    } catch (error) {
+        sendRuleError(res, error);
+    }
+});
+
+// Sends a sample notification on the rule's channels and returns the deliveries
+app.post('/api/alert-rules/:id(\\d+)/test', authenticateToken, async (req, res) => {
+    try {
+        res.json(await rules.sendTest(req.user.userId, req.params.id));
+    } catch (error) {
+        sendRuleError(res, error);
+    }
+});
+
+// Delivery history for the signed-in user, newest first
+app.get('/api/alert-deliveries', authenticateToken, validation.query({
+    rule_id: idParam,
+    status: validation.string({ maxLength: 20 }),
+    limit: limitParam(50)
+}), async (req, res) => {
+    const { rule_id: ruleId, status, limit } = req.query;
+
+    try {
+        res.json(await rules.listDeliveries(req.user.userId, { ruleId, status, limit }));
+    } catch (error) {
+        sendRuleError(res, error);
+    }
+});
+
+// Statistics
+app.get('/api/stats', validation.query({ days: daysParam(30) }), async (req, res) => {
+    const { days } = req.query;
+    const daysAgo = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
     
-    return data;
+    try {
+        res.json(await all(`
+            SELECT 
+                species,
+                COUNT(*) as total_catches,
+                AVG(weight) as avg_weight,
+                MAX(weight) as max_weight,
+                gear_type,
+                COUNT(DISTINCT user_id) as unique_anglers
+            FROM catch_logs
+            WHERE time_caught > ? AND ${moderation.publicCondition()} AND ${privacy.sharedCondition()}
+            GROUP BY species, gear_type
+            ORDER BY total_catches DESC
+        `, [daysAgo]));
+    } catch (error) {
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// Catch per unit effort across everyone's trips: ?group=species|hotspot|gear|month,
+// optional ?species= and ?days= (default 365). See lib/trips.js.
+app.get('/api/stats/cpue', validation.query(cpueQuery), async (req, res) => {
+    const { group, species, days } = req.query;
+    try {
+        res.json(await trips.cpueStats({ group, species, days }));
+    } catch (error) {
+        sendTripError(res, error);
+    }
+});
+
+// Public catch history (see lib/analytics.js). Each takes optional ?species=
+// and ?days= (default 365).
+function sendStatsError(res, error) {
+    if (!error.status) console.error('Stats request failed:', error);
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Database error' });
 }
 
-function generateFreshPredictions() {
-    const species = ['Blue Marlin', 'Striped Marlin', 'Yellowfin Tuna', 'Bigeye Tuna', 'Albacore Tuna'];
-    const locations = [
-        { name: 'North Cape', lat: -34.42, lng: 173.05 },
-        { name: 'King Bank', lat: -34.15, lng: 173.8 },
-        { name: 'Middlesex Bank', lat: -34.3, lng: 173.6 },
-        { name: 'Three Kings', lat: -34.17, lng: 172.13 }
-    ];
-    
+const statsQuery = {
+    species: validation.string({ maxLength: 50 }),
+    days: daysParam(365)
+};
+
+// Catches per ?interval=month|week for each species, optionally near ?hotspot_id=
+app.get('/api/stats/timeseries', validation.query({
+    ...statsQuery,
+    interval: validation.oneOf(analytics.INTERVALS, { default: 'month' }),
+    hotspot_id: idParam
+}), async (req, res) => {
+    try {
+        res.json(await analytics.timeSeries(req.query));
+    } catch (error) {
+        sendStatsError(res, error);
+    }
+});
+
+// Water temperatures catches were made in, in ?bin= °C steps (default 1)
+app.get('/api/stats/temperature', validation.query({
+    ...statsQuery,
+    bin: validation.number({ min: 0.1, max: 5, default: 1 }),
+    hotspot_id: idParam
+}), async (req, res) => {
+    try {
+        res.json(await analytics.temperatureDistribution(req.query));
+    } catch (error) {
+        sendStatsError(res, error);
+    }
+});
+
+// Anglers ranked by ?metric=heaviest|longest|count, top ?limit= (default 10)
+app.get('/api/stats/leaderboard', validation.query({
+    ...statsQuery,
+    metric: validation.oneOf(analytics.METRICS, { default: 'heaviest' }),
+    limit: limitParam(10, 100)
+}), async (req, res) => {
+    try {
+        res.json(await analytics.leaderboard(req.query));
+    } catch (error) {
+        sendStatsError(res, error);
+    }
+});
+
+// Helper Functions
+
+// Scores conditions against a species profile (see lib/species.js); without a
+// species the generic pelagic profile is used
+function calculateFishingFavorability(conditions, species = 'generic', options) {
+    return scoreConditions(conditions, species, options);
+}
+
+// Latest stored observation near a point, or simulated conditions when the
+// simulator is enabled and nothing has been fetched yet
+async function getLatestConditions(lat, lng) {
+    const row = await spatial.latestObservation(lat, lng);
+    if (!row && simulator.isEnabled()) return simulator.generateSimulatedConditions(lat, lng);
+    return row;
+}
+
+async function generateFreshPredictions() {
+    const profiles = listProfiles();
     const predictions = [];
     const now = new Date();
     
-    locations.forEach(location => {
-        species.forEach(fish => {
-            const conditions = generateSimulatedConditions(location.lat, location.lng);
-            const favorability = calculateFishingFavorability(conditions);
-            
-            // Add species-specific modifiers
-            let probability = favorability.score;
-            if (fish.includes('Marlin') && conditions.sea_temperature > 22) probability += 10;
-            if (fish.includes('Tuna') && conditions.current_speed > 0.8) probability += 8;
-            
-            probability = Math.min(100, Math.max(0, probability));
+    for (const hotspot of await hotspotStore.activeHotspots()) {
+        const conditions = await getLatestConditions(hotspot.latitude, hotspot.longitude);
+        if (!conditions) continue;
+
+        for (const profile of profiles) {
+            const favorability = calculateFishingFavorability(conditions, profile);
+
+            // Prefer the species' learned model; fall back to the profile score
+            const learned = await models.predictWithModel(profile.name, conditions);
             
             predictions.push({
-                latitude: location.lat,
-                longitude: location.lng,
+                latitude: hotspot.latitude,
+                longitude: hotspot.longitude,
                 timestamp: now.toISOString(),
-                species: fish,
-                probability: Math.round(probability),
+                species: profile.name,
+                probability: learned ? learned.probability : favorability.score,
                 conditions,
-                factors: favorability.factors
+                factors: favorability.factors,
+                model_id: learned ? learned.model_id : null
             });
-        });
-    });
+        }
+    }
     
     return predictions.sort((a, b) => b.probability - a.probability);
 }
 
-function generateFishingAlerts() {
-    const alerts = [];
-    const now = new Date();
-    
-    // Generate dynamic alerts based on conditions
-    if (Math.random() > 0.3) {
-        alerts.push({
-            id: 1,
-            type: 'hotspot',
-            priority: 'high',
-            title: 'Prime Fishing Conditions Detected',
-            message: `Excellent conditions at North Cape - ${Math.round(75 + Math.random() * 20)}% success probability for marlin`,
-            location: { lat: -34.42, lng: 173.05 },
-            expires: new Date(now.getTime() + 6 * 60 * 60 * 1000).toISOString()
-        });
-    }
-    
-    if (Math.random() > 0.4) {
-        alerts.push({
-            id: 2,
-            type: 'environmental',
-            priority: 'medium',
-            title: 'Temperature Break Detected',
-            message: 'Strong temperature gradient at King Bank - ideal for tuna aggregation',
-            location: { lat: -34.15, lng: 173.8 },
-            expires: new Date(now.getTime() + 4 * 60 * 60 * 1000).toISOString()
-        });
-    }
-    
-    if (Math.random() > 0.5) {
-        const hours = Math.round(2 + Math.random() * 4);
-        alerts.push({
-            id: 3,
-            type: 'timing',
-            priority: 'medium',
-            title: 'Optimal Fishing Window',
-            message: `Best fishing conditions expected in ${hours} hours during dawn period`,
-            expires: new Date(now.getTime() + 8 * 60 * 60 * 1000).toISOString()
-        });
+// Stores freshly generated predictions and pushes them to live clients
+async function storePredictions(predictions) {
+    await insertMany('predictions',
+        ['latitude', 'longitude', 'timestamp', 'species', 'probability', 'conditions', 'factors', 'model_id'],
+        predictions.map(p => [p.latitude, p.longitude, p.timestamp, p.species, p.probability,
+            JSON.stringify(p.conditions), JSON.stringify(p.factors), p.model_id]));
+    if (predictions.length) events.publish('predictions', predictions);
+    return predictions.length;
+}
+
+// Background jobs (see lib/jobs.js); run history and manual triggers are
+// under /api/admin/jobs
+jobs.define('data-refresh', {
+    description: 'Fetch conditions, rebuild the SST/chlorophyll grid and refresh forecast inputs',
+    schedule: '0 */3 * * *',
+    runOnStartup: true,
+    task: async () => ({
+        locations: await refreshEnvironmentalData(),
+        grid_cells: await fronts.refreshGrid(),
+        forecast_hours: await forecast.refreshForecastInputs()
+    })
+});
+
+jobs.define('alert-evaluation', {
+    description: 'Detect fronts and eddies, then match alert rules against the new data',
+    after: ['data-refresh'],
+    task: async () => ({
+        fronts: await publishAlerts(await fronts.detectFronts()),
+        rules: await rules.evaluateRules()
+    })
+});
+
+jobs.define('prediction-generation', {
+    description: 'Score each species at each active hotspot and publish the predictions',
+    after: ['data-refresh'],
+    task: async () => ({ predictions: await storePredictions(await generateFreshPredictions()) })
+});
+
+jobs.define('forecast-generation', {
+    description: 'Score the hourly forecast for every species at each hotspot',
+    after: ['data-refresh'],
+    task: async () => ({ forecast_rows: await forecast.buildForecast() })
+});
+
+jobs.define('prediction-verification', {
+    description: 'Check past predictions against later catches and prune old verified ones',
+    schedule: '40 * * * *',
+    runOnStartup: true,
+    task: () => verification.verifyPredictions()
+});
+
+jobs.define('model-retraining', {
+    description: 'Retrain species models that have enough new catches since their active version',
+    schedule: '20 * * * *',
+    task: async () => ({ trained: await models.retrainDueModels() })
+});
+
+jobs.define('hotspot-stats', {
+    description: 'Recompute hotspot best months and success rates from logged catches',
+    schedule: '15 4 * * *',
+    runOnStartup: true,
+    task: async () => ({ changed: await analytics.recomputeHotspotStats() })
+});
+
+jobs.define('data-retention', {
+    description: 'Delete old grid observations, forecast inputs, expired alerts and job history',
+    schedule: '30 3 * * *',
+    task: () => retention.pruneData()
+});
+
+jobs.define('alert-delivery', {
+    description: 'Send due alert deliveries, retrying failed ones',
+    schedule: '* * * * *',
+    retries: 0, // the next minute's run picks failures up again
+    task: () => notify.processDeliveries()
+});
+
+// Pushes the current alert list to live clients when detection changed it
+async function publishAlerts(detections) {
+    if (detections.inserted || detections.updated) {
+        events.publish('alerts', await fronts.listAlerts());
     }
-    
-    return alerts;
+    return detections;
 }
 
-function updatePredictionsFromCatch(catchData) {
-    // Update prediction accuracy based on successful catches
-    // This would implement machine learning in production
-    console.log('Updating predictions based on catch:', catchData);
+// Pulls conditions for each active hotspot from the configured providers
+// (see lib/providers) and stores one row per hotspot
+async function refreshEnvironmentalData() {
+    const stored = [];
+    for (const hotspot of await hotspotStore.activeHotspots()) {
+        const data = await providers.fetchConditions({ lat: hotspot.latitude, lng: hotspot.longitude });
+        if (!data) {
+            console.warn(`No provider returned data for ${hotspot.name} (${hotspot.latitude},${hotspot.longitude})`);
+            continue;
+        }
+
+        stored.push(data);
+    }
+
+    await insertMany('environmental_data', [
+        'latitude', 'longitude', 'timestamp', 'sea_temperature', 'current_speed',
+        'current_direction', 'chlorophyll', 'wind_speed', 'wind_direction', 'wave_height',
+        'source', 'fetched_at'
+    ], stored.map(data => [
+        data.latitude, data.longitude, data.timestamp,
+        data.sea_temperature, data.current_speed, data.current_direction,
+        data.chlorophyll, data.wind_speed, data.wind_direction, data.wave_height,
+        data.source, data.fetched_at
+    ]));
+
+    if (stored.length) {
+        events.publish('conditions', stored.map(data => ({
+            ...data,
+            favorability: calculateFishingFavorability(data)
+        })));
+    }
+    return stored.length;
 }
 
-// Data refresh job - runs every 3 hours
-cron.schedule('0 */3 * * *', async () => {
-    console.log('Running scheduled data refresh...');
-    
+// Health check for the load balancer and container: 503 when the database
+// can't be queried, 'degraded' when a job's latest run failed
+app.get('/api/health', async (req, res) => {
+    const health = { status: 'ok', version: VERSION, uptime_seconds: Math.round(process.uptime()) };
     try {
-        // In production, this would call real APIs
-        await refreshEnvironmentalData();
-        console.log('Environmental data refreshed');
+        const latest = await get('SELECT MAX(fetched_at) AS fetched_at FROM environmental_data WHERE is_grid = 0');
+        health.latest_observation_at = latest.fetched_at;
+        const list = await jobs.listJobs();
+        health.jobs = Object.fromEntries(list.map(job => [job.name, {
+            status: job.running ? 'running' : job.last_run ? job.last_run.status : 'not run',
+            last_success_at: job.last_success_at
+        }]));
+        if (list.some(job => !job.running && job.last_run && job.last_run.status === 'failed')) health.status = 'degraded';
+        res.json(health);
     } catch (error) {
-        console.error('Data refresh failed:', error);
+        console.error('Health check failed:', error);
+        res.status(503).json({ ...health, status: 'error', error: 'Database unavailable' });
     }
 });
 
-async function refreshEnvironmentalData() {
-    // Simulate API calls to oceanographic services
-    const locations = [
-        { lat: -34.42, lng: 173.05 },
-        { lat: -34.15, lng: 173.8 },
-        { lat: -34.3, lng: 173.6 },
-        { lat: -34.25, lng: 173.25 }
-    ];
-    
-    const stmt = db.prepare(`
-        INSERT INTO environmental_data 
-        (latitude, longitude, timestamp, sea_temperature, current_speed, 
-         current_direction, chlorophyll, wind_speed, wind_direction, wave_height)
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `);
-    
-    for (const location of locations) {
-        const data = generateSimulatedConditions(location.lat, location.lng);
-        stmt.run([
-            data.latitude, data.longitude, data.timestamp,
-            data.sea_temperature, data.current_speed, data.current_direction,
-            data.chlorophyll, data.wind_speed, data.wind_direction, data.wave_height
-        ]);
-    }
-    
-    stmt.finalize();
-}
-
 // Serve the frontend
 app.get('/', (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
-// Error handling middleware
+// Error handling middleware; malformed or oversized bodies are the client's
+// fault, and answered as such
 app.use((error, req, res, next) => {
+    if (error.type === 'entity.parse.failed') {
+        return res.status(400).json({ error: 'Request body is not valid JSON' });
+    }
+    if (error.type === 'entity.too.large') {
+        return res.status(413).json({ error: 'Request body is too large' });
+    }
     console.error(error.stack);
     res.status(500).json({ error: 'Something went wrong!' });
 });
 
-// Start server
-app.listen(PORT, () => {
-    console.log(`🐟 NZ Fishing Predictor Server running on port ${PORT}`);
-    console.log(`📊 Dashboard: http://localhost:${PORT}`);
-    console.log(`🔗 API: http://localhost:${PORT}/api`);
-    
-    // Initial data population
-    setTimeout(refreshEnvironmentalData, 5000);
+// Start server once the schema is current (see lib/migrations) and seeded;
+// production refuses to start without a real JWT_SECRET
+async function start() {
+    auth.checkSecret();
+    await migrations.latest();
+    const seeded = await seed();
+    if (seeded.hotspots) console.log(`Seeded ${seeded.hotspots} built-in hotspots`);
+
+    app.listen(PORT, () => {
+        console.log(`🐟 NZ Fishing Predictor Server running on port ${PORT}`);
+        console.log(`📊 Dashboard: http://localhost:${PORT}`);
+        console.log(`🔗 API: http://localhost:${PORT}/api`);
+
+        auth.promoteConfiguredAdmins()
+            .then(promoted => promoted && console.log(`Promoted ${promoted} account(s) from ADMIN_EMAILS to admin`))
+            .catch(error => console.error('Admin promotion failed:', error.message));
+
+        jobs.start().catch(error => console.error('Job scheduler failed to start:', error));
+    });
+}
+
+start().catch(error => {
+    console.error('Startup failed:', error.message);
+    process.exit(1);
 });
 
 module.exports = app;
\ No newline at end of file
@@ -0,0 +1,1403 @@
+// app.js - The dashboard: map layers, conditions, catches, trips, alerts and accounts
+//
+// Loaded from its own file rather than inline so the content security policy
+// can refuse inline script (see lib/security.js). For the same reason controls
+// are wired up in bindControls instead of with onclick attributes, and values
+// from the API are passed through escapeHtml before going into any markup.
+
+// Configuration
+const API_BASE = window.location.hostname === 'localhost' ? 
+    'http://localhost:3000/api' : '/api';
+const CONDITIONS_LOCATION = { lat: -34.25, lng: 173.25 };
+
+// Global variables
+let map;
+let currentUser = null;
+let authToken = localStorage.getItem('authToken');
+let refreshToken = localStorage.getItem('refreshToken');
+let refreshing = null;
+let layers = {
+    temperature: null,
+    current: null,
+    chlorophyll: null,
+    predictions: null,
+    catches: null
+};
+let recentCatches = [];
+
+// Live updates
+let eventSource = null;
+let lastEventId = null;
+let reconnectDelay = 5000;
+let pollTimers = [];
+
+// Initialize app
+document.addEventListener('DOMContentLoaded', function() {
+    bindControls();
+    checkAuth();
+    checkPasswordReset();
+    checkEmailVerification();
+    initializeMap();
+    loadAllData();
+    startRealTimeUpdates();
+});
+
+// Authentication
+function saveSession(data) {
+    authToken = data.token;
+    refreshToken = data.refresh_token;
+    currentUser = data.user;
+    localStorage.setItem('authToken', authToken);
+    localStorage.setItem('refreshToken', refreshToken);
+}
+
+function clearSession() {
+    authToken = null;
+    refreshToken = null;
+    currentUser = null;
+    localStorage.removeItem('authToken');
+    localStorage.removeItem('refreshToken');
+}
+
+// Access tokens only last minutes. Requests that hit a 401 together
+// share one refresh, since each refresh token can only be used once.
+function refreshSession() {
+    if (!refreshing) {
+        refreshing = fetch(`${API_BASE}/token/refresh`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ refresh_token: refreshToken })
+        })
+        .then(async response => {
+            if (!response.ok) throw new Error('Session expired');
+            saveSession(await response.json());
+        })
+        .finally(() => {
+            refreshing = null;
+        });
+    }
+    return refreshing;
+}
+
+async function authFetch(url, options = {}) {
+    const send = () => fetch(url, {
+        ...options,
+        headers: { ...options.headers, 'Authorization': `Bearer ${authToken}` }
+    });
+
+    let response = await send();
+    if (response.status === 401 && refreshToken) {
+        try {
+            await refreshSession();
+        } catch (error) {
+            clearSession();
+            updateUIForLoggedOutUser();
+            throw error;
+        }
+        response = await send();
+    }
+    return response;
+}
+
+function checkAuth() {
+    if (authToken || refreshToken) {
+        // Verify token validity
+        authFetch(`${API_BASE}/verify`)
+        .then(response => {
+            if (response.ok) {
+                return response.json();
+            } else {
+                throw new Error('Invalid token');
+            }
+        })
+        .then(data => {
+            currentUser = data.user;
+            updateUIForLoggedInUser();
+        })
+        .catch(() => {
+            clearSession();
+            updateUIForLoggedOutUser();
+        });
+    }
+}
+
+async function handleLogin(event) {
+    event.preventDefault();
+    const email = document.getElementById('loginEmail').value;
+    const password = document.getElementById('loginPassword').value;
+
+    try {
+        const response = await fetch(`${API_BASE}/login`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ email, password })
+        });
+
+        const data = await response.json();
+
+        if (response.ok) {
+            saveSession(data);
+            updateUIForLoggedInUser();
+            hideModal('loginModal');
+            showNotification('Login successful!', 'success');
+        } else {
+            showNotification(data.error, 'error');
+        }
+    } catch (error) {
+        showNotification('Login failed. Please try again.', 'error');
+    }
+}
+
+async function handleRegister(event) {
+    event.preventDefault();
+    const name = document.getElementById('registerName').value;
+    const email = document.getElementById('registerEmail').value;
+    const password = document.getElementById('registerPassword').value;
+
+    try {
+        const response = await fetch(`${API_BASE}/register`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ name, email, password })
+        });
+
+        const data = await response.json();
+
+        if (response.ok) {
+            saveSession(data);
+            updateUIForLoggedInUser();
+            hideModal('registerModal');
+            showNotification('Account created successfully!', 'success');
+        } else {
+            showNotification(data.error, 'error');
+        }
+    } catch (error) {
+        showNotification('Registration failed. Please try again.', 'error');
+    }
+}
+
+async function logout() {
+    // Revoke the session server-side so the stored tokens stop working
+    if (authToken) {
+        await authFetch(`${API_BASE}/logout`, { method: 'POST' }).catch(() => {});
+    }
+    clearSession();
+    updateUIForLoggedOutUser();
+    showNotification('Logged out successfully', 'info');
+}
+
+async function forgotPassword(event) {
+    event.preventDefault();
+    const email = document.getElementById('loginEmail').value;
+    if (!email) {
+        showNotification('Enter your email first', 'error');
+        return;
+    }
+
+    const response = await fetch(`${API_BASE}/password/forgot`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ email })
+    });
+    const data = await response.json();
+    showNotification(data.message || data.error, response.ok ? 'info' : 'error');
+}
+
+// Reset emails link back here with ?reset_token=
+function checkPasswordReset() {
+    if (new URLSearchParams(window.location.search).get('reset_token')) {
+        showModal('resetModal');
+    }
+}
+
+async function handlePasswordReset(event) {
+    event.preventDefault();
+    const params = new URLSearchParams(window.location.search);
+
+    try {
+        const response = await fetch(`${API_BASE}/password/reset`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                token: params.get('reset_token'),
+                password: document.getElementById('resetPassword').value
+            })
+        });
+        const data = await response.json();
+
+        if (response.ok) {
+            history.replaceState(null, '', window.location.pathname);
+            hideModal('resetModal');
+            showModal('loginModal');
+            showNotification(data.message, 'success');
+        } else {
+            showNotification(data.error, 'error');
+        }
+    } catch (error) {
+        showNotification('Password reset failed. Please try again.', 'error');
+    }
+}
+
+// Verification emails link back here with ?verify_token=
+async function checkEmailVerification() {
+    const token = new URLSearchParams(window.location.search).get('verify_token');
+    if (!token) return;
+
+    try {
+        const response = await fetch(`${API_BASE}/email/verify`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ token })
+        });
+        const data = await response.json();
+        history.replaceState(null, '', window.location.pathname);
+        showNotification(data.message || data.error, response.ok ? 'success' : 'error');
+    } catch (error) {
+        showNotification('Email verification failed. Please try again.', 'error');
+    }
+}
+
+function updateUIForLoggedInUser() {
+    document.getElementById('userInfo').classList.add('logged-in');
+    document.getElementById('userName').textContent = currentUser.name;
+    document.getElementById('authButtons').classList.add('hidden');
+    document.getElementById('logCatchBtn').disabled = false;
+    loadTrips();
+    flushOutbox();
+}
+
+// Recent trips for the catch form's trip picker
+async function loadTrips() {
+    try {
+        const response = await authFetch(`${API_BASE}/trips?limit=20`);
+        if (!response.ok) return;
+        const select = document.getElementById('catchTrip');
+        select.innerHTML = '<option value="">No trip</option>';
+        (await response.json()).forEach(trip => {
+            const option = document.createElement('option');
+            option.value = trip.id;
+            option.textContent = `${new Date(trip.started_at).toLocaleDateString('en-NZ')}${trip.vessel ? ` - ${trip.vessel}` : ''}`;
+            select.appendChild(option);
+        });
+    } catch (error) {
+        console.error('Failed to load trips:', error);
+    }
+}
+
+function updateUIForLoggedOutUser() {
+    document.getElementById('userInfo').classList.remove('logged-in');
+    document.getElementById('authButtons').classList.remove('hidden');
+    document.getElementById('logCatchBtn').disabled = true;
+    document.getElementById('logCatchBtn').textContent = 'Login Required';
+}
+
+// Map initialization
+function initializeMap() {
+    map = L.map('map', {
+        center: [-34.25, 173.25],
+        zoom: 9,
+        zoomControl: true
+    });
+
+    L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
+        maxZoom: 18,
+        attribution: '© OpenStreetMap contributors'
+    }).addTo(map);
+
+    addFishingHotspots();
+}
+
+async function addFishingHotspots() {
+    try {
+        const response = await fetch(`${API_BASE}/hotspots`);
+        const hotspots = await response.json();
+
+        hotspots.forEach(hotspot => {
+            const icon = L.divIcon({
+                html: `<div style="background: #00a8cc; color: white; border-radius: 50%; width: 30px; height: 30px; display: flex; align-items: center; justify-content: center; border: 2px solid white; box-shadow: 0 2px 10px rgba(0,0,0,0.3); font-size: 12px;">🏖️</div>`,
+                iconSize: [30, 30],
+                className: 'hotspot-marker'
+            });
+
+            L.marker([hotspot.latitude, hotspot.longitude], { icon })
+                .addTo(map)
+                .bindPopup(`
+                    <div style="min-width: 200px;">
+                        <strong>${escapeHtml(hotspot.name)}</strong><br>
+                        <em>${escapeHtml(hotspot.description)}</em><br><br>
+                        <strong>Target Species:</strong> ${escapeHtml(hotspot.species_common)}<br>
+                        <strong>Success Rate:</strong> ${escapeHtml(hotspot.avg_success_rate)}%<br>
+                        <strong>Recent Catches:</strong> ${escapeHtml(hotspot.recent_catches || 0)}<br>
+                        ${hotspot.avg_weight ? `<strong>Avg Weight:</strong> ${hotspot.avg_weight.toFixed(1)}kg<br>` : ''}
+                        <br>
+                        <button data-action="plan-route" data-lat="${escapeHtml(hotspot.latitude)}" data-lng="${escapeHtml(hotspot.longitude)}" class="btn btn-small" style="width: 100%; margin-top: 5px;">
+                            Plan Route
+                        </button>
+                        <button data-action="add-stop" data-lat="${escapeHtml(hotspot.latitude)}" data-lng="${escapeHtml(hotspot.longitude)}" class="btn btn-small" style="width: 100%; margin-top: 5px;">
+                            Add as Next Stop
+                        </button>
+                    </div>
+                `);
+        });
+    } catch (error) {
+        console.error('Failed to load hotspots:', error);
+    }
+}
+
+// Data loading functions
+async function loadAllData() {
+    showLoading(true);
+    try {
+        await Promise.all([
+            loadCurrentConditions(),
+            loadPredictions(),
+            loadRecentCatches(),
+            loadLiveStats(),
+            loadPredictionAccuracy(),
+            loadFishingAlerts()
+        ]);
+    } catch (error) {
+        console.error('Error loading data:', error);
+        showNotification('Failed to load some data', 'error');
+    } finally {
+        showLoading(false);
+    }
+}
+
+async function loadCurrentConditions() {
+    try {
+        const response = await fetch(`${API_BASE}/conditions/current?lat=${CONDITIONS_LOCATION.lat}&lng=${CONDITIONS_LOCATION.lng}`);
+        const conditions = await response.json();
+
+        updateConditionsDisplay(conditions);
+    } catch (error) {
+        console.error('Failed to load conditions:', error);
+        // Use fallback data
+        const fallback = generateFallbackConditions();
+        updateConditionsDisplay(fallback);
+    }
+}
+
+function updateConditionsDisplay(conditions) {
+    document.getElementById('sstValue').textContent = `${conditions.sea_temperature?.toFixed(1) || '--'}°C`;
+    document.getElementById('currentValue').textContent = `${conditions.current_speed?.toFixed(1) || '--'} m/s`;
+    document.getElementById('chlorophyllValue').textContent = `${conditions.chlorophyll?.toFixed(2) || '--'} mg/m³`;
+    document.getElementById('windValue').textContent = `${Math.round(conditions.wind_speed) || '--'} kts`;
+
+    // Update condition cards based on favorability
+    const favorability = conditions.favorability || calculateFavorability(conditions);
+    updateConditionCards(favorability);
+
+    // Update summary
+    const summary = document.getElementById('conditionsSummary');
+    if (summary) {
+        summary.innerHTML = `
+            <div style="text-align: center; padding: 0.5rem; background: ${getFavorabilityColor(favorability.rating)}; border-radius: 6px; color: white; font-weight: bold;">
+                ${favorability.rating.toUpperCase()} CONDITIONS (${favorability.score}/100)
+            </div>
+        `;
+    }
+}
+
+function updateConditionCards(favorability) {
+    const cards = {
+        sstCard: favorability.factors.temperature,
+        currentCard: favorability.factors.current,
+        chlorophyllCard: favorability.factors.chlorophyll,
+        windCard: favorability.factors.wind
+    };
+
+    Object.entries(cards).forEach(([cardId, rating]) => {
+        const card = document.getElementById(cardId);
+        if (card) {
+            card.className = `condition-card ${rating}`;
+        }
+    });
+}
+
+async function loadPredictions() {
+    try {
+        const response = await fetch(`${API_BASE}/predictions?hours=12`);
+        const predictions = await response.json();
+
+        displayPredictions(predictions);
+    } catch (error) {
+        console.error('Failed to load predictions:', error);
+    }
+}
+
+function displayPredictions(predictions) {
+    if (layers.predictions) {
+        map.removeLayer(layers.predictions);
+    }
+
+    layers.predictions = L.layerGroup();
+
+    predictions.forEach(prediction => {
+        const color = getProbabilityColor(prediction.probability);
+        const radius = Math.max(2000, prediction.probability * 40);
+        // Stored predictions carry conditions as JSON text, pushed ones as objects
+        const conditions = typeof prediction.conditions === 'string'
+            ? JSON.parse(prediction.conditions) : prediction.conditions;
+
+        L.circle([prediction.latitude, prediction.longitude], {
+            radius: radius,
+            color: color,
+            fillColor: color,
+            fillOpacity: 0.6,
+            weight: 2,
+            className: 'prediction-circle'
+        }).bindPopup(`
+            <strong>${escapeHtml(prediction.species)} Prediction</strong><br>
+            Probability: <strong>${escapeHtml(prediction.probability)}%</strong><br>
+            ${conditions ? `
+                Temp: ${conditions.sea_temperature?.toFixed(1)}°C<br>
+                Current: ${conditions.current_speed?.toFixed(1)} m/s<br>
+            ` : ''}
+            <small>Updated: ${new Date(prediction.timestamp).toLocaleString()}</small>
+        `).addTo(layers.predictions);
+    });
+
+    map.addLayer(layers.predictions);
+}
+
+async function loadRecentCatches() {
+    try {
+        const response = await fetch(`${API_BASE}/catches/public?days=7&limit=20`);
+        recentCatches = await response.json();
+
+        displayRecentCatches(recentCatches);
+        addCatchMarkersToMap(recentCatches);
+    } catch (error) {
+        console.error('Failed to load recent catches:', error);
+        document.getElementById('fishingLog').innerHTML = `
+            <div class="log-entry">
+                <div class="log-details" style="text-align: center; color: #666;">
+                    Unable to load recent catches
+                </div>
+            </div>
+        `;
+    }
+}
+
+function displayRecentCatches(catches) {
+    const logContainer = document.getElementById('fishingLog');
+    
+    if (catches.length === 0) {
+        logContainer.innerHTML = `
+            <div class="log-entry">
+                <div class="log-details" style="text-align: center; color: #666;">
+                    No recent catches reported
+                </div>
+            </div>
+        `;
+        return;
+    }
+
+    logContainer.innerHTML = catches.slice(0, 5).map(catch_ => {
+        const timeAgo = getTimeAgo(new Date(catch_.time_caught));
+        const photoUrl = safeUrl(catch_.photo_url);
+        const thumbnailUrl = safeUrl(catch_.thumbnail_url);
+        return `
+            <div class="log-entry">
+                <div class="log-date">${timeAgo} - ${escapeHtml(catch_.angler_name)}</div>
+                <div class="log-details">
+                    <strong>${escapeHtml(catch_.species)}</strong> - ${escapeHtml(catch_.weight)}kg
+                    ${catch_.length ? ` (${escapeHtml(catch_.length)}cm)` : ''}
+                    <br><em>${escapeHtml(catch_.gear_type)}</em>
+                    ${catch_.notes ? `<br><small>"${escapeHtml(catch_.notes)}"</small>` : ''}
+                    ${thumbnailUrl ? `<br><a href="${escapeHtml(photoUrl || thumbnailUrl)}" target="_blank" rel="noopener"><img src="${escapeHtml(thumbnailUrl)}" alt="${escapeHtml(catch_.species)}" style="width: 64px; height: 64px; border-radius: 4px; margin-top: 4px;"></a>` : ''}
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+function addCatchMarkersToMap(catches) {
+    if (layers.catches) {
+        map.removeLayer(layers.catches);
+    }
+
+    layers.catches = L.layerGroup();
+
+    const speciesIcons = {
+        'Blue Marlin': '🗡️',
+        'Striped Marlin': '🎯',
+        'Yellowfin Tuna': '🟡',
+        'Bigeye Tuna': '👁️',
+        'Albacore Tuna': '⚪',
+        'Mako Shark': '🦈',
+        'Kingfish': '👑'
+    };
+
+    catches.forEach(catch_ => {
+        const icon = L.divIcon({
+            html: `<div style="background: #28a745; color: white; border-radius: 50%; width: 20px; height: 20px; display: flex; align-items: center; justify-content: center; border: 2px solid white; box-shadow: 0 2px 8px rgba(0,0,0,0.3); font-size: 10px;">${speciesIcons[catch_.species] || '🐟'}</div>`,
+            iconSize: [20, 20],
+            className: 'catch-marker'
+        });
+
+        L.marker([catch_.latitude, catch_.longitude], { icon })
+            .bindPopup(`
+                <strong>${escapeHtml(catch_.species)}</strong><br>
+                Weight: ${escapeHtml(catch_.weight)}kg ${catch_.length ? `(${escapeHtml(catch_.length)}cm)` : ''}<br>
+                Gear: ${escapeHtml(catch_.gear_type)}<br>
+                Angler: ${escapeHtml(catch_.angler_name)}<br>
+                <small>${new Date(catch_.time_caught).toLocaleString()}</small>
+                ${catch_.notes ? `<br><em>"${escapeHtml(catch_.notes)}"</em>` : ''}
+            `)
+            .addTo(layers.catches);
+    });
+
+    map.addLayer(layers.catches);
+}
+
+async function loadLiveStats() {
+    try {
+        const response = await fetch(`${API_BASE}/stats?days=1`);
+        const stats = await response.json();
+
+        updateStatsDisplay(stats);
+    } catch (error) {
+        console.error('Failed to load stats:', error);
+        // Show fallback stats
+        document.getElementById('totalCatches').textContent = '--';
+        document.getElementById('activeAnglers').textContent = '--';
+        document.getElementById('avgWeight').textContent = '--';
+        document.getElementById('bestHotspot').textContent = '--';
+    }
+}
+
+function updateStatsDisplay(stats) {
+    const totalCatches = stats.reduce((sum, stat) => sum + stat.total_catches, 0);
+    const uniqueAnglers = new Set(stats.map(stat => stat.unique_anglers)).size;
+    const avgWeight = stats.reduce((sum, stat) => sum + (stat.avg_weight * stat.total_catches), 0) / totalCatches || 0;
+    
+    // Find most popular species
+    const topSpecies = stats.sort((a, b) => b.total_catches - a.total_catches)[0];
+
+    document.getElementById('totalCatches').textContent = totalCatches;
+    document.getElementById('activeAnglers').textContent = uniqueAnglers;
+    document.getElementById('avgWeight').textContent = avgWeight ? avgWeight.toFixed(1) : '--';
+    document.getElementById('bestHotspot').textContent = topSpecies ? topSpecies.species.split(' ')[0] : '--';
+}
+
+// How well past predictions matched later catches (see lib/verification.js)
+async function loadPredictionAccuracy() {
+    try {
+        const response = await fetch(`${API_BASE}/predictions/accuracy?days=90`);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        displayPredictionAccuracy(await response.json());
+    } catch (error) {
+        console.error('Failed to load prediction accuracy:', error);
+    }
+}
+
+function displayPredictionAccuracy(report) {
+    const { overall } = report;
+    const percent = value => value == null ? '--' : `${Math.round(value * 100)}%`;
+    document.getElementById('accuracyBrier').textContent = overall.brier == null ? '--' : overall.brier.toFixed(3);
+    document.getElementById('accuracySkill').textContent = percent(overall.brier_skill);
+    document.getElementById('accuracyHitRate').textContent = percent(overall.hit_rate);
+    document.getElementById('accuracyVerified').textContent = overall.verified;
+
+    document.getElementById('calibrationChart').innerHTML = report.calibration.map(bin => `
+        <div class="calibration-bin" title="${bin.from}-${bin.to}%: ${bin.predictions} predictions, ${bin.observed_rate == null ? 'no outcomes' : `${percent(bin.observed_rate)} caught`}">
+            ${bin.predictions ? `<div class="calibration-bar" style="height: ${bin.observed_rate * 100}%;"></div>` : ''}
+            <div class="calibration-ideal" style="bottom: ${(bin.from + bin.to) / 2}%;"></div>
+        </div>
+    `).join('');
+
+    const bySpecies = document.getElementById('accuracyBySpecies');
+    if (!report.by_species.length) {
+        bySpecies.innerHTML = `
+            <div class="log-entry">
+                <div class="log-details" style="text-align: center; color: #666;">
+                    No verified predictions yet${report.pending ? ` (${report.pending} awaiting catches)` : ''}
+                </div>
+            </div>
+        `;
+        return;
+    }
+    bySpecies.innerHTML = report.by_species.slice(0, 5).map(row => `
+        <div class="log-entry">
+            <div class="log-date">${escapeHtml(row.species)} - Brier ${row.brier.toFixed(3)}</div>
+            <div class="log-details">
+                ${escapeHtml(row.verified)} verified, caught ${percent(row.base_rate)} of the time
+                (predicted ${percent(row.mean_probability)}), hit rate ${percent(row.hit_rate)}
+            </div>
+        </div>
+    `).join('');
+}
+
+async function loadFishingAlerts() {
+    try {
+        const response = await fetch(`${API_BASE}/alerts`);
+        const alerts = await response.json();
+
+        displayAlerts(alerts);
+    } catch (error) {
+        console.error('Failed to load alerts:', error);
+        document.getElementById('alerts').innerHTML = `
+            <div class="alert-item">
+                <span>⚠️</span>
+                <span>Unable to load current alerts</span>
+            </div>
+        `;
+    }
+}
+
+function displayAlerts(alerts) {
+    const alertsContainer = document.getElementById('alerts');
+    
+    if (alerts.length === 0) {
+        alertsContainer.innerHTML = `
+            <div class="alert-item">
+                <span>🔕</span>
+                <span>No active alerts at this time</span>
+            </div>
+        `;
+        return;
+    }
+
+    alertsContainer.innerHTML = alerts.map(alert => `
+        <div class="alert-item">
+            <div>
+                <div style="display: flex; align-items: center; gap: 0.5rem; margin-bottom: 0.3rem;">
+                    <span>${getAlertIcon(alert.type)}</span>
+                    <span class="alert-priority priority-${escapeHtml(alert.priority)}">${escapeHtml(alert.priority)}</span>
+                </div>
+                <div><strong>${escapeHtml(alert.title)}</strong></div>
+                <div style="font-size: 0.9rem; margin-top: 0.2rem;">${escapeHtml(alert.message)}</div>
+                ${alert.location ? `
+                    <button data-action="fly-to" data-lat="${escapeHtml(alert.location.lat)}" data-lng="${escapeHtml(alert.location.lng)}" 
+                            style="margin-top: 0.5rem; padding: 0.3rem 0.8rem; background: #007bff; color: white; border: none; border-radius: 4px; cursor: pointer; font-size: 0.8rem;">
+                        View on Map
+                    </button>
+                ` : ''}
+            </div>
+        </div>
+    `).join('');
+}
+
+// Catch photos - position and time from the photo's EXIF pre-fill the catch
+let photoExif = null;
+
+async function inspectCatchPhoto() {
+    const file = document.getElementById('catchPhoto').files[0];
+    const info = document.getElementById('photoInfo');
+    photoExif = null;
+    info.textContent = '';
+    if (!file || !authToken) return;
+
+    const body = new FormData();
+    body.append('photo', file);
+    try {
+        const response = await authFetch(`${API_BASE}/photos/inspect`, {
+            method: 'POST',
+            body
+        });
+        const result = await response.json();
+        if (!response.ok) {
+            info.textContent = result.error;
+            return;
+        }
+        photoExif = result;
+        const found = [];
+        if (result.latitude !== null) {
+            found.push('position');
+            map.setView([result.latitude, result.longitude], Math.max(map.getZoom(), 10));
+        }
+        if (result.time_caught) found.push(`time (${new Date(result.time_caught).toLocaleString('en-NZ')})`);
+        info.textContent = found.length ? `Using photo ${found.join(' and ')}` : 'No location or time in photo';
+    } catch (error) {
+        console.error('Failed to read photo:', error);
+    }
+}
+
+async function uploadCatchPhoto(catchId, file) {
+    const body = new FormData();
+    body.append('photo', file);
+    const response = await authFetch(`${API_BASE}/catches/${catchId}/photo`, {
+        method: 'POST',
+        body
+    });
+    const result = await response.json();
+    if (!response.ok) throw new Error(result.error);
+    result.warnings.forEach(warning => showNotification(warning.message, 'info'));
+}
+
+// Offline outbox - catches logged without signal wait in IndexedDB and
+// are sent when the connection comes back. Each keeps the Idempotency-Key
+// it was first sent with, so a retry after a lost response can't log it twice.
+const OUTBOX_DB = 'fishing-outbox';
+const OUTBOX_RETRY_MS = 30 * 1000;
+const OUTBOX_MAX_RETRY_MS = 30 * 60 * 1000;
+// The server has looked at these catches and refused them; sending again won't help
+const OUTBOX_REJECTED = [400, 422];
+let flushingOutbox = false;
+let outboxRetryDelay = OUTBOX_RETRY_MS;
+let outboxRetryTimer = null;
+
+function openOutbox() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(OUTBOX_DB, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore('catches', { keyPath: 'key' });
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+async function outboxRequest(mode, action) {
+    const db = await openOutbox();
+    return new Promise((resolve, reject) => {
+        const request = action(db.transaction('catches', mode).objectStore('catches'));
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+const outboxAdd = entry => outboxRequest('readwrite', store => store.put(entry));
+const outboxAll = () => outboxRequest('readonly', store => store.getAll());
+const outboxRemove = key => outboxRequest('readwrite', store => store.delete(key));
+
+async function showOutboxCount() {
+    const waiting = (await outboxAll()).length;
+    document.getElementById('outboxInfo').textContent = waiting
+        ? `${waiting} catch${waiting === 1 ? '' : 'es'} waiting for signal`
+        : '';
+}
+
+async function queueCatch(entry) {
+    await outboxAdd(entry);
+    await showOutboxCount();
+    const registration = 'serviceWorker' in navigator && await navigator.serviceWorker.ready;
+    if (registration && registration.sync) {
+        registration.sync.register('catch-outbox').catch(() => {});
+    }
+}
+
+function sendCatch(key, formData) {
+    return authFetch(`${API_BASE}/catches`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Idempotency-Key': key },
+        body: JSON.stringify(formData)
+    });
+}
+
+// Tries the outbox again later, waiting twice as long each time (or as
+// long as a 429's Retry-After asks) until a flush gets through
+function retryOutboxLater(retryAfterSeconds) {
+    clearTimeout(outboxRetryTimer);
+    const delay = Math.max(outboxRetryDelay, (retryAfterSeconds || 0) * 1000);
+    outboxRetryTimer = setTimeout(flushOutbox, delay);
+    outboxRetryDelay = Math.min(outboxRetryDelay * 2, OUTBOX_MAX_RETRY_MS);
+}
+
+// Sends queued catches oldest first. A catch leaves the outbox once it has
+// been logged (2xx) or refused as invalid (400/422, with a notification);
+// anything else - no connection, a server error, rate limiting, an expired
+// session or a 409 while an earlier send is still in progress - stops the
+// flush and keeps it and the rest for a retry with backoff.
+async function flushOutbox() {
+    if (flushingOutbox || !authToken || !navigator.onLine) return;
+    flushingOutbox = true;
+    clearTimeout(outboxRetryTimer);
+    let sent = 0;
+    let stopped = false;
+    try {
+        const entries = (await outboxAll()).sort((a, b) => a.queued_at.localeCompare(b.queued_at));
+        for (const entry of entries) {
+            const response = await sendCatch(entry.key, entry.catch);
+            if (!response.ok && !OUTBOX_REJECTED.includes(response.status)) {
+                stopped = true;
+                retryOutboxLater(Number(response.headers.get('Retry-After')));
+                break;
+            }
+            const result = await response.json();
+            if (response.ok) {
+                if (entry.photo && !result.replayed) {
+                    await uploadCatchPhoto(result.catchId, entry.photo)
+                        .catch(error => showNotification(`Catch sent, but the photo failed: ${error.message}`, 'error'));
+                }
+                sent++;
+            } else {
+                showNotification(`Queued ${entry.catch.species} catch was rejected: ${result.error}`, 'error');
+            }
+            await outboxRemove(entry.key);
+        }
+    } catch (error) {
+        console.error('Outbox sync stopped:', error);
+        stopped = true;
+        retryOutboxLater();
+    } finally {
+        flushingOutbox = false;
+        await showOutboxCount();
+    }
+    if (!stopped) outboxRetryDelay = OUTBOX_RETRY_MS;
+    if (sent) {
+        showNotification(`Sent ${sent} catch${sent === 1 ? '' : 'es'} logged offline`, 'success');
+        await loadRecentCatches();
+        await loadLiveStats();
+    }
+}
+
+window.addEventListener('online', flushOutbox);
+if ('serviceWorker' in navigator) {
+    navigator.serviceWorker.addEventListener('message', event => {
+        if (event.data && event.data.type === 'flush-catches') flushOutbox();
+    });
+}
+
+// Catch logging
+async function logCatch(event) {
+    event.preventDefault();
+    
+    if (!authToken) {
+        showNotification('Please login to log catches', 'error');
+        return;
+    }
+
+    const formData = {
+        species: document.getElementById('species').value,
+        weight: parseFloat(document.getElementById('weight').value),
+        length: document.getElementById('length').value ? parseFloat(document.getElementById('length').value) : null,
+        gear_type: document.getElementById('gear').value,
+        latitude: photoExif && photoExif.latitude !== null ? photoExif.latitude : map.getCenter().lat,
+        longitude: photoExif && photoExif.longitude !== null ? photoExif.longitude : map.getCenter().lng,
+        depth: document.getElementById('depth').value ? parseFloat(document.getElementById('depth').value) : null,
+        time_caught: (photoExif && photoExif.time_caught) || new Date().toISOString(),
+        notes: document.getElementById('locationNotes').value
+    };
+    if (document.getElementById('catchVisibility').value) {
+        formData.visibility = document.getElementById('catchVisibility').value;
+    }
+    if (document.getElementById('catchTrip').value) {
+        formData.trip_id = Number(document.getElementById('catchTrip').value);
+    }
+    const key = crypto.randomUUID();
+    const photo = document.getElementById('catchPhoto').files[0];
+
+    const resetForm = () => {
+        document.getElementById('catchForm').reset();
+        photoExif = null;
+        document.getElementById('photoInfo').textContent = '';
+    };
+
+    let response;
+    try {
+        response = await sendCatch(key, formData);
+    } catch (error) {
+        // fetch only throws when the request never got an answer
+        if (!(error instanceof TypeError)) {
+            showNotification('Please login to log catches', 'error');
+            return;
+        }
+        await queueCatch({ key, catch: formData, photo: photo || null, queued_at: new Date().toISOString() });
+        showNotification('No signal - catch saved and will be sent when you\'re back online', 'info');
+        resetForm();
+        return;
+    }
+
+    try {
+        const result = await response.json();
+
+        if (response.ok) {
+            if (photo) {
+                await uploadCatchPhoto(result.catchId, photo)
+                    .catch(error => showNotification(`Catch saved, but the photo failed: ${error.message}`, 'error'));
+            }
+            showNotification('Catch logged successfully!', 'success');
+            (result.compliance || []).forEach(warning => showNotification(warning.message, 'info'));
+            resetForm();
+            
+            // Refresh data to show new catch
+            await loadRecentCatches();
+            await loadLiveStats();
+        } else {
+            showNotification(result.error, 'error');
+        }
+    } catch (error) {
+        console.error('Failed to log catch:', error);
+        showNotification('Failed to log catch. Please try again.', 'error');
+    }
+}
+
+// Layer management
+function toggleLayer(layerType) {
+    const layer = layers[layerType];
+    const button = document.getElementById(`${layerType === 'predictions' ? 'pred' : layerType === 'temperature' ? 'temp' : layerType === 'chlorophyll' ? 'chlor' : layerType}Btn`);
+    
+    if (layer) {
+        if (map.hasLayer(layer)) {
+            map.removeLayer(layer);
+            if (button) button.textContent = button.textContent.replace('Hide', 'Show');
+        } else {
+            map.addLayer(layer);
+            if (button) button.textContent = button.textContent.replace('Show', 'Hide');
+        }
+    } else {
+        // Load layer if not loaded yet
+        switch (layerType) {
+            case 'temperature':
+                loadTemperatureLayer();
+                break;
+            case 'current':
+                loadCurrentLayer();
+                break;
+            case 'chlorophyll':
+                loadChlorophyllLayer();
+                break;
+            case 'probability':
+                loadProbabilityLayer();
+                break;
+        }
+    }
+}
+
+// Filled bands coloured by their middle value, with isolines on top,
+// contoured by the server over the current view
+async function loadContourLayer(layerType, query, getColor, label) {
+    try {
+        const bounds = map.getBounds();
+        const south = Math.max(bounds.getSouth(), -90);
+        const north = Math.min(bounds.getNorth(), 90);
+        const west = Math.max(bounds.getWest(), -180);
+        const east = Math.min(bounds.getEast(), 180);
+        const boundsStr = `${south},${west},${north},${east}`;
+        // About 80 cells across the view, between 0.01° and 1°
+        const span = Math.max(north - south, east - west);
+        const resolution = Math.min(Math.max(Math.ceil(span / 80 * 100) / 100, 0.01), 1);
+
+        const response = await fetch(`${API_BASE}/conditions/contours?${query}&bounds=${boundsStr}&resolution=${resolution}`);
+        if (!response.ok) throw new Error(`Contour request failed (${response.status})`);
+        const contours = await response.json();
+
+        if (layers[layerType]) {
+            map.removeLayer(layers[layerType]);
+        }
+
+        layers[layerType] = L.geoJSON(contours, {
+            style: feature => feature.properties.kind === 'band'
+                ? { fillColor: getColor((feature.properties.min + feature.properties.max) / 2), fillOpacity: 0.45, weight: 0 }
+                : { color: '#2c3e50', weight: 1, opacity: 0.7 },
+            onEachFeature: (feature, layer) => {
+                const { kind, min, max, value } = feature.properties;
+                layer.bindTooltip(kind === 'band' ? `${label(min)} – ${label(max)}` : label(value), { sticky: true });
+            }
+        });
+
+        map.addLayer(layers[layerType]);
+    } catch (error) {
+        console.error(`Failed to load ${layerType} layer:`, error);
+    }
+}
+
+function loadTemperatureLayer() {
+    return loadContourLayer('temperature', 'layer=sea_temperature', getTemperatureColor, value => `${value}°C`);
+}
+
+function loadChlorophyllLayer() {
+    return loadContourLayer('chlorophyll', 'layer=chlorophyll', getChlorophyllColor, value => `${value} mg/m³`);
+}
+
+function loadProbabilityLayer() {
+    return loadContourLayer('probability', 'layer=probability&species=generic', getProbabilityColor, value => `${value}%`);
+}
+
+// Utility functions
+function generateFallbackConditions() {
+    return {
+        sea_temperature: 20 + Math.random() * 6,
+        current_speed: Math.random() * 1.2,
+        chlorophyll: Math.random() * 0.5,
+        wind_speed: 5 + Math.random() * 15,
+        timestamp: new Date().toISOString(),
+        favorability: {
+            score: 50 + Math.random() * 40,
+            rating: 'good',
+            factors: {
+                temperature: 'good',
+                current: 'good',
+                chlorophyll: 'good',
+                wind: 'good'
+            }
+        }
+    };
+}
+
+function calculateFavorability(conditions) {
+    let score = 0;
+    const factors = {};
+
+    if (conditions.sea_temperature >= 20 && conditions.sea_temperature <= 24) {
+        score += 25;
+        factors.temperature = 'excellent';
+    } else if (conditions.sea_temperature >= 18 && conditions.sea_temperature <= 26) {
+        score += 15;
+        factors.temperature = 'good';
+    } else {
+        factors.temperature = 'poor';
+    }
+
+    if (conditions.current_speed >= 0.5 && conditions.current_speed <= 1.2) {
+        score += 20;
+        factors.current = 'excellent';
+    } else if (conditions.current_speed >= 0.3 && conditions.current_speed <= 1.5) {
+        score += 10;
+        factors.current = 'good';
+    } else {
+        factors.current = 'poor';
+    }
+
+    if (conditions.chlorophyll >= 0.1 && conditions.chlorophyll <= 0.4) {
+        score += 20;
+        factors.chlorophyll = 'excellent';
+    } else if (conditions.chlorophyll >= 0.05 && conditions.chlorophyll <= 0.6) {
+        score += 10;
+        factors.chlorophyll = 'good';
+    } else {
+        factors.chlorophyll = 'poor';
+    }
+
+    if (conditions.wind_speed <= 15) {
+        score += 15;
+        factors.wind = 'excellent';
+    } else if (conditions.wind_speed <= 20) {
+        score += 8;
+        factors.wind = 'good';
+    } else {
+        factors.wind = 'poor';
+    }
+
+    return {
+        score: Math.min(100, Math.max(0, score)),
+        rating: score >= 80 ? 'excellent' : score >= 60 ? 'good' : score >= 40 ? 'fair' : 'poor',
+        factors
+    };
+}
+
+function getTemperatureColor(temp) {
+    if (temp < 18) return '#0571b0';
+    if (temp < 20) return '#92c5de';
+    if (temp < 22) return '#f7f7f7';
+    if (temp < 24) return '#f4a582';
+    if (temp < 26) return '#d73027';
+    return '#8b0000';
+}
+
+function getChlorophyllColor(chlorophyll) {
+    if (chlorophyll < 0.1) return '#08306b';
+    if (chlorophyll < 0.2) return '#2171b5';
+    if (chlorophyll < 0.3) return '#41ab5d';
+    if (chlorophyll < 0.5) return '#a1d99b';
+    return '#e5f5e0';
+}
+
+function getProbabilityColor(probability) {
+    if (probability >= 80) return '#d73027';
+    if (probability >= 60) return '#fc8d59';
+    if (probability >= 40) return '#fee08b';
+    if (probability >= 20) return '#e0f3f8';
+    return '#abd9e9';
+}
+
+function getFavorabilityColor(rating) {
+    const colors = {
+        excellent: '#28a745',
+        good: '#ffc107',
+        fair: '#fd7e14',
+        poor: '#dc3545'
+    };
+    return colors[rating] || '#6c757d';
+}
+
+function getAlertIcon(type) {
+    const icons = {
+        hotspot: '🔥',
+        environmental: '🌊',
+        timing: '⏰',
+        weather: '🌤️',
+        temperature_front: '🌡️',
+        chlorophyll_front: '🌿',
+        eddy_edge: '🌀'
+    };
+    return icons[type] || '📢';
+}
+
+function getTimeAgo(timestamp) {
+    const now = new Date();
+    const diffMs = now - timestamp;
+    const diffMins = Math.floor(diffMs / 60000);
+    const diffHours = Math.floor(diffMs / 3600000);
+    const diffDays = Math.floor(diffMs / 86400000);
+
+    if (diffMins < 60) return `${diffMins}m ago`;
+    if (diffHours < 24) return `${diffHours}h ago`;
+    if (diffDays === 1) return 'Yesterday';
+    return `${diffDays}d ago`;
+}
+
+// Sea routes come from the server (POST /api/routes), which steers
+// round land; the trip starts at the map centre
+let routeStops = [];
+
+function planRoute(lat, lng) {
+    const start = map.getCenter();
+    routeStops = [[start.lat, start.lng], [lat, lng]];
+    drawRoute();
+}
+
+function addRouteStop(lat, lng) {
+    if (routeStops.length === 0) {
+        const start = map.getCenter();
+        routeStops.push([start.lat, start.lng]);
+    }
+    routeStops.push([lat, lng]);
+    drawRoute();
+}
+
+// Undoes a stop the server couldn't route to
+function dropLastStop() {
+    routeStops.pop();
+    if (routeStops.length < 2) routeStops = [];
+}
+
+async function drawRoute() {
+    try {
+        const response = await fetch(`${API_BASE}/routes`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ waypoints: routeStops })
+        });
+        const route = await response.json();
+        if (!response.ok) {
+            dropLastStop();
+            showNotification(route.error, 'error');
+            return;
+        }
+
+        // Clear existing routes
+        if (window.currentRoute) {
+            map.removeLayer(window.currentRoute);
+        }
+
+        window.currentRoute = L.geoJSON(route, {
+            filter: feature => feature.properties.kind === 'leg',
+            style: { color: '#ff6b6b', weight: 4, opacity: 0.8 },
+            onEachFeature: (feature, layer) => {
+                const leg = feature.properties;
+                const weather = leg.weather;
+                layer.bindPopup(`
+                    <strong>Leg ${leg.leg}</strong><br>
+                    ${leg.distance_nm} nm, ${leg.duration_hours} h, ~${leg.fuel_litres} L<br>
+                    Arrive ${new Date(leg.arrive).toLocaleTimeString('en-NZ', { hour: '2-digit', minute: '2-digit' })}<br>
+                    ${weather.max_wind_speed !== null ? `Wind up to ${weather.max_wind_speed} kts<br>` : ''}
+                    ${weather.max_wave_height !== null ? `Waves up to ${weather.max_wave_height} m` : ''}
+                `);
+            }
+        }).addTo(map);
+        map.fitBounds(window.currentRoute.getBounds(), { padding: [40, 40] });
+
+        const trip = route.properties;
+        const eta = new Date(trip.eta).toLocaleTimeString('en-NZ', { hour: '2-digit', minute: '2-digit' });
+        showNotification(`Route planned: ${trip.distance_nm} nm, ETA ${eta}, ~${trip.fuel_litres} L fuel` +
+            (trip.warnings.length ? ` - ${trip.warnings.join('; ')}` : ''), trip.warnings.length ? 'error' : 'info');
+    } catch (error) {
+        dropLastStop();
+        console.error('Failed to plan route:', error);
+        showNotification('Failed to plan route. Please try again.', 'error');
+    }
+}
+
+function flyToLocation(lat, lng) {
+    map.flyTo([lat, lng], 11, { duration: 1.5 });
+}
+
+async function refreshData() {
+    const button = document.getElementById('refreshBtn');
+    const originalText = button.textContent;
+    button.textContent = '⏳ Refreshing...';
+    button.disabled = true;
+
+    await loadAllData();
+
+    button.textContent = originalText;
+    button.disabled = false;
+    showNotification('Data refreshed successfully!', 'success');
+}
+
+// Live updates arrive over server-sent events; interval polling only
+// runs while the event stream is unavailable
+function startRealTimeUpdates() {
+    if (!window.EventSource) {
+        startPolling();
+        return;
+    }
+    connectLiveUpdates();
+}
+
+function connectLiveUpdates() {
+    // The browser resends Last-Event-ID when it reconnects by itself;
+    // a fresh connection passes it in the query string instead
+    const resume = lastEventId ? `?lastEventId=${encodeURIComponent(lastEventId)}` : '';
+    eventSource = new EventSource(`${API_BASE}/events${resume}`);
+
+    eventSource.onopen = () => {
+        reconnectDelay = 5000;
+        stopPolling();
+    };
+
+    const handle = handler => event => {
+        lastEventId = event.lastEventId || lastEventId;
+        handler(JSON.parse(event.data));
+    };
+
+    eventSource.addEventListener('conditions', handle(updateConditionsFromEvent));
+    eventSource.addEventListener('catch', handle(addLiveCatch));
+    eventSource.addEventListener('predictions', handle(displayPredictions));
+    eventSource.addEventListener('alerts', handle(displayAlerts));
+    // Too much was missed to replay; start again from the REST API
+    eventSource.addEventListener('reset', handle(() => loadAllData()));
+
+    eventSource.onerror = () => {
+        startPolling();
+        if (eventSource.readyState === EventSource.CLOSED) {
+            // The browser has given up; retry ourselves with backoff
+            eventSource = null;
+            setTimeout(connectLiveUpdates, reconnectDelay);
+            reconnectDelay = Math.min(reconnectDelay * 2, 5 * 60 * 1000);
+        }
+    };
+}
+
+function startPolling() {
+    if (pollTimers.length) return;
+
+    pollTimers = [
+        // Conditions every 5 minutes
+        setInterval(loadCurrentConditions, 5 * 60 * 1000),
+        // Predictions every 15 minutes
+        setInterval(loadPredictions, 15 * 60 * 1000),
+        // Catches and stats every 2 minutes
+        setInterval(() => {
+            loadRecentCatches();
+            loadLiveStats();
+        }, 2 * 60 * 1000),
+        // Alerts every minute
+        setInterval(loadFishingAlerts, 60 * 1000)
+    ];
+}
+
+function stopPolling() {
+    pollTimers.forEach(clearInterval);
+    pollTimers = [];
+}
+
+function updateConditionsFromEvent(rows) {
+    const row = rows.find(r =>
+        Math.abs(r.latitude - CONDITIONS_LOCATION.lat) < 0.1 &&
+        Math.abs(r.longitude - CONDITIONS_LOCATION.lng) < 0.1);
+    if (row) {
+        updateConditionsDisplay(row);
+    }
+}
+
+function addLiveCatch(catch_) {
+    recentCatches = [catch_, ...recentCatches].slice(0, 20);
+    displayRecentCatches(recentCatches);
+    addCatchMarkersToMap(recentCatches);
+    loadLiveStats();
+    showNotification(`New catch: ${catch_.species} ${catch_.weight}kg`, 'info');
+}
+
+// Markup built from API values goes through these, since names, notes and
+// alert text come from other users
+function escapeHtml(value) {
+    return String(value == null ? '' : value).replace(/[&<>"']/g, char => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[char]);
+}
+
+// Only http(s) and same-site links; anything else (javascript: and the like) gives ''
+function safeUrl(value) {
+    const url = String(value || '');
+    return /^(https?:\/\/|\/(?!\/))/i.test(url) ? url : '';
+}
+
+// Event handlers for the page's controls, plus one for the buttons in map
+// popups and the alert list, which are added as markup after load
+function bindControls() {
+    const on = (id, type, handler) => document.getElementById(id).addEventListener(type, handler);
+    on('logoutBtn', 'click', logout);
+    on('sidebarToggle', 'click', toggleSidebar);
+    on('catchForm', 'submit', logCatch);
+    on('catchPhoto', 'change', inspectCatchPhoto);
+    on('refreshBtn', 'click', refreshData);
+    on('loginForm', 'submit', handleLogin);
+    on('forgotPasswordLink', 'click', forgotPassword);
+    on('resetForm', 'submit', handlePasswordReset);
+    on('registerForm', 'submit', handleRegister);
+    document.querySelectorAll('[data-open]').forEach(element =>
+        element.addEventListener('click', () => showModal(element.dataset.open)));
+    document.querySelectorAll('[data-close]').forEach(element =>
+        element.addEventListener('click', () => hideModal(element.dataset.close)));
+    document.querySelectorAll('[data-layer]').forEach(element =>
+        element.addEventListener('click', () => toggleLayer(element.dataset.layer)));
+
+    const actions = { 'plan-route': planRoute, 'add-stop': addRouteStop, 'fly-to': flyToLocation };
+    document.addEventListener('click', event => {
+        const button = event.target.closest('[data-action]');
+        if (button && actions[button.dataset.action]) {
+            actions[button.dataset.action](Number(button.dataset.lat), Number(button.dataset.lng));
+        }
+    });
+}
+
+// Modal functions
+function showModal(modalId) {
+    document.getElementById(modalId).style.display = 'block';
+}
+
+function hideModal(modalId) {
+    document.getElementById(modalId).style.display = 'none';
+}
+
+// UI functions
+function toggleSidebar() {
+    document.getElementById('sidebar').classList.toggle('open');
+}
+
+function showLoading(show) {
+    document.getElementById('loading').style.display = show ? 'block' : 'none';
+}
+
+function showNotification(message, type = 'info') {
+    const notification = document.createElement('div');
+    notification.className = `notification ${type}`;
+    notification.textContent = message;
+    
+    document.body.appendChild(notification);
+    
+    setTimeout(() => {
+        notification.style.animation = 'slideInRight 0.3s ease reverse';
+        setTimeout(() => notification.remove(), 300);
+    }, 3000);
+}
+
+// Close modals when clicking outside
+window.onclick = function(event) {
+    const modals = document.querySelectorAll('.modal');
+    modals.forEach(modal => {
+        if (event.target === modal) {
+            modal.style.display = 'none';
+        }
+    });
+};
+
+// Service Worker Registration (for PWA features)
+if ('serviceWorker' in navigator) {
+    navigator.serviceWorker.register('/sw.js')
+        .then(registration => console.log('SW registered'))
+        .catch(error => console.log('SW registration failed'));
+}
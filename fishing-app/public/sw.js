@@ -0,0 +1,157 @@
+// sw.js - Offline support for the dashboard
+//
+// The app shell and the public data the map needs (conditions, predictions,
+// hotspots, regulations...) are served network-first and kept as a fallback
+// for when there's no signal; a cached response for the same endpoint with
+// different query parameters is better than nothing. Data is kept for at most
+// MAX_DATA_AGE_MS and MAX_DATA_ENTRIES responses. Map tiles are cache-first and
+// only the ones the map has shown are kept, up to MAX_TILES. Only successful
+// responses are stored. Catches logged offline wait in the page's IndexedDB
+// outbox; a background sync here just tells any open dashboard to send them,
+// since only the page holds the sign-in tokens.
+const VERSION = 'v3';
+const SHELL_CACHE = `shell-${VERSION}`;
+const DATA_CACHE = `data-${VERSION}`;
+const TILE_CACHE = 'tiles-v2';
+const CACHES = [SHELL_CACHE, DATA_CACHE, TILE_CACHE];
+
+const SHELL = [
+    '/',
+    '/app.js',
+    '/manifest.json',
+    '/icon.svg',
+    'https://unpkg.com/leaflet@1.9.4/dist/leaflet.css',
+    'https://unpkg.com/leaflet@1.9.4/dist/leaflet.js'
+];
+
+// Public GET endpoints worth keeping for offline use (signed-in data is not cached)
+const DATA_PATHS = [
+    '/api/conditions/current',
+    '/api/conditions/grid',
+    '/api/conditions/contours',
+    '/api/predictions',
+    '/api/hotspots',
+    '/api/species',
+    '/api/solunar',
+    '/api/regulations',
+    '/api/alerts',
+    '/api/stats',
+    '/api/catches/public'
+];
+
+const MAX_DATA_ENTRIES = 200;
+const MAX_DATA_AGE_MS = 3 * 24 * 3600 * 1000;
+const CACHED_AT = 'X-Cached-At';
+const MAX_TILES = 3000;
+const TILE_HOST = 'tile.openstreetmap.org';
+
+// a/b/c subdomains serve the same tiles; store them under one URL
+function tileKey(url) {
+    return `https://${TILE_HOST}${url.pathname}`;
+}
+
+// Oldest entries go first once a cache holds more than `max`
+async function trimCache(cacheName, max) {
+    const cache = await caches.open(cacheName);
+    const keys = await cache.keys();
+    for (const request of keys.slice(0, Math.max(keys.length - max, 0))) {
+        await cache.delete(request);
+    }
+}
+
+self.addEventListener('install', event => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(SHELL_CACHE);
+        await Promise.all(SHELL.map(url => cache.add(url).catch(() => null)));
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names.filter(name => !CACHES.includes(name)).map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+async function networkFirst(request, cacheName, fallbackUrl) {
+    const cache = await caches.open(cacheName);
+    try {
+        const response = await fetch(request);
+        if (response.ok) await cache.put(fallbackUrl || request, response.clone());
+        return response;
+    } catch (error) {
+        const cached = await cache.match(fallbackUrl || request) || await cache.match(request, { ignoreSearch: true });
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+// Responses are stored with the time they were fetched, so stale ones can be
+// told apart and dropped instead of being shown as current
+async function stamped(response) {
+    const headers = new Headers(response.headers);
+    headers.set(CACHED_AT, String(Date.now()));
+    return new Response(await response.blob(), { status: response.status, statusText: response.statusText, headers });
+}
+
+const fresh = cached => cached && Date.now() - Number(cached.headers.get(CACHED_AT)) <= MAX_DATA_AGE_MS;
+
+async function networkFirstData(request) {
+    const cache = await caches.open(DATA_CACHE);
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            await cache.put(request, await stamped(response.clone()));
+            trimCache(DATA_CACHE, MAX_DATA_ENTRIES);
+        }
+        return response;
+    } catch (error) {
+        const exact = await cache.match(request);
+        if (fresh(exact)) return exact;
+        const similar = (await cache.matchAll(request, { ignoreSearch: true })).filter(fresh);
+        if (similar.length) return similar[similar.length - 1];
+        throw error;
+    }
+}
+
+// Tiles are fetched with CORS so the response can be checked before it's kept
+async function cacheFirstTile(url) {
+    const cache = await caches.open(TILE_CACHE);
+    const key = tileKey(url);
+    const cached = await cache.match(key);
+    if (cached) return cached;
+
+    const response = await fetch(url.href, { mode: 'cors', credentials: 'omit' });
+    if (response.ok) {
+        await cache.put(key, response.clone());
+        trimCache(TILE_CACHE, MAX_TILES);
+    }
+    return response;
+}
+
+self.addEventListener('fetch', event => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+    const url = new URL(request.url);
+
+    if (url.hostname.endsWith(TILE_HOST)) {
+        event.respondWith(cacheFirstTile(url));
+    } else if (request.mode === 'navigate') {
+        event.respondWith(networkFirst(request, SHELL_CACHE, '/'));
+    } else if (SHELL.includes(url.origin === self.location.origin ? url.pathname : request.url)) {
+        event.respondWith(networkFirst(request, SHELL_CACHE));
+    } else if (url.origin === self.location.origin &&
+        DATA_PATHS.some(path => url.pathname === path || url.pathname.startsWith(`${path}/`))) {
+        event.respondWith(networkFirstData(request));
+    }
+});
+
+self.addEventListener('sync', event => {
+    if (event.tag !== 'catch-outbox') return;
+    event.waitUntil((async () => {
+        const clients = await self.clients.matchAll({ type: 'window' });
+        clients.forEach(client => client.postMessage({ type: 'flush-catches' }));
+    })());
+});
@@ -0,0 +1,78 @@
+// test/accounts.test.js - Account deletion
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { setupDatabase, teardownDatabase } = require('./helpers');
+const db = require('../lib/db');
+const auth = require('../lib/auth');
+const accounts = require('../lib/accounts');
+
+before(setupDatabase);
+after(teardownDatabase);
+
+const PASSWORD = 'correct horse';
+
+async function addUser(email, role = 'user') {
+    const { lastID } = await db.run('INSERT INTO users (email, password_hash, name, role) VALUES (?, ?, ?, ?)',
+        [email, await auth.hashPassword(PASSWORD), 'Angler', role]);
+    await db.run(`
+        INSERT INTO catch_logs (user_id, species, weight, gear_type, latitude, longitude, time_caught, notes)
+        VALUES (?, 'Kingfish', 8.5, 'jig', -36.8, 174.9, ?, 'secret spot')
+    `, [lastID, new Date().toISOString()]);
+    return lastID;
+}
+
+test('anonymizing keeps the catches but nothing that identifies the angler', async () => {
+    const id = await addUser('keeper@example.com');
+    const session = await auth.login({ email: 'keeper@example.com', password: PASSWORD });
+
+    assert.deepStrictEqual(await accounts.deleteAccount(id, { password: PASSWORD, catches: 'anonymize' }),
+        { deleted: true, catches: 'anonymize', catch_count: 1 });
+    const user = await db.get('SELECT * FROM users WHERE id = ?', [id]);
+    assert.strictEqual(user.email, `deleted-${id}@invalid`);
+    assert.ok(user.deleted_at);
+    const catchRow = await db.get('SELECT * FROM catch_logs WHERE user_id = ?', [id]);
+    assert.strictEqual(catchRow.notes, null);
+    await assert.rejects(auth.verifyAccessToken(session.token), { status: 401 });
+});
+
+test('deleting removes the catches and the user', async () => {
+    const id = await addUser('leaver@example.com');
+    await accounts.deleteAccount(id, { password: PASSWORD, catches: 'delete' });
+
+    assert.strictEqual(await db.get('SELECT * FROM users WHERE id = ?', [id]), undefined);
+    assert.strictEqual((await db.get('SELECT COUNT(*) AS count FROM catch_logs WHERE user_id = ?', [id])).count, 0);
+});
+
+test('the last admin can\'t delete their account', async () => {
+    const id = await addUser('only-admin@example.com', 'admin');
+    const session = await auth.login({ email: 'only-admin@example.com', password: PASSWORD });
+
+    await assert.rejects(accounts.deleteAccount(id, { password: PASSWORD, catches: 'delete' }),
+        { status: 400, message: /last admin/ });
+    // Nothing was removed
+    await auth.verifyAccessToken(session.token);
+    assert.strictEqual((await db.get('SELECT COUNT(*) AS count FROM catch_logs WHERE user_id = ?', [id])).count, 1);
+
+    await addUser('second-admin@example.com', 'admin');
+    assert.strictEqual((await accounts.deleteAccount(id, { password: PASSWORD, catches: 'delete' })).deleted, true);
+});
+
+test('a wrong password deletes nothing', async () => {
+    const id = await addUser('careful@example.com');
+    await assert.rejects(accounts.deleteAccount(id, { password: 'wrong password', catches: 'delete' }), { status: 403 });
+    assert.ok(await db.get('SELECT * FROM users WHERE id = ? AND deleted_at IS NULL', [id]));
+});
+
+test('queries issued while a transaction is open are not rolled back with it', async () => {
+    const failing = db.transaction(async tx => {
+        await tx.run("INSERT INTO users (email, password_hash, name) VALUES ('inside@example.com', 'x', 'In')");
+        await new Promise(resolve => setTimeout(resolve, 20));
+        throw new Error('abort');
+    });
+    const outside = db.run("INSERT INTO users (email, password_hash, name) VALUES ('outside@example.com', 'x', 'Out')");
+
+    await assert.rejects(failing, { message: 'abort' });
+    await outside;
+    assert.strictEqual(await db.get("SELECT * FROM users WHERE email = 'inside@example.com'"), undefined);
+    assert.ok(await db.get("SELECT * FROM users WHERE email = 'outside@example.com'"));
+});
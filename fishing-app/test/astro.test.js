@@ -0,0 +1,83 @@
+// test/astro.test.js - NZ calendar days, sun and moon times, solunar periods and tides
+const { test } = require('node:test');
+const assert = require('node:assert');
+const nztime = require('../lib/nztime');
+const astro = require('../lib/astro');
+const tides = require('../lib/tides');
+
+const minutesApart = (a, b) => Math.abs(new Date(a) - new Date(b)) / 60000;
+
+test('only real calendar days are valid date strings', () => {
+    ['2024-02-14', '2024-02-29', '2026-12-31'].forEach(day => assert.ok(nztime.isValidDateString(day), day));
+    ['2026-02-30', '2025-02-29', '2026-13-01', '2026-00-10', '2026-04-31', '2026-2-3', '14/02/2024', '']
+        .forEach(day => assert.strictEqual(nztime.isValidDateString(day), false, day));
+});
+
+test('NZ days follow daylight saving', () => {
+    assert.strictEqual(nztime.offsetMinutes(new Date('2024-01-15T00:00:00Z')), 780);
+    assert.strictEqual(nztime.offsetMinutes(new Date('2024-07-15T00:00:00Z')), 720);
+    assert.strictEqual(nztime.startOfLocalDay('2024-02-14').toISOString(), '2024-02-13T11:00:00.000Z');
+    assert.strictEqual(nztime.startOfLocalDay('2024-07-14').toISOString(), '2024-07-13T12:00:00.000Z');
+    // Daylight saving ends at 3am on 7 April 2024, so noon is already NZST
+    assert.strictEqual(nztime.fromLocalTime('2024-04-07', 12).toISOString(), '2024-04-07T00:00:00.000Z');
+    assert.strictEqual(nztime.localDateString(new Date('2024-02-13T11:30:00Z')), '2024-02-14');
+    assert.strictEqual(nztime.addLocalDays('2024-02-28', 2), '2024-03-01');
+    assert.strictEqual(nztime.toLocalISOString(new Date('2024-02-14T00:00:00Z')), '2024-02-14T13:00:00+13:00');
+});
+
+test('sun times for the Bay of Islands are in NZ local time', () => {
+    const { sun } = astro.describeDay('2024-02-14', -35.3, 174.1);
+    // Russell that day: sunrise about 6:56, sunset about 20:22
+    assert.ok(minutesApart(sun.sunrise, '2024-02-14T06:56:00+13:00') < 5, sun.sunrise);
+    assert.ok(minutesApart(sun.sunset, '2024-02-14T20:22:00+13:00') < 5, sun.sunset);
+    assert.ok(sun.dawn < sun.sunrise && sun.sunset < sun.dusk);
+    assert.ok(sun.day_length_minutes > 780 && sun.day_length_minutes < 830);
+});
+
+test('moon phases match known new and full moons', () => {
+    // New moon 10 February 2024, full moon 24 February 2024 (UTC)
+    const fresh = astro.moonIllumination(new Date('2024-02-09T23:00:00Z'));
+    const full = astro.moonIllumination(new Date('2024-02-24T12:30:00Z'));
+    assert.strictEqual(fresh.name, 'New Moon');
+    assert.ok(fresh.fraction < 0.02);
+    assert.strictEqual(full.name, 'Full Moon');
+    assert.ok(full.fraction > 0.98);
+});
+
+test('solunar periods centre on the moon events of the day', () => {
+    const { moon, solunar } = astro.describeDay('2024-02-14', -35.3, 174.1);
+    const overhead = solunar.periods.find(period => period.event === 'moon_overhead');
+    const moonrise = solunar.periods.find(period => period.event === 'moonrise');
+
+    assert.strictEqual(overhead.type, 'major');
+    assert.strictEqual(minutesApart(overhead.start, overhead.end), 120);
+    assert.strictEqual(minutesApart(overhead.start, moon.overhead), 60);
+    assert.strictEqual(moonrise.type, 'minor');
+    assert.strictEqual(minutesApart(moonrise.start, moon.moonrise), 30);
+    assert.ok(solunar.rating >= 1 && solunar.rating <= 5);
+});
+
+test('tides come from the nearest port and alternate high and low', () => {
+    const { port, extremes } = tides.describeTides(-35.3, 174.1, '2024-02-14');
+    assert.strictEqual(port.id, 'opua');
+    assert.ok(extremes.length >= 3 && extremes.length <= 5);
+    extremes.slice(1).forEach((extreme, i) => {
+        assert.notStrictEqual(extreme.type, extremes[i].type);
+        // Semidiurnal: roughly 6h12m between a high and the next low
+        const gap = minutesApart(extreme.time, extremes[i].time);
+        assert.ok(gap > 300 && gap < 450, `${gap} minutes`);
+    });
+    extremes.filter(e => e.type === 'high').forEach(high => {
+        extremes.filter(e => e.type === 'low').forEach(low => assert.ok(high.height > low.height));
+    });
+});
+
+test('tidal flow is strongest between high and low water', () => {
+    const { extremes } = tides.describeTides(-35.3, 174.1, '2024-02-14');
+    const [low, high] = extremes;
+    const midway = new Date((new Date(low.time).getTime() + new Date(high.time).getTime()) / 2);
+    const atLow = tides.tidalFlowFraction(-35.3, 174.1, new Date(low.time));
+    const atMidway = tides.tidalFlowFraction(-35.3, 174.1, midway);
+    assert.ok(atMidway > atLow, `${atMidway} vs ${atLow}`);
+    assert.ok(atMidway <= 1 && atLow >= 0);
+});
@@ -0,0 +1,85 @@
+// test/auth.test.js - Refresh token rotation, replay detection and ADMIN_EMAILS promotion
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { setupDatabase, teardownDatabase, waitFor, smtpSink } = require('./helpers');
+const auth = require('../lib/auth');
+
+// Signing up mails a verification link, caught here
+let smtp;
+before(async () => {
+    smtp = await smtpSink();
+    process.env.SMTP_HOST = smtp.host;
+    process.env.SMTP_PORT = String(smtp.port);
+    await setupDatabase();
+});
+after(async () => {
+    await teardownDatabase();
+    await smtp.close();
+});
+
+let registered = 0;
+function signUp() {
+    registered++;
+    return auth.register({ email: `angler${registered}@example.com`, password: 'correct horse', name: 'Angler' });
+}
+
+test('ADMIN_EMAILS only makes an address admin once it is verified', async () => {
+    process.env.ADMIN_EMAILS = 'harbourmaster@example.com';
+    try {
+        const session = await auth.register({ email: 'harbourmaster@example.com', password: 'correct horse', name: 'HM' });
+        assert.strictEqual(session.user.role, 'user');
+        assert.strictEqual(await auth.promoteConfiguredAdmins(), 0);
+
+        const mail = await waitFor(() => smtp.messages.find(message => message.to.includes('harbourmaster@example.com')));
+        await auth.verifyEmail(mail.data.match(/verify_token=([\w-]+)/)[1]);
+        assert.strictEqual((await auth.verifyAccessToken(session.token)).role, 'admin');
+    } finally {
+        delete process.env.ADMIN_EMAILS;
+    }
+});
+
+test('a refresh token is swapped for a new pair on the same session', async () => {
+    const session = await signUp();
+    const refreshed = await auth.refresh(session.refresh_token);
+
+    assert.notStrictEqual(refreshed.refresh_token, session.refresh_token);
+    const before = await auth.verifyAccessToken(session.token);
+    const after = await auth.verifyAccessToken(refreshed.token);
+    assert.strictEqual(after.sessionId, before.sessionId);
+
+    // The new token rotates again
+    const again = await auth.refresh(refreshed.refresh_token);
+    assert.ok(again.refresh_token);
+});
+
+test('replaying a used refresh token revokes the whole session', async () => {
+    const session = await signUp();
+    const refreshed = await auth.refresh(session.refresh_token);
+
+    await assert.rejects(auth.refresh(session.refresh_token), { status: 401, message: /already used/ });
+    // Both the stolen and the legitimate holder are signed out
+    await assert.rejects(auth.refresh(refreshed.refresh_token), { status: 401 });
+    await assert.rejects(auth.verifyAccessToken(refreshed.token), { status: 401, message: 'Session has ended' });
+});
+
+test('concurrent refreshes with one token let only one through', async () => {
+    const session = await signUp();
+    const results = await Promise.allSettled([auth.refresh(session.refresh_token), auth.refresh(session.refresh_token)]);
+
+    assert.strictEqual(results.filter(result => result.status === 'fulfilled').length, 1);
+    assert.strictEqual(results.filter(result => result.status === 'rejected').length, 1);
+});
+
+test('replay revokes only the session it belongs to', async () => {
+    const session = await signUp();
+    const other = await auth.login({ email: `angler${registered}@example.com`, password: 'correct horse' });
+    await auth.refresh(session.refresh_token);
+    await assert.rejects(auth.refresh(session.refresh_token), { status: 401 });
+
+    await auth.verifyAccessToken(other.token);
+    assert.ok((await auth.refresh(other.refresh_token)).token);
+});
+
+test('unknown refresh tokens are refused', async () => {
+    await assert.rejects(auth.refresh('not-a-token'), { status: 401, message: 'Invalid refresh token' });
+});
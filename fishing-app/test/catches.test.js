@@ -0,0 +1,37 @@
+// test/catches.test.js - Catch validation
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const { teardownDatabase } = require('./helpers');
+const { validateCatch } = require('../lib/catches');
+
+after(teardownDatabase);
+
+const valid = {
+    species: 'Kingfish',
+    weight: 8.5,
+    gear_type: 'jig',
+    latitude: -35.2,
+    longitude: 174.3,
+    time_caught: '2024-02-14T06:30:00Z'
+};
+const fieldsWithErrors = input => validateCatch(input).errors.map(error => error.field);
+
+test('a weight of 0 is accepted', () => {
+    const { values, errors } = validateCatch({ ...valid, weight: 0 });
+    assert.deepStrictEqual(errors, []);
+    assert.strictEqual(values.weight, 0);
+});
+
+test('weight is required and must be a number in range', () => {
+    const { weight, ...withoutWeight } = valid;
+    assert.deepStrictEqual(fieldsWithErrors(withoutWeight), ['weight']);
+    assert.deepStrictEqual(fieldsWithErrors({ ...valid, weight: '' }), ['weight']);
+    assert.deepStrictEqual(fieldsWithErrors({ ...valid, weight: 'abc' }), ['weight']);
+    assert.deepStrictEqual(fieldsWithErrors({ ...valid, weight: -1 }), ['weight']);
+    assert.deepStrictEqual(fieldsWithErrors({ ...valid, weight: 2000 }), ['weight']);
+});
+
+test('positions must be on the globe', () => {
+    assert.deepStrictEqual(fieldsWithErrors({ ...valid, latitude: 500 }), ['latitude']);
+    assert.deepStrictEqual(fieldsWithErrors({ ...valid, longitude: -181 }), ['longitude']);
+});
@@ -0,0 +1,93 @@
+// test/contours.test.js - Isolines and bands over the conditions grid
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { setupDatabase, teardownDatabase } = require('./helpers');
+const db = require('../lib/db');
+const contours = require('../lib/contours');
+
+// Open water north-east of the Bay of Islands, 6 x 6 cells at 0.1°
+const BOUNDS = { south: -34.6, north: -34.0, west: 174.8, east: 175.4 };
+const query = extra => ({ bounds: BOUNDS, resolution: 0.1, ...extra });
+
+// Warming 1°C per cell to the east, from 18.5°C at the western cell centres,
+// so each whole degree falls half-way between two columns
+before(async () => {
+    await setupDatabase();
+    const timestamp = new Date(Date.now() - 3600000).toISOString();
+    const rows = [];
+    for (let row = 0; row < 6; row++) {
+        for (let col = 0; col < 6; col++) {
+            rows.push([BOUNDS.north - (row + 0.5) * 0.1, BOUNDS.west + (col + 0.5) * 0.1, timestamp, timestamp, 18.5 + col, 'test']);
+        }
+    }
+    await db.insertMany('environmental_data', ['latitude', 'longitude', 'timestamp', 'fetched_at', 'sea_temperature', 'source'], rows);
+});
+after(teardownDatabase);
+
+const near = (actual, expected) => Math.abs(actual - expected) < 1e-6;
+
+test('isolines follow each level between the cell centres', async () => {
+    const collection = await contours.buildContours(contours.contourOptions(query({ kind: 'isolines' })));
+    assert.deepStrictEqual(collection.contours.levels, [18, 19, 20, 21, 22, 23, 24]);
+    assert.strictEqual(collection.contours.units, '°C');
+
+    const lines = collection.features;
+    assert.deepStrictEqual(lines.map(f => f.properties.value), [19, 20, 21, 22, 23]);
+    lines.forEach(({ geometry, properties }) => {
+        assert.strictEqual(geometry.type, 'MultiLineString');
+        assert.strictEqual(geometry.coordinates.length, 1);
+        // A straight north-south line simplifies to its two ends
+        const line = geometry.coordinates[0];
+        assert.strictEqual(line.length, 2);
+        const lng = 174.9 + (properties.value - 19) * 0.1;
+        line.forEach(([x]) => assert.ok(near(x, lng), `${properties.value}: ${x}`));
+    });
+});
+
+test('bands cover the range between neighbouring levels', async () => {
+    const collection = await contours.buildContours(contours.contourOptions(query({ kind: 'bands', tolerance: 0 })));
+    const bands = collection.features;
+    assert.deepStrictEqual(bands.map(f => [f.properties.min, f.properties.max]),
+        [[18, 19], [19, 20], [20, 21], [21, 22], [22, 23], [23, 24]]);
+
+    const [, middle] = bands;
+    assert.strictEqual(middle.geometry.type, 'Polygon');
+    const lngs = middle.geometry.coordinates[0].map(([x]) => x);
+    assert.ok(near(Math.min(...lngs), 174.9) && near(Math.max(...lngs), 175.0), lngs.join());
+});
+
+test('repeat requests come from the cache until the data changes', async () => {
+    const options = contours.contourOptions(query({ interval: 2 }));
+    assert.strictEqual((await contours.buildContours(options)).contours.cached, false);
+    assert.strictEqual((await contours.buildContours(options)).contours.cached, true);
+
+    const timestamp = new Date().toISOString();
+    await db.run(`
+        INSERT INTO environmental_data (latitude, longitude, timestamp, fetched_at, sea_temperature, source)
+        VALUES (-34.05, 174.85, ?, ?, 18.5, 'test')
+    `, [timestamp, timestamp]);
+    assert.strictEqual((await contours.buildContours(options)).contours.cached, false);
+});
+
+test('options the grid can\'t serve are refused with details', () => {
+    const fields = thrower => {
+        try {
+            thrower();
+        } catch (error) {
+            assert.strictEqual(error.status, 400);
+            return error.details.map(detail => detail.field);
+        }
+        assert.fail('expected a 400');
+    };
+    assert.deepStrictEqual(fields(() => contours.contourOptions(query({ layer: 'probability', species: 'Nemo', tolerance: 1 }))),
+        ['species', 'tolerance']);
+    assert.deepStrictEqual(fields(() => contours.contourOptions({
+        layer: 'probability', bounds: { south: -38, north: -34, west: 172, east: 178 }, resolution: 0.02
+    })), ['resolution']);
+    assert.strictEqual(contours.contourOptions(query({ layer: 'probability' })).species, 'Generic Pelagic');
+});
+
+test('an interval that gives too many levels is refused', async () => {
+    await assert.rejects(contours.buildContours(contours.contourOptions(query({ interval: 0.01 }))),
+        error => error.status === 400 && error.details[0].field === 'interval');
+});
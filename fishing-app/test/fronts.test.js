@@ -0,0 +1,75 @@
+// test/fronts.test.js - Temperature breaks and eddies in the latest gridded fetch
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { setupDatabase, teardownDatabase } = require('./helpers');
+const db = require('../lib/db');
+const fronts = require('../lib/fronts');
+
+before(async () => {
+    await setupDatabase();
+    await db.run("INSERT INTO hotspots (name, latitude, longitude) VALUES ('Test Bank', -34.5, 173.0)");
+});
+after(teardownDatabase);
+
+// Stores one gridded fetch over 11 x 11 cells at the detection resolution,
+// centred on Test Bank; `sst(di, dj)` gives the temperature by offset from it
+let fetches = 0;
+async function storeGrid(sst) {
+    const fetchedAt = new Date(Date.UTC(2026, 0, 10, 6 + fetches++)).toISOString();
+    const rows = [];
+    for (let di = -5; di <= 5; di++) {
+        for (let dj = -5; dj <= 5; dj++) {
+            rows.push([-34.5 + di * 0.1, 173.0 + dj * 0.1, fetchedAt, sst(di, dj), 0.3, 'test', fetchedAt, 1]);
+        }
+    }
+    await db.insertMany('environmental_data',
+        ['latitude', 'longitude', 'timestamp', 'sea_temperature', 'chlorophyll', 'source', 'fetched_at', 'is_grid'], rows);
+}
+
+test('a temperature break becomes one front along it', async () => {
+    await storeGrid((di, dj) => (dj >= 0 ? 21 : 18));
+
+    const features = await fronts.detectFeatures();
+    assert.deepStrictEqual(features.map(f => f.type), ['temperature_front']);
+    const [front] = features;
+    assert.strictEqual(front.priority, 'high');
+    assert.strictEqual(front.properties.cells, 22);
+    assert.strictEqual(front.properties.warmer_side, 'east');
+    assert.match(front.message, /^Temperature Break at Test Bank: .* warmer water to the east$/);
+
+    // A north-south line between the two columns either side of the break
+    assert.strictEqual(front.geometry.type, 'LineString');
+    front.geometry.coordinates.forEach(([lng]) => assert.ok(Math.abs(lng - 172.95) < 1e-6, `${lng}`));
+    assert.ok(front.properties.length_km > 100 && front.properties.length_km < 115, `${front.properties.length_km}`);
+});
+
+test('a warm core that stands out from the water around it is an eddy, not a front', async () => {
+    const core = [20.4, 19.5, 18.6];
+    await storeGrid((di, dj) => core[Math.max(Math.abs(di), Math.abs(dj))] ?? 18);
+
+    const features = await fronts.detectFeatures();
+    assert.deepStrictEqual(features.map(f => f.type), ['eddy_edge']);
+    const [eddy] = features;
+    assert.strictEqual(eddy.title, 'Warm-Core Eddy Edge');
+    assert.strictEqual(eddy.priority, 'high');
+    assert.deepStrictEqual([eddy.properties.core, eddy.properties.anomaly], ['warm', 2.4]);
+    assert.deepStrictEqual(eddy.center, { lat: -34.5, lng: 173 });
+    assert.strictEqual(eddy.geometry.type, 'Polygon');
+});
+
+test('a feature near an unexpired alert of its type refreshes it', async () => {
+    assert.deepStrictEqual(await fronts.detectFronts(), { detected: 1, inserted: 1, updated: 0 });
+    assert.deepStrictEqual(await fronts.detectFronts(), { detected: 1, inserted: 0, updated: 1 });
+
+    const [alert, ...rest] = await fronts.listAlerts();
+    assert.strictEqual(rest.length, 0);
+    assert.strictEqual(alert.type, 'eddy_edge');
+    assert.ok(alert.updated_at >= alert.detected_at);
+});
+
+test('alerts are listed by overlapping bounds, type and replay time', async () => {
+    assert.strictEqual((await fronts.listAlerts({ bounds: { south: -34.6, north: -34.4, west: 172.9, east: 173.1 } })).length, 1);
+    assert.strictEqual((await fronts.listAlerts({ bounds: { south: -36, north: -35.5, west: 175, east: 176 } })).length, 0);
+    assert.strictEqual((await fronts.listAlerts({ types: ['temperature_front'] })).length, 0);
+    assert.strictEqual((await fronts.listAlerts({ at: new Date(Date.now() - 3600000) })).length, 0);
+});
@@ -0,0 +1,85 @@
+// test/grid.test.js - Conditions interpolated onto the lat/lng grid
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { setupDatabase, teardownDatabase } = require('./helpers');
+const db = require('../lib/db');
+const grid = require('../lib/grid');
+
+before(setupDatabase);
+after(teardownDatabase);
+
+const HOUR = 3600000;
+const hoursAgo = hours => new Date(Date.now() - hours * HOUR).toISOString();
+
+// Open water east of the Bay of Islands, one test per area so they don't share observations
+const AREAS = {
+    values: { south: -34.6, north: -34.4, west: 174.8, east: 175.0 },
+    window: { south: -33.6, north: -33.4, west: 174.8, east: 175.0 },
+    gridded: { south: -32.6, north: -32.4, west: 174.8, east: 175.0 }
+};
+
+function observe(lat, lng, values, { timestamp = hoursAgo(1), fetchedAt = timestamp, isGrid = 0 } = {}) {
+    return db.run(`
+        INSERT INTO environmental_data (latitude, longitude, timestamp, fetched_at, is_grid, sea_temperature, current_direction, source)
+        VALUES (?, ?, ?, ?, ?, ?, ?, 'test')
+    `, [lat, lng, timestamp, fetchedAt, isGrid, values.sea_temperature ?? null, values.current_direction ?? null]);
+}
+
+const options = (bounds, extra = {}) => grid.gridOptions({ bounds, resolution: 0.1, fields: ['sea_temperature'], ...extra });
+const cell = (built, field, row, col) => built.values[field][row * built.cols + col];
+
+test('grids are sized from the bounds and refused over the cell limit', () => {
+    const { rows, cols } = options(AREAS.values);
+    assert.deepStrictEqual([rows, cols], [2, 2]);
+    assert.throws(() => grid.gridOptions({ bounds: { south: -40, north: -30, west: 165, east: 180 }, resolution: 0.01 }),
+        error => error.status === 400 && error.details[0].field === 'resolution');
+});
+
+test('cells take a distance-weighted mean, and directions average round north', async () => {
+    await observe(-34.45, 174.85, { sea_temperature: 20, current_direction: 350 });
+    await observe(-34.55, 174.95, { sea_temperature: 22, current_direction: 10 });
+
+    const built = await grid.buildGrid(options(AREAS.values, { fields: ['sea_temperature', 'current_direction'] }));
+    assert.strictEqual(built.source, 'observed');
+    assert.strictEqual(built.cells_with_data, 4);
+    // An observation at a cell centre is taken as is
+    assert.strictEqual(cell(built, 'sea_temperature', 0, 0), 20);
+    assert.strictEqual(cell(built, 'sea_temperature', 1, 1), 22);
+    // Between the two, nearer the closer one (0.1° of longitude is shorter than 0.1° of latitude here)
+    const between = cell(built, 'sea_temperature', 0, 1);
+    assert.ok(between > 20 && between < 21, `${between}`);
+    const direction = cell(built, 'current_direction', 0, 1);
+    assert.ok(direction > 350 || direction < 10, `${direction}`);
+});
+
+test('only observations from the last `hours`, as fetched by `at`, are used', async () => {
+    await observe(-33.45, 174.85, { sea_temperature: 15 }, { timestamp: hoursAgo(10) });
+    assert.strictEqual((await grid.buildGrid(options(AREAS.window))).cells_with_data, 0);
+    assert.ok((await grid.buildGrid(options(AREAS.window, { hours: 12 }))).cells_with_data > 0);
+
+    // Replaying before the observation was fetched leaves it out
+    await observe(-33.55, 174.95, { sea_temperature: 16 }, { timestamp: hoursAgo(30), fetchedAt: hoursAgo(2) });
+    const at = new Date(Date.now() - 20 * HOUR);
+    assert.strictEqual((await grid.buildGrid(options(AREAS.window, { hours: 24, at }))).cells_with_data, 0);
+});
+
+test('gridded rows count from when they were fetched, not their analysis time', async () => {
+    // MUR SST is served about a day after its analysis time
+    await observe(-32.5, 174.9, { sea_temperature: 18 }, { timestamp: hoursAgo(30), fetchedAt: hoursAgo(1), isGrid: 1 });
+    const built = await grid.buildGrid(options(AREAS.gridded));
+    assert.strictEqual(built.cells_with_data, 4);
+    // and still report the time of the analysis
+    assert.ok(Date.now() - Date.parse(built.observed_at) > 24 * HOUR);
+});
+
+test('binary output carries one Float32 block per field', async () => {
+    const built = await grid.buildGrid(options(AREAS.values, { fields: ['sea_temperature', 'current_direction'] }));
+    const { body, headers } = grid.toBinary(built);
+    assert.strictEqual(body.length, 2 * 2 * 2 * 4);
+    assert.strictEqual(headers['X-Grid-Fields'], 'sea_temperature,current_direction');
+    assert.strictEqual(body.readFloatLE(0), 20);
+
+    const geojson = grid.toGeoJSON(built);
+    assert.strictEqual(geojson.features.length, 4);
+    assert.deepStrictEqual(geojson.features[0].geometry.coordinates, [174.85, -34.45]);
+});
@@ -0,0 +1,111 @@
+// test/helpers.js - Shared setup for the node:test suites
+//
+// Require this before anything from lib/: it points DATABASE_URL at a new
+// SQLite file in the temp directory, so every test file (node --test runs each
+// in its own process) starts from an empty database of its own. The sinks
+// stand in for a webhook receiver and an SMTP server on local ports.
+const fs = require('fs');
+const http = require('http');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fishing-test-'));
+process.env.DATABASE_URL = path.join(dir, 'test.db');
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret-that-is-at-least-32-characters';
+
+// Applies every migration to the test database
+async function setupDatabase() {
+    await require('../lib/migrations').latest();
+}
+
+async function teardownDatabase() {
+    await require('../lib/db').close();
+    fs.rmSync(dir, { recursive: true, force: true });
+}
+
+const listening = server => new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve(server.address().port));
+});
+
+// Resolves once `check()` returns something truthy, polling every 20ms
+function waitFor(check, timeoutMs = 5000) {
+    const started = Date.now();
+    return new Promise((resolve, reject) => {
+        const poll = () => {
+            const value = check();
+            if (value) return resolve(value);
+            if (Date.now() - started > timeoutMs) return reject(new Error('Timed out waiting'));
+            setTimeout(poll, 20);
+        };
+        poll();
+    });
+}
+
+// HTTP server recording each request as { method, url, headers, body };
+// `status(request)` picks the response code (200 by default)
+async function httpSink(status = () => 200) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => {
+            body += chunk;
+        });
+        req.on('end', () => {
+            const request = { method: req.method, url: req.url, headers: req.headers, body };
+            requests.push(request);
+            res.statusCode = status(request);
+            res.end();
+        });
+    });
+    const port = await listening(server);
+    return { url: `http://127.0.0.1:${port}`, requests, close: () => new Promise(resolve => server.close(resolve)) };
+}
+
+// Just enough SMTP to accept mail without authentication; each message is
+// recorded as { from, to, data }, with quoted-printable soft breaks undone
+async function smtpSink() {
+    const messages = [];
+    const server = net.createServer(socket => {
+        let buffer = '';
+        let message = { to: [] };
+        let inData = false;
+        socket.write('220 test sink\r\n');
+        socket.on('data', chunk => {
+            buffer += chunk.toString();
+            for (;;) {
+                if (inData) {
+                    const end = buffer.indexOf('\r\n.\r\n');
+                    if (end === -1) return;
+                    message.data = buffer.slice(0, end).replace(/=\r\n/g, '').replace(/=3D/g, '=');
+                    messages.push(message);
+                    message = { to: [] };
+                    buffer = buffer.slice(end + 5);
+                    inData = false;
+                    socket.write('250 queued\r\n');
+                    continue;
+                }
+                const end = buffer.indexOf('\r\n');
+                if (end === -1) return;
+                const line = buffer.slice(0, end);
+                buffer = buffer.slice(end + 2);
+                const command = line.slice(0, 4).toUpperCase();
+                if (command === 'MAIL') message.from = line.replace(/^MAIL FROM:\s*/i, '');
+                if (command === 'RCPT') message.to.push(line.replace(/^RCPT TO:\s*/i, '').replace(/[<>]/g, ''));
+                if (command === 'DATA') {
+                    inData = true;
+                    socket.write('354 go ahead\r\n');
+                } else if (command === 'QUIT') {
+                    socket.end('221 bye\r\n');
+                } else {
+                    socket.write('250 ok\r\n');
+                }
+            }
+        });
+        socket.on('error', () => {});
+    });
+    const port = await listening(server);
+    return { host: '127.0.0.1', port, messages, close: () => new Promise(resolve => server.close(resolve)) };
+}
+
+module.exports = { setupDatabase, teardownDatabase, waitFor, httpSink, smtpSink };
@@ -0,0 +1,62 @@
+// test/idempotency.test.js - Idempotency-Key claims, replays and body mismatches
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { setupDatabase, teardownDatabase } = require('./helpers');
+const db = require('../lib/db');
+const idempotency = require('../lib/idempotency');
+
+let alice;
+let bob;
+
+before(async () => {
+    await setupDatabase();
+    const addUser = async email => (await db.run('INSERT INTO users (email, password_hash, name) VALUES (?, ?, ?)',
+        [email, 'x', 'Angler'])).lastID;
+    alice = await addUser('alice@example.com');
+    bob = await addUser('bob@example.com');
+});
+after(teardownDatabase);
+
+const body = { species: 'Snapper', latitude: -36.8, longitude: 174.8, weight: 2.4 };
+
+test('a replay after the first request finished gets the original result', async () => {
+    assert.deepStrictEqual(await idempotency.claim(alice, 'catch', 'key-replay-1', body), { replay: null });
+    await idempotency.complete(alice, 'catch', 'key-replay-1', 42);
+
+    assert.deepStrictEqual(await idempotency.claim(alice, 'catch', 'key-replay-1', body), { replay: 42 });
+    // Key order doesn't change the body
+    const reordered = { weight: 2.4, longitude: 174.8, latitude: -36.8, species: 'Snapper' };
+    assert.deepStrictEqual(await idempotency.claim(alice, 'catch', 'key-replay-1', reordered), { replay: 42 });
+});
+
+test('a replay with a different body is refused with 422', async () => {
+    await idempotency.claim(alice, 'catch', 'key-mismatch', body);
+    await idempotency.complete(alice, 'catch', 'key-mismatch', 7);
+
+    await assert.rejects(idempotency.claim(alice, 'catch', 'key-mismatch', { ...body, weight: 9 }),
+        { status: 422, message: /different request body/ });
+});
+
+test('a replay while the first request is running gets 409', async () => {
+    await idempotency.claim(alice, 'catch', 'key-running', body);
+    await assert.rejects(idempotency.claim(alice, 'catch', 'key-running', body), { status: 409 });
+});
+
+test('a released key can be claimed again', async () => {
+    await idempotency.claim(alice, 'catch', 'key-released', body);
+    await idempotency.release(alice, 'catch', 'key-released');
+    assert.deepStrictEqual(await idempotency.claim(alice, 'catch', 'key-released', { ...body, weight: 3 }), { replay: null });
+});
+
+test('keys are per user and per scope', async () => {
+    await idempotency.claim(alice, 'catch', 'key-shared', body);
+    await idempotency.complete(alice, 'catch', 'key-shared', 1);
+
+    assert.deepStrictEqual(await idempotency.claim(bob, 'catch', 'key-shared', body), { replay: null });
+    assert.deepStrictEqual(await idempotency.claim(alice, 'trip', 'key-shared', body), { replay: null });
+});
+
+test('malformed keys are refused', async () => {
+    await assert.rejects(idempotency.claim(alice, 'catch', 'short', body), { status: 400 });
+    await assert.rejects(idempotency.claim(alice, 'catch', 'has spaces in it', body), { status: 400 });
+});
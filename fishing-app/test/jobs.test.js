@@ -0,0 +1,94 @@
+// test/jobs.test.js - Background job runs, retries and chaining, and data retention
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { setupDatabase, teardownDatabase, waitFor } = require('./helpers');
+const db = require('../lib/db');
+const jobs = require('../lib/jobs');
+const retention = require('../lib/retention');
+const replay = require('../lib/replay');
+
+before(setupDatabase);
+after(teardownDatabase);
+
+// waitFor polls synchronously, so keep the latest answer of an async check
+function until(check) {
+    let answer = null;
+    const poll = () => check().then(value => {
+        answer = value;
+    });
+    return waitFor(() => {
+        poll();
+        return answer;
+    });
+}
+
+test('a manual run is recorded with its result', async () => {
+    jobs.define('test-sum', { task: async () => ({ total: 3 }) });
+    const started = await jobs.trigger('test-sum', null);
+    assert.strictEqual(started.status, 'running');
+    assert.strictEqual(started.trigger, 'manual');
+
+    const [run] = await until(async () => {
+        const runs = await jobs.listRuns('test-sum');
+        return runs[0].status === 'succeeded' && runs;
+    });
+    assert.deepStrictEqual(run.result, { total: 3 });
+    assert.ok(run.duration_ms >= 0);
+});
+
+test('a job that is already running refuses a manual trigger', async () => {
+    let release;
+    jobs.define('test-slow', { task: () => new Promise(resolve => { release = resolve; }) });
+    await jobs.trigger('test-slow', null);
+    await assert.rejects(jobs.trigger('test-slow', null), { status: 409 });
+    release();
+    await until(async () => (await jobs.listRuns('test-slow'))[0].status === 'succeeded');
+});
+
+test('failed runs are retried and later jobs follow a success', async () => {
+    let calls = 0;
+    jobs.define('test-flaky', {
+        retries: 2,
+        retryDelayMs: 10,
+        task: async () => {
+            calls++;
+            if (calls < 3) throw new Error(`attempt ${calls} failed`);
+            return { calls };
+        }
+    });
+    jobs.define('test-follower', { after: ['test-flaky'], task: async () => ({ followed: true }) });
+
+    await jobs.trigger('test-flaky', null);
+    const runs = await until(async () => {
+        const list = await jobs.listRuns('test-flaky');
+        return list.length === 3 && list[0].status === 'succeeded' && list;
+    });
+    assert.deepStrictEqual(runs.map(run => [run.attempt, run.status]), [[3, 'succeeded'], [2, 'failed'], [1, 'failed']]);
+    assert.strictEqual(runs[1].error, 'attempt 2 failed');
+
+    const [follower] = await until(async () => {
+        const list = await jobs.listRuns('test-follower');
+        return list.length && list[0].status === 'succeeded' && list;
+    });
+    assert.strictEqual(follower.trigger, 'after');
+});
+
+test('unknown jobs are 404s', async () => {
+    await assert.rejects(jobs.listRuns('no-such-job'), { status: 404 });
+    assert.throws(() => jobs.trigger('no-such-job', null), { status: 404 });
+});
+
+test('retention keeps gridded observations for the replay window', async () => {
+    const daysAgo = days => new Date(Date.now() - days * 86400000).toISOString();
+    const grid = fetched => db.run(`
+        INSERT INTO environmental_data (latitude, longitude, timestamp, fetched_at, is_grid, sea_temperature, source)
+        VALUES (-34.5, 174.5, ?, ?, 1, 18, 'test')
+    `, [fetched, fetched]);
+    await grid(daysAgo(replay.CONFIG.days - 1));
+    await grid(daysAgo(retention.CONFIG.gridDays + 1));
+
+    assert.ok(retention.CONFIG.gridDays > replay.CONFIG.days);
+    assert.strictEqual((await retention.pruneData()).grid_observations, 1);
+    const kept = await db.all('SELECT fetched_at FROM environmental_data WHERE is_grid = 1');
+    assert.strictEqual(kept.length, 1);
+});
@@ -0,0 +1,94 @@
+// test/migrations.test.js - Every migration applied, reverted and reapplied
+//
+// Runs migrate.js against a new SQLite file, and against Postgres when
+// TEST_DATABASE_URL names one. That database must be an empty scratch
+// database: the test reverts every migration in it, dropping all the tables.
+const { describe, test, after } = require('node:test');
+const assert = require('node:assert');
+const { execFile } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const APP_DIR = path.join(__dirname, '..');
+const MIGRATIONS = fs.readdirSync(path.join(APP_DIR, 'lib', 'migrations')).filter(file => /^\d+-.+\.js$/.test(file));
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fishing-migrate-'));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+function migrate(databaseUrl, ...args) {
+    return new Promise((resolve, reject) => {
+        execFile(process.execPath, ['migrate.js', ...args], {
+            cwd: APP_DIR,
+            env: { ...process.env, DATABASE_URL: databaseUrl },
+            timeout: 60000
+        }, (error, stdout, stderr) => (error ? reject(new Error(`migrate ${args.join(' ')}: ${stderr || error.message}`)) : resolve(stdout)));
+    });
+}
+
+async function statuses(databaseUrl) {
+    const output = await migrate(databaseUrl, 'status');
+    return output.split('\n').filter(line => /^\d{3} /.test(line)).map(line => /applied/.test(line));
+}
+
+function sqliteTables(file) {
+    const sqlite3 = require('sqlite3');
+    const connection = new sqlite3.Database(file);
+    return new Promise((resolve, reject) => {
+        connection.all("SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%'", (error, rows) => {
+            connection.close();
+            if (error) return reject(error);
+            resolve(rows.map(row => row.name).sort());
+        });
+    });
+}
+
+async function postgresTables(url) {
+    const { Client } = require('pg');
+    const client = new Client({ connectionString: url });
+    await client.connect();
+    try {
+        const { rows } = await client.query("SELECT table_name FROM information_schema.tables WHERE table_schema = 'public'");
+        return rows.map(row => row.table_name).sort();
+    } finally {
+        await client.end();
+    }
+}
+
+function roundTrip(databaseUrl, tables) {
+    test('up applies every migration', async () => {
+        const output = await migrate(databaseUrl, 'up');
+        assert.strictEqual((output.match(/Applied migration/g) || []).length, MIGRATIONS.length);
+        assert.deepStrictEqual(await statuses(databaseUrl), MIGRATIONS.map(() => true));
+        assert.ok((await tables()).includes('catch_logs'));
+        assert.match(await migrate(databaseUrl, 'up'), /Already up to date/);
+    });
+
+    test('seed adds the built-in hotspots once', async () => {
+        assert.match(await migrate(databaseUrl, 'seed'), /Seeded [1-9]\d* built-in hotspots/);
+        assert.match(await migrate(databaseUrl, 'seed'), /Seeded 0 built-in hotspots/);
+    });
+
+    test('down reverts every migration, newest first', async () => {
+        const output = await migrate(databaseUrl, 'down', String(MIGRATIONS.length));
+        const reverted = output.match(/Reverted migration \d+/g).map(line => Number(line.match(/\d+$/)[0]));
+        assert.deepStrictEqual(reverted, MIGRATIONS.map(file => parseInt(file, 10)).reverse());
+        assert.deepStrictEqual(await statuses(databaseUrl), MIGRATIONS.map(() => false));
+        assert.deepStrictEqual(await tables(), ['schema_migrations']);
+    });
+
+    test('up reapplies them after a full revert', async () => {
+        await migrate(databaseUrl, 'up');
+        assert.deepStrictEqual(await statuses(databaseUrl), MIGRATIONS.map(() => true));
+    });
+}
+
+describe('SQLite', () => {
+    const file = path.join(dir, 'migrate.db');
+    roundTrip(file, () => sqliteTables(file));
+});
+
+describe('Postgres', { skip: !process.env.TEST_DATABASE_URL && 'set TEST_DATABASE_URL to run' }, () => {
+    const url = process.env.TEST_DATABASE_URL;
+    roundTrip(url, () => postgresTables(url));
+});
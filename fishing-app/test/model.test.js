@@ -0,0 +1,67 @@
+// test/model.test.js - Training species models from logged catches
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { setupDatabase, teardownDatabase } = require('./helpers');
+const db = require('../lib/db');
+const models = require('../lib/model');
+
+let userId;
+before(async () => {
+    await setupDatabase();
+    ({ lastID: userId } = await db.run("INSERT INTO users (email, password_hash, name) VALUES ('model@example.com', 'x', 'Angler')"));
+});
+after(teardownDatabase);
+
+const HOUR = 3600000;
+const at = hours => new Date(Date.UTC(2026, 0, 10, 6) + hours * HOUR).toISOString();
+
+function observe(lat, lng, timestamp, seaTemperature) {
+    return db.run(`
+        INSERT INTO environmental_data (latitude, longitude, timestamp, fetched_at, sea_temperature, current_speed, chlorophyll, wind_speed, wave_height, source)
+        VALUES (?, ?, ?, ?, ?, 0.5, 0.4, 8, 1, 'test')
+    `, [lat, lng, timestamp, timestamp, seaTemperature]);
+}
+
+function logCatch(lat, lng, time, { waterTemp = null, status = 'visible' } = {}) {
+    return db.run(`
+        INSERT INTO catch_logs (user_id, species, weight, gear_type, latitude, longitude, time_caught, water_temp, moderation_status)
+        VALUES (?, 'Kingfish', 8, 'jig', ?, ?, ?, ?, ?)
+    `, [userId, lat, lng, time, waterTemp, status]);
+}
+
+test('too few catches with conditions can\'t train a model', async () => {
+    await assert.rejects(models.trainModel('Kingfish'), { status: 422, message: /At least 10 catches/ });
+    await assert.rejects(models.trainModel('Nemo'), { status: 400 });
+});
+
+test('catches are joined with nearby conditions and the first model is trained when due', async () => {
+    // Warm water by the catches, cold water elsewhere for the background
+    for (let i = 0; i < 12; i++) {
+        const lat = -35 + i * 0.01;
+        await observe(lat, 174.2, at(i), 19.5);
+        await logCatch(lat + 0.01, 174.2, at(i + 1));
+        await observe(-36.5, 175.5 + i * 0.01, at(i), 12);
+    }
+    // Nothing within reach and no reading of its own: left out
+    await logCatch(-30, 170, at(0));
+    // The angler's reading stands in for observed conditions
+    await logCatch(-30.5, 170, at(0), { waterTemp: 20 });
+    // Held by moderation: left out
+    await logCatch(-35, 174.2, at(1), { status: 'hidden' });
+
+    const [trained] = await models.retrainDueModels();
+    assert.strictEqual(trained.species, 'Kingfish');
+    assert.strictEqual(trained.version, 1);
+
+    const model = await models.getActiveModel('Kingfish');
+    assert.strictEqual(model.positives, 13);
+    const predict = await models.loadPredictor('Kingfish');
+    const warm = predict({ sea_temperature: 19.5, current_speed: 0.5, chlorophyll: 0.4, wind_speed: 8, wave_height: 1 });
+    const cold = predict({ sea_temperature: 12, current_speed: 0.5, chlorophyll: 0.4, wind_speed: 8, wave_height: 1 });
+    assert.ok(warm > cold, `${warm} vs ${cold}`);
+});
+
+test('a model is only retrained once enough new catches have come in', async () => {
+    assert.deepStrictEqual(await models.retrainDueModels(), []);
+    assert.strictEqual((await models.getActiveModel('Kingfish')).version, 1);
+});
@@ -0,0 +1,104 @@
+// test/notify.test.js - Alert rule deliveries to a local webhook receiver and SMTP server
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { setupDatabase, teardownDatabase, waitFor, httpSink, smtpSink } = require('./helpers');
+
+let webhook;
+let smtp;
+let auth;
+let rules;
+let notify;
+let user;
+let failNext = false;
+
+before(async () => {
+    webhook = await httpSink(() => {
+        const status = failNext ? 500 : 200;
+        failNext = false;
+        return status;
+    });
+    smtp = await smtpSink();
+    Object.assign(process.env, {
+        SMTP_HOST: smtp.host,
+        SMTP_PORT: String(smtp.port),
+        WEBHOOK_SECRET: 'test-webhook-secret',
+        WEBHOOK_ALLOW_PRIVATE: 'true'
+    });
+    auth = require('../lib/auth');
+    rules = require('../lib/rules');
+    notify = require('../lib/notify');
+    await setupDatabase();
+
+    // Signing up mails a verification link; following it verifies the address
+    const session = await auth.register({ email: 'skipper@example.com', password: 'correct horse', name: 'Skipper' });
+    user = session.user;
+    const mail = await waitFor(() => smtp.messages.find(message => message.to.includes('skipper@example.com')));
+    await auth.verifyEmail(mail.data.match(/verify_token=([\w-]+)/)[1]);
+});
+
+after(async () => {
+    await teardownDatabase();
+    await webhook.close();
+    await smtp.close();
+});
+
+const ruleBody = extra => ({ species: 'Kingfish', min_probability: 50, ...extra });
+
+test('a test notification is posted to the webhook with a signature', async () => {
+    const rule = await rules.createRule(user.id, ruleBody({ webhook_url: `${webhook.url}/hook` }));
+    const [delivery] = await rules.sendTest(user.id, rule.id);
+
+    assert.strictEqual(delivery.status, 'sent');
+    const request = webhook.requests.at(-1);
+    assert.strictEqual(request.method, 'POST');
+    assert.strictEqual(request.url, '/hook');
+    const payload = JSON.parse(request.body);
+    assert.strictEqual(payload.type, 'alert_rule_test');
+    assert.strictEqual(payload.rule.id, rule.id);
+    const signature = crypto.createHmac('sha256', 'test-webhook-secret').update(request.body).digest('hex');
+    assert.strictEqual(request.headers['x-fishing-signature'], `sha256=${signature}`);
+});
+
+test('a failed webhook is kept for a retry', async () => {
+    const rule = await rules.createRule(user.id, ruleBody({ webhook_url: `${webhook.url}/flaky` }));
+    failNext = true;
+    const [delivery] = await rules.sendTest(user.id, rule.id);
+
+    assert.strictEqual(delivery.status, 'pending');
+    assert.strictEqual(delivery.attempts, 1);
+    assert.match(delivery.last_error, /HTTP 500/);
+});
+
+test('a test notification is mailed to the verified address', async () => {
+    const rule = await rules.createRule(user.id, ruleBody({ email: 'skipper@example.com', name: 'Kingfish at dawn' }));
+    const sent = smtp.messages.length;
+    const [delivery] = await rules.sendTest(user.id, rule.id);
+
+    assert.strictEqual(delivery.status, 'sent');
+    assert.strictEqual(smtp.messages.length, sent + 1);
+    const mail = smtp.messages.at(-1);
+    assert.deepStrictEqual(mail.to, ['skipper@example.com']);
+    assert.match(mail.data, /Subject: Test: Kingfish at dawn/);
+    assert.match(mail.data, /test notification for your Kingfish alert rule/);
+});
+
+test('alert emails need the account\'s own verified address', async () => {
+    await assert.rejects(rules.createRule(user.id, ruleBody({ email: 'someone-else@example.com' })), { status: 400 });
+
+    const other = await auth.register({ email: 'deckhand@example.com', password: 'correct horse', name: 'Deckhand' });
+    await assert.rejects(rules.createRule(other.user.id, ruleBody({ email: 'deckhand@example.com' })),
+        { status: 400, message: /Verify your email/ });
+});
+
+test('webhooks to private addresses are refused unless allowed', async () => {
+    process.env.WEBHOOK_ALLOW_PRIVATE = 'false';
+    try {
+        await assert.rejects(notify.checkWebhookUrl(`${webhook.url}/hook`), { permanent: true, message: /private address/ });
+        await assert.rejects(notify.checkWebhookUrl('http://169.254.169.254/latest/meta-data'), { permanent: true });
+        await assert.rejects(rules.createRule(user.id, ruleBody({ webhook_url: 'http://[::1]:8080/' })),
+            { status: 400, message: /^webhook_url: / });
+    } finally {
+        process.env.WEBHOOK_ALLOW_PRIVATE = 'true';
+    }
+});
@@ -0,0 +1,72 @@
+// test/privacy.test.js - Catch visibility and public location fuzzing
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { setupDatabase, teardownDatabase } = require('./helpers');
+const db = require('../lib/db');
+const privacy = require('../lib/privacy');
+const { distanceKm } = require('../lib/geo');
+
+before(setupDatabase);
+after(teardownDatabase);
+
+// Catches scattered around one spot off Cape Brett, all inside one 5 km cell
+const SPOT = { lat: -35.1734, lng: 174.3271 };
+const around = [[0, 0], [0.004, -0.003], [-0.006, 0.005], [0.002, 0.007]]
+    .map(([dLat, dLng]) => ({ lat: SPOT.lat + dLat, lng: SPOT.lng + dLng }));
+
+test('grid fuzzing snaps every catch in a cell to its centre', () => {
+    const fuzzed = around.map(({ lat, lng }) => privacy.fuzzLocation(lat, lng, { userId: 1, method: 'grid', km: 5 }));
+    fuzzed.forEach(point => assert.deepStrictEqual(point, fuzzed[0]));
+    // Within half a cell diagonal of the real position
+    assert.ok(distanceKm(SPOT.lat, SPOT.lng, fuzzed[0].lat, fuzzed[0].lng) <= 5 * Math.SQRT1_2);
+});
+
+test('radius fuzzing is a fixed offset per angler and cell, within fuzz_km of the centre', () => {
+    const centre = privacy.fuzzLocation(SPOT.lat, SPOT.lng, { userId: 1, method: 'grid', km: 5 });
+    const fuzzed = around.map(({ lat, lng }) => privacy.fuzzLocation(lat, lng, { userId: 1, method: 'radius', km: 5 }));
+    fuzzed.forEach(point => assert.deepStrictEqual(point, fuzzed[0]));
+    assert.ok(distanceKm(centre.lat, centre.lng, fuzzed[0].lat, fuzzed[0].lng) <= 5);
+
+    // Averaging many catches gets no closer than one
+    const mean = {
+        lat: fuzzed.reduce((sum, p) => sum + p.lat, 0) / fuzzed.length,
+        lng: fuzzed.reduce((sum, p) => sum + p.lng, 0) / fuzzed.length
+    };
+    assert.ok(Math.abs(mean.lat - fuzzed[0].lat) < 1e-9 && Math.abs(mean.lng - fuzzed[0].lng) < 1e-9);
+
+    const other = privacy.fuzzLocation(SPOT.lat, SPOT.lng, { userId: 2, method: 'radius', km: 5 });
+    assert.notDeepStrictEqual(other, fuzzed[0]);
+});
+
+test('the public sees exact, fuzzed or masked values as the owner chose', () => {
+    const row = {
+        id: 41, user_id: 7, fuzz_method: 'grid', fuzz_km: 2, moderation_reason: null, moderated_by: null,
+        species: 'Kingfish', latitude: SPOT.lat, longitude: SPOT.lng, visibility: 'public-fuzzed', angler_name: 'Rangi'
+    };
+    const fuzzed = privacy.publicCatch(row);
+    assert.deepStrictEqual(Object.keys(fuzzed).sort(),
+        ['angler_name', 'latitude', 'location_precision', 'longitude', 'species', 'visibility']);
+    assert.strictEqual(fuzzed.angler_name, 'R****');
+    assert.strictEqual(fuzzed.location_precision, '2 km');
+    assert.notStrictEqual(fuzzed.latitude, SPOT.lat);
+
+    const exact = privacy.publicCatch({ ...row, visibility: 'public-exact' });
+    assert.deepStrictEqual([exact.latitude, exact.longitude, exact.location_precision], [SPOT.lat, SPOT.lng, 'exact']);
+});
+
+test('privacy settings are checked before they are stored', async () => {
+    assert.deepStrictEqual(privacy.normaliseSettings({ default_visibility: 'private', fuzz_km: '2.5' }),
+        { default_visibility: 'private', fuzz_km: 2.5 });
+    assert.throws(() => privacy.normaliseSettings({ default_visibility: 'friends' }), { status: 400, message: /visibility must be one of/ });
+    assert.throws(() => privacy.normaliseSettings({ fuzz_method: 'jitter' }), { status: 400 });
+    assert.throws(() => privacy.normaliseSettings({ fuzz_km: 0.1 }), { status: 400, message: 'fuzz_km must be between 0.5 and 50' });
+
+    const { lastID } = await db.run("INSERT INTO users (email, password_hash, name) VALUES ('privacy@example.com', 'x', 'Angler')");
+    assert.deepStrictEqual({ ...await privacy.getSettings(lastID) },
+        { default_visibility: 'public-fuzzed', fuzz_method: 'grid', fuzz_km: 1 });
+});
+
+test('shared catches are anything but private', () => {
+    assert.strictEqual(privacy.sharedCondition('c'), "c.visibility != 'private'");
+    assert.strictEqual(privacy.sharedCondition(), "visibility != 'private'");
+});
@@ -0,0 +1,66 @@
+// test/ratelimit.test.js - Request limits and sign-in lockout
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+// Small limits so the tests reach them; read when lib/ratelimit.js loads
+process.env.AUTH_RATE_LIMIT = '3';
+process.env.WRITE_RATE_LIMIT_USER = '2';
+process.env.LOGIN_MAX_FAILURES = '2';
+const rateLimit = require('../lib/ratelimit');
+
+// Runs the middleware once; resolves with the status it answered, or 'next'
+function hit(middleware, req) {
+    return new Promise(resolve => {
+        const headers = {};
+        const res = {
+            headers,
+            set(name, value) {
+                if (typeof name === 'object') Object.assign(headers, name);
+                else headers[name] = value;
+                return this;
+            },
+            status(code) {
+                resolve({ status: code, headers });
+                return { json: () => {} };
+            }
+        };
+        middleware(req, res, () => resolve({ status: 'next', headers }));
+    });
+}
+
+test('the auth limit counts each client address on its own', async () => {
+    const req = { ip: '203.0.113.5', method: 'POST' };
+    for (let i = 0; i < 3; i++) assert.strictEqual((await hit(rateLimit.authLimit, req)).status, 'next');
+
+    const refused = await hit(rateLimit.authLimit, req);
+    assert.strictEqual(refused.status, 429);
+    assert.ok(Number(refused.headers['Retry-After']) > 0);
+    assert.strictEqual(refused.headers['RateLimit-Remaining'], '0');
+
+    assert.strictEqual((await hit(rateLimit.authLimit, { ip: '203.0.113.6', method: 'POST' })).status, 'next');
+});
+
+test('per-user write limits ignore reads and anonymous requests', async () => {
+    const write = { ip: '198.51.100.1', method: 'POST', user: { userId: 7 } };
+    assert.strictEqual((await hit(rateLimit.writeLimitByUser, write)).status, 'next');
+    assert.strictEqual((await hit(rateLimit.writeLimitByUser, { ...write, ip: '198.51.100.2' })).status, 'next');
+    // The same user from another address is still the same user
+    assert.strictEqual((await hit(rateLimit.writeLimitByUser, { ...write, ip: '198.51.100.3' })).status, 429);
+
+    assert.strictEqual((await hit(rateLimit.writeLimitByUser, { ...write, method: 'GET' })).status, 'next');
+    assert.strictEqual((await hit(rateLimit.writeLimitByUser, { ip: '198.51.100.1', method: 'POST' })).status, 'next');
+});
+
+test('failed sign-ins lock the address until one succeeds', () => {
+    const email = 'guessed@example.com';
+    rateLimit.assertLoginAllowed(email);
+    rateLimit.recordLoginFailure(email);
+    rateLimit.assertLoginAllowed(email);
+    rateLimit.recordLoginFailure(email);
+
+    assert.throws(() => rateLimit.assertLoginAllowed(email), error => error.status === 429 && error.retryAfter > 0);
+    rateLimit.assertLoginAllowed('other@example.com');
+
+    rateLimit.clearLoginFailures(email);
+    rateLimit.assertLoginAllowed(email);
+});
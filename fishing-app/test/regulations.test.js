@@ -0,0 +1,85 @@
+// test/regulations.test.js - Size and bag limits and marine protected areas
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { setupDatabase, teardownDatabase } = require('./helpers');
+const db = require('../lib/db');
+const regulations = require('../lib/regulations');
+
+let userId;
+before(async () => {
+    await setupDatabase();
+    ({ lastID: userId } = await db.run("INSERT INTO users (email, password_hash, name) VALUES ('rules@example.com', 'x', 'Angler')"));
+});
+after(teardownDatabase);
+
+const OPEN_WATER = { latitude: -35.1, longitude: 174.2 };
+const POOR_KNIGHTS = { latitude: -35.47, longitude: 174.735 };
+const DEEP_WATER_COVE = { latitude: -35.21, longitude: 174.3 };
+
+const codes = list => list.map(item => item.code);
+
+test('catches inside a marine reserve or closed area break the rules', () => {
+    const reserve = regulations.checkRules({ species: 'Snapper', length: 40, ...POOR_KNIGHTS });
+    assert.deepStrictEqual(codes(reserve.violations), ['marine_reserve']);
+    assert.strictEqual(reserve.violations[0].area, 'poor-knights');
+    assert.match(reserve.violations[0].message, /^Inside Poor Knights Islands Marine Reserve: /);
+
+    assert.deepStrictEqual(codes(regulations.checkRules({ species: 'Kingfish', ...DEEP_WATER_COVE }).violations), ['closed_area']);
+
+    const error = regulations.complianceError(reserve.violations);
+    assert.strictEqual(error.status, 422);
+    assert.strictEqual(error.details, reserve.violations);
+});
+
+test('undersize fish and unknown species are warnings', () => {
+    const undersize = regulations.checkRules({ species: 'Kingfish', length: 70, ...OPEN_WATER });
+    assert.deepStrictEqual(undersize, {
+        violations: [],
+        warnings: [{ code: 'undersize', field: 'length', message: 'Kingfish under 75 cm must be released (this one is 70 cm)' }]
+    });
+    assert.deepStrictEqual(regulations.checkRules({ species: 'Kingfish', length: 80, ...OPEN_WATER }).warnings, []);
+    assert.deepStrictEqual(codes(regulations.checkRules({ species: 'Moonfish', ...OPEN_WATER }).warnings), ['unknown_species']);
+
+    // No limits outside the covered fishery area
+    assert.deepStrictEqual(regulations.checkRules({ species: 'Kingfish', length: 50, latitude: -41.3, longitude: 174.8 }).warnings, []);
+});
+
+test('the bag limit counts the angler\'s other catches that NZ day', async () => {
+    // 1am NZ daylight time on 15 February, still the 14th in UTC
+    const time = '2024-02-14T12:00:00Z';
+    for (const hour of ['2024-02-13T11:30:00Z', '2024-02-13T20:00:00Z', '2024-02-14T10:00:00Z']) {
+        await db.run(`
+            INSERT INTO catch_logs (user_id, species, weight, gear_type, latitude, longitude, time_caught)
+            VALUES (?, 'Kingfish', 12, 'jig', -35.1, 174.2, ?)
+        `, [userId, hour]);
+    }
+    const catchValues = { species: 'Kingfish', length: 90, ...OPEN_WATER, time_caught: time };
+
+    // The first three were on the 14th NZ time; this one starts the 15th
+    assert.deepStrictEqual((await regulations.checkCatch(userId, catchValues)).warnings, []);
+
+    const sameDay = { ...catchValues, time_caught: '2024-02-14T09:00:00Z' };
+    assert.deepStrictEqual((await regulations.checkCatch(userId, sameDay)).warnings, [{
+        code: 'bag_limit', field: 'species', message: 'This is Kingfish number 4 today; the daily limit is 3'
+    }]);
+    // Editing one of the three doesn't count it twice
+    const [{ id }] = await db.all('SELECT id FROM catch_logs WHERE user_id = ? LIMIT 1', [userId]);
+    assert.deepStrictEqual((await regulations.checkCatch(userId, sameDay, { excludeId: id })).warnings, []);
+});
+
+test('a lookup lists the areas at a point and the limits that apply', () => {
+    const here = regulations.lookup(POOR_KNIGHTS.latitude, POOR_KNIGHTS.longitude);
+    assert.strictEqual(here.fishing_allowed, false);
+    assert.deepStrictEqual(here.protected_areas.map(area => area.id), ['poor-knights']);
+    assert.strictEqual(here.fishery_area, 'Auckland and Kermadec fishery area');
+    const snapper = here.species.find(entry => entry.name === 'Snapper');
+    assert.deepStrictEqual([snapper.min_length_cm, snapper.daily_limit], [30, 7]);
+    assert.deepStrictEqual(snapper.combined_limits, [{ name: 'Mixed finfish', daily_limit: 20 }]);
+
+    const nearby = regulations.lookup(-35.45, 174.69);
+    assert.strictEqual(nearby.fishing_allowed, true);
+    assert.deepStrictEqual(nearby.nearby_protected_areas.map(area => area.id), ['poor-knights']);
+
+    const outside = regulations.lookup(-41.3, 174.8);
+    assert.deepStrictEqual([outside.fishery_area, outside.source, outside.species], [null, null, []]);
+});
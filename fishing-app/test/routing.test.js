@@ -0,0 +1,69 @@
+// test/routing.test.js - Sea-only routes through waypoints
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+// Forecast weather along the legs comes from the recorded provider responses
+process.env.OCEAN_PROVIDER_MODE = 'fixture';
+const routing = require('../lib/routing');
+
+const PAIHIA = [-35.27, 174.1];
+const THREE_KINGS = [-34.17, 172.13];
+
+const legs = route => route.features.filter(f => f.properties.kind === 'leg');
+const toPoint = ([lng, lat]) => ({ lat, lng });
+
+test('land is found from the coastline outline', () => {
+    assert.ok(routing.landAt(-35.7, 174.3));
+    assert.strictEqual(routing.landAt(-35.25, 174.6), null);
+    assert.ok(routing.inRing(0.5, 0.5, [[0, 0], [1, 0], [1, 1], [0, 1], [0, 0]]));
+    assert.strictEqual(routing.inRing(1.5, 0.5, [[0, 0], [1, 0], [1, 1], [0, 1], [0, 0]]), false);
+});
+
+test('open water runs straight', () => {
+    const from = { lat: -34.15, lng: 173.8 };
+    const to = { lat: -34.3, lng: 173.6 };
+    assert.ok(routing.lineClear(from, to));
+    assert.deepStrictEqual(routing.planLeg(from, to), [from, to]);
+});
+
+test('a leg round North Cape keeps off the land', () => {
+    const from = { lat: PAIHIA[0], lng: PAIHIA[1] };
+    const to = { lat: THREE_KINGS[0], lng: THREE_KINGS[1] };
+    assert.strictEqual(routing.lineClear(from, to), false);
+
+    const points = routing.planLeg(from, to);
+    assert.ok(points.length > 2);
+    for (let k = 1; k < points.length; k++) assert.ok(routing.lineClear(points[k - 1], points[k]), `step ${k}`);
+});
+
+test('routes carry distance, time, fuel and weather per leg', async () => {
+    const route = await routing.planRoute({
+        waypoints: [PAIHIA, { lat: -34.15, lng: 173.8, name: 'King Bank' }, THREE_KINGS],
+        speed_knots: 20,
+        fuel_lph: 50,
+        departure: '2024-02-14T05:00:00+13:00'
+    });
+    const [first, second] = legs(route);
+    assert.strictEqual(legs(route).length, 2);
+    assert.strictEqual(route.features.find(f => f.properties.kind === 'waypoint' && f.properties.index === 2).properties.name, 'King Bank');
+
+    const { properties: total } = route;
+    assert.strictEqual(total.departure, '2024-02-14T05:00:00+13:00');
+    assert.ok(Math.abs(total.distance_nm - (first.properties.distance_nm + second.properties.distance_nm)) <= 0.1);
+    assert.ok(Math.abs(total.duration_hours - total.distance_nm / 20) <= 0.01);
+    assert.strictEqual(total.fuel_litres, Math.round(total.distance_nm / 20 * 50));
+    assert.strictEqual(second.properties.depart, first.properties.arrive);
+    assert.strictEqual(total.eta, second.properties.arrive);
+    assert.ok(first.properties.weather.samples.length >= 1);
+
+    first.geometry.coordinates.slice(1).forEach((point, k) =>
+        assert.ok(routing.lineClear(toPoint(first.geometry.coordinates[k]), toPoint(point))));
+});
+
+test('waypoints on land or out of bounds are refused', async () => {
+    await assert.rejects(routing.planRoute({ waypoints: [PAIHIA] }), { status: 400, message: 'waypoints needs at least two positions' });
+    await assert.rejects(routing.planRoute({ waypoints: [PAIHIA, [-35.7, 174.3]] }), { status: 400, message: /Waypoint 2 .* is on land/ });
+    await assert.rejects(routing.planRoute({ waypoints: [PAIHIA, [-95, 174]] }), { status: 400, message: 'Waypoint 2 is not a valid position' });
+    await assert.rejects(routing.planRoute({ waypoints: Array(routing.MAX_WAYPOINTS + 1).fill(PAIHIA) }), { status: 400 });
+    await assert.rejects(routing.planRoute({ waypoints: [PAIHIA, THREE_KINGS], speed_knots: 0 }), { status: 400 });
+});
@@ -0,0 +1,72 @@
+// test/scoring.test.js - Favorability scores against species profiles
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { scoreConditions, rangeFraction } = require('../lib/scoring');
+
+// Mid-February, a peak month for Yellowfin
+const DATE = new Date('2024-02-14T01:00:00Z');
+const IDEAL = {
+    latitude: -35.25, longitude: 174.1,
+    sea_temperature: 22, current_speed: 0.8, chlorophyll: 0.2, wind_speed: 8, wave_height: 1
+};
+
+const near = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} vs ${expected}`);
+const contribution = (result, factor) => result.contributions.find(c => c.factor === factor);
+
+test('values taper from the optimal range to the tolerable edge', () => {
+    const range = { optimal: [20, 25], tolerable: [18, 29] };
+    assert.strictEqual(rangeFraction(22, range), 1);
+    near(rangeFraction(18, range), 0.3);
+    near(rangeFraction(27, range), 0.65);
+    assert.strictEqual(rangeFraction(17.9, range), 0);
+    // Sea-state ranges start at zero, so flat calm is optimal
+    assert.strictEqual(rangeFraction(0, { optimal: [0, 15], tolerable: [0, 22] }), 1);
+});
+
+test('every weighted factor is reported with its rating and points', () => {
+    const result = scoreConditions(IDEAL, 'Yellowfin Tuna', { date: DATE });
+    assert.strictEqual(result.species, 'Yellowfin Tuna');
+    assert.deepStrictEqual(result.contributions.map(c => c.factor),
+        ['sea_temperature', 'current_speed', 'chlorophyll', 'wind_speed', 'wave_height', 'season', 'time']);
+    assert.strictEqual(result.coverage, 1);
+
+    const temperature = contribution(result, 'sea_temperature');
+    assert.deepStrictEqual([temperature.rating, temperature.points], ['optimal', 25]);
+    assert.strictEqual(contribution(result, 'season').rating, 'optimal');
+    assert.strictEqual(result.factors.temperature, 'optimal');
+    assert.ok(result.score >= 80, `${result.score}`);
+    assert.strictEqual(result.rating, 'excellent');
+});
+
+test('conditions outside the tolerable range score nothing for that factor', () => {
+    const result = scoreConditions({ ...IDEAL, sea_temperature: 14, wave_height: 4 }, 'Yellowfin Tuna', { date: DATE });
+    assert.deepStrictEqual([contribution(result, 'sea_temperature').rating, contribution(result, 'sea_temperature').points], ['poor', 0]);
+    assert.strictEqual(result.factors.waves, 'poor');
+    assert.ok(result.score < scoreConditions(IDEAL, 'Yellowfin Tuna', { date: DATE }).score);
+});
+
+test('missing data is reported but left out of the total', () => {
+    const result = scoreConditions({ ...IDEAL, chlorophyll: null, current_speed: undefined }, 'Yellowfin Tuna', { date: DATE });
+    const chlorophyll = contribution(result, 'chlorophyll');
+    assert.deepStrictEqual([chlorophyll.value, chlorophyll.rating, chlorophyll.points], [null, 'unknown', null]);
+    // 35 of the 100 weight points have no data
+    assert.strictEqual(result.coverage, 0.65);
+    assert.ok(result.score >= 80, `${result.score}`);
+});
+
+test('season follows the profile in NZ time', () => {
+    // 31 May 13:00 UTC is already 1 June in NZ: out of season for Yellowfin
+    const june = scoreConditions(IDEAL, 'Yellowfin Tuna', { date: new Date('2024-05-31T13:00:00Z') });
+    assert.deepStrictEqual([contribution(june, 'season').value, contribution(june, 'season').rating], [6, 'poor']);
+    const april = scoreConditions(IDEAL, 'Yellowfin Tuna', { date: new Date('2024-04-10T01:00:00Z') });
+    assert.strictEqual(contribution(april, 'season').points, 7.5);
+});
+
+test('tide only counts for species that weight it', () => {
+    assert.ok(contribution(scoreConditions(IDEAL, 'Kingfish', { date: DATE }), 'tide'));
+    assert.strictEqual(contribution(scoreConditions(IDEAL, 'Yellowfin Tuna', { date: DATE }), 'tide'), undefined);
+});
+
+test('unknown species are refused', () => {
+    assert.throws(() => scoreConditions(IDEAL, 'Nemo'), /Unknown species: Nemo/);
+});
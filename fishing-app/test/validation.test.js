@@ -0,0 +1,105 @@
+// test/validation.test.js - Query and body schemas
+const { test } = require('node:test');
+const assert = require('node:assert');
+const validation = require('../lib/validation');
+
+// Runs middleware against a bare request; resolves with the reply it sent, or
+// null once it has called next()
+function handle(middleware, req) {
+    return new Promise(resolve => {
+        const res = {
+            statusCode: 200,
+            status(code) {
+                this.statusCode = code;
+                return this;
+            },
+            json(body) {
+                resolve({ status: this.statusCode, body });
+            }
+        };
+        middleware(req, res, () => resolve(null));
+    });
+}
+
+test('query values are parsed and defaults filled in', async () => {
+    const req = { query: { days: '30', at: '2024-02-14T06:30:00Z', other: 'left alone' } };
+    const reply = await handle(validation.query({
+        days: validation.number({ exclusiveMin: 0, max: 365 }),
+        limit: validation.integer({ min: 1, default: 10 }),
+        at: validation.timestamp({ past: true })
+    }), req);
+
+    assert.strictEqual(reply, null);
+    assert.strictEqual(req.query.days, 30);
+    assert.strictEqual(req.query.limit, 10);
+    assert.strictEqual(req.query.at.toISOString(), '2024-02-14T06:30:00.000Z');
+    assert.strictEqual(req.query.other, 'left alone');
+});
+
+test('every invalid field is reported with the 400', async () => {
+    const reply = await handle(validation.query({
+        limit: validation.integer({ min: 1, max: 100 }),
+        kind: validation.oneOf(['bands', 'isolines']),
+        species: validation.string({ required: true })
+    }), { query: { limit: '2.5', kind: 'dots' } });
+
+    assert.strictEqual(reply.status, 400);
+    assert.deepStrictEqual(reply.body, {
+        error: 'Invalid query parameters',
+        details: [
+            { field: 'limit', message: 'must be a whole number' },
+            { field: 'kind', message: 'must be one of: bands, isolines' },
+            { field: 'species', message: 'is required' }
+        ]
+    });
+});
+
+test('lists take commas or arrays and check each entry', () => {
+    const types = validation.list(validation.oneOf(['catch', 'alerts']), { minItems: 1 });
+    assert.deepStrictEqual(validation.check({ types }, { types: 'catch, ALERTS' }).values.types, ['catch', 'alerts']);
+    assert.deepStrictEqual(validation.check({ types }, { types: ['catch'] }).values.types, ['catch']);
+    assert.deepStrictEqual(validation.check({ types }, { types: 'catch,nope' }).details,
+        [{ field: 'types', message: 'entry 2 must be one of: catch, alerts' }]);
+});
+
+test('timestamps must parse and can be held to the past or a recent window', () => {
+    const at = validation.timestamp({ past: true });
+    assert.deepStrictEqual(validation.check({ at }, { at: 'yesterday' }).details,
+        [{ field: 'at', message: 'must be an ISO 8601 timestamp' }]);
+    assert.deepStrictEqual(validation.check({ at }, { at: new Date(Date.now() + 3600000).toISOString() }).details,
+        [{ field: 'at', message: 'cannot be in the future' }]);
+
+    const recent = validation.timestamp({ maxAgeDays: 30 });
+    assert.deepStrictEqual(validation.check({ at: recent }, { at: new Date(Date.now() - 31 * 86400000).toISOString() }).details,
+        [{ field: 'at', message: 'must be within the last 30 days' }]);
+});
+
+test('bounds take any two opposite corners', () => {
+    const schema = { bounds: validation.bounds() };
+    assert.deepStrictEqual(validation.check(schema, { bounds: '-34,175,-35,174' }).values.bounds,
+        { south: -35, north: -34, west: 174, east: 175 });
+    assert.strictEqual(validation.check(schema, { bounds: '-35,174,-34' }).details[0].message,
+        'must be four numbers: lat1,lng1,lat2,lng2');
+    assert.strictEqual(validation.check(schema, { bounds: '-95,174,-34,175' }).details[0].message,
+        'must be valid latitudes and longitudes');
+    assert.strictEqual(validation.check(schema, { bounds: '-35,174,-35,175' }).details[0].message,
+        'must enclose an area');
+});
+
+test('repeated query values are refused where one is expected', () => {
+    assert.deepStrictEqual(validation.check({ name: validation.string() }, { name: ['a', 'b'] }).details,
+        [{ field: 'name', message: 'must be a string' }]);
+});
+
+test('bodies must be JSON objects', async () => {
+    const schema = validation.body({ name: validation.string({ required: true }) });
+    assert.deepStrictEqual(await handle(schema, { body: [] }),
+        { status: 400, body: { error: 'Request body must be a JSON object' } });
+    assert.deepStrictEqual((await handle(schema, { body: {} })).body.details, [{ field: 'name', message: 'is required' }]);
+});
+
+test('cross-field errors carry the same details', () => {
+    const error = validation.invalid('Invalid query parameters', [{ field: 'resolution', message: 'is too fine' }]);
+    assert.strictEqual(error.status, 400);
+    assert.deepStrictEqual(error.details, [{ field: 'resolution', message: 'is too fine' }]);
+});